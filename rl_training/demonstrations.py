@@ -0,0 +1,75 @@
+"""
+Load recorded student drives (the results screen's
+"Demonstrations (JSONL)" export) as a behavior-cloning dataset.
+
+Each sample is the 11-dim DQN state from `docs/dqn_decision_rl_spec.md`
+labelled with the student's action, so the arrays can be used to
+pre-train or regularize the DQN from `train_dqn.py`.
+
+Usage:
+
+    from rl_training.demonstrations import load_demonstrations
+    X, y = load_demonstrations(["demos1.jsonl", "demos2.jsonl"])
+"""
+
+from __future__ import annotations
+
+import json
+from typing import Iterable, Tuple
+
+import numpy as np
+
+from rl_training.env import NUM_ACTIONS
+
+
+DEMONSTRATION_FORMAT = "sensorracer-demonstrations"
+DEMONSTRATION_VERSION = 1
+
+# Must match DQN_FEATURES / DQN_ACTIONS in src/ai/DQNDecisionEngine.js
+FEATURES = [
+    "dist_front",
+    "dist_left",
+    "dist_right",
+    "light_red",
+    "light_yellow",
+    "light_green",
+    "ped_in_path",
+    "speed_ratio",
+    "aligned_to_waypoint",
+    "zone_school",
+    "visibility",
+]
+ACTIONS = ["STRAIGHT", "LEFT", "RIGHT", "BRAKE", "ACCELERATE"]
+
+
+def load_demonstrations(paths: Iterable[str]) -> Tuple[np.ndarray, np.ndarray]:
+    """Return (X, y): float32 states [n, 11] and int64 action indices [n]."""
+    states = []
+    actions = []
+
+    for path in paths:
+        with open(path, "r", encoding="utf-8") as f:
+            lines = [line for line in f if line.strip()]
+        if not lines:
+            raise ValueError(f"{path}: empty demonstration file")
+
+        meta = json.loads(lines[0])
+        if meta.get("kind") != "meta" or meta.get("format") != DEMONSTRATION_FORMAT:
+            raise ValueError(f"{path}: missing meta header (not a demonstration export?)")
+        if meta["version"] > DEMONSTRATION_VERSION:
+            raise ValueError(f"{path}: version {meta['version']} is newer than supported ({DEMONSTRATION_VERSION})")
+        if meta["features"] != FEATURES:
+            raise ValueError(f"{path}: feature layout {meta['features']} does not match {FEATURES}")
+        if meta["actions"] != ACTIONS:
+            raise ValueError(f"{path}: action mapping {meta['actions']} does not match {ACTIONS}")
+
+        for line in lines[1:]:
+            sample = json.loads(line)
+            states.append(sample["state"])
+            actions.append(sample["action"])
+
+    X = np.asarray(states, dtype=np.float32).reshape(-1, len(FEATURES))
+    y = np.asarray(actions, dtype=np.int64)
+    if y.size and (y.min() < 0 or y.max() >= NUM_ACTIONS):
+        raise ValueError("action index out of range")
+    return X, y
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseRegistry } from '../src/ai/PolicyRegistry.js';
+import {
+    EVALUATION,
+    DROPOUTS,
+    evaluationMatrix,
+    evaluateRun,
+    summarizeScorecards,
+    scorecardsToCSV,
+} from '../src/systems/evaluation/batchEvaluation.js';
+
+// Batch evaluation: drive registry policies through the real simulation
+// over seeds × weather × time of day × sensor dropout and print safety
+// scorecards (collisions by type, violations, speeding, near-misses,
+// waypoints, time to complete):
+//
+//   node scripts/evaluatePolicies.js --policies dqn-pretrained,rule-based --seeds 12345,42 \
+//       --weather clear,fog --time daylight,night --dropout none,lidar [--duration 180] \
+//       [--out scorecards.json] [--csv scorecards.csv]
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.resolve(__dirname, '../public');
+const REGISTRY_FILE = path.join(PUBLIC_DIR, 'dqn/registry.json');
+
+const list = (value) => value.split(',').map((s) => s.trim()).filter(Boolean);
+
+function parseArgs(argv) {
+    const args = {
+        policies: null,
+        seeds: [12345, 42],
+        weathers: ['clear'],
+        timesOfDay: ['daylight'],
+        dropouts: ['none'],
+        duration: EVALUATION.DURATION,
+        out: null,
+        csv: null,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--policies': args.policies = list(value); break;
+            case '--seeds': args.seeds = list(value).map(Number); break;
+            case '--weather': args.weathers = list(value); break;
+            case '--time': args.timesOfDay = list(value); break;
+            case '--dropout': args.dropouts = list(value); break;
+            case '--duration': args.duration = Number(value); break;
+            case '--out': args.out = path.resolve(value); break;
+            case '--csv': args.csv = path.resolve(value); break;
+            default:
+                console.error(`Unknown option ${argv[i]}`);
+                console.error(`Dropouts: ${Object.keys(DROPOUTS).join(', ')}`);
+                process.exit(1);
+        }
+        i++;
+    }
+    return args;
+}
+
+// Learned policies' weights come from public/ (the URL the browser would fetch)
+function loadWeights(policy) {
+    if (policy.errors.length > 0) return { error: `refused: ${policy.errors.join('; ')}` };
+    if (!policy.weightsUrl) return { weights: undefined };
+    const file = path.join(PUBLIC_DIR, policy.weightsUrl);
+    if (!fs.existsSync(file)) return { error: `weights not found (${path.relative(process.cwd(), file)})` };
+    return { weights: JSON.parse(fs.readFileSync(file, 'utf-8')) };
+}
+
+// Without --policies: every valid registry entry whose weights are on disk
+// (unshipped ones such as a student's BC policy are skipped, not errored)
+function defaultPolicies(registry) {
+    return registry.filter((policy) => {
+        if (policy.errors.length > 0) return false;
+        const { error } = loadWeights(policy);
+        if (error) console.log(`Skipping ${policy.id}: ${error}`);
+        return !error;
+    });
+}
+
+function describe(card) {
+    const where = `${card.policy} seed ${card.seed} ${card.weather}/${card.timeOfDay} dropout ${card.dropout}`;
+    if (card.error) return `${where}: ERROR ${card.error}`;
+    const done = card.courseTime === null ? `timeout ${card.duration}s` : `done ${card.courseTime}s`;
+    return `${where}: wp ${card.waypointsReached}/${card.waypointsTotal} ${done} | ` +
+        `collisions ${card.collisions} ${JSON.stringify(card.collisionsByType)} | near-misses ${card.nearMisses} | ` +
+        `red ${card.redLightsRun} stop ${card.stopSignsRun} | speeding ${card.speedingSeconds}s | score ${card.score}`;
+}
+
+async function evaluate() {
+    const args = parseArgs(process.argv.slice(2));
+    const registry = parseRegistry(JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8')));
+
+    const policies = args.policies
+        ? args.policies.map((id) => {
+            const entry = registry.find((p) => p.id === id);
+            if (!entry) {
+                console.error(`No policy "${id}" in the registry (${registry.map((p) => p.id).join(', ')})`);
+                process.exit(1);
+            }
+            return entry;
+        })
+        : defaultPolicies(registry);
+
+    const runs = evaluationMatrix({ ...args, policies });
+    console.log(`${runs.length} runs (${policies.length} policies), up to ${args.duration}s each`);
+
+    const weights = new Map(policies.map((p) => [p.id, loadWeights(p)]));
+    const scorecards = [];
+    for (const run of runs) {
+        const { weights: payload, error } = weights.get(run.policy.id);
+        const { policy, ...conditions } = run;
+        const card = error
+            ? { policy: policy.id, ...conditions, error }
+            : await evaluateRun(run, { duration: args.duration, weights: payload });
+        scorecards.push(card);
+        console.log(describe(card));
+    }
+
+    const summary = summarizeScorecards(scorecards);
+    console.log('\nPer-policy means:');
+    console.table(summary);
+
+    if (args.out) {
+        const conditions = { seeds: args.seeds, weathers: args.weathers, timesOfDay: args.timesOfDay, dropouts: args.dropouts };
+        fs.writeFileSync(args.out, JSON.stringify({
+            evaluatedAt: new Date().toISOString(),
+            duration: args.duration,
+            conditions,
+            summary,
+            scorecards,
+        }, null, 2));
+        console.log(`Scorecards saved to ${args.out}`);
+    }
+    if (args.csv) {
+        fs.writeFileSync(args.csv, scorecardsToCSV(scorecards));
+        console.log(`CSV saved to ${args.csv}`);
+    }
+}
+
+evaluate();
@@ -0,0 +1,178 @@
+import * as tf from '@tensorflow/tfjs';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDemonstrations } from '../src/systems/imitation/demonstrationLog.js';
+import { DQN_FEATURES, DQN_ACTIONS } from '../src/ai/DQNDecisionEngine.js';
+
+// Behavior cloning: train the DQN's network to imitate recorded student
+// drives (Demonstrations (JSONL) on the results screen) and export it in
+// the same JSON weight format, so it loads in place of the RL policy:
+//
+//   node scripts/trainBC.js demos1.jsonl demos2.jsonl [--out public/dqn/student_bc_weights.json] [--epochs 40]
+//
+// Then drive with new DQNDecisionEngine({ weightsUrl: '/dqn/student_bc_weights.json' }).
+
+// --- CONFIGURATION ---
+const HIDDEN_UNITS = [64, 64];   // same shape as rl_training/train_dqn.py
+const LEARNING_RATE = 1e-3;
+const BATCH_SIZE = 64;
+const DEFAULT_EPOCHS = 40;
+const VALIDATION_SPLIT = 0.2;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUT = path.resolve(__dirname, '../public/dqn/student_bc_weights.json');
+
+function parseArgs(argv) {
+    const args = { files: [], out: DEFAULT_OUT, epochs: DEFAULT_EPOCHS };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+        else if (argv[i] === '--epochs') args.epochs = Number(argv[++i]);
+        else args.files.push(argv[i]);
+    }
+    return args;
+}
+
+// --- DATA ---
+function loadDemonstrations(files) {
+    const states = [];
+    const actions = [];
+    for (const file of files) {
+        const { samples } = parseDemonstrations(fs.readFileSync(file, 'utf-8'));
+        for (const s of samples) {
+            states.push(s.state);
+            actions.push(s.action);
+        }
+        console.log(`${file}: ${samples.length} samples`);
+    }
+    return { states, actions };
+}
+
+// Students mostly drive straight: weight each class by inverse frequency
+// so the rarer turns and brakes are not drowned out
+function classWeights(actions) {
+    const counts = DQN_ACTIONS.map((_, i) => actions.filter((a) => a === i).length);
+    const present = counts.filter((c) => c > 0).length;
+    return counts.map((c) => (c > 0 ? actions.length / (present * c) : 0));
+}
+
+function shuffle(n) {
+    const order = [...Array(n).keys()];
+    for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+// --- MODEL ARCHITECTURE ---
+// Linear output: the logits take the place of Q-values (argmax picks the action)
+function createModel() {
+    const model = tf.sequential();
+    HIDDEN_UNITS.forEach((units, i) => {
+        model.add(tf.layers.dense({ units, activation: 'relu', inputShape: i === 0 ? [DQN_FEATURES.length] : undefined }));
+    });
+    model.add(tf.layers.dense({ units: DQN_ACTIONS.length, activation: 'linear' }));
+    model.compile({
+        optimizer: tf.train.adam(LEARNING_RATE),
+        loss: (yTrue, yPred) => tf.losses.softmaxCrossEntropy(yTrue, yPred),
+    });
+    return model;
+}
+
+function accuracy(model, states, actions) {
+    if (states.length === 0) return null;
+    const predicted = tf.tidy(() => model.predict(tf.tensor2d(states)).argMax(1).dataSync());
+    return actions.filter((a, i) => predicted[i] === a).length / actions.length;
+}
+
+// Dense layers in the DQNDecisionEngine JSON format (weight as [out][in])
+async function exportWeights(model) {
+    const layers = [];
+    for (const layer of model.layers) {
+        const [kernel, bias] = layer.getWeights();
+        const [inputDim, outputDim] = kernel.shape;
+        layers.push({
+            type: 'dense',
+            input_dim: inputDim,
+            output_dim: outputDim,
+            activation: layer.getConfig().activation,
+            weight: await kernel.transpose().array(),
+            bias: Array.from(await bias.data()),
+        });
+    }
+    return layers;
+}
+
+// --- TRAINING LOOP ---
+async function train() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.files.length === 0) {
+        console.error('Usage: node scripts/trainBC.js <demonstrations.jsonl...> [--out file.json] [--epochs N]');
+        process.exit(1);
+    }
+
+    const { states, actions } = loadDemonstrations(args.files);
+    if (states.length < 10) {
+        console.error(`Only ${states.length} samples: record a longer drive first.`);
+        process.exit(1);
+    }
+
+    const order = shuffle(states.length);
+    const nVal = Math.floor(states.length * VALIDATION_SPLIT);
+    const pick = (idx, arr) => idx.map((i) => arr[i]);
+    const valIdx = order.slice(0, nVal);
+    const trainIdx = order.slice(nVal);
+    const trainStates = pick(trainIdx, states);
+    const trainActions = pick(trainIdx, actions);
+    const weights = classWeights(trainActions);
+
+    console.log('Actions:', DQN_ACTIONS.map((a, i) => `${a.id}=${actions.filter((x) => x === i).length}`).join(' '));
+
+    const model = createModel();
+    const x = tf.tensor2d(trainStates);
+    const y = tf.oneHot(tf.tensor1d(trainActions, 'int32'), DQN_ACTIONS.length).toFloat();
+    await model.fit(x, y, {
+        epochs: args.epochs,
+        batchSize: BATCH_SIZE,
+        shuffle: true,
+        classWeight: Object.fromEntries(weights.map((w, i) => [i, w])),
+        verbose: 0,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => {
+                if ((epoch + 1) % 10 === 0 || epoch === 0) {
+                    console.log(`Epoch: ${epoch + 1}/${args.epochs} | Loss: ${logs.loss.toFixed(4)}`);
+                }
+            },
+        },
+    });
+    x.dispose();
+    y.dispose();
+
+    const trainAccuracy = accuracy(model, trainStates, trainActions);
+    const valAccuracy = accuracy(model, pick(valIdx, states), pick(valIdx, actions));
+    console.log(`Accuracy: train ${(trainAccuracy * 100).toFixed(1)}%` +
+        (valAccuracy === null ? '' : ` | validation ${(valAccuracy * 100).toFixed(1)}%`));
+
+    const payload = {
+        architecture: 'mlp',
+        layers: await exportWeights(model),
+        metadata: {
+            note: 'Behavior cloning of recorded SensorRacer student drives.',
+            kind: 'behavior_cloning',
+            input_dim: DQN_FEATURES.length,
+            num_actions: DQN_ACTIONS.length,
+            samples: states.length,
+            sources: args.files.map((f) => path.basename(f)),
+            epochs: args.epochs,
+            accuracy: { train: trainAccuracy, validation: valAccuracy },
+            trainedAt: new Date().toISOString(),
+        },
+    };
+
+    fs.mkdirSync(path.dirname(args.out), { recursive: true });
+    fs.writeFileSync(args.out, JSON.stringify(payload));
+    console.log(`Weights saved to ${args.out}`);
+}
+
+train();
@@ -3,26 +3,56 @@ import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import { useControls } from 'leva';
 import CityWorld from './components/world/CityWorld.jsx';
-import useGameStore from './stores/useGameStore.js';
+import useGameStore, { PHASES } from './stores/useGameStore.js';
 import useVehicleStore from './stores/useVehicleStore.js';
 import FirstPersonCamera from './components/vehicle/FirstPersonCamera.jsx';
 import ThirdPersonCamera from './components/vehicle/ThirdPersonCamera.jsx';
 import RearviewMirror from './components/vehicle/RearviewMirror.jsx';
 import InputHandler from './components/vehicle/InputHandler.jsx';
+import GamepadSettings from './components/ui/GamepadSettings.jsx';
 import CockpitHUD from './components/ui/CockpitHUD.jsx';
 import WaypointCompass from './components/ui/WaypointCompass.jsx';
 import DirectionCompass from './components/ui/DirectionCompass.jsx';
 import LidarPanel from './components/sensors/LidarPanel.jsx';
 import ThermalPanel from './components/sensors/ThermalPanel.jsx';
 import AudioPanel from './components/sensors/AudioPanel.jsx';
+import SpatialAudio from './components/sensors/SpatialAudio.jsx';
 import CameraOverlay from './components/sensors/CameraOverlay.jsx';
 import SensorStatusBar from './components/sensors/SensorStatusBar.jsx';
 import useSensorStore from './stores/useSensorStore.js';
 import { CAMERA } from './constants/vehicle.js';
 import AIController from './components/ai/AIController.jsx';
+import DemonstrationRecorder from './components/ai/DemonstrationRecorder.jsx';
 import GlassBoxUI from './components/glassbox/GlassBoxUI.jsx';
+import SensorFusionMap from './components/glassbox/SensorFusionMap.jsx';
 import Minimap from './components/ui/Minimap.jsx';
 import WaypointToolbar from './components/ui/WaypointToolbar.jsx';
+import ReplayControls from './components/ui/ReplayControls.jsx';
+import SessionHUD from './components/ui/SessionHUD.jsx';
+import SessionOverlay from './components/ui/SessionOverlay.jsx';
+import PredictionPrompt from './components/glassbox/PredictionPrompt.jsx';
+import BlackoutOverlay from './components/ui/BlackoutOverlay.jsx';
+import SceneLighting from './components/world/SceneLighting.jsx';
+import EnvironmentRenderer from './components/world/EnvironmentRenderer.jsx';
+import useBlackoutStore, { BLACKOUT_STAGES } from './stores/useBlackoutStore.js';
+import useQuizStore, { quizSetUrl } from './stores/useQuizStore.js';
+
+// Camera used by each session phase (free drive keeps the Leva choice)
+const PHASE_CAMERA = {
+  [PHASES.ORIENTATION]: 'first-person',
+  [PHASES.PHASE_A]: 'first-person',
+  [PHASES.QUIZ_BREAK]: 'third-person',
+  [PHASES.PHASE_B]: 'third-person',
+  [PHASES.RESULTS]: 'third-person',
+};
+
+// Where the sensor panels go once visuals are offline (viewport fractions)
+const BLACKOUT_LAYOUT = {
+  fusion: { x: 0.02, y: 0.1, w: 0.56, h: 0.8 },
+  lidar: { x: 0.6, y: 0.1, w: 0.38, h: 0.26 },
+  thermal: { x: 0.6, y: 0.37, w: 0.38, h: 0.26 },
+  audio: { x: 0.6, y: 0.64, w: 0.38, h: 0.26 },
+};
 
 /**
  * OrbitControls that follows the vehicle position.
@@ -59,22 +89,30 @@ function VehicleOrbitControls() {
 export default function App() {
   const seed = useGameStore((s) => s.seed);
   const setSeed = useGameStore((s) => s.setSeed);
+  const phase = useGameStore((s) => s.phase);
+  const inSession = phase !== PHASES.MENU;
+  const visualOffline = useBlackoutStore((s) => s.stage === BLACKOUT_STAGES.OFFLINE);
+  const blackoutActive = useBlackoutStore((s) => s.stage !== BLACKOUT_STAGES.IDLE);
 
   // Debug controls — change seed to regenerate the world
-  const { Seed: debugSeed } = useControls('World', {
+  const [{ Seed: debugSeed }, setWorldControls] = useControls('World', () => ({
     Seed: { value: seed, min: 0, max: 99999, step: 1 },
-  });
+  }));
 
   // Camera mode toggle
-  const { 'Camera Mode': cameraMode } = useControls('Camera', {
+  const { 'Camera Mode': debugCameraMode } = useControls('Camera', {
     'Camera Mode': { options: ['orbit', 'third-person', 'first-person'], value: 'orbit' },
   });
 
   // AI mode toggle
-  const { 'AI Driver': aiDriver } = useControls('Autopilot', {
+  const { 'AI Driver': debugAiDriver } = useControls('Autopilot', {
     'AI Driver': { value: false },
   });
 
+  // A running session owns camera + driver; Leva only applies in free drive
+  const cameraMode = inSession ? PHASE_CAMERA[phase] : debugCameraMode;
+  const aiDriver = inSession ? phase === PHASES.PHASE_B : debugAiDriver;
+
   // Sensor controls
   const { 'LiDAR Rays': lidarRays, Weather: weather, 'Time of Day': timeOfDay } = useControls('Sensors', {
     'LiDAR Rays': { options: [24, 48, 72], value: 48 },
@@ -82,20 +120,27 @@ export default function App() {
     'Time of Day': { options: ['daylight', 'dusk', 'night'], value: 'daylight' },
   });
 
-  // Sync leva control to store
+  // Break-time question set (?quiz=<name> → public/quiz/<name>.json)
   useEffect(() => {
-    if (debugSeed !== seed) {
-      setSeed(debugSeed);
-    }
-  }, [debugSeed, seed, setSeed]);
+    useQuizStore.getState().loadQuestionSet(quizSetUrl());
+  }, []);
 
-  // Sync sensor controls to store
+  // Sync leva control to store, and store back to leva (replays switch seed)
+  useEffect(() => {
+    setSeed(debugSeed);
+  }, [debugSeed, setSeed]);
+
+  useEffect(() => {
+    setWorldControls({ Seed: seed });
+  }, [seed, setWorldControls]);
+
+  // Sync sensor controls to store (the blackout owns timeOfDay while it runs)
   const sensorState = useSensorStore.getState();
   useEffect(() => {
     if (sensorState.sensors.lidar.rayCount !== lidarRays) sensorState.setLidarRayCount(lidarRays);
     if (sensorState.weather !== weather) sensorState.setWeather(weather);
-    if (sensorState.timeOfDay !== timeOfDay) sensorState.setTimeOfDay(timeOfDay);
-  }, [lidarRays, weather, timeOfDay, sensorState]);
+    if (!blackoutActive && sensorState.timeOfDay !== timeOfDay) sensorState.setTimeOfDay(timeOfDay);
+  }, [lidarRays, weather, timeOfDay, blackoutActive, sensorState]);
 
   const isFirstPerson = cameraMode === 'first-person';
   const isThirdPerson = cameraMode === 'third-person';
@@ -118,30 +163,14 @@ export default function App() {
         dpr={[1, 2]}
         shadows
       >
-        <color attach="background" args={['#0a0a1a']} />
-
-        {/* Lighting */}
-        <ambientLight intensity={0.3} />
-        <directionalLight
-          position={[80, 120, 60]}
-          intensity={1.2}
-          castShadow
-          shadow-mapSize={[2048, 2048]}
-          shadow-camera-left={-120}
-          shadow-camera-right={120}
-          shadow-camera-top={120}
-          shadow-camera-bottom={-120}
-          shadow-camera-near={1}
-          shadow-camera-far={300}
-        />
-        <hemisphereLight
-          color="#b1e1ff"
-          groundColor="#1a1a2e"
-          intensity={0.2}
-        />
+        {/* Lighting + sky (follows time of day) */}
+        <SceneLighting />
+
+        {/* Fog, rain, wet roads, headlights + street lights (sensor weather / time of day) */}
+        <EnvironmentRenderer />
 
         {/* World + Vehicle */}
-        <CityWorld seed={debugSeed} cameraMode={cameraMode} />
+        <CityWorld seed={seed} cameraMode={cameraMode} />
 
         {/* Camera controllers — only one active at a time */}
         {isFirstPerson && <FirstPersonCamera />}
@@ -149,20 +178,38 @@ export default function App() {
         {isOrbit && <VehicleOrbitControls />}
 
         {/* Rearview mirror (first-person only) */}
-        <RearviewMirror enabled={isFirstPerson} />
+        <RearviewMirror enabled={isFirstPerson && !visualOffline} />
       </Canvas>
 
-      {/* Keyboard input handler (always active, but AI can override) */}
-      <InputHandler />
+      {/* Phase A lights-out: darkens then blacks out the 3D view */}
+      <BlackoutOverlay />
+
+      {/* Keyboard input handler (always active, but AI can override); the gamepad is polled only while a human drives */}
+      <InputHandler gamepad={!aiDriver} />
+
+      {/* Gamepad / wheel bindings + dead zones (only while one is connected) */}
+      <GamepadSettings />
+
+      {/* Audio sensor sources played back in 3D (Web Audio) */}
+      <SpatialAudio />
 
       {/* AI Controller Headless Component */}
       <AIController enabled={aiDriver} />
 
+      {/* Student's Phase A drive as behavior-cloning data (scripts/trainBC.js) */}
+      <DemonstrationRecorder enabled={phase === PHASES.PHASE_A} />
+
       {/* Cockpit HUD (first-person + third-person) */}
       <CockpitHUD visible={!isOrbit} />
 
       {/* Waypoint Designer Toolbar overlay */}
-      <WaypointToolbar />
+      {!inSession && <WaypointToolbar />}
+
+      {/* Session record / replay controls (free drive only — both restart the world) */}
+      {!inSession && <ReplayControls />}
+
+      {/* Session timer + phase, score, collisions */}
+      <SessionHUD />
 
       {/* Waypoint compass (first-person + third-person) */}
       <WaypointCompass visible={!isOrbit} />
@@ -173,16 +220,22 @@ export default function App() {
       {/* Direction compass (always visible including orbital) */}
       <DirectionCompass visible={true} />
 
-      {/* Sensor overlays (first-person + third-person) */}
-      <LidarPanel visible={!isOrbit} />
-      <ThermalPanel visible={!isOrbit} />
-      <AudioPanel visible={!isOrbit} />
-      <CameraOverlay visible={!isOrbit} />
+      {/* Sensor overlays (first-person + third-person; the primary view once visuals are offline) */}
+      <LidarPanel visible={!isOrbit} promoted={visualOffline && BLACKOUT_LAYOUT.lidar} />
+      <ThermalPanel visible={!isOrbit} promoted={visualOffline && BLACKOUT_LAYOUT.thermal} />
+      <AudioPanel visible={!isOrbit} promoted={visualOffline && BLACKOUT_LAYOUT.audio} />
+      <CameraOverlay visible={!isOrbit && !visualOffline} />
       <SensorStatusBar visible={!isOrbit} />
 
       {/* Glass Box Educational Visualization Panel */}
       <GlassBoxUI visible={aiDriver} />
 
+      {/* Phase B PREDICT prompts */}
+      {aiDriver && <PredictionPrompt />}
+
+      {/* Sensor Fusion Map (draggable glass box panel; the primary view once visuals are offline) */}
+      <SensorFusionMap visible={aiDriver || visualOffline} promoted={visualOffline && BLACKOUT_LAYOUT.fusion} />
+
       {/* Debug HUD overlay */}
       <div style={{
         position: 'absolute',
@@ -198,9 +251,12 @@ export default function App() {
         pointerEvents: 'none',
       }}>
         <div style={{ fontWeight: 'bold', marginBottom: 4 }}>SENSORRACER v2</div>
-        <div>Seed: {debugSeed}</div>
-        <div>{isOrbit ? 'Scroll to zoom | Drag to orbit' : 'WASD to drive'}</div>
+        <div>Seed: {seed}</div>
+        <div>{isOrbit ? 'Scroll to zoom | Drag to orbit' : 'WASD / gamepad to drive'}</div>
       </div>
+
+      {/* Orientation / break / results cards */}
+      <SessionOverlay />
     </div>
   );
 }
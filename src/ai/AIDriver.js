@@ -1,5 +1,5 @@
 import { PerceptionEngine } from './PerceptionEngine.js';
-import { SafetyBehaviorTree } from './SafetyBehaviorTree.js';
+import { SafetyBehaviorTree, SAFETY_ACTIONS } from './SafetyBehaviorTree.js';
 import { DQNDecisionEngine } from './DQNDecisionEngine.js';
 
 /**
@@ -8,23 +8,45 @@ import { DQNDecisionEngine } from './DQNDecisionEngine.js';
  * Pipes data through Perception -> Safety -> Decision.
  */
 export class AIDriver {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.decision] Options forwarded to DQNDecisionEngine (weightsUrl, weights)
+     */
+    constructor(options = {}) {
         this.perception = new PerceptionEngine();
         // DQN-based decision engine (falls back to rule-based if DQN is unavailable)
-        this.decision = new DQNDecisionEngine();
+        this.decision = new DQNDecisionEngine(options.decision);
         this.safety = new SafetyBehaviorTree();
         this.isInitialized = false;
     }
 
     async init() {
         await this.perception.initialize();
-        if (this.decision && typeof this.decision.initialize === 'function') {
+        // A policy swapped in before init() arrives already loaded
+        if (this.decision && typeof this.decision.initialize === 'function' && !this.decision.isReady) {
             await this.decision.initialize();
         }
         this.isInitialized = true;
         console.log('[AIDriver] Hybrid Architecture Initialized (Perception + Safety + DQN Decision).');
     }
 
+    /**
+     * Swap the decision policy (rule-based, DQN, behavior-cloned) between ticks.
+     * @param {Object} engine Ready engine exposing candidateActions and evaluate(state, perception)
+     */
+    setDecision(engine) {
+        this.decision = engine;
+    }
+
+    /**
+     * Every action tick() can return: the decision engine's candidates
+     * plus the safety tree's overrides.
+     * @returns {{ id: string, label: string }[]}
+     */
+    get candidateActions() {
+        return [...this.decision.candidateActions, ...SAFETY_ACTIONS];
+    }
+
     /**
      * Main tick for the AI Driver. Called per frame or at a fixed interval.
      * @param {Object} sensors Raw sensor data arrays
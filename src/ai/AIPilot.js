@@ -0,0 +1,264 @@
+import { AIDriver } from './AIDriver.js';
+import { SensorFusion } from './SensorFusion.js';
+import { RoutePlanner, ROUTE } from './RoutePlanner.js';
+import { VehicleController } from './VehicleController.js';
+import { OnlineLearner } from './OnlineLearner.js';
+import { buildWorldState, initialWorldMemory } from './WorldStateBuilder.js';
+import { createPolicyEngine, DEFAULT_POLICY_ID } from './PolicyRegistry.js';
+
+/**
+ * AIPilot
+ * Runs one ego-AI control step: advances the waypoint / route, fuses the
+ * sensors, builds the AIDriver's world state (WorldStateBuilder), ticks the driver and maps its
+ * action onto physics inputs. Shared by the live AIController and the
+ * headless Simulation so both drive the car identically.
+ */
+export class AIPilot {
+    /**
+     * @param {Object} [options]
+     * @param {AIDriver} [options.driver] Pre-built driver (defaults to a new AIDriver)
+     * @param {Object} [options.decision] Options forwarded to the DQN decision engine
+     * @param {RoutePlanner} [options.planner] Road-graph planner (defaults to one over generateRoads())
+     * @param {string} [options.control='discrete'] 'discrete' (action → key presses) or 'analog' (VehicleController)
+     * @param {Function} [options.learningRng] Seeded stream for online fine-tuning (needed by setLearning)
+     */
+    constructor(options = {}) {
+        this.driver = options.driver || new AIDriver({ decision: options.decision });
+        this.fusion = new SensorFusion();
+        this.planner = options.planner || new RoutePlanner();
+        this.controller = new VehicleController();
+        this.controlMode = options.control || 'discrete';
+        // Online fine-tuning of the DQN (created on first use, see setLearning)
+        this.learner = null;
+        this.learningRng = options.learningRng || null;
+        // Registry id of the driver's decision policy (see setPolicy)
+        this.policyId = DEFAULT_POLICY_ID;
+        this.isReady = false;
+        this.reset();
+    }
+
+    async init() {
+        await this.driver.init();
+        this.isReady = true;
+    }
+
+    /**
+     * Clear per-run memory (stop-sign yield timer, overtake commitment, fusion tracks, planned route).
+     */
+    reset() {
+        this.memory = initialWorldMemory();
+        this.route = null;
+        this.controller.reset();
+        this.fusion.reset();
+        this.learner?.resetEpisode();
+    }
+
+    /**
+     * Turn online fine-tuning of the DQN on or off. The learner (and what it
+     * has learned) survives switching off; it needs the DQN weights loaded.
+     * @param {boolean} enabled
+     * @returns {boolean} Whether learning is now on
+     */
+    setLearning(enabled) {
+        if (enabled && !this.learner) {
+            const engine = this.driver.decision;
+            if (!engine.model || !engine.isReady) return false;
+            this.learner = new OnlineLearner(engine, { rng: this.learningRng });
+        }
+        this.learner?.setEnabled(enabled);
+        return Boolean(this.learner?.enabled);
+    }
+
+    /**
+     * Swap the driver's decision policy for a registry entry. The current
+     * policy keeps driving until the new one has loaded, and stays when it
+     * is refused (schema mismatch, missing weights).
+     * @param {Object} entry Policy registry entry (PolicyRegistry.parseRegistry)
+     * @param {Object} [options] Forwarded to createPolicyEngine (pre-loaded weights)
+     * @returns {Promise<Object>} The new engine; rejects with the reason it was refused
+     */
+    async setPolicy(entry, options) {
+        const engine = await createPolicyEngine(entry, options);
+        this.driver.setDecision(engine);
+        this.policyId = entry.id;
+        // The learner fine-tunes the previous engine's model in place
+        this.learner = null;
+        return engine;
+    }
+
+    /**
+     * Switch between key-press and analog control.
+     * @param {string} mode 'discrete' | 'analog'
+     */
+    setControlMode(mode) {
+        if (mode === this.controlMode) return;
+        this.controlMode = mode;
+        this.controller.reset();
+    }
+
+    /**
+     * Planned route for the current waypoint onwards, replanned when the
+     * waypoint changes, the course changes or the car has left the path.
+     * @returns {{ legs: Object[], points: number[][] }|null}
+     */
+    updateRoute(vehicle, game) {
+        const index = game.currentWaypointIndex;
+        if (!this.route || this.route.index !== index || this.route.waypoints !== game.waypoints) {
+            this.route = {
+                index,
+                waypoints: game.waypoints,
+                plan: this.planner.planCourse(vehicle, game.waypoints, index),
+            };
+        }
+        return this.route.plan;
+    }
+
+    /**
+     * World state for someone else's driving (a student's demonstration):
+     * the same perception as tick() but without advancing waypoints or
+     * running the driver. Needs no init().
+     * @param {Object} vehicle Vehicle state (position, heading, speed, currentZone)
+     * @param {Object} sensors Sensor state shaped like useSensorStore
+     * @param {Object} game Waypoint state (waypoints, currentWaypointIndex)
+     * @param {number} [dt] Seconds since the previous step
+     * @returns {{ worldState: Object, dqnState: Object }}
+     */
+    observe(vehicle, sensors, game, dt = 0.1) {
+        const { worldState, dqnState } = this._perceive(vehicle, sensors, game, dt, false);
+        return { worldState, dqnState };
+    }
+
+    /**
+     * Navigation + sensor fusion + world-state build shared by tick() and observe().
+     */
+    _perceive(vehicle, sensors, game, dt, advance) {
+        const activeSensors = {
+            lidar: sensors.sensors.lidar.enabled,
+            thermal: sensors.sensors.thermal.enabled,
+            camera: sensors.sensors.camera.enabled,
+            audio: sensors.sensors.audio.enabled,
+        };
+
+        const rawSensors = {
+            lidar: sensors.lidarData,
+            thermal: sensors.thermalData,
+            camera: sensors.cameraData,
+            audio: sensors.audioData
+        };
+
+        // --- Navigation (stateful: waypoint progress + planner) ---
+        let waypoint = null;
+        let follow = null;
+        if (game.waypoints.length > 0 && game.currentWaypointIndex < game.waypoints.length) {
+            const wp = game.waypoints[game.currentWaypointIndex];
+            const dx = wp.position[0] - vehicle.position[0];
+            const dz = wp.position[2] - vehicle.position[2];
+
+            // Advance waypoint if close enough (the driving pilot only)
+            if (Math.sqrt(dx * dx + dz * dz) < 12) {
+                if (advance) game.advanceWaypoint();
+            } else {
+                waypoint = wp;
+                const route = this.updateRoute(vehicle, game);
+                if (route) {
+                    follow = this.planner.follow(route.legs[0], vehicle.position, vehicle.speed);
+                    // Knocked off the path (overtake, collision): replan from here next tick
+                    if (follow.offPath > ROUTE.REPLAN_DISTANCE) this.route = null;
+                }
+            }
+        }
+
+        // --- Sensor Fusion: object tracks (LiDAR + Thermal + Camera + Audio) ---
+        const tracks = this.fusion.update(vehicle, rawSensors, activeSensors, dt);
+
+        const { worldState, dqnState, navigation, memory } = buildWorldState(
+            vehicle,
+            { ...rawSensors, tracks, weather: sensors.weather, timeOfDay: sensors.timeOfDay },
+            activeSensors,
+            { waypoint, follow },
+            this.memory,
+            dt,
+        );
+        this.memory = memory;
+        return { worldState, dqnState, navigation, rawSensors, activeSensors };
+    }
+
+    /**
+     * One AI control step.
+     * @param {Object} vehicle Vehicle state (position, heading, speed, currentZone)
+     * @param {Object} sensors Sensor state shaped like useSensorStore (toggles, outputs, weather, timeOfDay)
+     * @param {Object} game Waypoint state (waypoints, currentWaypointIndex, advanceWaypoint())
+     * @param {number} [dt] Seconds since the previous step (drives the stop-sign timer)
+     * @returns {Promise<{result: Object, inputs: Object, route: Object|null}|null>} Driver output (with the
+     *   control signals in result.control and online-learning stats in result.learning), the physics
+     *   inputs to apply and the planned route ({ legs, points } from RoutePlanner.planCourse)
+     */
+    async tick(vehicle, sensors, game, dt = 0.1) {
+        if (!this.isReady) return null;
+
+        const { worldState, dqnState, navigation, rawSensors, activeSensors } = this._perceive(vehicle, sensors, game, dt, true);
+        const { targetDirection, pathTarget } = navigation;
+
+        const result = await this.driver.tick(rawSensors, activeSensors, worldState, dqnState);
+        if (!result) return null;
+
+        let inputs = actionToInputs(result.action, targetDirection, vehicle.speed);
+        let control;
+        if (this.controlMode === 'analog') {
+            const { analog, signals } = this.controller.update(
+                result.action,
+                vehicle,
+                { target: pathTarget, speedLimit: worldState.speedLimit },
+                dt,
+            );
+            inputs = { accelerate: false, brake: false, steerLeft: false, steerRight: false, analog };
+            control = { mode: 'analog', ...signals };
+        } else {
+            inputs.analog = null;
+            control = {
+                mode: 'discrete',
+                steer: inputs.steerLeft ? 1 : (inputs.steerRight ? -1 : 0),
+                throttle: inputs.accelerate ? 1 : 0,
+                brake: inputs.brake ? 1 : 0,
+            };
+        }
+
+        if (this.learner) await this.learner.step(worldState, result.action, game);
+
+        return {
+            result: { ...result, control, learning: this.learner?.stats() ?? null },
+            inputs,
+            route: this.route?.plan ?? null,
+        };
+    }
+}
+
+/**
+ * Map an AI action onto keyboard-equivalent physics inputs.
+ * @param {string} action AIDriver action id
+ * @param {string} targetDirection Raw waypoint/lane steering hint ('LEFT' | 'RIGHT' | 'STRAIGHT')
+ * @param {number} speed Current speed (m/s)
+ * @returns {{accelerate: boolean, brake: boolean, steerLeft: boolean, steerRight: boolean}}
+ */
+export function actionToInputs(action, targetDirection, speed) {
+    const inputs = { accelerate: false, brake: false, steerLeft: false, steerRight: false };
+
+    if (action === 'STRAIGHT' || action === 'ACCELERATE') {
+        inputs.accelerate = true;
+    } else if (action === 'BRAKE' || action === 'EMERGENCY_BRAKE') {
+        // Always try to steer towards the waypoint even while braking to stay on the road during a corner
+        if (targetDirection === 'LEFT') inputs.steerLeft = true;
+        if (targetDirection === 'RIGHT') inputs.steerRight = true;
+        inputs.brake = true;
+    } else if (action === 'STOP') {
+        inputs.brake = true;
+    } else if (action === 'LEFT') {
+        inputs.steerLeft = true;
+        if (speed < 12) inputs.accelerate = true; // Coast through the turn if going too fast
+    } else if (action === 'RIGHT') {
+        inputs.steerRight = true;
+        if (speed < 12) inputs.accelerate = true; // Coast through the turn if going too fast
+    }
+
+    return inputs;
+}
@@ -1,6 +1,30 @@
 import * as tf from '@tensorflow/tfjs';
 import { DecisionEngine } from './DecisionEngine.js';
 
+/** State vector layout (docs/dqn_decision_rl_spec.md §1). */
+export const DQN_FEATURES = [
+    'dist_front',
+    'dist_left',
+    'dist_right',
+    'light_red',
+    'light_yellow',
+    'light_green',
+    'ped_in_path',
+    'speed_ratio',
+    'aligned_to_waypoint',
+    'zone_school',
+    'visibility',
+];
+
+/** Output index → action (docs/dqn_decision_rl_spec.md §2). */
+export const DQN_ACTIONS = [
+    { id: 'STRAIGHT', label: 'Drive Straight' },
+    { id: 'LEFT', label: 'Turn Left' },
+    { id: 'RIGHT', label: 'Turn Right' },
+    { id: 'BRAKE', label: 'Brake' },
+    { id: 'ACCELERATE', label: 'Accelerate' },
+];
+
 /**
  * DQNDecisionEngine
  *
@@ -15,15 +39,19 @@ export class DQNDecisionEngine {
         this.model = null;
         this.isReady = false;
         this.weightsUrl = options.weightsUrl || '/dqn/sensor_racer_dqn_weights.json';
+        // Optional pre-loaded weight payload (e.g. read from disk in Node) — skips the fetch
+        this.weights = options.weights || null;
         this.fallbackDecision = new DecisionEngine();
+        // Weight payload the model was built from (the pre-trained policy)
+        this.payload = null;
+        // Why the weights were not loaded (null when they were)
+        this.loadError = null;
+        // Epsilon-greedy exploration, raised by the OnlineLearner while it fine-tunes
+        // (which also supplies the seeded stream it draws from)
+        this.epsilon = 0;
+        this.rng = options.rng || null;
 
-        this.candidateActions = [
-            { id: 'STRAIGHT', label: 'Drive Straight' },
-            { id: 'LEFT', label: 'Turn Left' },
-            { id: 'RIGHT', label: 'Turn Right' },
-            { id: 'BRAKE', label: 'Brake' },
-            { id: 'ACCELERATE', label: 'Accelerate' },
-        ];
+        this.candidateActions = DQN_ACTIONS;
     }
 
     async initialize() {
@@ -36,21 +64,27 @@ export class DQNDecisionEngine {
         } catch (err) {
             console.error('[DQNDecisionEngine] Failed to initialize TF.js backend, using fallback DecisionEngine:', err);
             this.isReady = false;
+            this.loadError = err.message;
             return;
         }
 
         try {
-            const res = await fetch(this.weightsUrl, { cache: 'no-store' });
-            if (!res.ok) {
-                throw new Error(`Failed to fetch DQN weights: HTTP ${res.status}`);
+            let payload = this.weights;
+            if (!payload) {
+                const res = await fetch(this.weightsUrl, { cache: 'no-store' });
+                if (!res.ok) {
+                    throw new Error(`Failed to fetch DQN weights: HTTP ${res.status}`);
+                }
+                payload = await res.json();
             }
-            const payload = await res.json();
             this._buildModelFromWeights(payload);
             this.isReady = true;
-            console.log('[DQNDecisionEngine] Loaded pre-trained DQN weights from', this.weightsUrl);
+            this.loadError = null;
+            console.log('[DQNDecisionEngine] Loaded pre-trained DQN weights from', this.weights ? 'payload' : this.weightsUrl);
         } catch (err) {
             console.warn('[DQNDecisionEngine] Could not load DQN weights, using fallback DecisionEngine instead.', err);
             this.isReady = false;
+            this.loadError = err.message;
         }
     }
 
@@ -74,6 +108,42 @@ export class DQNDecisionEngine {
      * }
      */
     _buildModelFromWeights(payload) {
+        this._checkSchema(payload);
+        this.model = this.createModel(payload);
+        this.payload = payload;
+    }
+
+    /**
+     * Refuse weights whose input / output size doesn't match buildDQNState()
+     * and the action mapping: a mismatched model would otherwise read
+     * features in the wrong slots without any error.
+     */
+    _checkSchema(payload) {
+        const layers = payload?.layers;
+        if (!Array.isArray(layers) || layers.length === 0) {
+            throw new Error('Invalid DQN weight payload: missing layers');
+        }
+        const inputDim = layers[0].input_dim;
+        const outputDim = layers[layers.length - 1].output_dim;
+        if (inputDim !== DQN_FEATURES.length) {
+            throw new Error(`Model expects ${inputDim} inputs but the feature builder produces ${DQN_FEATURES.length}`);
+        }
+        if (outputDim !== this.candidateActions.length) {
+            throw new Error(`Model has ${outputDim} outputs but there are ${this.candidateActions.length} actions`);
+        }
+        for (let i = 1; i < layers.length; i++) {
+            if (layers[i].input_dim !== layers[i - 1].output_dim) {
+                throw new Error(`Layer ${i} expects ${layers[i].input_dim} inputs but layer ${i - 1} has ${layers[i - 1].output_dim} outputs`);
+            }
+        }
+    }
+
+    /**
+     * A fresh model holding the payload's weights (see _buildModelFromWeights
+     * for the format) — also used for the learner's target / reference copies.
+     * @returns {tf.Sequential}
+     */
+    createModel(payload) {
         if (!payload || !Array.isArray(payload.layers) || payload.layers.length === 0) {
             throw new Error('Invalid DQN weight payload: missing layers');
         }
@@ -108,80 +178,14 @@ export class DQNDecisionEngine {
             layer.setWeights([w, b]);
         });
 
-        this.model = model;
+        return model;
     }
 
     /**
-     * Build the 11D state vector from worldState/perception,
-     * following docs/dqn_decision_rl_spec.md.
+     * Batch-of-one input tensor for the model.
      */
-    _buildStateVector(worldState, perception) {
-        // Default worldState to avoid crashes if called with undefined
-        const ws = worldState || {};
-        const MAX_SENSOR_DISTANCE = 60; // meters, must match training
-
-        const rawDistFront = typeof ws.distanceToObstacle === 'number' ? ws.distanceToObstacle : 100;
-        const clamp01 = (v) => Math.max(0, Math.min(1, v));
-
-        const normDist = (d) => {
-            if (d < 0) return 0;
-            if (d > MAX_SENSOR_DISTANCE) return 1;
-            return d / MAX_SENSOR_DISTANCE;
-        };
-
-        const dist_front = normDist(rawDistFront);
-        // For now, use the same scalar distance for left/right (the env is largely lane-based)
-        const dist_left = dist_front;
-        const dist_right = dist_front;
-
-        let light_red = 0;
-        let light_yellow = 0;
-        let light_green = 0;
-
-        // In the current worldState, "approachingRedLight" conflates red/yellow.
-        // Map it to "must stop" semantics via red bit.
-        if (ws.approachingRedLight) {
-            light_red = 1;
-        }
-
-        // Use the stricter "pedestrianInMyPath" flag for RL, falling back to the
-        // older pedestrianInCrosswalk flag if needed for robustness.
-        const ped_in_path = ws.pedestrianInMyPath
-            ? 1
-            : (ws.pedestrianInCrosswalk ? 1 : 0);
-
-        const speed = typeof ws.speed === 'number' ? ws.speed : 0;
-        const speedLimit = typeof ws.speedLimit === 'number' && ws.speedLimit > 0 ? ws.speedLimit : 1;
-        let speed_ratio = speed / speedLimit;
-        if (!Number.isFinite(speed_ratio)) speed_ratio = 0;
-        speed_ratio = Math.max(0, Math.min(2, speed_ratio));
-
-        let aligned_to_waypoint = 0;
-        if (ws.alignedWithWaypoint === false) {
-            if (ws.targetDirection === 'LEFT') aligned_to_waypoint = -1;
-            if (ws.targetDirection === 'RIGHT') aligned_to_waypoint = 1;
-        }
-
-        const zone_school = ws.zoneIsSchool ? 1 : 0;
-
-        let visibility = 1;
-        if (typeof ws.visibility === 'number') {
-            visibility = clamp01(ws.visibility);
-        }
-
-        return tf.tensor2d([[
-            dist_front,
-            dist_left,
-            dist_right,
-            light_red,
-            light_yellow,
-            light_green,
-            ped_in_path,
-            speed_ratio,
-            aligned_to_waypoint,
-            zone_school,
-            visibility,
-        ]]);
+    _buildStateVector(worldState) {
+        return tf.tensor2d([buildDQNState(worldState)]);
     }
 
     /**
@@ -201,7 +205,7 @@ export class DQNDecisionEngine {
 
         try {
             const qValues = tf.tidy(() => {
-                const input = this._buildStateVector(state, perception);
+                const input = this._buildStateVector(state);
                 const out = this.model.predict(input);
                 const q = Array.isArray(out) ? out[0] : out;
                 return q.dataSync();
@@ -214,13 +218,19 @@ export class DQNDecisionEngine {
             }));
 
             scores.sort((a, b) => b.score - a.score);
-            const chosen = scores[0];
+            let chosen = scores[0];
+            // Online fine-tuning explores: occasionally try a random action
+            const explored = this.epsilon > 0 && this.rng() < this.epsilon;
+            if (explored) {
+                chosen = scores[Math.floor(this.rng() * scores.length)];
+            }
 
             return {
                 chosenAction: chosen.action,
                 chosenScore: chosen.score,
                 allScores: scores,
                 engineType: 'dqn',
+                explored,
             };
         } catch (err) {
             console.error('[DQNDecisionEngine] Error during DQN evaluation, using fallback DecisionEngine:', err);
@@ -230,3 +240,80 @@ export class DQNDecisionEngine {
     }
 }
 
+/**
+ * Build the 11D state vector (DQN_FEATURES order) from a worldState,
+ * following docs/dqn_decision_rl_spec.md. Shared by the runtime engine,
+ * the online learner and the behavior-cloning recorder.
+ * @param {Object} worldState
+ * @returns {number[]}
+ */
+export function buildDQNState(worldState) {
+    // Default worldState to avoid crashes if called with undefined
+    const ws = worldState || {};
+    const MAX_SENSOR_DISTANCE = 60; // meters, must match training
+
+    const rawDistFront = typeof ws.distanceToObstacle === 'number' ? ws.distanceToObstacle : 100;
+    const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+    const normDist = (d) => {
+        if (d < 0) return 0;
+        if (d > MAX_SENSOR_DISTANCE) return 1;
+        return d / MAX_SENSOR_DISTANCE;
+    };
+
+    const dist_front = normDist(rawDistFront);
+    // Clearances in the lanes beside the ego lane (LiDAR returns + fused tracks)
+    const dist_left = normDist(typeof ws.distanceLeft === 'number' ? ws.distanceLeft : 100);
+    const dist_right = normDist(typeof ws.distanceRight === 'number' ? ws.distanceRight : 100);
+
+    let light_red = 0;
+    let light_yellow = 0;
+    let light_green = 0;
+
+    // One-hot of the signal ahead, only while its stop line is within sensor range
+    const stopLine = typeof ws.distanceToStopLine === 'number' ? ws.distanceToStopLine : Infinity;
+    if (ws.trafficLight && stopLine <= MAX_SENSOR_DISTANCE) {
+        light_red = ws.trafficLight === 'red' ? 1 : 0;
+        light_yellow = ws.trafficLight === 'yellow' ? 1 : 0;
+        light_green = ws.trafficLight === 'green' ? 1 : 0;
+    }
+
+    // Use the stricter "pedestrianInMyPath" flag for RL, falling back to the
+    // older pedestrianInCrosswalk flag if needed for robustness.
+    const ped_in_path = ws.pedestrianInMyPath
+        ? 1
+        : (ws.pedestrianInCrosswalk ? 1 : 0);
+
+    const speed = typeof ws.speed === 'number' ? ws.speed : 0;
+    const speedLimit = typeof ws.speedLimit === 'number' && ws.speedLimit > 0 ? ws.speedLimit : 1;
+    let speed_ratio = speed / speedLimit;
+    if (!Number.isFinite(speed_ratio)) speed_ratio = 0;
+    speed_ratio = Math.max(0, Math.min(2, speed_ratio));
+
+    let aligned_to_waypoint = 0;
+    if (ws.alignedWithWaypoint === false) {
+        if (ws.targetDirection === 'LEFT') aligned_to_waypoint = -1;
+        if (ws.targetDirection === 'RIGHT') aligned_to_waypoint = 1;
+    }
+
+    const zone_school = ws.zoneIsSchool ? 1 : 0;
+
+    let visibility = 1;
+    if (typeof ws.visibility === 'number') {
+        visibility = clamp01(ws.visibility);
+    }
+
+    return [
+        dist_front,
+        dist_left,
+        dist_right,
+        light_red,
+        light_yellow,
+        light_green,
+        ped_in_path,
+        speed_ratio,
+        aligned_to_waypoint,
+        zone_school,
+        visibility,
+    ];
+}
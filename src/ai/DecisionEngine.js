@@ -73,7 +73,8 @@ export class DecisionEngine {
         return {
             chosenAction: chosenAction.action,
             chosenScore: chosenAction.score,
-            allScores: scores
+            allScores: scores,
+            engineType: 'rule'
         };
     }
 }
@@ -0,0 +1,102 @@
+/**
+ * Decision Point Detector
+ * Watches the world state fed to AIDriver.tick for the moments worth a
+ * Phase B PREDICT prompt — a red light ahead, a pedestrian in the lane,
+ * a siren, an obstacle closing in — and fires once as each one begins,
+ * early enough that the AI has not committed to its response yet.
+ */
+
+export const PREDICTION = {
+    RED_LIGHT_DISTANCE: 25,     // m — prompt before the safety stop (10 m)
+    PEDESTRIAN_DISTANCE: 25,    // m ahead in the drive corridor
+    PEDESTRIAN_HALF_WIDTH: 2,   // m either side of the ego path
+    OBSTACLE_DISTANCE: 20,      // m
+    KIND_COOLDOWN: 20,          // s before the same kind of moment is asked again
+    MIN_GAP: 8,                 // s between any two prompts
+
+    POINTS: { correct: 150, partial: 75, wrong: 0 },
+};
+
+/** Prompt text per decision point. */
+const PROMPTS = {
+    pedestrian: () => 'Pedestrian ahead in the lane — what will the AI do?',
+    redLight: (ws) => `Red light ${Math.round(ws.distanceToIntersection)} m ahead — what will the AI do?`,
+    siren: () => 'Siren heard nearby — what will the AI do?',
+    obstacle: (ws) => `Obstacle ${Math.round(ws.distanceToObstacle)} m ahead — what will the AI do?`,
+};
+
+// Checked in priority order: the first active, newly-begun point wins
+const DETECTORS = [
+    ['pedestrian', (ws) => ws.pedestrianInMyPath || (ws.tracks || []).some((t) => t.class === 'pedestrian'
+        && t.local.z > 0 && t.local.z < PREDICTION.PEDESTRIAN_DISTANCE
+        && Math.abs(t.local.x) < PREDICTION.PEDESTRIAN_HALF_WIDTH)],
+    ['redLight', (ws) => ws.approachingRedLight && !ws.inIntersection
+        && ws.distanceToIntersection < PREDICTION.RED_LIGHT_DISTANCE],
+    ['siren', (ws) => ws.emergencySirenHeard],
+    ['obstacle', (ws) => ws.distanceToObstacle < PREDICTION.OBSTACLE_DISTANCE],
+];
+
+/** Actions that count as "close enough" for partial credit: only the ways of slowing down. */
+export const ACTION_FAMILIES = {
+    slow: ['BRAKE', 'EMERGENCY_BRAKE', 'STOP'],
+};
+
+function familyOf(action) {
+    return Object.keys(ACTION_FAMILIES).find((f) => ACTION_FAMILIES[f].includes(action)) || null;
+}
+
+/**
+ * Grade a prediction against the action the AI actually chose.
+ * @param {string} predicted
+ * @param {string} actual
+ * @returns {{ credit: 'correct'|'partial'|'wrong', points: number }}
+ */
+export function gradePrediction(predicted, actual) {
+    let credit = 'wrong';
+    if (predicted === actual) credit = 'correct';
+    else if (familyOf(predicted) && familyOf(predicted) === familyOf(actual)) credit = 'partial';
+    return { credit, points: PREDICTION.POINTS[credit] };
+}
+
+export class DecisionPointDetector {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget cooldowns and active conditions (new session / rewind).
+     */
+    reset() {
+        this.time = 0;
+        this.lastPrompt = -Infinity;
+        this.lastByKind = {};
+        this.active = {};
+    }
+
+    /**
+     * Check one AI tick's world state.
+     * @param {Object} worldState World state passed to AIDriver.tick
+     * @param {number} dt Seconds since the previous check
+     * @returns {{ kind: string, question: string }|null} Decision point that just began
+     */
+    check(worldState, dt) {
+        this.time += dt;
+        let fired = null;
+
+        for (const [kind, isActive] of DETECTORS) {
+            const nowActive = Boolean(isActive(worldState));
+            const began = nowActive && !this.active[kind];
+            this.active[kind] = nowActive;
+            if (!began || fired) continue;
+
+            const sinceKind = this.time - (this.lastByKind[kind] ?? -Infinity);
+            if (sinceKind < PREDICTION.KIND_COOLDOWN || this.time - this.lastPrompt < PREDICTION.MIN_GAP) continue;
+
+            this.lastByKind[kind] = this.time;
+            this.lastPrompt = this.time;
+            fired = { kind, question: PROMPTS[kind](worldState) };
+        }
+
+        return fired;
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * LiDAR Segmentation
+ * Turns a sweep's point cloud into objects: drops road-surface and
+ * rain-clutter returns, clusters the rest with DBSCAN in XZ (the
+ * neighbourhood radius grows with range, like the ray spacing), throws
+ * away building planes (clusters longer than any road user), fits an
+ * oriented box to each cluster and gives it a coarse shape class.
+ * LidarSegmenter carries object ids and velocity estimates across sweeps.
+ *
+ * Runs in the sensor pipeline (SensorManager, Simulation) and writes
+ * lidarData.objects, which SensorFusion and LidarPanel read.
+ */
+
+export const SEGMENTATION = {
+    MIN_HEIGHT: 0.5,          // m — ignore road-surface returns
+    MAX_RANGE: 40,            // m
+    // Weak returns close to the sensor are rain / spray, not objects
+    CLUTTER_RANGE: 6,         // m
+    CLUTTER_INTENSITY: 0.012,
+    // DBSCAN
+    EPS_MIN: 1.0,             // m — minimum neighbourhood radius
+    EPS_ANGULAR: 0.2,         // rad — radius grows with range (ray spacing)
+    MIN_POINTS: 2,            // a point with a neighbour is a core point
+    MAX_SPAN: 5.0,            // m — longer clusters are walls / building faces
+    // Shape classes (oriented box length, top return height)
+    POLE_MAX_LENGTH: 0.6,     // m
+    POLE_MIN_HEIGHT: 2.0,     // m
+    SMALL_MAX_LENGTH: 1.5,    // m — people, animals, cones, balls
+    // Tracking across sweeps
+    MATCH_GATE: 2.0,          // m — centroid jump still counted as the same object
+    MAX_SPEED: 20,            // m/s — a faster jump between sweeps is a different object
+    VELOCITY_SMOOTHING: 0.3,  // EMA factor for velocity estimates
+};
+
+/** Display names for shape classes (LiDAR sees size, not identity). */
+export const SHAPE_LABELS = {
+    pole: 'Pole',
+    small: 'Person-sized',
+    vehicle: 'Car-sized',
+};
+
+/**
+ * A faint return close to the sensor: rain / spray backscatter.
+ * @param {Object} p LiDAR point (intensity missing on points recorded before the return model)
+ * @param {number} range Distance from the sensor (m)
+ */
+export function isLidarClutter(p, range) {
+    return range < SEGMENTATION.CLUTTER_RANGE && (p.intensity ?? 1) < SEGMENTATION.CLUTTER_INTENSITY;
+}
+
+function neighbourRadius(a, b) {
+    return Math.max(SEGMENTATION.EPS_MIN, Math.max(a.r, b.r) * SEGMENTATION.EPS_ANGULAR);
+}
+
+/**
+ * Oriented bounding box of a cluster in XZ, aligned with its principal axis.
+ * @returns {{x: number, z: number, length: number, width: number, angle: number}} angle from +X (rad)
+ */
+function fitOrientedBox(members, mx, mz) {
+    let cxx = 0, czz = 0, cxz = 0;
+    for (const p of members) {
+        const dx = p.x - mx;
+        const dz = p.z - mz;
+        cxx += dx * dx; czz += dz * dz; cxz += dx * dz;
+    }
+    const angle = 0.5 * Math.atan2(2 * cxz, cxx - czz);
+    const ux = Math.cos(angle);
+    const uz = Math.sin(angle);
+
+    let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+    for (const p of members) {
+        const dx = p.x - mx;
+        const dz = p.z - mz;
+        const a = dx * ux + dz * uz;
+        const b = -dx * uz + dz * ux;
+        minA = Math.min(minA, a); maxA = Math.max(maxA, a);
+        minB = Math.min(minB, b); maxB = Math.max(maxB, b);
+    }
+    const midA = (minA + maxA) / 2;
+    const midB = (minB + maxB) / 2;
+    return {
+        x: mx + ux * midA - uz * midB,
+        z: mz + uz * midA + ux * midB,
+        length: maxA - minA,
+        width: maxB - minB,
+        angle,
+    };
+}
+
+function shapeClass(box, height) {
+    if (box.length <= SEGMENTATION.POLE_MAX_LENGTH && height >= SEGMENTATION.POLE_MIN_HEIGHT) return 'pole';
+    if (box.length <= SEGMENTATION.SMALL_MAX_LENGTH) return 'small';
+    return 'vehicle';
+}
+
+/**
+ * Segment one sweep into objects (no ids or velocities — see LidarSegmenter).
+ * @param {Object[]} points lidarData.points
+ * @param {number} vx Sensor X
+ * @param {number} vz Sensor Z
+ * @returns {{x: number, z: number, count: number, intensity: number, span: number,
+ *   height: number, box: Object, shape: string}[]}
+ */
+export function segmentLidarPoints(points, vx, vz) {
+    const pts = [];
+    const maxRangeSq = SEGMENTATION.MAX_RANGE * SEGMENTATION.MAX_RANGE;
+    for (const p of points) {
+        if (p.y < SEGMENTATION.MIN_HEIGHT) continue;
+        const dx = p.x - vx;
+        const dz = p.z - vz;
+        const rSq = dx * dx + dz * dz;
+        if (rSq > maxRangeSq) continue;
+        const r = Math.sqrt(rSq);
+        if (isLidarClutter(p, r)) continue;
+        pts.push({ x: p.x, y: p.y, z: p.z, r, intensity: p.intensity ?? 1, cluster: -1 });
+    }
+
+    // DBSCAN: grow each cluster from a core point through its neighbours
+    const objects = [];
+    let clusterCount = 0;
+    for (let i = 0; i < pts.length; i++) {
+        if (pts[i].cluster !== -1) continue;
+
+        const members = [pts[i]];
+        pts[i].cluster = clusterCount;
+        for (let m = 0; m < members.length; m++) {
+            const a = members[m];
+            const neighbours = [];
+            for (let j = 0; j < pts.length; j++) {
+                const b = pts[j];
+                if (b === a) continue;
+                const eps = neighbourRadius(a, b);
+                const dx = a.x - b.x;
+                const dz = a.z - b.z;
+                if (dx * dx + dz * dz <= eps * eps) neighbours.push(b);
+            }
+            if (neighbours.length + 1 < SEGMENTATION.MIN_POINTS) continue; // border / noise point
+            for (const b of neighbours) {
+                if (b.cluster !== -1) continue;
+                b.cluster = clusterCount;
+                members.push(b);
+            }
+        }
+        clusterCount++;
+        if (members.length < SEGMENTATION.MIN_POINTS) continue;
+
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        let sx = 0, sz = 0, si = 0, height = 0;
+        for (const p of members) {
+            sx += p.x; sz += p.z; si += p.intensity;
+            height = Math.max(height, p.y);
+            minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+            minZ = Math.min(minZ, p.z); maxZ = Math.max(maxZ, p.z);
+        }
+        const span = Math.max(maxX - minX, maxZ - minZ);
+        if (span > SEGMENTATION.MAX_SPAN) continue; // building plane
+
+        const x = sx / members.length;
+        const z = sz / members.length;
+        const box = fitOrientedBox(members, x, z);
+        objects.push({
+            x,
+            z,
+            count: members.length,
+            intensity: si / members.length,
+            span,
+            height,
+            box,
+            shape: shapeClass(box, height),
+        });
+    }
+
+    return objects;
+}
+
+export class LidarSegmenter {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget previous sweeps (new session / rewind).
+     */
+    reset() {
+        this.objects = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Segment a sweep and match its objects to the previous sweep's.
+     * @param {Object[]} points lidarData.points
+     * @param {Object} vehicle Vehicle state (position)
+     * @param {number} dt Seconds since the previous sweep
+     * @returns {Object[]} segmentLidarPoints() objects plus id, vx, vz (m/s)
+     */
+    update(points, vehicle, dt) {
+        const [px, , pz] = vehicle.position;
+        const objects = segmentLidarPoints(points, px, pz);
+
+        // Greedy nearest-first matching inside the gate
+        const gate = dt > 0 ? Math.min(SEGMENTATION.MATCH_GATE, SEGMENTATION.MAX_SPEED * dt) : SEGMENTATION.MATCH_GATE;
+        const pairs = [];
+        for (let i = 0; i < objects.length; i++) {
+            for (let j = 0; j < this.objects.length; j++) {
+                const d = Math.hypot(objects[i].x - this.objects[j].x, objects[i].z - this.objects[j].z);
+                if (d <= gate) pairs.push({ i, j, d });
+            }
+        }
+        pairs.sort((a, b) => a.d - b.d);
+
+        const matchedPrev = new Set();
+        for (const { i, j } of pairs) {
+            const obj = objects[i];
+            if (obj.id !== undefined || matchedPrev.has(j)) continue;
+            matchedPrev.add(j);
+            const prev = this.objects[j];
+            obj.id = prev.id;
+            obj.vx = prev.vx;
+            obj.vz = prev.vz;
+            if (dt > 0) {
+                const k = SEGMENTATION.VELOCITY_SMOOTHING;
+                obj.vx += k * ((obj.x - prev.x) / dt - prev.vx);
+                obj.vz += k * ((obj.z - prev.z) / dt - prev.vz);
+            }
+        }
+        for (const obj of objects) {
+            if (obj.id !== undefined) continue;
+            obj.id = this.nextId++;
+            obj.vx = 0;
+            obj.vz = 0;
+        }
+
+        this.objects = objects;
+        return objects;
+    }
+}
@@ -1,5 +1,6 @@
 import * as YUKA from 'yuka';
 import { getIntersectionCenter } from '../utils/blockLayout.js';
+import { sessionRng } from '../utils/random.js';
 
 /**
  * Helper to get right-lane offset point from start to end intersection.
@@ -63,18 +64,19 @@ export function createNPCRoute(sequence) {
 
 /**
  * Generates a random valid rectangular loop on the 5x5 intersection grid.
+ * @param {function} [rng] Seeded stream (defaults to the live session's NPC route stream)
  */
-export function generateRandomLoop() {
-    const r1 = Math.floor(Math.random() * 3); // max 2
-    const c1 = Math.floor(Math.random() * 3); // max 2
+export function generateRandomLoop(rng = sessionRng('npcRoutes')) {
+    const r1 = Math.floor(rng() * 3); // max 2
+    const c1 = Math.floor(rng() * 3); // max 2
 
-    const w = 1 + Math.floor(Math.random() * 2); // 1 or 2
-    const h = 1 + Math.floor(Math.random() * 2); // 1 or 2
+    const w = 1 + Math.floor(rng() * 2); // 1 or 2
+    const h = 1 + Math.floor(rng() * 2); // 1 or 2
 
     const r2 = r1 + h;
     const c2 = c1 + w;
 
-    const clockwise = Math.random() > 0.5;
+    const clockwise = rng() > 0.5;
 
     const sequence = [];
     if (clockwise) {
@@ -0,0 +1,278 @@
+import * as tf from '@tensorflow/tfjs';
+import { buildDQNState } from './DQNDecisionEngine.js';
+
+export const ONLINE_LEARNING = {
+    BUFFER_SIZE: 5000,          // transitions kept for experience replay
+    MIN_BUFFER: 200,            // transitions before the first training step
+    BATCH_SIZE: 32,
+    TRAIN_EVERY: 4,             // AI ticks between training steps
+    TARGET_SYNC: 250,           // training steps between target-network copies
+    GAMMA: 0.99,                // matches rl_training/train_dqn.py
+    LEARNING_RATE: 1e-4,        // below the offline 3e-4: fine-tune, don't relearn
+    EPSILON_START: 0.1,         // the pre-trained policy is already competent
+    EPSILON_END: 0.02,
+    EPSILON_DECAY_TICKS: 3000,  // ~5 min of driving at 10 Hz
+    REWARD_SMOOTHING: 0.02,     // EMA factor of the displayed mean reward
+    HISTORY: 60,                // loss / drift points kept for the Glass Box sparklines
+};
+
+// Reward terms of docs/dqn_decision_rl_spec.md §3, with rl_training/env.py's
+// values. env.py's progress and idle-brake shaping are not carried over:
+// both lean on its 1-D track (metres along it, threats ahead on it).
+export const REWARD = {
+    PEDESTRIAN_HIT: -2.0,
+    COLLISION: -1.5,
+    RED_LIGHT: -1.0,
+    WAYPOINT: 0.5,
+    EMERGENCY_YIELD: 0.2,
+    SAFE_STEP: 0.1,
+    SAFE_SPEED_TOLERANCE: 0.05, // speed ratio over 1 still counted as "at the limit"
+    TIME: -0.01,
+    HEAVY_SPEEDING: -0.1,
+    HEAVY_SPEEDING_RATIO: 1.2,
+    YIELD_SPEED_RATIO: 0.5,     // below half the limit with a siren heard counts as yielding
+};
+
+// Contact types that are the spec's "pedestrian / child / animal"
+const VULNERABLE = new Set(['pedestrian', 'animal']);
+
+// DQN output index per executed action; safety overrides count as braking
+const ACTION_INDEX = {
+    STRAIGHT: 0,
+    LEFT: 1,
+    RIGHT: 2,
+    BRAKE: 3,
+    ACCELERATE: 4,
+    EMERGENCY_BRAKE: 3,
+    STOP: 3,
+};
+
+/**
+ * Reward for one decision step.
+ * @param {Object} step
+ * @param {Object[]} step.contacts Collision contacts since the previous step (resolveCollisions)
+ * @param {Object[]} step.ruleEvents Driving-rule events since the previous step (evaluateDrivingRules)
+ * @param {number} step.waypointsReached Waypoints completed since the previous step
+ * @param {Object} step.worldState World state after the step
+ * @returns {{ reward: number, done: boolean }} done on a pedestrian / vehicle / obstacle hit (spec §4.2)
+ */
+export function computeReward({ contacts, ruleEvents, waypointsReached, worldState }) {
+    let reward = REWARD.TIME;
+    let done = false;
+
+    const hitVulnerable = contacts.some((c) => VULNERABLE.has(c.type));
+    const hitObstacle = contacts.some((c) => !VULNERABLE.has(c.type));
+    const ranRed = ruleEvents.some((e) => e.type === 'redLightRun');
+    if (hitVulnerable) {
+        reward += REWARD.PEDESTRIAN_HIT;
+        done = true;
+    } else if (hitObstacle) {
+        reward += REWARD.COLLISION;
+        done = true;
+    }
+    if (ranRed) reward += REWARD.RED_LIGHT;
+    reward += waypointsReached * REWARD.WAYPOINT;
+
+    const speedRatio = worldState.speed / Math.max(worldState.speedLimit, 1e-3);
+    if (worldState.emergencySirenHeard && speedRatio < REWARD.YIELD_SPEED_RATIO) reward += REWARD.EMERGENCY_YIELD;
+    // Spec §3.2: no collision, no rule violation of any kind, at or under the limit
+    const safe = contacts.length === 0 && ruleEvents.length === 0
+        && speedRatio <= 1 + REWARD.SAFE_SPEED_TOLERANCE;
+    if (safe) reward += REWARD.SAFE_STEP;
+    if (speedRatio > REWARD.HEAVY_SPEEDING_RATIO) reward += REWARD.HEAVY_SPEEDING;
+
+    return { reward, done };
+}
+
+/**
+ * Online Learner
+ * Opt-in live fine-tuning of a DQNDecisionEngine's policy. Each AI tick
+ * closes the previous (state, action, reward, next state) transition from
+ * the collisions / rule events / waypoints observed since, stores it in a
+ * replay buffer and every few ticks runs one small Q-learning step against
+ * a periodically synced target network. A frozen copy of the pre-trained
+ * weights measures how far the Q-values have drifted and restores them on
+ * revert().
+ */
+export class OnlineLearner {
+    /**
+     * @param {DQNDecisionEngine} engine Engine with a loaded model (its model is trained in place)
+     * @param {Object} options
+     * @param {Function} options.rng Seeded replay sampling / exploration source (an RNG stream),
+     *   so a learning run replays exactly; also handed to the engine for epsilon-greedy
+     */
+    constructor(engine, options = {}) {
+        if (typeof options.rng !== 'function') throw new Error('OnlineLearner: options.rng (a seeded stream) is required');
+        this.engine = engine;
+        this.rng = options.rng;
+        engine.rng = options.rng;
+        this.target = engine.createModel(engine.payload);
+        this.pretrained = engine.createModel(engine.payload);
+        this.enabled = false;
+        this._compile();
+        this.revert();
+    }
+
+    _compile() {
+        this.engine.model.compile({
+            optimizer: tf.train.adam(ONLINE_LEARNING.LEARNING_RATE),
+            loss: (yTrue, yPred) => tf.losses.huberLoss(yTrue, yPred),
+        });
+    }
+
+    /**
+     * Restore the pre-trained weights and forget everything learned since
+     * (replay buffer, optimizer state, exploration schedule).
+     */
+    revert() {
+        this.engine.model.setWeights(this.pretrained.getWeights());
+        this.target.setWeights(this.pretrained.getWeights());
+        if (this.trainSteps > 0) this._compile(); // fresh optimizer moments
+        this.buffer = [];
+        this.bufferIndex = 0;
+        this.ticks = 0;
+        this.trainSteps = 0;
+        this.loss = null;
+        this.qDrift = 0;
+        this.meanReward = 0;
+        this.lastReward = null;
+        this.history = [];
+        this.epsilon = ONLINE_LEARNING.EPSILON_START;
+        this.resetEpisode();
+        this._applyEpsilon();
+    }
+
+    /**
+     * Drop the open transition (new session / rewind: the next state is not a successor).
+     */
+    resetEpisode() {
+        this.previous = null;
+        this.contacts = [];
+        this.ruleEvents = [];
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        this.resetEpisode();
+        this._applyEpsilon();
+    }
+
+    _applyEpsilon() {
+        this.engine.epsilon = this.enabled ? this.epsilon : 0;
+    }
+
+    /**
+     * Collisions and rule violations from the physics frames between AI ticks.
+     * @param {Object[]} contacts resolveCollisions() contacts
+     * @param {Object[]} ruleEvents evaluateDrivingRules() events
+     */
+    recordEvents(contacts, ruleEvents) {
+        if (!this.enabled) return;
+        if (contacts.length > 0) this.contacts.push(...contacts);
+        if (ruleEvents.length > 0) this.ruleEvents.push(...ruleEvents);
+    }
+
+    /**
+     * Close the previous transition with this tick's state, open the next
+     * one with the action just taken and train when due.
+     * @param {Object} worldState This tick's world state
+     * @param {string} action Action the driver executed this tick
+     * @param {Object} game Waypoint state (waypointsCompleted)
+     */
+    async step(worldState, action, game) {
+        if (!this.enabled) return;
+
+        const state = buildDQNState(worldState);
+        if (this.previous) {
+            const { reward, done } = computeReward({
+                contacts: this.contacts,
+                ruleEvents: this.ruleEvents,
+                waypointsReached: game.waypointsCompleted - this.previous.waypoints,
+                worldState,
+            });
+            this._store({ state: this.previous.state, action: this.previous.action, reward, next: state, done });
+            this.lastReward = reward;
+            this.meanReward += ONLINE_LEARNING.REWARD_SMOOTHING * (reward - this.meanReward);
+        }
+        this.contacts = [];
+        this.ruleEvents = [];
+
+        const index = ACTION_INDEX[action];
+        this.previous = index === undefined
+            ? null
+            : { state, action: index, waypoints: game.waypointsCompleted };
+
+        this.ticks++;
+        const decay = Math.min(1, this.ticks / ONLINE_LEARNING.EPSILON_DECAY_TICKS);
+        this.epsilon = ONLINE_LEARNING.EPSILON_START + (ONLINE_LEARNING.EPSILON_END - ONLINE_LEARNING.EPSILON_START) * decay;
+        this._applyEpsilon();
+
+        if (this.buffer.length >= ONLINE_LEARNING.MIN_BUFFER && this.ticks % ONLINE_LEARNING.TRAIN_EVERY === 0) {
+            await this._train();
+        }
+    }
+
+    _store(transition) {
+        if (this.buffer.length < ONLINE_LEARNING.BUFFER_SIZE) {
+            this.buffer.push(transition);
+        } else {
+            this.buffer[this.bufferIndex] = transition;
+            this.bufferIndex = (this.bufferIndex + 1) % ONLINE_LEARNING.BUFFER_SIZE;
+        }
+    }
+
+    /**
+     * One Q-learning step on a replay minibatch:
+     * y = r + γ · (1 − done) · max_a' Q_target(s', a'), Huber loss on Q(s, a).
+     */
+    async _train() {
+        const model = this.engine.model;
+        const batch = [];
+        for (let i = 0; i < ONLINE_LEARNING.BATCH_SIZE; i++) {
+            batch.push(this.buffer[Math.floor(this.rng() * this.buffer.length)]);
+        }
+        const actionCount = this.engine.candidateActions.length;
+
+        const states = tf.tensor2d(batch.map((t) => t.state));
+        const targets = tf.tidy(() => {
+            const next = tf.tensor2d(batch.map((t) => t.next));
+            const rewards = tf.tensor1d(batch.map((t) => t.reward));
+            const notDone = tf.tensor1d(batch.map((t) => (t.done ? 0 : 1)));
+            const y = rewards.add(this.target.predict(next).max(1).mul(notDone).mul(ONLINE_LEARNING.GAMMA));
+            // Only the taken action's Q-value is pulled towards y
+            const mask = tf.oneHot(tf.tensor1d(batch.map((t) => t.action), 'int32'), actionCount).toFloat();
+            return model.predict(states).mul(tf.scalar(1).sub(mask)).add(mask.mul(y.expandDims(1)));
+        });
+
+        const loss = await model.trainOnBatch(states, targets);
+        this.qDrift = tf.tidy(() => model.predict(states).sub(this.pretrained.predict(states)).abs().mean().dataSync()[0]);
+        states.dispose();
+        targets.dispose();
+
+        this.trainSteps++;
+        this.loss = loss;
+        this.history = [...this.history, { loss, qDrift: this.qDrift }].slice(-ONLINE_LEARNING.HISTORY);
+        if (this.trainSteps % ONLINE_LEARNING.TARGET_SYNC === 0) {
+            this.target.setWeights(model.getWeights());
+        }
+    }
+
+    /**
+     * Plain-data snapshot for the Glass Box.
+     */
+    stats() {
+        return {
+            enabled: this.enabled,
+            transitions: this.buffer.length,
+            capacity: ONLINE_LEARNING.BUFFER_SIZE,
+            trainSteps: this.trainSteps,
+            loss: this.loss,
+            epsilon: this.enabled ? this.epsilon : 0,
+            qDrift: this.qDrift,
+            meanReward: this.meanReward,
+            lastReward: this.lastReward,
+            history: this.history,
+        };
+    }
+}
@@ -1,9 +1,18 @@
 import * as tf from '@tensorflow/tfjs';
+import { formatContribution, sensorCoverage } from './SensorFusion.js';
+
+// Fused track class → perception label
+const PERCEPTION_CLASS = {
+    pedestrian: 'Pedestrian',
+    animal: 'Animal',
+    vehicle: 'Vehicle',
+    emergency: 'Vehicle',
+};
 
 /**
  * Perception Engine
- * Simulates a neural network processing raw sensor data into an obstacle map.
- * Demonstrates sensor fusion by combining LiDAR, Thermal, and Camera data.
+ * Turns the fused object tracks (SensorFusion) into a situational assessment:
+ * what the nearest relevant object is, and how sure the sensor suite is.
  */
 export class PerceptionEngine {
     constructor() {
@@ -42,58 +51,64 @@ export class PerceptionEngine {
     }
 
     /**
-     * Evaluates raw sensor data to produce a situational assessment.
+     * Builds a situational assessment from the fused object tracks.
      * @param {Object} sensors Raw data from LiDAR, Thermal, CV, Audio
      * @param {Object} activeSensors State of which sensors are currently toggled ON
-     * @param {Object} worldState High-level fused context about speed, intersection bounds, distances
+     * @param {Object} worldState High-level context incl. fused `tracks` (see SensorFusion)
      * @returns {Object} Fused situational assessment and confidence metrics
      */
     async evaluate(sensors, activeSensors, worldState) {
         if (!this.isReady || !this.model) return null;
 
-        // In this educational simulation, we derive the 'ground truth' from the environment,
-        // but we use TensorFlow to generate realistic 'confidence' scores that degrade
-        // if a sensor is disabled (e.g., Thermal offline in Rain).
-
-        let baseConfidence = 0.95;
         const missingSensors = [];
+        if (!activeSensors.lidar) missingSensors.push('LiDAR');
+        if (!activeSensors.thermal) missingSensors.push('Thermal');
+        if (!activeSensors.camera) missingSensors.push('Camera');
+        if (!activeSensors.audio) missingSensors.push('Audio');
 
-        if (!activeSensors.lidar) { baseConfidence -= 0.3; missingSensors.push('LiDAR'); }
-        if (!activeSensors.thermal) { baseConfidence -= 0.2; missingSensors.push('Thermal'); }
-        if (!activeSensors.camera) { baseConfidence -= 0.35; missingSensors.push('Camera'); }
-
-        // Random noise to simulate neural network uncertainty
-        const noise = (Math.random() * 0.1) - 0.05;
-        let confidence = Math.max(0, Math.min(1, baseConfidence + noise));
-
-        // Deliberate AI Mistake Logic (Glass Box characteristic)
-        let misclassified = false;
-        if (confidence < 0.6 && Math.random() > confidence) {
-            misclassified = true;
+        // Primary track: nearest object in the forward corridor, else nearest overall
+        const tracks = worldState?.tracks || [];
+        let primary = null;
+        for (const track of tracks) {
+            if (track.local.z > 0 && track.local.z < 30 && Math.abs(track.local.x) < 4) {
+                if (!primary || track.distance < primary.distance) primary = track;
+            }
         }
+        if (!primary) {
+            for (const track of tracks) {
+                if (track.distance < 30 && (!primary || track.distance < primary.distance)) primary = track;
+            }
+        }
+
+        // Confidence: the primary track's fused confidence, or — with nothing
+        // tracked — how much the enabled sensor suite could be trusted to see it
+        const confidence = primary ? primary.confidence : sensorCoverage(activeSensors);
 
-        // --- TBD ML Model Placeholder Logic ---
-        // This is where the actual ML model inference will go later.
-        // For now, we simulate a classification based on mock sensor inputs.
         let classification = 'Clear';
-        if (worldState && worldState.distanceToObstacle && worldState.distanceToObstacle < 15) {
-            // Thermal strongly implies living (Pedestrian/Animal)
-            // Use fake generated properties if they don't explicitly exist to simulate thermal inference
-            if (activeSensors.thermal && (!sensors.thermal || Math.random() > 0.3)) {
-                classification = misclassified ? 'Vehicle' : 'Pedestrian';
-            } else {
-                classification = misclassified ? 'Pedestrian' : 'Vehicle';
-            }
+        if (primary && primary.distance < 15) {
+            classification = PERCEPTION_CLASS[primary.class] || 'Obstacle';
         } else if (worldState && worldState.approachingRedLight) {
             classification = 'RedLight';
         }
 
+        // Sensors voted for different classes on the primary object
+        const misclassified = !!(primary && primary.classConflict);
+
+        const classProbs = [0, 0, 0, 0]; // [Clear, Pedestrian, Vehicle, RedLight]
+        if (classification === 'Pedestrian') classProbs[1] = confidence;
+        else if (classification === 'Vehicle') classProbs[2] = confidence;
+        else if (classification === 'RedLight') classProbs[3] = confidence;
+        classProbs[0] = 1 - classProbs[1] - classProbs[2] - classProbs[3];
+
         return {
             classification,
             confidence,
             missingSensors,
             misclassified,
-            rawOutput: tf.tensor1d([1 - confidence, confidence, 0, 0]) // Dummy tensor to represent output
+            primaryTrack: primary,
+            contribution: primary ? formatContribution(primary) : null,
+            trackCount: tracks.length,
+            rawOutput: tf.tensor1d(classProbs)
         };
     }
 }
@@ -0,0 +1,106 @@
+import { DecisionEngine } from './DecisionEngine.js';
+import { DQNDecisionEngine, DQN_FEATURES, DQN_ACTIONS, buildDQNState } from './DQNDecisionEngine.js';
+
+export const REGISTRY_URL = '/dqn/registry.json';
+export const REGISTRY_VERSION = 1;
+
+// Policy the pilot starts with (AIDriver's default DQNDecisionEngine)
+export const DEFAULT_POLICY_ID = 'dqn-pretrained';
+
+/** Runtime feature builders a model's input schema can name. */
+export const FEATURE_BUILDERS = {
+    dqn_v1: { features: DQN_FEATURES, build: buildDQNState },
+};
+
+export const POLICY_KINDS = {
+    rule_based: 'Rule-based',
+    dqn: 'Deep Q-network',
+    behavior_cloning: 'Behavior cloning',
+};
+
+const sameList = (a, b) => Array.isArray(a) && a.length === b.length && a.every((v, i) => v === b[i]);
+
+/**
+ * Why a registry entry can't drive this build (empty when it can).
+ * Learned policies must name a feature builder, list exactly its features
+ * and use the DQN's action mapping.
+ * @param {Object} entry Registry entry
+ * @returns {string[]}
+ */
+export function validatePolicyEntry(entry) {
+    const errors = [];
+    if (!POLICY_KINDS[entry.kind]) errors.push(`unknown kind "${entry.kind}"`);
+    if (entry.kind === 'rule_based' || errors.length > 0) return errors;
+
+    if (typeof entry.weightsUrl !== 'string') errors.push('missing weightsUrl');
+
+    const builder = FEATURE_BUILDERS[entry.input?.builder];
+    if (!builder) {
+        errors.push(`no feature builder "${entry.input?.builder}" (available: ${Object.keys(FEATURE_BUILDERS).join(', ')})`);
+    } else if (!sameList(entry.input.features, builder.features)) {
+        errors.push(`input schema (${entry.input.features?.length ?? 0} features) does not match ${entry.input.builder} (${builder.features.length})`);
+    }
+
+    const actionIds = DQN_ACTIONS.map((a) => a.id);
+    if (!sameList(entry.actions, actionIds)) {
+        errors.push(`action mapping [${entry.actions}] does not match [${actionIds}]`);
+    }
+    return errors;
+}
+
+/**
+ * Validate a registry manifest. Structural problems throw; entries this
+ * build can't run are kept with their `errors` so the Glass Box can say why.
+ * @param {Object} manifest Parsed /dqn/registry.json
+ * @returns {Object[]} Entries, each with an `errors` array
+ */
+export function parseRegistry(manifest) {
+    if (!manifest || !Array.isArray(manifest.policies)) {
+        throw new Error('Policy registry: missing "policies" list');
+    }
+    if (manifest.version > REGISTRY_VERSION) {
+        throw new Error(`Policy registry: version ${manifest.version} is newer than supported (${REGISTRY_VERSION})`);
+    }
+
+    const seen = new Set();
+    return manifest.policies.map((entry, i) => {
+        if (typeof entry.id !== 'string' || entry.id === '') {
+            throw new Error(`Policy registry: entry ${i} has no id`);
+        }
+        if (seen.has(entry.id)) throw new Error(`Policy registry: duplicate id "${entry.id}"`);
+        seen.add(entry.id);
+        return { ...entry, label: entry.label || entry.id, errors: validatePolicyEntry(entry) };
+    });
+}
+
+/**
+ * Fetch and validate the registry manifest.
+ * @param {string} [url]
+ * @returns {Promise<Object[]>}
+ */
+export async function loadRegistry(url = REGISTRY_URL) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Policy registry: HTTP ${res.status} for ${url}`);
+    return parseRegistry(await res.json());
+}
+
+/**
+ * Build and initialize the decision engine for a registry entry.
+ * Learned policies are loaded strictly: a missing file or a model whose
+ * input / output size doesn't match the schema rejects instead of
+ * silently falling back to the rule-based engine.
+ * @param {Object} entry Validated registry entry (parseRegistry)
+ * @param {Object} [options]
+ * @param {Object} [options.weights] Pre-loaded weight payload (Node), skips the fetch
+ * @returns {Promise<DecisionEngine|DQNDecisionEngine>}
+ */
+export async function createPolicyEngine(entry, options = {}) {
+    const errors = entry.errors ?? validatePolicyEntry(entry);
+    if (errors.length > 0) throw new Error(`Policy ${entry.id}: ${errors[0]}`);
+    if (entry.kind === 'rule_based') return new DecisionEngine();
+
+    const engine = new DQNDecisionEngine({ weightsUrl: entry.weightsUrl, weights: options.weights });
+    await engine.initialize();
+    if (!engine.isReady) throw new Error(`Policy ${entry.id}: ${engine.loadError}`);
+    return engine;
+}
@@ -0,0 +1,386 @@
+import { GRID } from '../constants/world.js';
+import { generateRoads } from '../systems/world/generateRoads.js';
+
+export const ROUTE = {
+    LANE_OFFSET: GRID.LANE_WIDTH / 2,       // m right of the road centre line
+    STOP_LINE: GRID.ROAD_WIDTH / 2,         // m from an intersection centre to its edge
+    TURN_PENALTY: { straight: 0, right: 2, left: 8 },  // m-equivalent; lefts cross oncoming traffic
+    NO_PASSING_WEIGHT: 1.25,                // cost multiplier for solid double-yellow lanes
+    CURVE_STEPS: 6,                         // polyline points per turn arc
+    MIN_LOOKAHEAD: 4,                       // m — lookahead is max(this, speed · LOOKAHEAD_TIME)
+    LOOKAHEAD_TIME: 0.5,                    // s — short enough not to cut corners at speed
+    REPLAN_DISTANCE: 6,                     // m off the path before the route is replanned
+    TURN_SPEED: 6,                          // m/s — speed cap through turns
+    TURN_SLOWDOWN_DISTANCE: 15,             // m before a turn the cap applies
+    BLOCKED_SPEED: 0.5,                     // m/s — below this a no-passing lane may be left to pass a blockage
+};
+
+// Travel directions: unit vector on the ground plane (x, z)
+const DIRS = { N: [0, -1], E: [1, 0], S: [0, 1], W: [-1, 0] };
+const TURNS = {
+    N: { straight: 'N', right: 'E', left: 'W' },
+    E: { straight: 'E', right: 'S', left: 'N' },
+    S: { straight: 'S', right: 'W', left: 'E' },
+    W: { straight: 'W', right: 'N', left: 'S' },
+};
+
+/** Point `along` m in direction d from a centre, shifted into the right-hand lane. */
+function lanePoint([cx, , cz], d, along) {
+    const [dx, dz] = DIRS[d];
+    return [cx + dx * along - dz * ROUTE.LANE_OFFSET, cz + dz * along + dx * ROUTE.LANE_OFFSET];
+}
+
+function pathLength(points) {
+    let len = 0;
+    for (let i = 1; i < points.length; i++) {
+        len += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return len;
+}
+
+/**
+ * Route Planner
+ * Lane-level road graph for the ego AI. Every intersection has an
+ * "arrive" node (stop line, right-hand lane) and a "depart" node per
+ * travel direction. Lane edges run along road segments (flagged when the
+ * segment is a no-passing zone); turn edges cross an intersection straight,
+ * left or right (no U-turns) along a curve joining the two lanes. A* over
+ * this graph gives a right-lane polyline to each waypoint (through its
+ * intersection, or along its road segment for a mid-block waypoint).
+ */
+export class RoutePlanner {
+    /**
+     * @param {Object} [roads] generateRoads() output
+     */
+    constructor(roads = generateRoads()) {
+        this.intersections = new Map(); // "r,c" → centre [x, y, z]
+        this.nodes = new Map();         // node key → { key, point: [x, z], edges }
+        this.build(roads);
+    }
+
+    node(key, point) {
+        if (!this.nodes.has(key)) this.nodes.set(key, { key, point, edges: [] });
+        return this.nodes.get(key);
+    }
+
+    build(roads) {
+        for (const { row, col, position } of roads.intersections) {
+            this.intersections.set(`${row},${col}`, position);
+        }
+
+        // Lane edges: depart A → arrive B, one per direction of each segment
+        for (const { row, col, orientation, noPassing } of roads.segments) {
+            const a = `${row},${col}`;
+            const b = orientation === 'horizontal' ? `${row},${col + 1}` : `${row + 1},${col}`;
+            const [fwd, back] = orientation === 'horizontal' ? ['E', 'W'] : ['S', 'N'];
+            for (const [from, to, d] of [[a, b, fwd], [b, a, back]]) {
+                const depart = this.node(`depart:${from}:${d}`, lanePoint(this.intersections.get(from), d, ROUTE.STOP_LINE));
+                const arrive = this.node(`arrive:${to}:${d}`, lanePoint(this.intersections.get(to), d, -ROUTE.STOP_LINE));
+                const points = [depart.point, arrive.point];
+                const weight = noPassing ? ROUTE.NO_PASSING_WEIGHT : 1;
+                depart.edges.push({ to: arrive.key, points, cost: pathLength(points) * weight, noPassing });
+            }
+        }
+
+        // Turn edges: arrive → depart inside each intersection, where that exit exists
+        for (const key of this.intersections.keys()) {
+            for (const d of Object.keys(DIRS)) {
+                const arrive = this.nodes.get(`arrive:${key}:${d}`);
+                if (!arrive) continue;
+                for (const [turn, exit] of Object.entries(TURNS[d])) {
+                    const depart = this.nodes.get(`depart:${key}:${exit}`);
+                    if (!depart) continue;
+                    const points = this.turnCurve(arrive.point, depart.point, d, turn);
+                    arrive.edges.push({
+                        to: depart.key,
+                        points,
+                        cost: pathLength(points) + ROUTE.TURN_PENALTY[turn],
+                        noPassing: false,
+                        turn,
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Quadratic Bézier from the arrive lane into the depart lane; the control
+     * point is where the two lane lines cross.
+     */
+    turnCurve(a, b, d, turn) {
+        if (turn === 'straight') return [a, b];
+        const [dx, dz] = DIRS[d];
+        const along = (b[0] - a[0]) * dx + (b[1] - a[1]) * dz;
+        const c = [a[0] + dx * along, a[1] + dz * along];
+        const points = [];
+        for (let i = 0; i <= ROUTE.CURVE_STEPS; i++) {
+            const t = i / ROUTE.CURVE_STEPS;
+            const u = 1 - t;
+            points.push([
+                u * u * a[0] + 2 * u * t * c[0] + t * t * b[0],
+                u * u * a[1] + 2 * u * t * c[1] + t * t * b[1],
+            ]);
+        }
+        return points;
+    }
+
+    /** Grid key of the intersection nearest a world position. */
+    nearestIntersection([x, , z]) {
+        let best = null;
+        let bestDistSq = Infinity;
+        for (const [key, [cx, , cz]] of this.intersections) {
+            const dSq = (cx - x) ** 2 + (cz - z) ** 2;
+            if (dSq < bestDistSq) {
+                bestDistSq = dSq;
+                best = key;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Graph node the vehicle is heading for: the arrive node of the
+     * intersection it is in, or of the next one ahead in its lane.
+     * @returns {{ key: string, entry: number[] }|null} node key + lane entry point level with the car
+     */
+    startNode([x, , z], heading) {
+        const fx = -Math.sin(heading);
+        const fz = -Math.cos(heading);
+        const d = Object.keys(DIRS).reduce((best, k) =>
+            (DIRS[k][0] * fx + DIRS[k][1] * fz > DIRS[best][0] * fx + DIRS[best][1] * fz ? k : best), 'N');
+        const [dx, dz] = DIRS[d];
+
+        let best = null;
+        let bestAhead = Infinity;
+        for (const [key, [cx, , cz]] of this.intersections) {
+            const node = this.nodes.get(`arrive:${key}:${d}`);
+            if (!node) continue;
+            const lateral = Math.abs((cx - x) * dz - (cz - z) * dx);
+            const ahead = (cx - x) * dx + (cz - z) * dz;
+            if (lateral < ROUTE.STOP_LINE && ahead > -ROUTE.STOP_LINE && ahead < bestAhead) {
+                best = node;
+                bestAhead = ahead;
+            }
+        }
+        if (!best) return null;
+
+        // Join the lane line level with the car (or at the stop line once past it)
+        const [px, pz] = best.point;
+        const back = Math.max(0, (px - x) * dx + (pz - z) * dz);
+        return { key: best.key, entry: [px - dx * back, pz - dz * back] };
+    }
+
+    /**
+     * Arrive nodes that count as reaching a waypoint: any of its intersection's,
+     * or for a mid-block waypoint the two at the ends of its road segment (the
+     * lane edges into them drive past it).
+     * @returns {{ goal: string, keys: Set<string>, point: number[] }} goal intersection
+     *   (nearest), goal node keys and the point the search heads for ([x, z])
+     */
+    goalNodes([x, , z]) {
+        const goal = this.nearestIntersection([x, , z]);
+        const [cx, , cz] = this.intersections.get(goal);
+        const inside = Math.abs(x - cx) <= ROUTE.STOP_LINE && Math.abs(z - cz) <= ROUTE.STOP_LINE;
+        if (!inside) {
+            // Segment from the nearest intersection toward the waypoint
+            const [row, col] = goal.split(',').map(Number);
+            const horizontal = Math.abs(x - cx) > Math.abs(z - cz);
+            const step = (horizontal ? x - cx : z - cz) > 0 ? 1 : -1;
+            const other = horizontal ? `${row},${col + step}` : `${row + step},${col}`;
+            const [fwd, back] = horizontal ? ['E', 'W'] : ['S', 'N'];
+            const keys = new Set([`arrive:${other}:${step > 0 ? fwd : back}`, `arrive:${goal}:${step > 0 ? back : fwd}`]
+                .filter((key) => this.nodes.has(key)));
+            if (keys.size > 0) return { goal, keys, point: [x, z] };
+        }
+        const keys = new Set(Object.keys(DIRS).map((d) => `arrive:${goal}:${d}`).filter((key) => this.nodes.has(key)));
+        return { goal, keys, point: [cx, cz] };
+    }
+
+    /**
+     * A* from a node to any of the goal nodes.
+     * @param {string} startKey
+     * @param {{ keys: Set<string>, point: number[] }} target goalNodes() output
+     * @returns {Object[]|null} Edges along the route, or null if unreachable
+     */
+    search(startKey, { keys, point: [gx, gz] }) {
+        const isGoal = (key) => keys.has(key);
+        const h = (key) => {
+            if (isGoal(key)) return 0; // a segment's goal nodes lie past the point
+            const [x, z] = this.nodes.get(key).point;
+            return Math.max(0, Math.abs(x - gx) + Math.abs(z - gz) - ROUTE.STOP_LINE - 2 * ROUTE.LANE_OFFSET);
+        };
+
+        const g = new Map([[startKey, 0]]);
+        const came = new Map();
+        const open = new Map([[startKey, h(startKey)]]);
+        while (open.size > 0) {
+            let key = null;
+            let bestF = Infinity;
+            for (const [k, f] of open) {
+                if (f < bestF) {
+                    bestF = f;
+                    key = k;
+                }
+            }
+            open.delete(key);
+
+            if (isGoal(key)) {
+                const edges = [];
+                for (let k = key; came.has(k); k = came.get(k).from) edges.unshift(came.get(k).edge);
+                return edges;
+            }
+
+            for (const edge of this.nodes.get(key).edges) {
+                const cost = g.get(key) + edge.cost;
+                if (cost < (g.get(edge.to) ?? Infinity)) {
+                    g.set(edge.to, cost);
+                    came.set(edge.to, { from: key, edge });
+                    open.set(edge.to, cost + h(edge.to));
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Plan one leg from a node (or the vehicle) to a waypoint.
+     * @returns {{ goal: string, end: string, points: number[][], noPassing: boolean[], turns: boolean[], cursor: number }|null}
+     *   noPassing[i] / turns[i] flag the polyline span points[i] → points[i + 1]
+     */
+    planLeg(startKey, entry, waypoint) {
+        const target = this.goalNodes(waypoint.position);
+        const { goal } = target;
+        const edges = this.search(startKey, target);
+        if (!edges) return null;
+
+        const points = [entry];
+        const noPassing = [];
+        const turns = [];
+        const startPoint = this.nodes.get(startKey).point;
+        if (Math.hypot(startPoint[0] - entry[0], startPoint[1] - entry[1]) > 0.1) {
+            points.push(startPoint);
+            noPassing.push(false);
+            turns.push(false);
+        }
+        for (const edge of edges) {
+            for (const p of edge.points.slice(1)) {
+                points.push(p);
+                noPassing.push(edge.noPassing);
+                turns.push(edge.turn === 'left' || edge.turn === 'right');
+            }
+        }
+        const end = edges.length > 0 ? edges[edges.length - 1].to : startKey;
+        return { goal, end, points, noPassing, turns, cursor: 0 };
+    }
+
+    /**
+     * Plan legs from the vehicle through every remaining waypoint, in order.
+     * @param {Object} vehicle { position, heading }
+     * @param {Array<{position: number[]}>} waypoints
+     * @param {number} [fromIndex] First waypoint still to reach
+     * @returns {{ legs: Object[], points: number[][] }|null} legs[0] leads to waypoints[fromIndex];
+     *   points is the whole route polyline on the ground plane ([x, z] pairs)
+     */
+    planCourse(vehicle, waypoints, fromIndex = 0) {
+        const start = this.startNode(vehicle.position, vehicle.heading);
+        if (!start || fromIndex >= waypoints.length) return null;
+
+        const legs = [];
+        let key = start.key;
+        let entry = start.entry;
+        for (let i = fromIndex; i < waypoints.length; i++) {
+            const leg = this.planLeg(key, entry, waypoints[i]);
+            if (!leg) break;
+            legs.push({ waypointIndex: i, ...leg });
+            key = leg.end;
+            entry = this.nodes.get(key).point;
+        }
+        if (legs.length === 0) return null;
+
+        const points = legs.flatMap((leg, i) => (i === 0 ? leg.points : leg.points.slice(1)));
+        return { legs, points };
+    }
+
+    /**
+     * Track the vehicle along a leg: advances leg.cursor and returns a
+     * lookahead target, the signed cross-track error and the distance to
+     * the next turn.
+     * @param {Object} leg Leg from planCourse (mutated: cursor)
+     * @param {number[]} position Vehicle [x, y, z]
+     * @param {number} speed m/s
+     * @returns {{ target: number[], crossTrack: number, offPath: number, noPassing: boolean, turnDistance: number }}
+     *   crossTrack > 0 when the car is right of the path; turnDistance is 0 mid-turn, Infinity with none ahead
+     */
+    follow(leg, position, speed) {
+        const [x, , z] = position;
+        const pts = leg.points;
+
+        // Closest span from the cursor on (the route never doubles back on itself nearby)
+        let best = { dist: Infinity };
+        for (let i = leg.cursor; i < pts.length - 1; i++) {
+            const [ax, az] = pts[i];
+            const [bx, bz] = pts[i + 1];
+            const sx = bx - ax;
+            const sz = bz - az;
+            const lenSq = sx * sx + sz * sz || 1e-9;
+            const t = Math.max(0, Math.min(1, ((x - ax) * sx + (z - az) * sz) / lenSq));
+            const px = ax + sx * t;
+            const pz = az + sz * t;
+            const dist = Math.hypot(x - px, z - pz);
+            if (dist < best.dist) {
+                const len = Math.sqrt(lenSq);
+                best = { i, t, dist, crossTrack: ((x - px) * -sz + (z - pz) * sx) / len };
+            }
+            if (dist > best.dist + 10) break;
+        }
+        if (best.i === undefined) {
+            const last = pts[pts.length - 1];
+            return {
+                target: last,
+                crossTrack: 0,
+                offPath: Math.hypot(x - last[0], z - last[1]),
+                noPassing: false,
+                turnDistance: Infinity,
+            };
+        }
+        leg.cursor = best.i;
+
+        // Walk the lookahead distance along the path
+        let remaining = Math.max(ROUTE.MIN_LOOKAHEAD, speed * ROUTE.LOOKAHEAD_TIME);
+        let [cx, cz] = pts[best.i];
+        const [nx, nz] = pts[best.i + 1];
+        cx += (nx - cx) * best.t;
+        cz += (nz - cz) * best.t;
+        let target = pts[pts.length - 1];
+        for (let i = best.i + 1; i < pts.length; i++) {
+            const [px, pz] = pts[i];
+            const seg = Math.hypot(px - cx, pz - cz);
+            if (seg >= remaining) {
+                target = [cx + (px - cx) * (remaining / seg), cz + (pz - cz) * (remaining / seg)];
+                break;
+            }
+            remaining -= seg;
+            cx = px;
+            cz = pz;
+        }
+
+        // Distance along the path to the first turning span
+        let turnDistance = Infinity;
+        let along = -best.t * Math.hypot(nx - pts[best.i][0], nz - pts[best.i][1]);
+        for (let i = best.i; i < pts.length - 1; i++) {
+            if (leg.turns[i]) {
+                turnDistance = Math.max(0, along);
+                break;
+            }
+            along += Math.hypot(pts[i + 1][0] - pts[i][0], pts[i + 1][1] - pts[i][1]);
+        }
+
+        return {
+            target,
+            crossTrack: best.crossTrack,
+            offPath: best.dist,
+            noPassing: Boolean(leg.noPassing[best.i]),
+            turnDistance,
+        };
+    }
+}
@@ -1,3 +1,12 @@
+/**
+ * Override actions the tree can emit beyond the decision engine's own
+ * (it also uses RIGHT to pull over for sirens).
+ */
+export const SAFETY_ACTIONS = [
+  { id: 'STOP', label: 'Stop' },
+  { id: 'EMERGENCY_BRAKE', label: 'Emergency Brake' },
+];
+
 /**
  * Safety Behavior Tree
  * Hard non-negotiable rules that run before the Decision Engine.
@@ -0,0 +1,419 @@
+/**
+ * Sensor Fusion
+ * Associates LiDAR objects (LidarSegmentation), thermal blobs, camera detections and audio
+ * bearings into persistent object tracks. Each track carries a world
+ * position, velocity, fused class, fused confidence and a per-sensor
+ * contribution breakdown ("Pedestrian: LiDAR 40% | Thermal 55% | Camera 5%").
+ *
+ * Works purely on store-shaped sensor outputs, so it runs identically in
+ * the live game (AIPilot) and the headless Simulation.
+ */
+
+import { segmentLidarPoints } from './LidarSegmentation.js';
+
+export const FUSION_SENSORS = ['lidar', 'thermal', 'camera', 'audio'];
+
+export const FUSION = {
+    // How much one sensor's detection alone says "an object is really there"
+    RELIABILITY: { lidar: 0.6, thermal: 0.55, camera: 0.7, audio: 0.3 },
+    // Weight of each sensor's position estimate (LiDAR ranges precisely, audio barely)
+    POSITION_WEIGHT: { lidar: 1.0, thermal: 0.5, camera: 0.35, audio: 0.1 },
+    // Weight of each sensor's class vote (LiDAR cannot classify)
+    CLASS_WEIGHT: { lidar: 0, thermal: 0.8, camera: 1.0, audio: 0.5 },
+    // Association gate radius (m) per sensor
+    GATE: { lidar: 2.5, thermal: 3.0, camera: 4.0, audio: 8.0 },
+
+    EVIDENCE_TAU: 0.5,        // s — per-sensor evidence decay time constant
+    CLASS_DECAY_TAU: 3.0,     // s — class vote memory
+    MAX_COAST: 0.8,           // s — drop a track this long after its last detection
+    MIN_HITS: 2,              // detections before a track is reported
+    // LiDAR can only start (and report) an unclassified track inside the
+    // drive corridor; elsewhere its clusters are mostly walls and poles, so
+    // it just refines tracks a classifying sensor started
+    CORRIDOR_HALF_WIDTH: 3.0, // m
+    CORRIDOR_LENGTH: 30,      // m
+    MERGE_DISTANCE: 1.2,      // m — tracks closer than this are merged
+    VELOCITY_SMOOTHING: 0.5,  // EMA factor for velocity estimates
+
+    // LiDAR object strength scales with mean return intensity: a strong
+    // return is a solid hit, a faint one may be a partial or noise
+    LIDAR_STRONG_INTENSITY: 0.3,
+    LIDAR_WEAK_STRENGTH: 0.4, // strength factor of a cluster of barely detected returns
+};
+
+/** Display names for fused classes. */
+export const TRACK_CLASS_LABELS = {
+    pedestrian: 'Pedestrian',
+    vehicle: 'Vehicle',
+    emergency: 'Emergency',
+    animal: 'Animal',
+    ball: 'Ball',
+    cone: 'Cone',
+    barrier: 'Barrier',
+    unknown: 'Unknown',
+};
+
+const SENSOR_LABELS = { lidar: 'LiDAR', thermal: 'Thermal', camera: 'Camera', audio: 'Audio' };
+
+// Sensor-specific type → fused class (unlisted types are infrastructure, not tracked)
+const THERMAL_CLASS = {
+    pedestrian: 'pedestrian',
+    npcVehicle: 'vehicle',
+    schoolbus: 'vehicle',
+    emergency: 'emergency',
+    animal: 'animal',
+    ball: 'ball',
+    cone: 'cone',
+    barrier: 'barrier',
+};
+const CAMERA_CLASS = {
+    pedestrian: 'pedestrian',
+    vehicle: 'vehicle',
+    emergency: 'emergency',
+    animal: 'animal',
+    ball: 'ball',
+    cone: 'cone',
+    barrier: 'barrier',
+};
+const AUDIO_CLASS = {
+    siren: 'emergency',
+    engine: 'vehicle',
+    footsteps: 'pedestrian',
+    barking: 'animal',
+    bouncing: 'ball',
+};
+const FUSION_CAMERA_VIEWS = ['left', 'center', 'right', 'rear'];
+
+/**
+ * World position from a bearing relative to the vehicle heading.
+ * Matches sensorUtils.bearingToTarget (0 = straight ahead).
+ */
+function bearingToWorld(vx, vz, heading, bearing, distance) {
+    const a = heading + bearing;
+    return [vx - distance * Math.sin(a), vz - distance * Math.cos(a)];
+}
+
+/**
+ * Convert raw sensor outputs into uniform world-space detections:
+ * { sensor, x, z, cls|null, strength (0–1) }
+ * @param {Object} vehicle Vehicle state (position, heading)
+ * @param {Object} rawSensors { lidar, thermal, camera, audio } store-shaped outputs
+ * @param {Object} activeSensors { lidar, thermal, camera, audio } enable flags
+ * @returns {Object[]}
+ */
+export function collectDetections(vehicle, rawSensors, activeSensors) {
+    const [vx, , vz] = vehicle.position;
+    const heading = vehicle.heading;
+    const detections = [];
+
+    if (activeSensors.lidar && rawSensors.lidar?.points) {
+        // Recordings from before segmentation carry points only
+        const objects = rawSensors.lidar.objects ?? segmentLidarPoints(rawSensors.lidar.points, vx, vz);
+        for (const c of objects) {
+            const solidity = Math.min(1, c.intensity / FUSION.LIDAR_STRONG_INTENSITY);
+            const returnWeight = FUSION.LIDAR_WEAK_STRENGTH + (1 - FUSION.LIDAR_WEAK_STRENGTH) * solidity;
+            detections.push({ sensor: 'lidar', x: c.x, z: c.z, cls: null, strength: Math.min(1, c.count / 4) * returnWeight });
+        }
+    }
+
+    if (activeSensors.thermal && rawSensors.thermal?.blobs) {
+        for (const blob of rawSensors.thermal.blobs) {
+            const cls = THERMAL_CLASS[blob.type];
+            if (!cls) continue;
+            // Weather/distance-degraded temperature relative to the true signature
+            const strength = blob.temp > 0 ? Math.max(0.1, Math.min(1, blob.displayTemp / blob.temp)) : 0.5;
+            detections.push({ sensor: 'thermal', x: vx + blob.relX, z: vz + blob.relZ, cls, strength });
+        }
+    }
+
+    if (activeSensors.camera && rawSensors.camera?.views) {
+        for (const viewId of FUSION_CAMERA_VIEWS) {
+            for (const det of rawSensors.camera.views[viewId] || []) {
+                const cls = CAMERA_CLASS[det.class];
+                if (!cls || typeof det.bearing !== 'number') continue;
+                const [x, z] = bearingToWorld(vx, vz, heading, det.bearing, det.distance);
+                detections.push({ sensor: 'camera', x, z, cls, strength: det.confidence });
+            }
+        }
+    }
+
+    if (activeSensors.audio && rawSensors.audio?.sources) {
+        for (const src of rawSensors.audio.sources) {
+            const cls = AUDIO_CLASS[src.type];
+            if (!cls) continue;
+            const [x, z] = bearingToWorld(vx, vz, heading, src.bearing, src.distance);
+            detections.push({ sensor: 'audio', x, z, cls, strength: Math.min(1, src.intensity * 2) });
+        }
+    }
+
+    return detections;
+}
+
+/** Is a vehicle-frame point inside the drive corridor ahead? */
+function inCorridor(local) {
+    return Math.abs(local.x) < FUSION.CORRIDOR_HALF_WIDTH
+        && local.z > 0 && local.z < FUSION.CORRIDOR_LENGTH;
+}
+
+/** World → vehicle frame (+x right, +z ahead). */
+function toLocal(vehicle, x, z) {
+    const relX = x - vehicle.position[0];
+    const relZ = z - vehicle.position[2];
+    const cosH = Math.cos(vehicle.heading);
+    const sinH = Math.sin(vehicle.heading);
+    return { x: relX * cosH - relZ * sinH, z: -relX * sinH - relZ * cosH };
+}
+
+function emptyPerSensor() {
+    return { lidar: 0, thermal: 0, camera: 0, audio: 0 };
+}
+
+export class SensorFusion {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Drop all tracks (new session / rewind).
+     */
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Run one fusion step.
+     * @param {Object} vehicle Vehicle state (position, heading)
+     * @param {Object} rawSensors { lidar, thermal, camera, audio } store-shaped outputs
+     * @param {Object} activeSensors { lidar, thermal, camera, audio } enable flags
+     * @param {number} dt Seconds since the previous step
+     * @returns {Object[]} Confirmed tracks (see _export)
+     */
+    update(vehicle, rawSensors, activeSensors, dt) {
+        const evidenceDecay = Math.exp(-dt / FUSION.EVIDENCE_TAU);
+        const classDecay = Math.exp(-dt / FUSION.CLASS_DECAY_TAU);
+
+        // 1. Predict: constant velocity, decay evidence
+        for (const track of this.tracks) {
+            track.prevX = track.x;
+            track.prevZ = track.z;
+            track.x += track.vx * dt;
+            track.z += track.vz * dt;
+            track.sinceSeen += dt;
+            track.age += dt;
+            for (const s of FUSION_SENSORS) track.evidence[s] *= evidenceDecay;
+            for (const c of Object.keys(track.classScores)) track.classScores[c] *= classDecay;
+            track.measurements = [];
+        }
+
+        // 2. Associate: per sensor, greedy nearest-neighbour inside the gate
+        const detections = collectDetections(vehicle, rawSensors, activeSensors);
+        for (const sensor of FUSION_SENSORS) {
+            const sensorDets = detections.filter((d) => d.sensor === sensor);
+            this._associate(sensor, sensorDets, vehicle);
+        }
+
+        // 3. Update tracks from their measurements
+        for (const track of this.tracks) {
+            if (track.measurements.length === 0) continue;
+            this._correct(track, dt);
+        }
+
+        // 4. Merge duplicates, drop stale tracks
+        this._merge();
+        this.tracks = this.tracks.filter((t) => t.sinceSeen <= FUSION.MAX_COAST);
+
+        return this.tracks
+            .filter((t) => t.hits >= FUSION.MIN_HITS)
+            .map((t) => this._export(t, vehicle))
+            .filter((t) => t.class !== 'unknown' || inCorridor(t.local));
+    }
+
+    _associate(sensor, dets, vehicle) {
+        const gate = FUSION.GATE[sensor];
+        const pairs = [];
+        for (let d = 0; d < dets.length; d++) {
+            for (let t = 0; t < this.tracks.length; t++) {
+                const track = this.tracks[t];
+                const dx = dets[d].x - track.x;
+                const dz = dets[d].z - track.z;
+                let dist = Math.sqrt(dx * dx + dz * dz);
+                if (dist > gate) continue;
+                // Penalise pairing a confidently classified track with a different class
+                if (dets[d].cls && track.cls !== 'unknown' && dets[d].cls !== track.cls) dist *= 2;
+                if (dist <= gate) pairs.push({ d, t, dist });
+            }
+        }
+        pairs.sort((a, b) => a.dist - b.dist);
+
+        const usedDet = new Set();
+        const usedTrack = new Set();
+        for (const { d, t } of pairs) {
+            if (usedDet.has(d) || usedTrack.has(t)) continue;
+            usedDet.add(d);
+            usedTrack.add(t);
+            this.tracks[t].measurements.push(dets[d]);
+        }
+
+        // Unmatched detections start new tracks
+        for (let d = 0; d < dets.length; d++) {
+            if (usedDet.has(d)) continue;
+            const det = dets[d];
+            if (!det.cls && !inCorridor(toLocal(vehicle, det.x, det.z))) continue;
+            this.tracks.push({
+                id: this.nextId++,
+                x: det.x,
+                z: det.z,
+                prevX: det.x,
+                prevZ: det.z,
+                vx: 0,
+                vz: 0,
+                cls: 'unknown',
+                classScores: {},
+                evidence: emptyPerSensor(),
+                hits: 0,
+                age: 0,
+                sinceSeen: 0,
+                isNew: true,
+                measurements: [det],
+            });
+        }
+    }
+
+    _correct(track, dt) {
+        // Position: prior (prediction) blended with weighted measurements
+        let wSum = track.isNew ? 0 : 1;
+        let sx = track.isNew ? 0 : track.x;
+        let sz = track.isNew ? 0 : track.z;
+        for (const m of track.measurements) {
+            const w = FUSION.POSITION_WEIGHT[m.sensor] * Math.max(0.1, m.strength);
+            sx += m.x * w;
+            sz += m.z * w;
+            wSum += w;
+        }
+        track.x = sx / wSum;
+        track.z = sz / wSum;
+
+        // Velocity from the corrected displacement
+        if (!track.isNew && dt > 0) {
+            const a = FUSION.VELOCITY_SMOOTHING;
+            track.vx = track.vx * (1 - a) + ((track.x - track.prevX) / dt) * a;
+            track.vz = track.vz * (1 - a) + ((track.z - track.prevZ) / dt) * a;
+        }
+
+        // Evidence + class votes
+        for (const m of track.measurements) {
+            track.evidence[m.sensor] = Math.max(track.evidence[m.sensor], m.strength);
+            if (m.cls) {
+                track.classScores[m.cls] = (track.classScores[m.cls] || 0) + FUSION.CLASS_WEIGHT[m.sensor] * m.strength;
+            }
+        }
+        let best = 'unknown';
+        let bestScore = 0;
+        for (const [cls, score] of Object.entries(track.classScores)) {
+            if (score > bestScore) {
+                best = cls;
+                bestScore = score;
+            }
+        }
+        track.cls = best;
+
+        track.hits++;
+        track.sinceSeen = 0;
+        track.isNew = false;
+    }
+
+    _merge() {
+        const mergeSq = FUSION.MERGE_DISTANCE * FUSION.MERGE_DISTANCE;
+        for (let i = 0; i < this.tracks.length; i++) {
+            const a = this.tracks[i];
+            if (a.merged) continue;
+            for (let j = i + 1; j < this.tracks.length; j++) {
+                const b = this.tracks[j];
+                if (b.merged) continue;
+                if (a.cls !== 'unknown' && b.cls !== 'unknown' && a.cls !== b.cls) continue;
+                const dx = a.x - b.x;
+                const dz = a.z - b.z;
+                if (dx * dx + dz * dz > mergeSq) continue;
+
+                // Keep the older track, fold the other's evidence into it
+                const [keep, drop] = a.hits >= b.hits ? [a, b] : [b, a];
+                for (const s of FUSION_SENSORS) keep.evidence[s] = Math.max(keep.evidence[s], drop.evidence[s]);
+                for (const [cls, score] of Object.entries(drop.classScores)) {
+                    keep.classScores[cls] = (keep.classScores[cls] || 0) + score;
+                }
+                keep.hits += drop.hits;
+                keep.sinceSeen = Math.min(keep.sinceSeen, drop.sinceSeen);
+                drop.merged = true;
+            }
+        }
+        this.tracks = this.tracks.filter((t) => !t.merged);
+    }
+
+    /**
+     * Public track shape (plain data, safe to store / snapshot).
+     */
+    _export(track, vehicle) {
+        const relX = track.x - vehicle.position[0];
+        const relZ = track.z - vehicle.position[2];
+
+        // Fused existence confidence: independent sensor evidence combined
+        let miss = 1;
+        const weighted = emptyPerSensor();
+        let weightedSum = 0;
+        for (const s of FUSION_SENSORS) {
+            weighted[s] = FUSION.RELIABILITY[s] * track.evidence[s];
+            miss *= 1 - weighted[s];
+            weightedSum += weighted[s];
+        }
+        const contributions = emptyPerSensor();
+        for (const s of FUSION_SENSORS) {
+            contributions[s] = weightedSum > 0 ? weighted[s] / weightedSum : 0;
+        }
+
+        const classTotal = Object.values(track.classScores).reduce((a, b) => a + b, 0);
+        const classVotes = Object.keys(track.classScores).filter((c) => track.classScores[c] > 0.05 * classTotal);
+
+        return {
+            id: track.id,
+            class: track.cls,
+            position: [track.x, 0, track.z],
+            velocity: [track.vx, 0, track.vz],
+            local: toLocal(vehicle, track.x, track.z),
+            distance: Math.sqrt(relX * relX + relZ * relZ),
+            confidence: 1 - miss,
+            classConfidence: classTotal > 0 ? (track.classScores[track.cls] || 0) / classTotal : 0,
+            classConflict: classVotes.length > 1,
+            contributions,
+            evidence: { ...track.evidence },
+            age: track.age,
+            sinceSeen: track.sinceSeen,
+        };
+    }
+}
+
+/**
+ * "Pedestrian: LiDAR 40% | Thermal 55% | Camera 5%"
+ * @param {Object} track Exported track
+ * @returns {string}
+ */
+export function formatContribution(track) {
+    const parts = FUSION_SENSORS
+        .filter((s) => track.contributions[s] >= 0.005)
+        .map((s) => `${SENSOR_LABELS[s]} ${Math.round(track.contributions[s] * 100)}%`);
+    return `${TRACK_CLASS_LABELS[track.class] || track.class}: ${parts.join(' | ') || 'no data'}`;
+}
+
+/**
+ * Best-case fused confidence for the currently enabled sensors (scene
+ * coverage, independent of any one track).
+ * @param {Object} activeSensors
+ * @returns {number}
+ */
+export function sensorCoverage(activeSensors) {
+    let miss = 1;
+    for (const s of FUSION_SENSORS) {
+        if (activeSensors[s]) miss *= 1 - FUSION.RELIABILITY[s];
+    }
+    return 1 - miss;
+}
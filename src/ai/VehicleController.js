@@ -0,0 +1,145 @@
+import { VEHICLE_PHYSICS, VEHICLE_DIMS } from '../constants/vehicle.js';
+
+export const CONTROL = {
+    // Speed PID: output > 0 is throttle, < 0 is brake (both 0–1)
+    KP: 0.35,
+    KI: 0.08,
+    KD: 0.02,
+    INTEGRAL_LIMIT: 5,          // m·s clamp on the accumulated speed error (anti-windup)
+    TURN_SPEED: 12,             // m/s — LEFT/RIGHT cap, matching the discrete mapping's coast speed
+    BRAKE_STEP: 3,              // m/s below the current speed a BRAKE action aims for
+    NUDGE_STEER: 0.35,          // fraction of full lock for a LEFT/RIGHT against the path (dodge / overtake)
+    LOOKAHEAD_FALLBACK: 8,      // m — pursuit distance when there is no route target
+};
+
+/**
+ * Vehicle Controller
+ * Optional low-level layer under the discrete AI actions: turns each
+ * action plus the route's lookahead point into analog physics targets.
+ * Steering is pure pursuit (the bicycle-model wheel angle whose arc
+ * passes through the lookahead point); speed is a PID loop on a target
+ * speed chosen per action. The action still decides *what* to do — the
+ * controller only decides how hard to press and how far to turn.
+ */
+export class VehicleController {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget the PID state (new session / rewind).
+     */
+    reset() {
+        this.integral = 0;
+        this.lastError = null;
+    }
+
+    /**
+     * Pure pursuit towards a world point.
+     * @param {Object} vehicle { position, heading }
+     * @param {number[]} target [x, z]
+     * @returns {{ steer: number, curvature: number }} steer in -1..1 (+ = left)
+     */
+    pursue(vehicle, target) {
+        const [vx, , vz] = vehicle.position;
+        const relX = target[0] - vx;
+        const relZ = target[1] - vz;
+        const cosH = Math.cos(vehicle.heading);
+        const sinH = Math.sin(vehicle.heading);
+        const ahead = -relX * sinH - relZ * cosH;
+        const left = -(relX * cosH - relZ * sinH);
+        const distSq = ahead * ahead + left * left;
+        if (distSq < 1e-6) return { steer: 0, curvature: 0 };
+
+        // Arc through the target: κ = 2·y / L²; a target behind turns at full lock
+        const curvature = (2 * left) / distSq;
+        const angle = ahead > 0
+            ? Math.atan(VEHICLE_DIMS.WHEELBASE * curvature)
+            : Math.sign(left) * VEHICLE_PHYSICS.MAX_STEER_ANGLE;
+        return {
+            steer: Math.max(-1, Math.min(1, angle / VEHICLE_PHYSICS.MAX_STEER_ANGLE)),
+            curvature,
+        };
+    }
+
+    /**
+     * One control step.
+     * @param {string} action AIDriver action id
+     * @param {Object} vehicle { position, heading, speed }
+     * @param {Object} context
+     * @param {number[]|null} context.target Route lookahead point [x, z] (null without a route)
+     * @param {number} context.speedLimit m/s
+     * @param {number} dt Seconds since the previous step
+     * @returns {{ analog: {steer: number, throttle: number, brake: number}, signals: Object }}
+     *   analog feeds tickVehiclePhysics; signals are for the Glass Box
+     */
+    update(action, vehicle, context, dt) {
+        const { speed } = vehicle;
+        const { target, speedLimit } = context;
+
+        // --- Steering: follow the path; LEFT/RIGHT against it nudge off-line ---
+        let pursuit;
+        if (target) {
+            pursuit = this.pursue(vehicle, target);
+        } else {
+            // No route: aim straight ahead (the action alone decides any turn)
+            const fx = -Math.sin(vehicle.heading);
+            const fz = -Math.cos(vehicle.heading);
+            const [vx, , vz] = vehicle.position;
+            pursuit = this.pursue(vehicle, [vx + fx * CONTROL.LOOKAHEAD_FALLBACK, vz + fz * CONTROL.LOOKAHEAD_FALLBACK]);
+        }
+        let steer = pursuit.steer;
+        if (action === 'LEFT' && steer < CONTROL.NUDGE_STEER) steer = CONTROL.NUDGE_STEER;
+        if (action === 'RIGHT' && steer > -CONTROL.NUDGE_STEER) steer = -CONTROL.NUDGE_STEER;
+
+        // --- Speed: target per action, tracked by the PID ---
+        let targetSpeed;
+        switch (action) {
+            case 'ACCELERATE':
+                targetSpeed = speedLimit;
+                break;
+            case 'LEFT':
+            case 'RIGHT':
+                targetSpeed = Math.min(speedLimit, CONTROL.TURN_SPEED);
+                break;
+            case 'BRAKE':
+                targetSpeed = Math.max(0, speed - CONTROL.BRAKE_STEP);
+                break;
+            case 'EMERGENCY_BRAKE':
+            case 'STOP':
+                targetSpeed = 0;
+                break;
+            default: // STRAIGHT: hold speed, but never above the limit
+                targetSpeed = Math.min(speed, speedLimit);
+        }
+
+        let throttle = 0;
+        let brake = 0;
+        const error = targetSpeed - speed;
+        if (action === 'EMERGENCY_BRAKE' || action === 'STOP') {
+            // Full brake, no PID: stopping must not wait for the loop to wind up
+            brake = 1;
+            this.reset();
+        } else {
+            this.integral = Math.max(-CONTROL.INTEGRAL_LIMIT, Math.min(CONTROL.INTEGRAL_LIMIT, this.integral + error * dt));
+            const derivative = this.lastError === null || dt <= 0 ? 0 : (error - this.lastError) / dt;
+            this.lastError = error;
+            const u = CONTROL.KP * error + CONTROL.KI * this.integral + CONTROL.KD * derivative;
+            throttle = Math.max(0, Math.min(1, u));
+            brake = Math.max(0, Math.min(1, -u));
+        }
+
+        return {
+            analog: { steer, throttle, brake },
+            signals: {
+                steer,
+                steerAngle: steer * VEHICLE_PHYSICS.MAX_STEER_ANGLE,
+                throttle,
+                brake,
+                targetSpeed,
+                speedError: error,
+                curvature: pursuit.curvature,
+            },
+        };
+    }
+}
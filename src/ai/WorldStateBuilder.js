@@ -0,0 +1,471 @@
+import { ROUTE } from './RoutePlanner.js';
+import { isLidarClutter } from './LidarSegmentation.js';
+import { SPEED_LIMITS } from '../constants/traffic.js';
+import { GRID, WORLD_HALF } from '../constants/world.js';
+import { interpolateTimeOfDay } from '../systems/sensors/sensorUtils.js';
+
+export const WORLD_STATE = {
+    ROAD_HALF_WIDTH: GRID.ROAD_WIDTH / 2,
+    LANE_OFFSET: GRID.LANE_WIDTH / 2,   // m — lane centre from the road centre (keep right)
+    LANE_TOLERANCE: 0.8,                // m — cross-track error before lane keeping steers back
+    ALIGN_ANGLE: 10,                    // deg — waypoint bearing that counts as "turn needed"
+    // Obstacle corridor ahead (vehicle is 1.8 m wide, checked with a 3 m berth)
+    CORRIDOR_HALF_WIDTH: 1.5,
+    CORRIDOR_MIN_AHEAD: 1.5,
+    PATH_BLOCKED_DISTANCE: 15,          // m — nearer obstacles make the path not clear
+    LIDAR_MIN_HEIGHT: 0.5,              // m — ignore road-surface returns
+    // Vehicle-frame band (m) of the lanes beside the ego lane, for the left/right
+    // clearances: from the ego lane edge out to the far side of the next lane.
+    // Obstacles up to BEHIND metres back are still alongside and block the lane.
+    ADJACENT_LANE: { INNER: 1.5, OUTER: 4.5, BEHIND: 3 },
+    RAY_MAX_DIST: 20,                   // m — DQN lidarRays normalisation
+    OVERTAKE_START_DISTANCE: 18,
+    OVERTAKE_END_DISTANCE: 25,
+    TRAFFIC_LIGHT_RANGE: 80,            // m — camera detections considered for the signal state
+    SIGN_CONFIDENCE: 0.6,
+    SIGN_VIEW: [0.35, 0.65],            // viewport x band of signals that apply to the ego lane
+    STOP_SIGN_DISTANCE: 12,             // m — start of the stop-sign yield
+    STOP_SIGN_RESET_DISTANCE: 15,
+    STOP_SIGN_WAIT: 2.0,                // s stopped before proceeding
+    STOPPED_SPEED: 0.5,
+    PEDESTRIAN_PATH_HALF_WIDTH: 1.0,
+    PEDESTRIAN_PATH_LENGTH: 15,
+    TRACK_CONFIDENCE: 0.5,
+    SIREN_RANGE: 60,
+    VISIBILITY: { daylight: 1.0, dusk: 0.7, night: 0.4 },
+    VISIBILITY_PENALTY: { fog: 0.3, rain: 0.2 },
+    NO_OBSTACLE: 100,                   // m — "clear" value of every distance
+};
+
+const LIGHT_COLORS = { 'T-RED': 'red', 'T-YELLOW': 'yellow', 'T-GREEN': 'green' };
+
+/**
+ * @typedef {Object} WorldState
+ * @property {number} speed m/s
+ * @property {number} speedLimit m/s (zone limit, capped near planned turns)
+ * @property {boolean} pathClear No obstacle within PATH_BLOCKED_DISTANCE in the corridor
+ * @property {boolean} alignedWithWaypoint Waypoint / route target within ALIGN_ANGLE of the heading
+ * @property {string} targetDirection 'LEFT' | 'RIGHT' | 'STRAIGHT' steering hint (overtake side while overtaking)
+ * @property {number} distanceToObstacle m to the nearest LiDAR return in the corridor (100 = clear)
+ * @property {number} distanceLeft m to the nearest obstacle in the lane to the left (100 = clear)
+ * @property {number} distanceRight m to the nearest obstacle in the lane to the right (100 = clear)
+ * @property {boolean} approachingRedLight Red or yellow light ahead (must stop)
+ * @property {string|null} trafficLight 'red' | 'yellow' | 'green' of the nearest light ahead
+ * @property {number} distanceToStopLine m along the heading to the next stop line (100 = none)
+ * @property {boolean} approachingStopSign Stop sign ahead not yet yielded to
+ * @property {number} distanceToIntersection m to the nearest stop-relevant sign / light (100 = none)
+ * @property {boolean} pedestrianInCrosswalk Any pedestrian track nearby
+ * @property {boolean} pedestrianInMyPath Pedestrian in the ego lane ahead
+ * @property {number} pedestriansNearby Pedestrian track count
+ * @property {boolean} emergencySirenHeard Emergency vehicle heard within SIREN_RANGE
+ * @property {boolean} inIntersection
+ * @property {boolean} inOvertake
+ * @property {string|null} overtakeSide
+ * @property {boolean} noPassingZone Route segment is marked no-passing
+ * @property {boolean} zoneIsSchool
+ * @property {number} visibility 0–1 from time of day and weather
+ * @property {Object[]} tracks Fused object tracks (SensorFusion)
+ */
+
+/**
+ * @typedef {Object} WorldMemory
+ * State carried between ticks; returned updated, never mutated.
+ * @property {{ isStopped: boolean, timeStopped: number }} stopSign Stop-sign yield timer
+ * @property {{ inOvertake: boolean, side: string|null }} overtake Committed overtake side
+ */
+
+/**
+ * Memory for the first tick of a run.
+ * @returns {WorldMemory}
+ */
+export function initialWorldMemory() {
+    return {
+        stopSign: { isStopped: false, timeStopped: 0 },
+        overtake: { inOvertake: false, side: null },
+    };
+}
+
+/**
+ * Nearest intersection centre to a world position.
+ * @param {number} x
+ * @param {number} z
+ * @returns {{ x: number, z: number }}
+ */
+export function nearestIntersectionCenter(x, z) {
+    const origin = -WORLD_HALF + WORLD_STATE.ROAD_HALF_WIDTH;
+    const col = Math.round((x - origin) / GRID.BLOCK_STRIDE);
+    const row = Math.round((z - origin) / GRID.BLOCK_STRIDE);
+    return { x: origin + col * GRID.BLOCK_STRIDE, z: origin + row * GRID.BLOCK_STRIDE };
+}
+
+/**
+ * Distance along the heading to the stop line of the next intersection
+ * ahead (the car's heading snapped to the road axis it is driving on).
+ * @param {Object} vehicle { position, heading }
+ * @returns {number} m, 100 when no intersection lies ahead
+ */
+export function distanceToNextStopLine(vehicle) {
+    const fx = -Math.sin(vehicle.heading);
+    const fz = -Math.cos(vehicle.heading);
+    const alongX = Math.abs(fx) > Math.abs(fz);
+    const dir = Math.sign(alongX ? fx : fz);
+    const pos = alongX ? vehicle.position[0] : vehicle.position[2];
+
+    let best = WORLD_STATE.NO_OBSTACLE;
+    for (let i = 0; i <= GRID.BLOCKS_PER_SIDE; i++) {
+        const center = -WORLD_HALF + WORLD_STATE.ROAD_HALF_WIDTH + i * GRID.BLOCK_STRIDE;
+        const toStopLine = (center - pos) * dir - ROUTE.STOP_LINE;
+        if (toStopLine >= 0 && toStopLine < best) best = toStopLine;
+    }
+    return best;
+}
+
+/**
+ * Scalar visibility (0–1) from time of day and weather.
+ * @param {number} timeOfDay
+ * @param {string} weather
+ * @returns {number}
+ */
+export function computeVisibility(timeOfDay, weather) {
+    const visibility = interpolateTimeOfDay(WORLD_STATE.VISIBILITY, timeOfDay)
+        - (WORLD_STATE.VISIBILITY_PENALTY[weather] || 0);
+    return Math.max(0, Math.min(1, visibility));
+}
+
+/**
+ * Turn one tick of vehicle, sensor and navigation state into the
+ * AIDriver's world state and the DQN's normalised inputs. Pure: the
+ * same inputs always give the same outputs and nothing is mutated, so
+ * the live AIPilot, the headless Simulation and offline tools share it.
+ *
+ * @param {Object} vehicle { position, heading, speed, currentZone }
+ * @param {Object} sensors Raw outputs { lidar, thermal, camera, audio } plus
+ *   { tracks (SensorFusion.update), weather, timeOfDay }
+ * @param {Object} activeSensors { lidar, thermal, camera, audio } toggles
+ * @param {Object} game Navigation for this tick
+ * @param {Object|null} game.waypoint Current waypoint ({ position }), null when none is being steered for
+ * @param {Object|null} game.follow RoutePlanner.follow() result for the current leg, null without a route
+ * @param {WorldMemory} memory From initialWorldMemory() or the previous tick
+ * @param {number} [dt=0.1] Seconds since the previous tick (stop-sign timer)
+ * @returns {{ worldState: WorldState, dqnState: Object, navigation: Object, memory: WorldMemory }}
+ *   navigation: { targetDirection (raw, without the overtake side), pathTarget } for the control layer
+ */
+export function buildWorldState(vehicle, sensors, activeSensors, game, memory, dt = 0.1) {
+    const { waypoint, follow } = game;
+    const [vx, , vz] = vehicle.position;
+
+    let targetDirection = 'STRAIGHT';
+    let alignedWithWaypoint = true;
+    let headingErrorNormalized = 0.0;
+    let crossTrackErrorRaw = 0.0;
+    const followingRoute = Boolean(follow);
+    const noPassingZone = follow ? follow.noPassing : false;
+    const turnDistance = follow ? follow.turnDistance : Infinity;
+    const pathTarget = follow ? follow.target : null;
+    // Direction the obstacle corridor is checked along: straight ahead, or
+    // towards the route's lookahead point so a turn looks down its own exit
+    let corridorX = -Math.sin(vehicle.heading);
+    let corridorZ = -Math.cos(vehicle.heading);
+
+    // --- Navigation: steer for a lookahead point on the planned lane path
+    // (straight at the waypoint only if no route exists) ---
+    if (waypoint) {
+        let targetDx = waypoint.position[0] - vx;
+        let targetDz = waypoint.position[2] - vz;
+        if (follow) {
+            targetDx = follow.target[0] - vx;
+            targetDz = follow.target[1] - vz;
+            crossTrackErrorRaw = follow.crossTrack;
+        }
+
+        // To calculate relative angle consistently, use dot/cross products with forward vector
+        const fwdX = -Math.sin(vehicle.heading);
+        const fwdZ = -Math.cos(vehicle.heading);
+
+        const distToTarget = Math.sqrt(targetDx * targetDx + targetDz * targetDz);
+
+        if (distToTarget > 0.1) {
+            const ndx = targetDx / distToTarget;
+            const ndz = targetDz / distToTarget;
+            if (followingRoute) {
+                corridorX = ndx;
+                corridorZ = ndz;
+            }
+
+            const crossY = fwdZ * ndx - fwdX * ndz;
+            // Dot product = cos of angle
+            const dot = fwdX * ndx + fwdZ * ndz;
+
+            // Math.atan2(y, x) -> atan2(cross, dot) gives -PI to PI
+            const relativeAngle = Math.atan2(crossY, dot);
+            const angleDeg = relativeAngle * (180 / Math.PI);
+
+            // Extract normalized heading error (-1.0 to 1.0)
+            headingErrorNormalized = relativeAngle / Math.PI;
+
+            if (angleDeg > WORLD_STATE.ALIGN_ANGLE) {
+                targetDirection = 'LEFT';
+                alignedWithWaypoint = false;
+            } else if (angleDeg < -WORLD_STATE.ALIGN_ANGLE) {
+                targetDirection = 'RIGHT';
+                alignedWithWaypoint = false;
+            }
+        }
+    }
+
+    // --- Intersection & Strict Lane Centering ---
+    const roadWidthHalf = WORLD_STATE.ROAD_HALF_WIDTH;
+    const center = nearestIntersectionCenter(vx, vz);
+    const distFromCenterX = Math.abs(vx - center.x);
+    const distFromCenterZ = Math.abs(vz - center.z);
+
+    // We are inside an intersection if within the 14x14m square
+    const inIntersection = distFromCenterX < roadWidthHalf && distFromCenterZ < roadWidthHalf;
+
+    // Strict Lane Keeping to prevent driving into buildings (only active when not turning wildly in an intersection).
+    // Fallback for when there is no planned route — the route's lookahead already holds the lane.
+    if (!inIntersection && !followingRoute) {
+        const laneOffset = WORLD_STATE.LANE_OFFSET;
+        const tolerance = WORLD_STATE.LANE_TOLERANCE;
+        if (distFromCenterZ < roadWidthHalf) {
+            // On East-West Road
+            const isEastBound = Math.sin(vehicle.heading) < 0;
+            const targetZ = center.z + (isEastBound ? laneOffset : -laneOffset);
+            const errorZ = vz - targetZ;
+            crossTrackErrorRaw = errorZ;
+
+            if (errorZ > tolerance) targetDirection = isEastBound ? 'LEFT' : 'RIGHT';
+            if (errorZ < -tolerance) targetDirection = isEastBound ? 'RIGHT' : 'LEFT';
+        } else if (distFromCenterX < roadWidthHalf) {
+            // On North-South Road
+            const isSouthBound = Math.cos(vehicle.heading) < 0;
+            const targetX = center.x + (isSouthBound ? -laneOffset : laneOffset);
+            const errorX = vx - targetX;
+            crossTrackErrorRaw = errorX;
+
+            if (errorX > tolerance) targetDirection = isSouthBound ? 'RIGHT' : 'LEFT';
+            if (errorX < -tolerance) targetDirection = isSouthBound ? 'LEFT' : 'RIGHT';
+        }
+    }
+
+    // --- Sensor Fusion: Obstacle Detection ---
+    let distanceToObstacle = WORLD_STATE.NO_OBSTACLE;
+    let distanceLeft = WORLD_STATE.NO_OBSTACLE;       // nearest obstacle in the lane to the left / right
+    let distanceRight = WORLD_STATE.NO_OBSTACLE;
+
+    // Alongside or ahead in an adjacent lane: how far until that lane is blocked
+    const lane = WORLD_STATE.ADJACENT_LANE;
+    const noteAdjacent = (local) => {
+        const offset = Math.abs(local.x);
+        if (offset < lane.INNER || offset > lane.OUTER) return;
+        if (local.z < -lane.BEHIND) return;
+        const dist = Math.max(0, local.z);
+        if (local.x < 0) distanceLeft = Math.min(distanceLeft, dist);
+        else distanceRight = Math.min(distanceRight, dist);
+    };
+
+    // For the DQN, collect 5 distinct rays of depth
+    const lidarRays = [1.0, 1.0, 1.0, 1.0, 1.0]; // Far Left, Left, Center, Right, Far Right. 1.0 = Max distance
+    const RAY_MAX_DIST = WORLD_STATE.RAY_MAX_DIST;
+
+    const cosH = Math.cos(vehicle.heading);
+    const sinH = Math.sin(vehicle.heading);
+
+    // Use LiDAR to find closest point in forward path
+    if (activeSensors.lidar && sensors.lidar?.points) {
+        for (const p of sensors.lidar.points) {
+            if (p.y < WORLD_STATE.LIDAR_MIN_HEIGHT) continue;
+
+            const relX = p.x - vx;
+            const relZ = p.z - vz;
+            if (isLidarClutter(p, Math.sqrt(relX * relX + relZ * relZ))) continue;
+
+            // Convert to local relative space (positive Z is straight ahead)
+            const localX = relX * cosH - relZ * sinH;
+            const localZ = -relX * sinH - relZ * cosH;
+
+            // Is the point in front of us and within our lane or immediate boundary?
+            const pathZ = relX * corridorX + relZ * corridorZ;
+            const pathX = relX * -corridorZ + relZ * corridorX;
+            if (pathZ > WORLD_STATE.CORRIDOR_MIN_AHEAD && Math.abs(pathX) < WORLD_STATE.CORRIDOR_HALF_WIDTH) {
+                const dist = Math.sqrt(pathX * pathX + pathZ * pathZ);
+                if (dist < distanceToObstacle) {
+                    distanceToObstacle = dist;
+                }
+            }
+            noteAdjacent({ x: localX, z: localZ });
+
+            // Bin the points for the DQN Neural Network
+            if (localZ > 0 && localZ < RAY_MAX_DIST) {
+                const distNormalized = Math.min(1.0, localZ / RAY_MAX_DIST);
+                if (localX < -3.0 && localX > -6.0) lidarRays[0] = Math.min(lidarRays[0], distNormalized); // Far Left
+                else if (localX < -1.0 && localX >= -3.0) lidarRays[1] = Math.min(lidarRays[1], distNormalized); // Left
+                else if (Math.abs(localX) <= 1.0) lidarRays[2] = Math.min(lidarRays[2], distNormalized); // Center
+                else if (localX > 1.0 && localX <= 3.0) lidarRays[3] = Math.min(lidarRays[3], distNormalized); // Right
+                else if (localX > 3.0 && localX < 6.0) lidarRays[4] = Math.min(lidarRays[4], distNormalized); // Far Right
+            }
+        }
+    }
+
+    const pathClear = distanceToObstacle >= WORLD_STATE.PATH_BLOCKED_DISTANCE;
+
+    // --- Simple overtake state machine ---
+    // Prevent left-right weaving by committing to a chosen side
+    // while passing around a blocking obstacle.
+    const ot = { ...memory.overtake };
+    if (inIntersection) {
+        // Never maintain an overtake state inside intersections.
+        ot.inOvertake = false;
+        ot.side = null;
+    } else if (!ot.inOvertake) {
+        // Start an overtake when the path ahead is blocked at short range.
+        // Across a solid double-yellow only to get round a blockage once stopped.
+        const mayPass = !noPassingZone || vehicle.speed < ROUTE.BLOCKED_SPEED;
+        if (!pathClear && distanceToObstacle < WORLD_STATE.OVERTAKE_START_DISTANCE && mayPass) {
+            // Pass on the side the route wants, defaulting to the left
+            ot.inOvertake = true;
+            ot.side = targetDirection === 'LEFT' || targetDirection === 'RIGHT' ? targetDirection : 'LEFT';
+        }
+    } else if (pathClear && distanceToObstacle > WORLD_STATE.OVERTAKE_END_DISTANCE) {
+        // End overtake once the obstacle is well behind / path clear again.
+        ot.inOvertake = false;
+        ot.side = null;
+    }
+
+    let approachingRedLight = false;
+    let trafficLight = null;                // 'red' | 'yellow' | 'green' of the signal ahead
+    let trafficLightDistance = Infinity;
+    let approachingStopSign = false;
+    let distanceToIntersection = WORLD_STATE.NO_OBSTACLE;
+    // Pedestrian awareness
+    let pedestrianInMyPath = false;         // pedestrian in ego lane / path
+    let pedestriansNearby = 0;              // count of pedestrians detected around intersection
+    let emergencySirenHeard = false;
+
+    let seeStopSign = false;
+
+    // --- Sensor Fusion: object tracks (LiDAR + Thermal + Camera + Audio) ---
+    const tracks = sensors.tracks || [];
+    for (const track of tracks) {
+        if (track.class === 'pedestrian' && track.confidence > WORLD_STATE.TRACK_CONFIDENCE) {
+            pedestriansNearby += 1;
+
+            // Narrow path check: close to lane center and within short distance ahead,
+            // so pedestrians standing on the sidewalk beside the lane do not count.
+            if (Math.abs(track.local.x) < WORLD_STATE.PEDESTRIAN_PATH_HALF_WIDTH
+                && track.local.z > 0 && track.local.z < WORLD_STATE.PEDESTRIAN_PATH_LENGTH) {
+                pedestrianInMyPath = true;
+            }
+        }
+
+        // Tracks cover adjacent-lane traffic the LiDAR misses (or when it is off)
+        if (track.confidence > WORLD_STATE.TRACK_CONFIDENCE) noteAdjacent(track.local);
+
+        // Audio warns of approaching emergency vehicles out of sight
+        if (track.class === 'emergency' && track.evidence.audio > 0.05 && track.distance < WORLD_STATE.SIREN_RANGE) {
+            emergencySirenHeard = true;
+        }
+    }
+
+    // --- Camera CV: traffic control (signal state is camera-only) ---
+    if (activeSensors.camera && sensors.camera?.views?.main) {
+        const [viewMin, viewMax] = WORLD_STATE.SIGN_VIEW;
+        for (const det of sensors.camera.views.main) {
+            // det.x is viewport x, where 0.5 is center. Only signals reasonably centered
+            // in the field of view apply to the ego lane (no phantom braking from
+            // side-facing lights).
+            const centerX = det.x + (det.w || 0) / 2;
+            if (det.confidence <= WORLD_STATE.SIGN_CONFIDENCE || centerX <= viewMin || centerX >= viewMax) continue;
+
+            if (LIGHT_COLORS[det.label]) {
+                if (det.distance >= WORLD_STATE.TRAFFIC_LIGHT_RANGE) continue;
+                // The nearest centered light is the one governing our approach
+                if (det.distance < trafficLightDistance) {
+                    trafficLightDistance = det.distance;
+                    trafficLight = LIGHT_COLORS[det.label];
+                }
+                if (det.label !== 'T-GREEN') {
+                    approachingRedLight = true; // Red and yellow both mean "must stop"
+                    distanceToIntersection = Math.min(distanceToIntersection, det.distance);
+                }
+            } else if (det.label === 'STOP-SIGN') {
+                seeStopSign = true;
+                distanceToIntersection = Math.min(distanceToIntersection, det.distance);
+            }
+        }
+    }
+
+    // --- Stop Sign Yielding Logic ---
+    const stopSign = { ...memory.stopSign };
+    if (seeStopSign && distanceToIntersection < WORLD_STATE.STOP_SIGN_DISTANCE) {
+        if (vehicle.speed < WORLD_STATE.STOPPED_SPEED) {
+            stopSign.isStopped = true;
+            stopSign.timeStopped += dt;
+        }
+
+        // If we haven't yielded long enough, keep stopping
+        if (!stopSign.isStopped || stopSign.timeStopped < WORLD_STATE.STOP_SIGN_WAIT) {
+            approachingStopSign = true;
+        }
+    } else if (!seeStopSign && distanceToIntersection > WORLD_STATE.STOP_SIGN_RESET_DISTANCE) {
+        // Reset tracker when we've cleared the intersection
+        stopSign.isStopped = false;
+        stopSign.timeStopped = 0;
+    }
+
+    // Convert zone speed limit from MPH to m/s
+    let zoneSpeedLimitMps = (SPEED_LIMITS[vehicle.currentZone] || 35) * 0.44704;
+    // Slow for planned turns so the car can hold the curve
+    if (turnDistance < ROUTE.TURN_SLOWDOWN_DISTANCE) {
+        zoneSpeedLimitMps = Math.min(zoneSpeedLimitMps, ROUTE.TURN_SPEED);
+    }
+
+    const worldState = {
+        speed: vehicle.speed,
+        pathClear,
+        alignedWithWaypoint,
+        speedLimit: zoneSpeedLimitMps,
+        // If we are in a committed overtake, expose that as the steering
+        // target so the AIDriver can honor it consistently.
+        targetDirection: ot.inOvertake && ot.side ? ot.side : targetDirection,
+        distanceToObstacle,
+        distanceLeft,
+        distanceRight,
+        approachingRedLight,
+        trafficLight,
+        distanceToStopLine: distanceToNextStopLine(vehicle),
+        approachingStopSign,
+        distanceToIntersection,
+        // "Any pedestrians" for backwards compatibility / UI; the stricter
+        // "in my path" flag drives safety overrides and RL
+        pedestrianInCrosswalk: pedestriansNearby > 0,
+        pedestrianInMyPath,
+        pedestriansNearby,
+        emergencySirenHeard,
+        inIntersection,
+        inOvertake: ot.inOvertake,
+        overtakeSide: ot.side,
+        noPassingZone,
+        // Additional context for DQN state vector
+        zoneIsSchool: vehicle.currentZone === 'school',
+        visibility: computeVisibility(sensors.timeOfDay, sensors.weather),
+        // Fused object tracks (consumed by perception + Glass Box panels)
+        tracks,
+    };
+
+    // Package normalized inputs for Neural Network execution
+    const dqnState = {
+        normalizedSpeed: Math.min(1.0, Math.max(0.0, vehicle.speed / zoneSpeedLimitMps)),
+        crossTrackError: Math.min(1.0, Math.max(-1.0, crossTrackErrorRaw / 3.0)), // normalize to roughly -1 to 1 based on lane width
+        headingError: headingErrorNormalized,
+        inIntersection: inIntersection ? 1.0 : 0.0,
+        lidarRays,
+    };
+
+    return {
+        worldState,
+        dqnState,
+        navigation: { targetDirection, pathTarget },
+        memory: { stopSign, overtake: ot },
+    };
+}
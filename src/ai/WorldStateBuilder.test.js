@@ -0,0 +1,337 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    WORLD_STATE,
+    buildWorldState,
+    initialWorldMemory,
+    nearestIntersectionCenter,
+} from './WorldStateBuilder.js';
+
+// --- Fixtures ---
+// Intersection centres sit at -108, -54, 0, 54, 108 on both axes.
+// Heading 0 faces north (-Z); vehicle-local +x is right, +z ahead.
+
+const NORTH = 0;
+const EAST = -Math.PI / 2;
+
+/** Northbound in the right-hand lane, mid-block between (0, 0) and (0, 54). */
+function vehicleFixture(overrides = {}) {
+    return {
+        position: [WORLD_STATE.LANE_OFFSET, 0, 30],
+        heading: NORTH,
+        speed: 8,
+        currentZone: 'city',
+        ...overrides,
+    };
+}
+
+const ALL_SENSORS = { lidar: true, thermal: true, camera: true, audio: true };
+const NO_NAVIGATION = { waypoint: null, follow: null };
+
+function sensorsFixture({ points = [], detections = [], tracks = [] } = {}) {
+    return {
+        lidar: { points },
+        thermal: null,
+        camera: { views: { main: detections } },
+        audio: null,
+        tracks,
+        weather: 'clear',
+        timeOfDay: 'daylight',
+    };
+}
+
+/** LiDAR return at a vehicle-local offset from a northbound vehicle. */
+function localPoint(vehicle, x, z, extra = {}) {
+    return { x: vehicle.position[0] + x, y: 1, z: vehicle.position[2] - z, intensity: 0.5, ...extra };
+}
+
+/** Centered camera detection. */
+function detection(label, distance, extra = {}) {
+    return { label, distance, x: 0.45, w: 0.1, confidence: 0.9, ...extra };
+}
+
+function track(cls, local, extra = {}) {
+    return {
+        class: cls,
+        local,
+        distance: Math.hypot(local.x, local.z),
+        confidence: 0.9,
+        evidence: { lidar: 0, thermal: 0, camera: 0, audio: 0 },
+        ...extra,
+    };
+}
+
+function build({ vehicle = vehicleFixture(), sensors = sensorsFixture(), active = ALL_SENSORS,
+    game = NO_NAVIGATION, memory = initialWorldMemory(), dt = 0.1 } = {}) {
+    return buildWorldState(vehicle, sensors, active, game, memory, dt);
+}
+
+// --- Lane centering ---
+
+describe('lane centering', () => {
+    it('holds straight in the centre of the right-hand lane', () => {
+        const { worldState, dqnState } = build();
+        assert.equal(worldState.targetDirection, 'STRAIGHT');
+        assert.equal(dqnState.crossTrackError, 0);
+    });
+
+    it('steers back left when drifting right of the lane (northbound)', () => {
+        const { worldState, dqnState } = build({ vehicle: vehicleFixture({ position: [3, 0, 30] }) });
+        assert.equal(worldState.targetDirection, 'LEFT');
+        assert.equal(dqnState.crossTrackError, 0.5);
+    });
+
+    it('steers back right when drifting toward the centre line (northbound)', () => {
+        const { worldState } = build({ vehicle: vehicleFixture({ position: [0.2, 0, 30] }) });
+        assert.equal(worldState.targetDirection, 'RIGHT');
+    });
+
+    it('keeps right on an east-west road (eastbound lane is south of the centre line)', () => {
+        const vehicle = vehicleFixture({ position: [27, 0, -0.5], heading: EAST });
+        const { worldState, dqnState } = build({ vehicle });
+        assert.equal(worldState.targetDirection, 'RIGHT');
+        assert.equal(dqnState.crossTrackError, -2 / 3);
+    });
+
+    it('defers to the planned route when one is being followed', () => {
+        const vehicle = vehicleFixture({ position: [3, 0, 30] });
+        const follow = { target: [3, 20], crossTrack: 1.5, noPassing: false, turnDistance: Infinity };
+        const { worldState, dqnState, navigation } = build({
+            vehicle,
+            game: { waypoint: { position: [3, 0, -54] }, follow },
+        });
+        assert.equal(worldState.targetDirection, 'STRAIGHT');
+        assert.equal(dqnState.crossTrackError, 0.5);
+        assert.deepEqual(navigation.pathTarget, [3, 20]);
+    });
+});
+
+// --- Intersection detection ---
+
+describe('intersection detection', () => {
+    it('finds the nearest intersection centre', () => {
+        assert.deepEqual(nearestIntersectionCenter(3, -50), { x: 0, z: -54 });
+        assert.deepEqual(nearestIntersectionCenter(-100, 110), { x: -108, z: 108 });
+    });
+
+    it('flags positions inside the intersection square', () => {
+        const inside = build({ vehicle: vehicleFixture({ position: [2, 0, 6.9] }) });
+        assert.equal(inside.worldState.inIntersection, true);
+        assert.equal(inside.dqnState.inIntersection, 1);
+
+        const outside = build({ vehicle: vehicleFixture({ position: [2, 0, 7.1] }) });
+        assert.equal(outside.worldState.inIntersection, false);
+        assert.equal(outside.dqnState.inIntersection, 0);
+    });
+
+    it('skips lane centering inside an intersection', () => {
+        const { worldState } = build({ vehicle: vehicleFixture({ position: [4, 0, 2] }) });
+        assert.equal(worldState.targetDirection, 'STRAIGHT');
+    });
+
+    it('measures the distance to the next stop line ahead', () => {
+        // Next intersection north is at z = 0; its stop line is ROAD_HALF_WIDTH short of the centre
+        const { worldState } = build();
+        assert.equal(worldState.distanceToStopLine, 30 - WORLD_STATE.ROAD_HALF_WIDTH);
+    });
+});
+
+// --- LiDAR binning ---
+
+describe('LiDAR binning', () => {
+    const vehicle = vehicleFixture();
+
+    it('bins returns ahead into five normalised rays', () => {
+        const points = [
+            localPoint(vehicle, -4.5, 8),   // far left
+            localPoint(vehicle, -2, 4),     // left
+            localPoint(vehicle, 0, 10),     // centre
+            localPoint(vehicle, 2, 16),     // right
+            localPoint(vehicle, 5, 30),     // far right, beyond RAY_MAX_DIST
+        ];
+        const { dqnState, worldState } = build({ vehicle, sensors: sensorsFixture({ points }) });
+        assert.deepEqual(dqnState.lidarRays, [0.4, 0.2, 0.5, 0.8, 1]);
+        assert.equal(worldState.distanceToObstacle, 10);
+        assert.equal(worldState.pathClear, false);
+    });
+
+    it('keeps the nearest return per ray', () => {
+        const points = [localPoint(vehicle, 0.5, 12), localPoint(vehicle, -0.5, 6)];
+        const { dqnState } = build({ vehicle, sensors: sensorsFixture({ points }) });
+        assert.equal(dqnState.lidarRays[2], 0.3);
+    });
+
+    it('ignores road-surface, behind-the-car and rain-clutter returns', () => {
+        const points = [
+            localPoint(vehicle, 0, 5, { y: 0.2 }),
+            localPoint(vehicle, 0, -5),
+            localPoint(vehicle, 0, 3, { intensity: 0.005 }),
+        ];
+        const { dqnState, worldState } = build({ vehicle, sensors: sensorsFixture({ points }) });
+        assert.deepEqual(dqnState.lidarRays, [1, 1, 1, 1, 1]);
+        assert.equal(worldState.distanceToObstacle, WORLD_STATE.NO_OBSTACLE);
+        assert.equal(worldState.pathClear, true);
+    });
+
+    it('reads nothing while the LiDAR is off', () => {
+        const points = [localPoint(vehicle, 0, 10)];
+        const { dqnState } = build({
+            vehicle,
+            sensors: sensorsFixture({ points }),
+            active: { ...ALL_SENSORS, lidar: false },
+        });
+        assert.deepEqual(dqnState.lidarRays, [1, 1, 1, 1, 1]);
+    });
+});
+
+// --- Left / right clearances ---
+
+describe('clearances', () => {
+    const vehicle = vehicleFixture();
+
+    it('reports the nearest LiDAR return in each adjacent lane', () => {
+        const points = [
+            localPoint(vehicle, -3, 6),
+            localPoint(vehicle, -3, 9),
+            localPoint(vehicle, 3, 11),
+        ];
+        const { worldState } = build({ vehicle, sensors: sensorsFixture({ points }) });
+        assert.equal(worldState.distanceLeft, 6);
+        assert.equal(worldState.distanceRight, 11);
+    });
+
+    it('counts an obstacle alongside as blocking (distance 0)', () => {
+        const points = [localPoint(vehicle, 3, -2)];
+        const { worldState } = build({ vehicle, sensors: sensorsFixture({ points }) });
+        assert.equal(worldState.distanceRight, 0);
+    });
+
+    it('ignores the ego lane, lanes further out and obstacles well behind', () => {
+        const points = [
+            localPoint(vehicle, 1, 5),
+            localPoint(vehicle, 5, 5),
+            localPoint(vehicle, -3, -5),
+        ];
+        const { worldState } = build({ vehicle, sensors: sensorsFixture({ points }) });
+        assert.equal(worldState.distanceLeft, WORLD_STATE.NO_OBSTACLE);
+        assert.equal(worldState.distanceRight, WORLD_STATE.NO_OBSTACLE);
+    });
+
+    it('uses confident fusion tracks when the LiDAR is off', () => {
+        const tracks = [
+            track('vehicle', { x: 3, z: 12 }),
+            track('vehicle', { x: -3, z: 4 }, { confidence: 0.2 }),
+        ];
+        const { worldState } = build({
+            vehicle,
+            sensors: sensorsFixture({ tracks }),
+            active: { ...ALL_SENSORS, lidar: false },
+        });
+        assert.equal(worldState.distanceRight, 12);
+        assert.equal(worldState.distanceLeft, WORLD_STATE.NO_OBSTACLE);
+    });
+});
+
+// --- Traffic-light parsing ---
+
+describe('traffic-light parsing', () => {
+    const lightState = (detections, active = ALL_SENSORS) =>
+        build({ sensors: sensorsFixture({ detections }), active }).worldState;
+
+    it('reads a red light ahead as must-stop', () => {
+        const state = lightState([detection('T-RED', 30)]);
+        assert.equal(state.trafficLight, 'red');
+        assert.equal(state.approachingRedLight, true);
+        assert.equal(state.distanceToIntersection, 30);
+    });
+
+    it('treats yellow as must-stop and green as go', () => {
+        assert.equal(lightState([detection('T-YELLOW', 25)]).approachingRedLight, true);
+
+        const green = lightState([detection('T-GREEN', 25)]);
+        assert.equal(green.trafficLight, 'green');
+        assert.equal(green.approachingRedLight, false);
+        assert.equal(green.distanceToIntersection, WORLD_STATE.NO_OBSTACLE);
+    });
+
+    it('takes the colour of the nearest centered light', () => {
+        assert.equal(lightState([detection('T-RED', 60), detection('T-GREEN', 20)]).trafficLight, 'green');
+    });
+
+    it('ignores side-facing, uncertain and distant lights', () => {
+        const state = lightState([
+            detection('T-RED', 20, { x: 0.8 }),
+            detection('T-RED', 20, { confidence: 0.4 }),
+            detection('T-RED', WORLD_STATE.TRAFFIC_LIGHT_RANGE + 5),
+        ]);
+        assert.equal(state.trafficLight, null);
+        assert.equal(state.approachingRedLight, false);
+    });
+
+    it('sees no lights while the camera is off', () => {
+        const state = lightState([detection('T-RED', 30)], { ...ALL_SENSORS, camera: false });
+        assert.equal(state.trafficLight, null);
+    });
+});
+
+// --- Stop-sign timer ---
+
+describe('stop-sign timer', () => {
+    const stopSign = sensorsFixture({ detections: [detection('STOP-SIGN', 8)] });
+
+    it('yields until stopped for STOP_SIGN_WAIT, then releases', () => {
+        let memory = initialWorldMemory();
+        let result = build({ vehicle: vehicleFixture({ speed: 5 }), sensors: stopSign, memory });
+        assert.equal(result.worldState.approachingStopSign, true);
+        assert.equal(result.memory.stopSign.isStopped, false);
+
+        const stopped = vehicleFixture({ speed: 0 });
+        const dt = 0.5;
+        for (let t = dt; t < WORLD_STATE.STOP_SIGN_WAIT; t += dt) {
+            memory = result.memory;
+            result = build({ vehicle: stopped, sensors: stopSign, memory, dt });
+            assert.equal(result.worldState.approachingStopSign, true, `still yielding after ${t} s`);
+        }
+        result = build({ vehicle: stopped, sensors: stopSign, memory: result.memory, dt });
+        assert.equal(result.memory.stopSign.timeStopped, WORLD_STATE.STOP_SIGN_WAIT);
+        assert.equal(result.worldState.approachingStopSign, false);
+    });
+
+    it('ignores a stop sign that is still far off', () => {
+        const far = sensorsFixture({ detections: [detection('STOP-SIGN', WORLD_STATE.STOP_SIGN_DISTANCE + 2)] });
+        assert.equal(build({ sensors: far }).worldState.approachingStopSign, false);
+    });
+
+    it('resets once the intersection is cleared', () => {
+        const memory = { ...initialWorldMemory(), stopSign: { isStopped: true, timeStopped: 2.5 } };
+        const { memory: next } = build({ memory });
+        assert.deepEqual(next.stopSign, { isStopped: false, timeStopped: 0 });
+    });
+
+    it('returns new memory without mutating the previous tick', () => {
+        const memory = initialWorldMemory();
+        build({ vehicle: vehicleFixture({ speed: 0 }), sensors: stopSign, memory });
+        assert.deepEqual(memory, initialWorldMemory());
+    });
+});
+
+// --- Siren ---
+
+describe('siren feature', () => {
+    const heard = (tracks) => build({ sensors: sensorsFixture({ tracks }) }).worldState.emergencySirenHeard;
+    const siren = (z, audio = 0.5) =>
+        track('emergency', { x: 0, z }, { evidence: { lidar: 0, thermal: 0, camera: 0, audio } });
+
+    it('hears an emergency vehicle within range', () => {
+        assert.equal(heard([siren(40)]), true);
+    });
+
+    it('ignores sirens beyond SIREN_RANGE', () => {
+        assert.equal(heard([siren(WORLD_STATE.SIREN_RANGE + 10)]), false);
+    });
+
+    it('needs audio evidence, not just a sighting', () => {
+        assert.equal(heard([siren(20, 0)]), false);
+        assert.equal(heard([track('vehicle', { x: 0, z: 20 }, { evidence: { audio: 0.9 } })]), false);
+    });
+});
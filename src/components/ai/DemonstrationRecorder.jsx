@@ -0,0 +1,57 @@
+import { useEffect } from 'react';
+import useSensorStore from '../../stores/useSensorStore.js';
+import useVehicleStore from '../../stores/useVehicleStore.js';
+import useGameStore from '../../stores/useGameStore.js';
+import useReplayStore from '../../stores/useReplayStore.js';
+import useAIStore from '../../stores/useAIStore.js';
+import useDemonstrationStore from '../../stores/useDemonstrationStore.js';
+import { AIPilot } from '../../ai/AIPilot.js';
+import { buildDQNState } from '../../ai/DQNDecisionEngine.js';
+import { DEMONSTRATION, inputsToAction } from '../../systems/imitation/demonstrationLog.js';
+
+/**
+ * Records the student's Phase A drive as behavior-cloning data: the AI's
+ * perception of each moment, labelled with what the student pressed.
+ */
+export default function DemonstrationRecorder({ enabled = true }) {
+    useEffect(() => {
+        if (!enabled) return;
+
+        // Perception only: observe() neither drives nor needs the weights
+        const pilot = new AIPilot();
+        let sessionId = useGameStore.getState().sessionId;
+        let lastSeen = null;     // session time at the previous check
+        let simulated = null;    // simulated seconds since the last sample (null: none yet)
+
+        const interval = setInterval(() => {
+            if (useReplayStore.getState().mode === 'playing') return;
+            // Paused (or single-stepping, or a prediction prompt): the student isn't driving
+            const { isPaused, timeScale } = useAIStore.getState();
+            if (isPaused) return;
+
+            const game = useGameStore.getState();
+            // New session or rewind: the next sample starts a fresh sequence
+            if (game.sessionId !== sessionId || game.sessionTime < lastSeen) {
+                sessionId = game.sessionId;
+                lastSeen = null;
+                simulated = null;
+                pilot.reset();
+            }
+            // Session time is unscaled: the Glass Box time scale turns it into
+            // simulated time, the clock the samples (and observe's dt) run on
+            if (simulated !== null) simulated += (game.sessionTime - lastSeen) * timeScale;
+            lastSeen = game.sessionTime;
+            const dt = simulated === null ? DEMONSTRATION.TICK : simulated;
+            if (dt < DEMONSTRATION.TICK) return;
+            simulated = 0;
+
+            const vehicle = useVehicleStore.getState();
+            const { worldState } = pilot.observe(vehicle, useSensorStore.getState(), game, dt);
+            useDemonstrationStore.getState().add(game.sessionTime, buildDQNState(worldState), inputsToAction(vehicle.inputs));
+        }, 100);
+
+        return () => clearInterval(interval);
+    }, [enabled]);
+
+    return null;
+}
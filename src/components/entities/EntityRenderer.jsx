@@ -10,6 +10,7 @@ import SchoolBus from './SchoolBus.jsx';
 import EmergencyVehicle from './EmergencyVehicle.jsx';
 import Animal from './Animal.jsx';
 import Ball from './Ball.jsx';
+import { ENTITY_LIDAR_MATERIALS } from '../../systems/sensors/lidarModel.js';
 
 const COMPONENT_MAP = {
   pedestrian: Pedestrian,
@@ -30,7 +31,14 @@ export default function EntityRenderer() {
         .map((e) => {
           const Component = COMPONENT_MAP[e.type];
           if (!Component) return null;
-          return <Component key={e.id} entity={e} />;
+          // Vehicles have no material: the LiDAR reads their paint color
+          const lidarMaterial = ENTITY_LIDAR_MATERIALS[e.type];
+          if (!lidarMaterial) return <Component key={e.id} entity={e} />;
+          return (
+            <group key={e.id} userData={{ lidarMaterial }}>
+              <Component entity={e} />
+            </group>
+          );
         })}
     </group>
   );
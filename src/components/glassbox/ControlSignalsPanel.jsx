@@ -0,0 +1,109 @@
+import useAIStore from '../../stores/useAIStore.js';
+
+const ACCENT = '#ff9933';
+
+function Bar({ label, value, color, centered = false }) {
+    // centered: value in -1..1 drawn out from the middle (steer, + = left)
+    const clamped = Math.max(centered ? -1 : 0, Math.min(1, value || 0));
+    const left = centered ? 50 - Math.max(0, clamped) * 50 : 0;
+    const width = centered ? Math.abs(clamped) * 50 : clamped * 100;
+
+    return (
+        <div style={{ marginBottom: '4px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>{label}</span>
+                <span style={{ opacity: 0.8 }}>{(value ?? 0).toFixed(2)}</span>
+            </div>
+            <div style={{
+                height: '6px',
+                width: '100%',
+                background: '#111',
+                position: 'relative',
+                borderRadius: '3px',
+                overflow: 'hidden',
+            }}>
+                {centered && (
+                    <div style={{ position: 'absolute', left: '50%', top: 0, width: '1px', height: '100%', background: '#555' }} />
+                )}
+                <div style={{
+                    position: 'absolute',
+                    top: 0,
+                    left: `${left}%`,
+                    height: '100%',
+                    width: `${width}%`,
+                    background: color,
+                    transition: 'width 0.1s ease-out, left 0.1s ease-out',
+                }} />
+            </div>
+        </div>
+    );
+}
+
+export default function ControlSignalsPanel({ data }) {
+    const controlMode = useAIStore((s) => s.controlMode);
+    const setControlMode = useAIStore((s) => s.setControlMode);
+    const control = data?.control;
+
+    return (
+        <div style={{ marginTop: '15px' }}>
+            <h3 style={{ fontSize: '12px', color: ACCENT, margin: '0 0 5px 0' }}>CONTROL SIGNALS</h3>
+            <div style={{
+                background: 'rgba(0,0,0,0.5)',
+                padding: '8px',
+                borderRadius: '4px',
+                fontSize: '11px',
+                border: '1px solid rgba(255,153,51,0.4)',
+            }}>
+                <div style={{ display: 'flex', gap: '5px', marginBottom: '8px' }}>
+                    {['discrete', 'analog'].map((mode) => (
+                        <button
+                            key={mode}
+                            onClick={() => setControlMode(mode)}
+                            style={controlMode === mode ? activeBtn : btnStyle}
+                        >
+                            {mode === 'discrete' ? 'KEYS' : 'ANALOG'}
+                        </button>
+                    ))}
+                </div>
+
+                <div style={{ marginBottom: '6px' }}>
+                    Action: <strong style={{ color: '#00ff88' }}>{data?.action || '—'}</strong>
+                    {' → '}
+                    {control?.mode === 'analog' ? 'pure pursuit + speed PID' : 'key presses'}
+                </div>
+
+                {control && (
+                    <>
+                        <Bar label="Steer (← +)" value={control.steer} color={ACCENT} centered />
+                        <Bar label="Throttle" value={control.throttle} color="#00ff88" />
+                        <Bar label="Brake" value={control.brake} color="#ff3355" />
+                    </>
+                )}
+
+                {control?.mode === 'analog' && (
+                    <div style={{ marginTop: '6px', opacity: 0.85 }}>
+                        <div>Wheel angle: <strong>{(control.steerAngle * 180 / Math.PI).toFixed(1)}°</strong></div>
+                        <div>Target speed: <strong>{control.targetSpeed.toFixed(1)}</strong> m/s (error {control.speedError.toFixed(1)})</div>
+                        <div>Path curvature: <strong>{control.curvature.toFixed(3)}</strong> 1/m</div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const btnStyle = {
+    background: '#222',
+    color: '#fff',
+    border: '1px solid #555',
+    cursor: 'pointer',
+    padding: '4px 8px',
+    fontFamily: 'monospace'
+};
+
+const activeBtn = {
+    ...btnStyle,
+    background: ACCENT,
+    color: '#000',
+    borderColor: ACCENT
+};
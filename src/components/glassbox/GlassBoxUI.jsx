@@ -2,10 +2,14 @@ import useAIStore from '../../stores/useAIStore.js';
 import NarrationLog from './NarrationLog.jsx';
 import ConfidenceMeters from './ConfidenceMeters.jsx';
 import DecisionTree from './DecisionTree.jsx';
+import ControlSignalsPanel from './ControlSignalsPanel.jsx';
 import SimulationControls from './SimulationControls.jsx';
 import QValuePanel from './QValuePanel.jsx';
 import StateFeaturesPanel from './StateFeaturesPanel.jsx';
+import SensorContributionPanel from './SensorContributionPanel.jsx';
 import TrainingHistoryPanel from './TrainingHistoryPanel.jsx';
+import OnlineLearningPanel from './OnlineLearningPanel.jsx';
+import PolicyPanel from './PolicyPanel.jsx';
 
 export default function GlassBoxUI({ visible }) {
     const glassboxData = useAIStore((s) => s.glassboxData);
@@ -35,16 +39,22 @@ export default function GlassBoxUI({ visible }) {
                 🧠 AI GLASS BOX
             </h2>
 
+            {/* Always shown: rewinding to before the first AI tick clears glassboxData */}
+            <SimulationControls />
+
             {!glassboxData ? (
                 <div style={{ opacity: 0.5 }}>Initializing TensorFlow.js Perception...</div>
             ) : (
                 <>
-                    <SimulationControls />
                     <DecisionTree data={glassboxData} />
+                    <ControlSignalsPanel data={glassboxData} />
                     <QValuePanel data={glassboxData} />
                     <ConfidenceMeters data={glassboxData} />
+                    <SensorContributionPanel data={glassboxData} />
                     <StateFeaturesPanel data={glassboxData} />
+                    <PolicyPanel />
                     <TrainingHistoryPanel />
+                    <OnlineLearningPanel data={glassboxData} />
                     <NarrationLog />
                 </>
             )}
@@ -0,0 +1,93 @@
+import useAIStore from '../../stores/useAIStore.js';
+
+const ACCENT = '#cc66ff';
+
+function Sparkline({ values, color }) {
+    if (values.length < 2) return null;
+    const max = Math.max(...values, 1e-6);
+    const points = values
+        .map((v, i) => `${(i / (values.length - 1)) * 100},${20 - (v / max) * 18}`)
+        .join(' ');
+
+    return (
+        <svg viewBox="0 0 100 20" preserveAspectRatio="none" style={{ width: '100%', height: '20px', display: 'block' }}>
+            <polyline points={points} fill="none" stroke={color} strokeWidth="1" vectorEffect="non-scaling-stroke" />
+        </svg>
+    );
+}
+
+export default function OnlineLearningPanel({ data }) {
+    const learningEnabled = useAIStore((s) => s.learningEnabled);
+    const setLearningEnabled = useAIStore((s) => s.setLearningEnabled);
+    const learner = useAIStore((s) => s.learner);
+    const stats = data?.learning;
+
+    return (
+        <div style={{ marginTop: '15px' }}>
+            <h3 style={{ fontSize: '12px', color: ACCENT, margin: '0 0 5px 0' }}>ONLINE LEARNING</h3>
+            <div style={{
+                background: 'rgba(0,0,0,0.5)',
+                padding: '8px',
+                borderRadius: '4px',
+                fontSize: '11px',
+                border: '1px solid rgba(204,102,255,0.4)',
+            }}>
+                <div style={{ display: 'flex', gap: '5px', marginBottom: '8px' }}>
+                    <button
+                        onClick={() => setLearningEnabled(!learningEnabled)}
+                        style={learningEnabled ? activeBtn : btnStyle}
+                    >
+                        {learningEnabled ? 'LEARNING' : 'FROZEN'}
+                    </button>
+                    <button
+                        onClick={() => learner?.revert()}
+                        disabled={!learner}
+                        style={{ ...btnStyle, opacity: learner ? 1 : 0.4 }}
+                    >
+                        REVERT TO PRE-TRAINED
+                    </button>
+                </div>
+
+                {learningEnabled && !stats && (
+                    <div style={{ opacity: 0.7 }}>Needs a learned policy with loaded weights (rule-based driving active).</div>
+                )}
+
+                {stats && (
+                    <>
+                        <div>Replay buffer: <strong>{stats.transitions}</strong> / {stats.capacity} transitions</div>
+                        <div>Training steps: <strong>{stats.trainSteps}</strong></div>
+                        <div>Epsilon: <strong>{stats.epsilon.toFixed(3)}</strong></div>
+                        <div>
+                            Reward: <strong>{stats.lastReward === null ? '—' : stats.lastReward.toFixed(2)}</strong>
+                            {' '}(mean {stats.meanReward.toFixed(3)})
+                        </div>
+                        <div style={{ marginTop: '6px' }}>
+                            Loss: <strong>{stats.loss === null ? '—' : stats.loss.toFixed(4)}</strong>
+                        </div>
+                        <Sparkline values={stats.history.map((h) => h.loss)} color={ACCENT} />
+                        <div style={{ marginTop: '4px' }}>
+                            Q drift from pre-trained: <strong>{stats.qDrift.toFixed(3)}</strong>
+                        </div>
+                        <Sparkline values={stats.history.map((h) => h.qDrift)} color="#ffcc00" />
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const btnStyle = {
+    background: '#222',
+    color: '#fff',
+    border: '1px solid #555',
+    cursor: 'pointer',
+    padding: '4px 8px',
+    fontFamily: 'monospace'
+};
+
+const activeBtn = {
+    ...btnStyle,
+    background: ACCENT,
+    color: '#000',
+    borderColor: ACCENT
+};
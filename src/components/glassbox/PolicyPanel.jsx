@@ -0,0 +1,116 @@
+import { useEffect } from 'react';
+import useAIStore from '../../stores/useAIStore.js';
+import { POLICY_KINDS } from '../../ai/PolicyRegistry.js';
+
+const ACCENT = '#66ccff';
+
+const STATUS_COLOR = {
+    loading: '#ffcc00',
+    ready: '#00ff88',
+    error: '#ff4444',
+};
+
+function formatValue(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(3);
+    if (Array.isArray(value)) return value.join(', ');
+    if (value && typeof value === 'object') {
+        return Object.entries(value).map(([k, v]) => `${k} ${formatValue(v)}`).join(' / ');
+    }
+    return String(value);
+}
+
+export default function PolicyPanel() {
+    const policies = useAIStore((s) => s.policies);
+    const policyId = useAIStore((s) => s.policyId);
+    const policyStatus = useAIStore((s) => s.policyStatus);
+    const selectPolicy = useAIStore((s) => s.selectPolicy);
+
+    useEffect(() => {
+        if (!useAIStore.getState().policies) useAIStore.getState().loadPolicies();
+    }, []);
+
+    const selected = policies?.find((p) => p.id === policyId);
+    const refused = policies?.filter((p) => p.errors.length > 0) ?? [];
+    // Weights' own metadata (e.g. behavior-cloning accuracy) once the selection has loaded
+    const weightsMeta = policyStatus?.state === 'ready' ? policyStatus.metadata : null;
+
+    return (
+        <div style={{ marginTop: '15px' }}>
+            <h3 style={{ fontSize: '12px', color: ACCENT, margin: '0 0 5px 0' }}>POLICY</h3>
+            <div style={{
+                background: 'rgba(0,0,0,0.5)',
+                padding: '8px',
+                borderRadius: '4px',
+                fontSize: '11px',
+                border: '1px solid rgba(102,204,255,0.4)',
+            }}>
+                {!policies && <div style={{ opacity: 0.7 }}>Loading policy registry...</div>}
+
+                {policies && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', marginBottom: '8px' }}>
+                        {policies.filter((p) => p.errors.length === 0).map((p) => (
+                            <button
+                                key={p.id}
+                                onClick={() => selectPolicy(p.id)}
+                                disabled={policyStatus?.state === 'loading'}
+                                style={p.id === policyId ? activeBtn : btnStyle}
+                            >
+                                {p.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {policyStatus && (
+                    <div style={{ color: STATUS_COLOR[policyStatus.state], marginBottom: '6px' }}>
+                        {policyStatus.message}
+                    </div>
+                )}
+
+                {selected && (
+                    <>
+                        <div>Type: <strong>{POLICY_KINDS[selected.kind]}</strong></div>
+                        {selected.description && <div style={{ opacity: 0.8 }}>{selected.description}</div>}
+                        {selected.input && (
+                            <div>
+                                Input: <strong>{selected.input.features.length}</strong> features ({selected.input.builder})
+                                {' '}&rarr; <strong>{selected.actions.length}</strong> actions
+                            </div>
+                        )}
+                        {Object.entries({ ...selected.training, ...weightsMeta })
+                            .filter(([key]) => key !== 'note')
+                            .map(([key, value]) => (
+                                <div key={key} style={{ opacity: 0.8 }}>
+                                    {key}: {formatValue(value)}
+                                </div>
+                            ))}
+                    </>
+                )}
+
+                {refused.length > 0 && (
+                    <div style={{ marginTop: '6px', color: '#ff8888' }}>
+                        {refused.map((p) => (
+                            <div key={p.id}>Refused {p.label}: {p.errors.join('; ')}</div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const btnStyle = {
+    background: '#222',
+    color: '#fff',
+    border: '1px solid #555',
+    cursor: 'pointer',
+    padding: '4px 8px',
+    fontFamily: 'monospace'
+};
+
+const activeBtn = {
+    ...btnStyle,
+    background: ACCENT,
+    color: '#000',
+    borderColor: ACCENT
+};
@@ -0,0 +1,85 @@
+import { useEffect } from 'react';
+import usePredictionStore from '../../stores/usePredictionStore.js';
+import { PREDICTION } from '../../ai/DecisionPointDetector.js';
+
+const CREDIT_STYLE = {
+    correct: { color: '#00ff88', text: 'Correct!' },
+    partial: { color: '#ffcc00', text: 'Close —' },
+    wrong: { color: '#ff5555', text: 'Not quite —' },
+};
+
+/**
+ * Phase B PREDICT card: shown while the sim is auto-paused at a decision
+ * point, then briefly shows how the guess compared with the AI's action.
+ */
+export default function PredictionPrompt() {
+    const prompt = usePredictionStore((s) => s.prompt);
+    const lastResult = usePredictionStore((s) => s.lastResult);
+    const points = usePredictionStore((s) => s.points);
+
+    // Feedback fades after a few seconds
+    useEffect(() => {
+        if (!lastResult) return;
+        const id = setTimeout(() => usePredictionStore.getState().clearFeedback(), 3000);
+        return () => clearTimeout(id);
+    }, [lastResult]);
+
+    if (!prompt && !lastResult) return null;
+
+    return (
+        <div style={{
+            position: 'absolute',
+            top: '18%',
+            left: 'calc(50% - 160px)', // centered in the view left of the glass box
+            transform: 'translateX(-50%)',
+            width: '420px',
+            background: 'rgba(10, 15, 30, 0.95)',
+            border: '1px solid #66aaff',
+            borderRadius: '10px',
+            padding: '16px 20px',
+            color: '#ddd',
+            fontFamily: 'monospace',
+            zIndex: 1100,
+            boxShadow: '0 0 20px rgba(102, 170, 255, 0.3)',
+        }}>
+            {prompt ? (
+                <>
+                    <div style={{ fontSize: '11px', color: '#66aaff', marginBottom: '6px' }}>
+                        🔮 PREDICT · +{PREDICTION.POINTS.correct} exact / +{PREDICTION.POINTS.partial} close
+                    </div>
+                    <div style={{ fontSize: '15px', fontWeight: 'bold', color: '#fff', marginBottom: '12px' }}>
+                        {prompt.question}
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                        {prompt.candidates.map((a) => (
+                            <button
+                                key={a.id}
+                                onClick={() => usePredictionStore.getState().answer(a.id)}
+                                style={{
+                                    border: '1px solid rgba(102, 170, 255, 0.5)',
+                                    background: 'rgba(102, 170, 255, 0.1)',
+                                    color: '#ddd',
+                                    padding: '8px',
+                                    borderRadius: '6px',
+                                    cursor: 'pointer',
+                                    fontFamily: 'monospace',
+                                    fontSize: '12px',
+                                }}
+                            >
+                                {a.label}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            ) : (
+                <div style={{ fontSize: '13px' }}>
+                    <span style={{ color: CREDIT_STYLE[lastResult.credit].color, fontWeight: 'bold' }}>
+                        {CREDIT_STYLE[lastResult.credit].text}
+                    </span>
+                    {' '}you said <strong>{lastResult.predicted}</strong>, the AI chose{' '}
+                    <strong>{lastResult.actual}</strong> (+{lastResult.points}) · total {points}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+import { FUSION_SENSORS, TRACK_CLASS_LABELS, formatContribution } from '../../ai/SensorFusion.js';
+
+const SENSOR_COLORS = {
+    lidar: '#00ff88',
+    thermal: '#ff6633',
+    camera: '#66aaff',
+    audio: '#ffcc00',
+};
+
+const SENSOR_NAMES = { lidar: 'LiDAR', thermal: 'Thermal', camera: 'Camera', audio: 'Audio' };
+
+export default function SensorContributionPanel({ data }) {
+    const tracks = data?.worldState?.tracks;
+    if (!tracks) return null;
+
+    const primary = data.perception?.primaryTrack || null;
+    const nearest = [...tracks].sort((a, b) => a.distance - b.distance).slice(0, 5);
+
+    return (
+        <div style={{ marginTop: '15px' }}>
+            <h3 style={{ fontSize: '12px', color: '#ff9966', margin: '0 0 5px 0' }}>SENSOR CONTRIBUTION</h3>
+            <div style={{
+                background: 'rgba(0,0,0,0.5)',
+                padding: '8px',
+                borderRadius: '4px',
+                fontSize: '11px',
+                border: '1px solid rgba(255,153,102,0.4)',
+            }}>
+                {primary ? (
+                    <>
+                        <div style={{ marginBottom: '6px' }}>
+                            Focus: <strong>{TRACK_CLASS_LABELS[primary.class] || primary.class} #{primary.id}</strong>
+                            {' '}@ {primary.distance.toFixed(1)} m — {Math.round(primary.confidence * 100)}%
+                        </div>
+
+                        {/* Stacked bar: share of the fused confidence per sensor */}
+                        <div style={{ display: 'flex', height: '12px', width: '100%', background: '#111', marginBottom: '4px' }}>
+                            {FUSION_SENSORS.map((s) => (
+                                <div
+                                    key={s}
+                                    title={`${SENSOR_NAMES[s]} ${Math.round(primary.contributions[s] * 100)}%`}
+                                    style={{
+                                        width: `${primary.contributions[s] * 100}%`,
+                                        background: SENSOR_COLORS[s],
+                                        transition: 'width 0.2s',
+                                    }}
+                                />
+                            ))}
+                        </div>
+                        <div style={{ display: 'flex', gap: '8px', fontSize: '10px', marginBottom: '6px' }}>
+                            {FUSION_SENSORS.map((s) => (
+                                <span key={s} style={{ color: SENSOR_COLORS[s] }}>
+                                    {SENSOR_NAMES[s]} {Math.round(primary.contributions[s] * 100)}%
+                                </span>
+                            ))}
+                        </div>
+                    </>
+                ) : (
+                    <div style={{ opacity: 0.6, marginBottom: '6px' }}>No object in focus</div>
+                )}
+
+                <div style={{ opacity: 0.8 }}>Tracks ({tracks.length}):</div>
+                {nearest.map((t) => (
+                    <div key={t.id} style={{ color: t.classConflict ? '#ffcc00' : '#ccc' }}>
+                        #{t.id} {t.distance.toFixed(0)}m — {formatContribution(t)}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
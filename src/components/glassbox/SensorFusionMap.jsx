@@ -0,0 +1,275 @@
+// ============================================================
+// SensorFusionMap — top-down view of what the car "knows"
+// Ego at center, forward = up. Draws each sensor's coverage (and
+// the hole it leaves when toggled off), every raw detection
+// color-coded by source sensor, the fused tracks and the planned
+// route (road-graph polyline, or straight waypoint hops without one).
+// ============================================================
+
+import { useRef, useEffect, useCallback } from 'react';
+import useSensorStore from '../../stores/useSensorStore.js';
+import useVehicleStore from '../../stores/useVehicleStore.js';
+import useGameStore from '../../stores/useGameStore.js';
+import useAIStore from '../../stores/useAIStore.js';
+import { THERMAL, AUDIO, CAMERA_CV } from '../../constants/sensors.js';
+import { collectDetections, TRACK_CLASS_LABELS } from '../../ai/SensorFusion.js';
+import DraggablePanel from '../sensors/DraggablePanel.jsx';
+
+const VIEW_RANGE = 45; // meters from ego to panel edge
+
+const SENSOR_COLORS = {
+    lidar: '#00ff88',
+    thermal: '#ff6633',
+    camera: '#66aaff',
+    audio: '#ffcc00',
+};
+
+export default function SensorFusionMap({ visible = true, promoted = false }) {
+    const canvasRef = useRef(null);
+
+    const draw = useCallback(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const W = canvas.width;
+        const H = canvas.height;
+        const cx = W / 2;
+        const cy = H / 2;
+        const scale = (Math.min(W, H) / 2 - 4) / VIEW_RANGE;
+
+        const sensorState = useSensorStore.getState();
+        const vehicle = useVehicleStore.getState();
+        const { waypoints, currentWaypointIndex } = useGameStore.getState();
+        const { glassboxData, plannedRoute } = useAIStore.getState();
+        const tracks = glassboxData?.worldState?.tracks || [];
+        const { sensors } = sensorState;
+
+        const cosH = Math.cos(vehicle.heading);
+        const sinH = Math.sin(vehicle.heading);
+        const [vx, , vz] = vehicle.position;
+
+        // World → screen (vehicle frame: +x right, +z ahead; ahead = up)
+        const toScreen = (x, z) => {
+            const relX = x - vx;
+            const relZ = z - vz;
+            const localX = relX * cosH - relZ * sinH;
+            const localZ = -relX * sinH - relZ * cosH;
+            return [cx + localX * scale, cy - localZ * scale];
+        };
+        // Vehicle-relative bearing (0 = ahead, + = left) → canvas angle
+        const bearingToCanvas = (b) => -Math.PI / 2 - b;
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, W, H);
+
+        // --- Coverage: enabled sensors tint their area, disabled ones show the gap ---
+        const coverage = [
+            { key: 'lidar', range: sensorState.lidarData.effectiveRange, arcs: [[0, Math.PI * 2]] },
+            { key: 'thermal', range: THERMAL.RANGE, arcs: [[0, Math.PI * 2]] },
+            {
+                key: 'camera',
+                range: CAMERA_CV.MAX_RANGE,
+                arcs: CAMERA_CV.VIEWS.map((v) => {
+                    const half = (v.fovDeg * Math.PI) / 360;
+                    const mid = bearingToCanvas(v.headingOffset);
+                    return [mid - half, mid + half];
+                }),
+            },
+            { key: 'audio', range: AUDIO.RANGE, arcs: [[0, Math.PI * 2]] },
+        ];
+        for (const { key, range, arcs } of coverage) {
+            const on = sensors[key].enabled;
+            const r = Math.min(range, VIEW_RANGE * 1.5) * scale;
+            for (const [a0, a1] of arcs) {
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.arc(cx, cy, r, a0, a1);
+                ctx.closePath();
+                if (on) {
+                    ctx.fillStyle = `${SENSOR_COLORS[key]}0d`;
+                    ctx.fill();
+                } else {
+                    ctx.setLineDash([4, 4]);
+                    ctx.strokeStyle = 'rgba(255,60,60,0.6)';
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+            }
+        }
+
+        // Range rings
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        for (let r = 10; r <= VIEW_RANGE; r += 10) {
+            ctx.beginPath();
+            ctx.arc(cx, cy, r * scale, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // --- Planned path: the route planner's lane polyline, else remaining waypoints ---
+        if (currentWaypointIndex < waypoints.length) {
+            ctx.strokeStyle = 'rgba(255,0,255,0.7)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            if (plannedRoute) {
+                for (const [x, z] of plannedRoute) {
+                    const [px, py] = toScreen(x, z);
+                    ctx.lineTo(px, py);
+                }
+            } else {
+                ctx.setLineDash([6, 4]);
+                for (let i = currentWaypointIndex; i < waypoints.length; i++) {
+                    const [px, py] = toScreen(waypoints[i].position[0], waypoints[i].position[2]);
+                    ctx.lineTo(px, py);
+                }
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const [wx, wy] = toScreen(waypoints[currentWaypointIndex].position[0], waypoints[currentWaypointIndex].position[2]);
+            ctx.fillStyle = '#ff00ff';
+            ctx.beginPath();
+            ctx.arc(wx, wy, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // --- Raw LiDAR returns ---
+        if (sensors.lidar.enabled) {
+            ctx.fillStyle = 'rgba(0,255,136,0.35)';
+            for (const p of sensorState.lidarData.points) {
+                if (p.y < 0.5) continue;
+                const [px, py] = toScreen(p.x, p.z);
+                ctx.fillRect(px - 1, py - 1, 2, 2);
+            }
+        }
+
+        // --- Per-sensor detections (what each sensor reports before fusion) ---
+        const detections = collectDetections(
+            vehicle,
+            {
+                lidar: sensorState.lidarData,
+                thermal: sensorState.thermalData,
+                camera: sensorState.cameraData,
+                audio: sensorState.audioData,
+            },
+            {
+                lidar: sensors.lidar.enabled,
+                thermal: sensors.thermal.enabled,
+                camera: sensors.camera.enabled,
+                audio: sensors.audio.enabled,
+            },
+        );
+        for (const det of detections) {
+            const [px, py] = toScreen(det.x, det.z);
+            ctx.strokeStyle = SENSOR_COLORS[det.sensor];
+            ctx.fillStyle = SENSOR_COLORS[det.sensor];
+            ctx.lineWidth = 1;
+            if (det.sensor === 'audio') {
+                // Bearing line: audio localizes direction far better than range
+                ctx.globalAlpha = 0.5;
+                ctx.setLineDash([2, 3]);
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(px, py);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.globalAlpha = 1;
+            } else if (det.sensor === 'camera') {
+                ctx.strokeRect(px - 3, py - 3, 6, 6);
+            } else if (det.sensor === 'thermal') {
+                ctx.beginPath();
+                ctx.arc(px, py, 3, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                ctx.beginPath();
+                ctx.arc(px, py, 5, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+
+        // --- Fused tracks ---
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'left';
+        for (const t of tracks) {
+            const [px, py] = toScreen(t.position[0], t.position[2]);
+            ctx.globalAlpha = Math.max(0.3, t.confidence);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.strokeRect(px - 6, py - 6, 12, 12);
+
+            // Velocity vector (1 s ahead)
+            const [qx, qy] = toScreen(t.position[0] + t.velocity[0], t.position[2] + t.velocity[2]);
+            ctx.beginPath();
+            ctx.moveTo(px, py);
+            ctx.lineTo(qx, qy);
+            ctx.stroke();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`${TRACK_CLASS_LABELS[t.class] || t.class} ${Math.round(t.confidence * 100)}%`, px + 8, py + 3);
+            ctx.globalAlpha = 1;
+        }
+
+        // --- Ego vehicle ---
+        const triSize = 8;
+        ctx.fillStyle = 'rgba(0,255,136,0.9)';
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - triSize);
+        ctx.lineTo(cx - triSize * 0.6, cy + triSize * 0.7);
+        ctx.lineTo(cx + triSize * 0.6, cy + triSize * 0.7);
+        ctx.closePath();
+        ctx.fill();
+
+        // --- Legend ---
+        ctx.font = '8px monospace';
+        let lx = 4;
+        for (const key of Object.keys(SENSOR_COLORS)) {
+            const on = sensors[key].enabled;
+            const label = `${key.toUpperCase()}${on ? '' : ' OFF'}`;
+            ctx.fillStyle = on ? SENSOR_COLORS[key] : 'rgba(255,60,60,0.8)';
+            ctx.fillText(label, lx, H - 4);
+            lx += ctx.measureText(label).width + 8;
+        }
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${tracks.length} tracks`, W - 4, H - 4);
+    }, []);
+
+    useEffect(() => {
+        if (!visible) return;
+        const id = setInterval(draw, 66);
+        return () => clearInterval(id);
+    }, [visible, draw]);
+
+    if (!visible) return null;
+
+    return (
+        <DraggablePanel
+            title="Sensor Fusion Map"
+            defaultX={typeof window !== 'undefined' ? window.innerWidth - 660 : 300}
+            defaultY={20}
+            defaultWidth={320}
+            defaultHeight={320}
+            minWidth={180}
+            minHeight={180}
+            color="#ff9966"
+            visible={visible}
+            promoted={promoted}
+        >
+            {(w, h) => {
+                if (canvasRef.current && (canvasRef.current.width !== w || canvasRef.current.height !== h)) {
+                    canvasRef.current.width = w;
+                    canvasRef.current.height = h;
+                }
+                return (
+                    <canvas
+                        ref={canvasRef}
+                        width={w}
+                        height={h}
+                        style={{ width: '100%', height: '100%', display: 'block' }}
+                    />
+                );
+            }}
+        </DraggablePanel>
+    );
+}
@@ -1,14 +1,54 @@
 import useAIStore from '../../stores/useAIStore.js';
+import useTimelineStore from '../../stores/useTimelineStore.js';
+import useReplayStore from '../../stores/useReplayStore.js';
 
 export default function SimulationControls() {
     const { isPaused, timeScale, togglePause, setTimeScale, resetPlayback } = useAIStore();
+    const length = useTimelineStore((s) => s.length);
+    const cursor = useTimelineStore((s) => s.cursor);
+    const { seek, stepBack, stepForward, resume, getSnapshot } = useTimelineStore.getState();
+    const canSeek = useReplayStore((s) => s.mode === 'idle');
+
+    // Resuming from a rewound point makes it the present
+    const onPlayPause = () => {
+        if (isPaused) resume();
+        togglePause();
+    };
+
+    const onReset = () => {
+        resume();
+        resetPlayback();
+    };
+
+    const position = cursor ?? Math.max(0, length - 1);
+    const viewed = length > 0 ? getSnapshot(position) : null;
+    const newest = length > 0 ? getSnapshot(length - 1) : null;
 
     return (
         <div style={{ marginBottom: '15px', padding: '10px', backgroundColor: 'rgba(0,0,0,0.5)' }}>
             <h3 style={{ fontSize: '12px', color: '#ffcc00', margin: '0 0 10px 0' }}>SIMULATION CONTROLS</h3>
             <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
-                <button onClick={togglePause} style={btnStyle}>{isPaused ? '▶ PLAY' : '⏸ PAUSE'}</button>
-                <button onClick={resetPlayback} style={btnStyle}>⏹ RESET</button>
+                <button onClick={stepBack} disabled={!canSeek || length === 0} style={btnStyle}>⏮</button>
+                <button onClick={onPlayPause} style={btnStyle}>{isPaused ? '▶ PLAY' : '⏸ PAUSE'}</button>
+                <button onClick={stepForward} style={btnStyle}>⏭</button>
+                <button onClick={onReset} style={btnStyle}>⏹ RESET</button>
+            </div>
+            <div style={{ marginBottom: '10px', fontSize: '11px' }}>
+                <input
+                    type="range"
+                    min={0}
+                    max={Math.max(0, length - 1)}
+                    value={position}
+                    disabled={!canSeek || length === 0}
+                    onChange={(e) => seek(Number(e.target.value))}
+                    style={{ width: '100%' }}
+                />
+                <div style={{ display: 'flex', justifyContent: 'space-between', opacity: 0.8 }}>
+                    <span>{cursor === null ? 'LIVE' : `REWOUND ${length - 1 - cursor} steps`}</span>
+                    <span>
+                        t={viewed ? viewed.time.toFixed(1) : '0.0'}s / {newest ? newest.time.toFixed(1) : '0.0'}s
+                    </span>
+                </div>
             </div>
             <div style={{ display: 'flex', gap: '5px', fontSize: '11px' }}>
                 Speed:
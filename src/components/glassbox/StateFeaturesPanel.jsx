@@ -1,3 +1,10 @@
+const LIGHT_COLORS = { red: '#ff3355', yellow: '#ffcc00', green: '#00ff88' };
+
+function formatDistance(d) {
+    if (typeof d !== 'number') return '—';
+    return d >= 100 ? 'clear' : `${d.toFixed(1)} m`;
+}
+
 export default function StateFeaturesPanel({ data }) {
     const worldState = data?.worldState;
     if (!worldState) return null;
@@ -43,6 +50,7 @@ export default function StateFeaturesPanel({ data }) {
                 border: '1px solid rgba(102,255,204,0.4)',
             }}>
                 <div>Distance ahead: <strong>{distanceToObstacle} m</strong></div>
+                <div>Clearance left / right: <strong>{formatDistance(ws.distanceLeft)}</strong> / <strong>{formatDistance(ws.distanceRight)}</strong></div>
                 <div>Waypoint direction: <strong>{waypointDir}</strong></div>
                 <div>Speed: <strong>{speed}</strong> m/s (limit <strong>{speedLimit}</strong> m/s)</div>
                 <div>Speed ratio: <strong>{speedRatio.toFixed(2)}</strong></div>
@@ -50,6 +58,9 @@ export default function StateFeaturesPanel({ data }) {
                 <div>Visibility: <strong>{visibility}%</strong></div>
                 <div>Pedestrian in lane: <strong>{ws.pedestrianInMyPath ? 'YES' : 'NO'}</strong></div>
                 <div>Pedestrians nearby: <strong>{pedestriansNearby}</strong></div>
+                <div>Traffic light: <strong style={{ color: LIGHT_COLORS[ws.trafficLight] }}>{ws.trafficLight ? ws.trafficLight.toUpperCase() : 'NONE'}</strong>
+                    {ws.trafficLight && typeof ws.distanceToStopLine === 'number' && ` (stop line ${ws.distanceToStopLine.toFixed(0)} m)`}
+                </div>
                 <div>Red light / stop ahead: <strong>{ws.approachingRedLight || ws.approachingStopSign ? 'YES' : 'NO'}</strong></div>
             </div>
         </div>
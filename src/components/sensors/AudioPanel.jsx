@@ -8,7 +8,7 @@ import useSensorStore from '../../stores/useSensorStore.js';
 import { AUDIO } from '../../constants/sensors.js';
 import DraggablePanel from './DraggablePanel.jsx';
 
-export default function AudioPanel({ visible = true }) {
+export default function AudioPanel({ visible = true, promoted = false }) {
   const canvasRef = useRef(null);
   const enabled = useSensorStore((s) => s.sensors.audio.enabled);
 
@@ -143,6 +143,7 @@ export default function AudioPanel({ visible = true }) {
       defaultHeight={220}
       color="#00ff88"
       visible={visible}
+      promoted={promoted}
     >
       {(w, h) => {
         if (canvasRef.current && (canvasRef.current.width !== w || canvasRef.current.height !== h)) {
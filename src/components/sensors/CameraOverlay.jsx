@@ -6,6 +6,7 @@
 
 import { useRef, useEffect, useCallback } from 'react';
 import useSensorStore from '../../stores/useSensorStore.js';
+import { CAMERA_CV } from '../../constants/sensors.js';
 
 export default function CameraOverlay({ visible = true }) {
   const canvasRef = useRef(null);
@@ -59,9 +60,13 @@ export default function CameraOverlay({ visible = true }) {
       const r = parseInt(det.color.slice(1, 3), 16);
       const g = parseInt(det.color.slice(3, 5), 16);
       const b = parseInt(det.color.slice(5, 7), 16);
+      // Partly hidden behind a vehicle: dashed box around the visible part
+      const occluded = det.occluded >= CAMERA_CV.OCCLUDED_TAG;
       ctx.strokeStyle = `rgba(${r},${g},${b},0.55)`;
       ctx.lineWidth = 1.5;
+      ctx.setLineDash(occluded ? [6, 4] : []);
       ctx.strokeRect(cx, cy, cw, ch);
+      ctx.setLineDash([]);
 
       // Corner accents (small L-shapes at corners for a HUD feel)
       const cornerLen = Math.min(10, cw / 3, ch / 3);
@@ -95,9 +100,10 @@ export default function CameraOverlay({ visible = true }) {
       // Label: class name + confidence + distance
       const conf = Math.round(det.confidence * 100);
       const dist = Math.round(det.distance);
+      const tag = occluded ? '  OCCLUDED' : '';
       const labelText = conf < 50
-        ? `${det.label}? ${conf}%  ${dist}m`
-        : `${det.label} ${conf}%  ${dist}m`;
+        ? `${det.label}? ${conf}%  ${dist}m${tag}`
+        : `${det.label} ${conf}%  ${dist}m${tag}`;
 
       ctx.font = 'bold 11px monospace';
       ctx.textAlign = 'left';
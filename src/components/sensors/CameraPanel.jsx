@@ -26,12 +26,17 @@ function drawView(ctx, w, h, detections, label) {
     const cw = Math.max(4, Math.min(w - cx, bw));
     const ch = Math.max(4, Math.min(h - cy, bh));
 
+    // Partly hidden behind a vehicle: dashed box around the visible part
+    const occluded = det.occluded >= CAMERA_CV.OCCLUDED_TAG;
     ctx.strokeStyle = det.color;
     ctx.lineWidth = 1.5;
+    ctx.setLineDash(occluded ? [3, 2] : []);
     ctx.strokeRect(cx, cy, cw, ch);
+    ctx.setLineDash([]);
 
     const conf = Math.round(det.confidence * 100);
-    const labelText = conf < 50 ? `${det.label}? ${conf}%` : `${det.label} ${conf}%`;
+    const tag = occluded ? ' OCCLUDED' : '';
+    const labelText = conf < 50 ? `${det.label}? ${conf}%${tag}` : `${det.label} ${conf}%${tag}`;
 
     ctx.font = 'bold 8px monospace';
     ctx.textAlign = 'left';
@@ -1,9 +1,14 @@
 // ============================================================
 // DraggablePanel — reusable draggable/resizable/expandable wrapper
-// for sensor monitor panels.
+// for sensor monitor panels. Placement changes are reported to the
+// telemetry log (where the student put each panel).
 // ============================================================
 
 import { useState, useRef, useCallback, useEffect } from 'react';
+import useTelemetryStore from '../../stores/useTelemetryStore.js';
+
+// Expanded view (viewport fractions) when no promotion rect is given
+const EXPANDED_RECT = { x: 0.15, y: 0.15, w: 0.7, h: 0.7 };
 
 /**
  * @param {object} props
@@ -16,6 +21,8 @@ import { useState, useRef, useCallback, useEffect } from 'react';
  * @param {number} [props.minHeight=80] - Minimum height
  * @param {string} [props.color='#00ff88'] - Accent color
  * @param {boolean} [props.visible=true]
+ * @param {boolean|{x: number, y: number, w: number, h: number}} [props.promoted=false] - Expand while
+ *   set (panel becomes the primary view); a rect in viewport fractions places it, true centers it
  * @param {function} props.children - Render prop: (width, height) => JSX
  */
 export default function DraggablePanel({
@@ -28,6 +35,7 @@ export default function DraggablePanel({
   minHeight = 80,
   color = '#00ff88',
   visible = true,
+  promoted = false,
   children,
 }) {
   const [pos, setPos] = useState({ x: defaultX, y: defaultY });
@@ -39,25 +47,39 @@ export default function DraggablePanel({
   // Store pre-expand state so we can restore
   const preExpandRef = useRef({ pos: { x: defaultX, y: defaultY }, size: { w: defaultWidth, h: defaultHeight } });
 
+  // --- Telemetry: report placement on mount and after each move ---
+  const rectRef = useRef(null);
+  rectRef.current = { x: pos.x, y: pos.y, w: size.w, h: size.h, expanded };
+  const placedRef = useRef(null);
+  const reportPlacement = useCallback((rect) => {
+    const from = placedRef.current;
+    if (from && from.x === rect.x && from.y === rect.y && from.w === rect.w && from.h === rect.h && from.expanded === rect.expanded) return;
+    placedRef.current = rect;
+    useTelemetryStore.getState().reportPanel(title, rect, from);
+  }, [title]);
+
   // --- Drag logic ---
   const onDragStart = useCallback((e) => {
     if (expanded) return;
     e.preventDefault();
     const startX = e.clientX - pos.x;
     const startY = e.clientY - pos.y;
+    let moved = null;
 
     const onMove = (ev) => {
       const nx = Math.max(0, Math.min(window.innerWidth - 60, ev.clientX - startX));
       const ny = Math.max(0, Math.min(window.innerHeight - 30, ev.clientY - startY));
-      setPos({ x: nx, y: ny });
+      moved = { x: nx, y: ny };
+      setPos(moved);
     };
     const onUp = () => {
       window.removeEventListener('mousemove', onMove);
       window.removeEventListener('mouseup', onUp);
+      if (moved) reportPlacement({ ...rectRef.current, ...moved });
     };
     window.addEventListener('mousemove', onMove);
     window.addEventListener('mouseup', onUp);
-  }, [pos, expanded]);
+  }, [pos, expanded, reportPlacement]);
 
   // --- Resize logic ---
   const onResizeStart = useCallback((e) => {
@@ -69,31 +91,30 @@ export default function DraggablePanel({
     const startW = size.w;
     const startH = size.h;
 
+    let resized = null;
+
     const onMove = (ev) => {
       const nw = Math.max(minWidth, startW + (ev.clientX - startX));
       const nh = Math.max(minHeight, startH + (ev.clientY - startY));
-      setSize({ w: nw, h: nh });
+      resized = { w: nw, h: nh };
+      setSize(resized);
     };
     const onUp = () => {
       window.removeEventListener('mousemove', onMove);
       window.removeEventListener('mouseup', onUp);
+      if (resized) reportPlacement({ ...rectRef.current, ...resized });
     };
     window.addEventListener('mousemove', onMove);
     window.addEventListener('mouseup', onUp);
-  }, [size, expanded, minWidth, minHeight]);
+  }, [size, expanded, minWidth, minHeight, reportPlacement]);
 
   // --- Expand / collapse ---
-  const toggleExpand = useCallback(() => {
+  const toggleExpand = useCallback((rect = EXPANDED_RECT) => {
     if (!expanded) {
-      // Save current state, expand to ~70% viewport centered
+      // Save current state, expand to the rect (~70% viewport centered)
       preExpandRef.current = { pos: { ...pos }, size: { ...size } };
-      const ew = Math.round(window.innerWidth * 0.7);
-      const eh = Math.round(window.innerHeight * 0.7);
-      setSize({ w: ew, h: eh });
-      setPos({
-        x: Math.round((window.innerWidth - ew) / 2),
-        y: Math.round((window.innerHeight - eh) / 2),
-      });
+      setSize({ w: Math.round(window.innerWidth * rect.w), h: Math.round(window.innerHeight * rect.h) });
+      setPos({ x: Math.round(window.innerWidth * rect.x), y: Math.round(window.innerHeight * rect.y) });
       setExpanded(true);
     } else {
       // Restore
@@ -103,6 +124,17 @@ export default function DraggablePanel({
     }
   }, [expanded, pos, size]);
 
+  // Follow promotion in/out of the expanded view (only on change, so
+  // the user can still collapse a promoted panel by hand)
+  useEffect(() => {
+    if (Boolean(promoted) !== expanded) toggleExpand(typeof promoted === 'object' ? promoted : EXPANDED_RECT);
+  }, [promoted]);
+
+  // Initial placement, then every expand / collapse
+  useEffect(() => {
+    reportPlacement(rectRef.current);
+  }, [expanded, reportPlacement]);
+
   if (!visible) return null;
 
   const contentW = size.w;
@@ -142,7 +174,7 @@ export default function DraggablePanel({
           {title}
         </span>
         <button
-          onClick={toggleExpand}
+          onClick={() => toggleExpand()}
           style={{
             background: 'none',
             border: 'none',
@@ -1,6 +1,10 @@
 // ============================================================
 // LidarPanel — HTML canvas overlay: top-down (bird's-eye) LiDAR point cloud
 // Vehicle at center, forward = up. Reads lidarData from sensor store, draws at ~15fps.
+// Color = range band, brightness = return intensity; saturated returns
+// (retroreflective signs, cone bands) get a white ring. The RAW / OBJECTS
+// toggle switches to the segmentation view: oriented boxes by shape class
+// with velocity arrows over the dimmed cloud.
 // ============================================================
 
 import { useRef, useEffect, useCallback } from 'react';
@@ -8,14 +12,23 @@ import useSensorStore from '../../stores/useSensorStore.js';
 import useVehicleStore from '../../stores/useVehicleStore.js';
 import { LIDAR } from '../../constants/sensors.js';
 import { hexToRGB } from '../../systems/sensors/sensorUtils.js';
+import { SHAPE_LABELS } from '../../ai/LidarSegmentation.js';
 import DraggablePanel from './DraggablePanel.jsx';
 
 // Zoomed-in view: show half the range so nearby detail is larger (2x zoom)
 const VIEW_ZOOM = 2;
-
-export default function LidarPanel({ visible = true }) {
+const MIN_POINT_ALPHA = 0.25;   // faintest returns stay visible
+const SATURATED_INTENSITY = 0.95;
+const SHAPE_COLORS = { pole: '#8899ff', small: '#ffcc00', vehicle: '#00ccff' };
+const MIN_BOX_SIZE = 0.3;        // m — keep single-face boxes visible
+const VELOCITY_ARROW_SECONDS = 1; // arrow = where the object will be in this long
+const MIN_ARROW_SPEED = 0.5;      // m/s — below this, centroid jitter
+
+export default function LidarPanel({ visible = true, promoted = false }) {
   const canvasRef = useRef(null);
   const enabled = useSensorStore((s) => s.sensors.lidar.enabled);
+  const showObjects = useSensorStore((s) => s.sensors.lidar.showObjects);
+  const toggleLidarObjects = useSensorStore((s) => s.toggleLidarObjects);
 
   const draw = useCallback(() => {
     const canvas = canvasRef.current;
@@ -26,10 +39,10 @@ export default function LidarPanel({ visible = true }) {
     const cx = W / 2;
     const cy = H / 2;
 
-    const { points, effectiveRange } = useSensorStore.getState().lidarData;
+    const { points, objects = [], effectiveRange } = useSensorStore.getState().lidarData;
     const { position, heading } = useVehicleStore.getState();
     const [vx, , vz] = position;
-    const rayCount = useSensorStore.getState().sensors.lidar.rayCount;
+    const { rayCount, showObjects: objectView } = useSensorStore.getState().sensors.lidar;
 
     // Scale: zoomed-in view — show effectiveRange/VIEW_ZOOM so nearby detail is larger
     const radiusPx = Math.min(W, H) / 2 - 4;
@@ -38,6 +51,12 @@ export default function LidarPanel({ visible = true }) {
 
     const cosH = Math.cos(heading);
     const sinH = Math.sin(heading);
+    // World → panel pixels, same transform as the point loop below
+    const toScreen = (x, z) => {
+      const relX = x - vx;
+      const relZ = z - vz;
+      return [cx + (relX * cosH - relZ * sinH) * scale, cy + (relX * sinH + relZ * cosH) * scale];
+    };
 
     // Clear to black
     ctx.fillStyle = '#000000';
@@ -62,13 +81,57 @@ export default function LidarPanel({ visible = true }) {
 
       const ptSize = Math.max(1, Math.min(4, 2 + 8 / (dist + 1)));
       const c = hexToRGB(p.color);
-      ctx.fillStyle = `rgb(${Math.round(c.r * 255)},${Math.round(c.g * 255)},${Math.round(c.b * 255)})`;
+      const intensity = p.intensity ?? 1;
+      const alpha = MIN_POINT_ALPHA + (1 - MIN_POINT_ALPHA) * intensity;
+      ctx.fillStyle = objectView
+        ? 'rgba(140,140,140,0.35)'
+        : `rgba(${Math.round(c.r * 255)},${Math.round(c.g * 255)},${Math.round(c.b * 255)},${alpha.toFixed(2)})`;
       ctx.beginPath();
-      ctx.arc(px, py, ptSize, 0, Math.PI * 2);
+      ctx.arc(px, py, objectView ? 1 : ptSize, 0, Math.PI * 2);
       ctx.fill();
+      if (!objectView && intensity >= SATURATED_INTENSITY) {
+        ctx.strokeStyle = 'rgba(255,255,255,0.9)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
       visibleCount++;
     }
 
+    // --- Segmented objects: oriented box, velocity arrow, shape label ---
+    if (objectView) {
+      ctx.font = '7px monospace';
+      ctx.textAlign = 'left';
+      for (const obj of objects) {
+        const { box } = obj;
+        const ux = Math.cos(box.angle);
+        const uz = Math.sin(box.angle);
+        const hl = Math.max(box.length, MIN_BOX_SIZE) / 2;
+        const hw = Math.max(box.width, MIN_BOX_SIZE) / 2;
+        const corners = [[hl, hw], [hl, -hw], [-hl, -hw], [-hl, hw]].map(([a, b]) => toScreen(
+          box.x + ux * a - uz * b,
+          box.z + uz * a + ux * b,
+        ));
+        const color = SHAPE_COLORS[obj.shape];
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        corners.forEach(([px, py], i) => (i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+        ctx.closePath();
+        ctx.stroke();
+
+        const [ox, oy] = toScreen(obj.x, obj.z);
+        if (Math.hypot(obj.vx, obj.vz) >= MIN_ARROW_SPEED) {
+          const [tx, ty] = toScreen(obj.x + obj.vx * VELOCITY_ARROW_SECONDS, obj.z + obj.vz * VELOCITY_ARROW_SECONDS);
+          ctx.beginPath();
+          ctx.moveTo(ox, oy);
+          ctx.lineTo(tx, ty);
+          ctx.stroke();
+        }
+        ctx.fillStyle = color;
+        ctx.fillText(`#${obj.id} ${SHAPE_LABELS[obj.shape]}`, ox + 4, oy - 4);
+      }
+    }
+
     // --- Vehicle triangle (forward = up) ---
     const triSize = 8;
     ctx.fillStyle = 'rgba(0,255,136,0.9)';
@@ -86,7 +149,8 @@ export default function LidarPanel({ visible = true }) {
     ctx.fillStyle = 'rgba(0,255,136,0.5)';
     ctx.font = '7px monospace';
     ctx.textAlign = 'left';
-    ctx.fillText(`${rayCount}r  ${Math.round(visibleRange)}m  ${visibleCount} pts`, 4, H - 4);
+    const objectCount = objectView ? `  ${objects.length} obj` : '';
+    ctx.fillText(`${rayCount}r  ${Math.round(visibleRange)}m  ${visibleCount} pts${objectCount}`, 4, H - 4);
 
     ctx.fillStyle = 'rgba(255,255,255,0.25)';
     ctx.textAlign = 'right';
@@ -112,6 +176,7 @@ export default function LidarPanel({ visible = true }) {
       minHeight={100}
       color="#00ff88"
       visible={visible}
+      promoted={promoted}
     >
       {(w, h) => {
         if (canvasRef.current && (canvasRef.current.width !== w || canvasRef.current.height !== h)) {
@@ -119,14 +184,40 @@ export default function LidarPanel({ visible = true }) {
           canvasRef.current.height = h;
         }
         return (
-          <canvas
-            ref={canvasRef}
-            width={w}
-            height={h}
-            style={{ width: '100%', height: '100%', display: 'block' }}
-          />
+          <div style={styles.content}>
+            <canvas
+              ref={canvasRef}
+              width={w}
+              height={h}
+              style={{ width: '100%', height: '100%', display: 'block' }}
+            />
+            <button onClick={toggleLidarObjects} style={styles.viewToggle} title="Raw point cloud vs. segmented objects">
+              {showObjects ? 'OBJECTS' : 'RAW'}
+            </button>
+          </div>
         );
       }}
     </DraggablePanel>
   );
 }
+
+const styles = {
+  content: {
+    position: 'relative',
+    width: '100%',
+    height: '100%',
+  },
+  viewToggle: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    background: 'rgba(0, 0, 0, 0.8)',
+    border: '1px solid #00ff88',
+    borderRadius: '3px',
+    color: '#00ff88',
+    fontFamily: 'monospace',
+    fontSize: '8px',
+    padding: '1px 5px',
+    cursor: 'pointer',
+  },
+};
@@ -9,18 +9,26 @@ import * as THREE from 'three';
 import useSensorStore from '../../stores/useSensorStore.js';
 import useVehicleStore from '../../stores/useVehicleStore.js';
 import useEntityStore from '../../stores/useEntityStore.js';
+import useGameStore from '../../stores/useGameStore.js';
+import useTimelineStore from '../../stores/useTimelineStore.js';
+import useQuizStore from '../../stores/useQuizStore.js';
+import useTelemetryStore from '../../stores/useTelemetryStore.js';
 import { LIDAR, THERMAL, AUDIO, CAMERA_CV } from '../../constants/sensors.js';
 import { tickLidar } from '../../systems/sensors/lidarEngine.js';
 import { tickThermal } from '../../systems/sensors/thermalEngine.js';
 import { tickAudio } from '../../systems/sensors/audioEngine.js';
 import { tickCamera } from '../../systems/sensors/cameraEngine.js';
-import { collectBuildingAABBs } from '../../systems/sensors/sensorTargets.js';
+import { collectBuildingAABBs, mergeEntityTargets } from '../../systems/sensors/sensorTargets.js';
+import { LidarSegmenter } from '../../ai/LidarSegmentation.js';
 
 export default function SensorManager({ sensorTargets, collisionData }) {
   const { scene, camera } = useThree();
   const frameCount = useRef(0);
   const sweepAngle = useRef(0);
+  const sessionId = useRef(0);
+  const restores = useRef(0);
   const raycaster = useMemo(() => new THREE.Raycaster(), []);
+  const segmenter = useMemo(() => new LidarSegmenter(), []);
 
   // Pre-collect building AABBs for LOS checks (thermal + camera)
   const buildingAABBs = useMemo(
@@ -29,6 +37,25 @@ export default function SensorManager({ sensorTargets, collisionData }) {
   );
 
   useFrame((_, delta) => {
+    // Restart the sensor schedule with each session so staggered ticks
+    // (and their seeded noise) line up between a recording and its replay
+    const currentSession = useGameStore.getState().sessionId;
+    if (currentSession !== sessionId.current) {
+      sessionId.current = currentSession;
+      frameCount.current = 0;
+      sweepAngle.current = 0;
+      segmenter.reset();
+    }
+    // Rewound / scrubbed: the segmenter's objects belong to a later sweep
+    const currentRestores = useTimelineStore.getState().restores;
+    if (currentRestores !== restores.current) {
+      restores.current = currentRestores;
+      segmenter.reset();
+    }
+
+    // Paused / rewound: keep the (possibly restored) sensor outputs
+    if (useTimelineStore.getState().isFrozen()) return;
+
     frameCount.current++;
     const frame = frameCount.current;
     const vehicle = useVehicleStore.getState();
@@ -36,24 +63,7 @@ export default function SensorManager({ sensorTargets, collisionData }) {
     const { weather, timeOfDay, sensors } = sensorState;
 
     // --- Merge dynamic entity targets with static targets ---
-    const entityList = useEntityStore.getState().entities;
-    const dynamicTargets = [];
-    for (const e of entityList) {
-      if (!e.visible) continue;
-      dynamicTargets.push({
-        id: e.id + 10000,
-        type: e.type,
-        sensorClass: e.sensorClass,
-        position: e.position,
-        bounds: e.bounds,
-        thermalTemp: e.thermalTemp,
-        soundType: e.soundType,
-        soundIntensity: e.soundIntensity,
-      });
-    }
-    const mergedTargets = dynamicTargets.length > 0
-      ? { byBlock: sensorTargets.byBlock, global: [...sensorTargets.global, ...dynamicTargets] }
-      : sensorTargets;
+    const mergedTargets = mergeEntityTargets(sensorTargets, useEntityStore.getState().entities);
 
     // --- LiDAR: every LIDAR.FRAME_SKIP frames ---
     if (
@@ -75,6 +85,7 @@ export default function SensorManager({ sensorTargets, collisionData }) {
         playerVehicle || undefined,
       );
       sweepAngle.current = result.sweepAngle;
+      result.objects = segmenter.update(result.points, vehicle, delta * LIDAR.FRAME_SKIP);
       sensorState.updateLidar(result);
     }
 
@@ -112,6 +123,14 @@ export default function SensorManager({ sensorTargets, collisionData }) {
       );
       sensorState.updateCamera(result);
     }
+
+    // --- First-detection logs: break-time quiz facts + telemetry (~15fps is plenty) ---
+    if (frame % 4 === 0) {
+      const latest = useSensorStore.getState();
+      const { entities } = useEntityStore.getState();
+      useQuizStore.getState().observe(vehicle, latest, entities);
+      useTelemetryStore.getState().observe(vehicle, latest, entities);
+    }
   }); // Normal priority — passing a number stops automatic rendering in R3F.
 
   // All sensor visualization is done via HTML overlays now
@@ -0,0 +1,52 @@
+// ============================================================
+// SpatialAudio — headless: plays the audio sensor's sources
+// through SpatialAudioRenderer (headphones recommended). Starts
+// on the first click / key press (browser autoplay policy) and
+// goes silent while the audio sensor is off or the sim is paused.
+// ============================================================
+
+import { useEffect } from 'react';
+import useSensorStore from '../../stores/useSensorStore.js';
+import useAIStore from '../../stores/useAIStore.js';
+import { SpatialAudioRenderer } from '../../systems/sensors/spatialAudio.js';
+
+export default function SpatialAudio() {
+  useEffect(() => {
+    if (typeof AudioContext === 'undefined') return;
+    let renderer = null;
+
+    const render = () => {
+      if (!renderer) return;
+      const { audioData, weather, sensors } = useSensorStore.getState();
+      renderer.update(audioData.sources, {
+        weather,
+        muted: !sensors.audio.enabled || useAIStore.getState().isPaused,
+      });
+    };
+
+    const start = () => {
+      if (!renderer) renderer = new SpatialAudioRenderer();
+      renderer.resume();
+      render();
+    };
+    window.addEventListener('pointerdown', start);
+    window.addEventListener('keydown', start);
+
+    const unsubSensors = useSensorStore.subscribe((state, prev) => {
+      if (state.audioData !== prev.audioData || state.weather !== prev.weather || state.sensors !== prev.sensors) render();
+    });
+    const unsubAI = useAIStore.subscribe((state, prev) => {
+      if (state.isPaused !== prev.isPaused) render();
+    });
+
+    return () => {
+      window.removeEventListener('pointerdown', start);
+      window.removeEventListener('keydown', start);
+      unsubSensors();
+      unsubAI();
+      renderer?.dispose();
+    };
+  }, []);
+
+  return null;
+}
@@ -16,7 +16,7 @@ const FOV_DEG = THERMAL.FRONT_VIEW_FOV || 75;
 const FOV_RAD = (FOV_DEG * Math.PI) / 180;
 const TAN_HALF_FOV = Math.tan(FOV_RAD / 2);
 
-export default function ThermalPanel({ visible = true }) {
+export default function ThermalPanel({ visible = true, promoted = false }) {
   const canvasRef = useRef(null);
   const enabled = useSensorStore((s) => s.sensors.thermal.enabled);
 
@@ -167,6 +167,7 @@ export default function ThermalPanel({ visible = true }) {
       minHeight={100}
       color="#00ccff"
       visible={visible}
+      promoted={promoted}
     >
       {(w, h) => {
         if (canvasRef.current && (canvasRef.current.width !== w || canvasRef.current.height !== h)) {
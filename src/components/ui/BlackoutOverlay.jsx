@@ -0,0 +1,57 @@
+// ============================================================
+// BlackoutOverlay — screen darkening + warnings for the Phase A
+// lights-out sequence. Rendered right after the 3D canvas so it
+// covers the viewport (mirror included) while the HUD and sensor
+// panels stay on top — they are all the student has once the
+// visual feed is offline.
+// ============================================================
+
+import useBlackoutStore, { BLACKOUT_STAGES } from '../../stores/useBlackoutStore.js';
+
+const WARNINGS = {
+  [BLACKOUT_STAGES.DEGRADING]: { text: '⚠️ VISIBILITY DEGRADING', color: '#ffcc00' },
+  [BLACKOUT_STAGES.FAILING]: { text: '⚠️ VISUAL SYSTEMS FAILING', color: '#ff8800' },
+  [BLACKOUT_STAGES.OFFLINE]: { text: '❌ VISUAL FEED OFFLINE — SENSOR NAVIGATION ACTIVE', color: '#ff3333' },
+};
+
+export default function BlackoutOverlay() {
+  const stage = useBlackoutStore((s) => s.stage);
+  // Quantized so the fade re-renders ~20 times, not every frame
+  const dim = useBlackoutStore((s) => Math.round(s.dim * 20) / 20);
+
+  if (stage === BLACKOUT_STAGES.IDLE) return null;
+
+  const warning = WARNINGS[stage];
+
+  return (
+    <div style={{ ...styles.container, background: `rgba(0, 0, 0, ${dim})` }}>
+      {warning && (
+        <div style={{ ...styles.warning, color: warning.color, borderColor: warning.color }}>
+          {warning.text}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'flex-start',
+    paddingTop: '7vh',
+    pointerEvents: 'none',
+  },
+  warning: {
+    padding: '8px 20px',
+    border: '2px solid',
+    borderRadius: '6px',
+    background: 'rgba(0, 0, 0, 0.8)',
+    fontFamily: 'monospace',
+    fontSize: '18px',
+    fontWeight: 'bold',
+    letterSpacing: '2px',
+  },
+};
@@ -0,0 +1,108 @@
+// ============================================================
+// GamepadSettings — connected pad / wheel, presets, dead zones and
+// rebinding (click Bind, then move the control). Only shown while a
+// gamepad is connected; see stores/useInputStore.js.
+// ============================================================
+
+import { useState } from 'react';
+import useInputStore from '../../stores/useInputStore.js';
+import useVehicleStore from '../../stores/useVehicleStore.js';
+import { GAMEPAD_CONTROLS, GAMEPAD_PRESETS } from '../../systems/vehicle/gamepadInput.js';
+
+const buttonStyle = {
+  border: '1px solid #555',
+  background: '#222',
+  color: '#fff',
+  padding: '3px 8px',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'monospace',
+  fontSize: '11px',
+};
+
+function bindingLabel(binding) {
+  if (!binding) return '—';
+  if (binding.button !== undefined) return `button ${binding.button}`;
+  return `axis ${binding.axis}${binding.invert ? ' (inv)' : ''}${binding.pedal ? ' pedal' : ''}`;
+}
+
+export default function GamepadSettings() {
+  const gamepad = useInputStore((s) => s.gamepad);
+  const config = useInputStore((s) => s.config);
+  const capturing = useInputStore((s) => s.capturing);
+  const analog = useVehicleStore((s) => s.inputs.analog);
+  const [open, setOpen] = useState(false);
+
+  if (!gamepad) return null;
+  const { applyPreset, setDeadZone, startCapture } = useInputStore.getState();
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 155,
+      left: 20,
+      background: 'rgba(0,0,0,0.7)',
+      padding: '8px 12px',
+      borderRadius: '6px',
+      border: '1px solid rgba(0,255,136,0.3)',
+      color: '#00ff88',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      zIndex: 100,
+      maxWidth: 300,
+    }}>
+      <button onClick={() => setOpen(!open)} style={{ ...buttonStyle, border: 'none', background: 'none', color: '#00ff88', padding: 0 }}>
+        🎮 {gamepad.id.slice(0, 32)} {open ? '▾' : '▸'}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8, display: 'flex', flexDirection: 'column', gap: 6 }}>
+          <div style={{ display: 'flex', gap: 5, alignItems: 'center' }}>
+            Preset:
+            {Object.keys(GAMEPAD_PRESETS).map((preset) => (
+              <button
+                key={preset}
+                onClick={() => applyPreset(preset)}
+                style={config.preset === preset ? { ...buttonStyle, background: '#00ff88', color: '#000' } : buttonStyle}
+              >
+                {preset}
+              </button>
+            ))}
+            {config.preset === 'custom' && <span style={{ opacity: 0.7 }}>custom</span>}
+          </div>
+
+          {GAMEPAD_CONTROLS.map((control) => (
+            <div key={control} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+              <span style={{ width: 60 }}>{control}</span>
+              <span style={{ flex: 1, opacity: 0.8 }}>
+                {capturing === control ? 'move it…' : bindingLabel(config.bindings[control])}
+              </span>
+              <button onClick={() => startCapture(capturing === control ? null : control)} style={buttonStyle}>
+                {capturing === control ? 'Cancel' : 'Bind'}
+              </button>
+            </div>
+          ))}
+
+          {[['steerDeadZone', 'Steer dead zone'], ['pedalDeadZone', 'Pedal dead zone']].map(([key, label]) => (
+            <label key={key} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+              <span style={{ width: 120 }}>{label}</span>
+              <input
+                type="range"
+                min={0}
+                max={0.5}
+                step={0.01}
+                value={config[key]}
+                onChange={(e) => setDeadZone(key, Number(e.target.value))}
+              />
+              <span>{config[key].toFixed(2)}</span>
+            </label>
+          ))}
+
+          <div style={{ opacity: 0.8 }}>
+            steer {(analog?.steer ?? 0).toFixed(2)} · throttle {(analog?.throttle ?? 0).toFixed(2)} · brake {(analog?.brake ?? 0).toFixed(2)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import useVehicleStore from '../../stores/useVehicleStore';
 import useGameStore from '../../stores/useGameStore';
+import useAIStore from '../../stores/useAIStore';
 import { GRID, WORLD_HALF } from '../../constants/world';
 import { VEHICLE_START } from '../../constants/vehicle';
 
@@ -11,6 +12,7 @@ export default function Minimap() {
         : VEHICLE_START.HEADING;
     const waypoints = useGameStore((s) => s.waypoints);
     const currentWaypointIndex = useGameStore((s) => s.currentWaypointIndex);
+    const plannedRoute = useAIStore((s) => s.plannedRoute);
 
     // Constants
     const MINIMAP_SIZE = 250;
@@ -23,6 +25,8 @@ export default function Minimap() {
 
     // Create an array of active waypoints to draw the route line
     const activeWaypoints = waypoints.slice(currentWaypointIndex);
+    // Follow the roads when the AI has planned a route, else hop straight between waypoints
+    const routePoints = plannedRoute || activeWaypoints.map((wp) => [wp.position[0], wp.position[2]]);
 
     return (
         <div
@@ -84,7 +88,7 @@ export default function Minimap() {
                         <polyline
                             points={`
                 ${vehicleX * ZOOM_LEVEL},${vehicleZ * ZOOM_LEVEL}
-                ${activeWaypoints.map(wp => `${wp.position[0] * ZOOM_LEVEL},${wp.position[2] * ZOOM_LEVEL}`).join(' ')}
+                ${routePoints.map(([x, z]) => `${x * ZOOM_LEVEL},${z * ZOOM_LEVEL}`).join(' ')}
               `}
                             fill="none"
                             stroke="#4285F4"
@@ -0,0 +1,74 @@
+// ============================================================
+// QuizPanel — multiple-choice questions shown during the break
+// One question at a time; see stores/useQuizStore.js.
+// ============================================================
+
+import useQuizStore from '../../stores/useQuizStore.js';
+
+export default function QuizPanel() {
+  const status = useQuizStore((s) => s.status);
+  const questions = useQuizStore((s) => s.questions);
+  const index = useQuizStore((s) => s.index);
+  const title = useQuizStore((s) => s.questionSet?.title);
+
+  if (questions.length === 0) return null;
+
+  if (status !== 'active') {
+    return <p style={styles.done}>Thanks — your answers have been recorded.</p>;
+  }
+
+  const q = questions[index];
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        {title} · {index + 1}/{questions.length}
+      </div>
+      <div style={styles.prompt}>{q.prompt}</div>
+      <div style={styles.choices}>
+        {q.choices.map((c, i) => (
+          <button key={c.value} onClick={() => useQuizStore.getState().answer(i)} style={styles.choice}>
+            {c.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    margin: '16px 0',
+    textAlign: 'left',
+  },
+  header: {
+    fontSize: '11px',
+    color: '#888',
+    marginBottom: '6px',
+  },
+  prompt: {
+    fontSize: '16px',
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: '12px',
+  },
+  choices: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '8px',
+  },
+  choice: {
+    border: '1px solid rgba(0, 255, 136, 0.4)',
+    padding: '10px 12px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontFamily: 'monospace',
+    fontSize: '13px',
+    background: 'rgba(0, 255, 136, 0.08)',
+    color: '#ddd',
+  },
+  done: {
+    fontSize: '14px',
+    color: '#00ff88',
+  },
+};
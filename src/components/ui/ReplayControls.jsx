@@ -0,0 +1,119 @@
+// ============================================================
+// ReplayControls — record / download / load + play sessions
+// Recording and playback both restart the session on its seed;
+// see stores/useReplayStore.js.
+// ============================================================
+
+import { useRef } from 'react';
+import useReplayStore from '../../stores/useReplayStore.js';
+
+const buttonStyle = {
+  border: 'none',
+  padding: '6px 12px',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+};
+
+function downloadLog(log) {
+  const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `sensorracer-replay-seed${log.seed}-${log.frames.length}f.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ReplayControls() {
+  const mode = useReplayStore((s) => s.mode);
+  const progress = useReplayStore((s) => s.progress);
+  const lastLog = useReplayStore((s) => s.lastLog);
+  const fileInput = useRef(null);
+
+  const onStopRecording = () => {
+    const log = useReplayStore.getState().stopRecording();
+    if (log) downloadLog(log);
+  };
+
+  const onLoadFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      useReplayStore.getState().startPlayback(JSON.parse(await file.text()));
+    } catch (err) {
+      console.error('[Replay] Could not load replay log:', err);
+    }
+  };
+
+  let status = 'Idle';
+  if (mode === 'pending') status = 'Restarting…';
+  else if (mode === 'recording') status = '● REC';
+  else if (mode === 'playing') status = `▶ ${Math.round(progress * 100)}%`;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 110,
+      left: 20,
+      display: 'flex',
+      gap: '8px',
+      alignItems: 'center',
+      background: 'rgba(0,0,0,0.7)',
+      padding: '8px 12px',
+      borderRadius: '6px',
+      border: '1px solid rgba(0,255,136,0.3)',
+      color: '#00ff88',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      zIndex: 100,
+    }}>
+      <span style={{ minWidth: 90 }}>{status}</span>
+
+      {mode === 'idle' && (
+        <>
+          <button
+            onClick={() => useReplayStore.getState().startRecording()}
+            style={{ ...buttonStyle, backgroundColor: '#ef4444', color: 'white' }}
+          >
+            Record
+          </button>
+          <button
+            onClick={() => fileInput.current?.click()}
+            style={{ ...buttonStyle, backgroundColor: '#4ade80', color: '#000' }}
+          >
+            Load Replay
+          </button>
+          {lastLog && (
+            <button
+              onClick={() => useReplayStore.getState().startPlayback(lastLog)}
+              style={{ ...buttonStyle, backgroundColor: '#fbbf24', color: '#000' }}
+            >
+              Replay Last
+            </button>
+          )}
+        </>
+      )}
+
+      {mode === 'recording' && (
+        <button onClick={onStopRecording} style={{ ...buttonStyle, backgroundColor: '#fbbf24', color: '#000' }}>
+          Stop + Save
+        </button>
+      )}
+
+      {mode === 'playing' && (
+        <button
+          onClick={() => useReplayStore.getState().stop()}
+          style={{ ...buttonStyle, backgroundColor: '#fbbf24', color: '#000' }}
+        >
+          Stop
+        </button>
+      )}
+
+      <input ref={fileInput} type="file" accept="application/json" onChange={onLoadFile} style={{ display: 'none' }} />
+    </div>
+  );
+}
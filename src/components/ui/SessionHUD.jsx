@@ -0,0 +1,98 @@
+// ============================================================
+// SessionHUD — timer + phase, score and collision counter
+// Outside a session it offers the button that starts one.
+// ============================================================
+
+import useGameStore, { PHASES, PHASE_LABELS, SESSION_SCHEDULE } from '../../stores/useGameStore.js';
+
+/**
+ * Format seconds as m:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatClock(seconds) {
+  const s = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export default function SessionHUD() {
+  const phase = useGameStore((s) => s.phase);
+  const score = useGameStore((s) => s.score);
+  const collisions = useGameStore((s) => s.collisions);
+  const scoreMultiplier = useGameStore((s) => s.scoreMultiplier);
+  // Whole seconds only, so the HUD re-renders once per second
+  const sessionSecond = useGameStore((s) => Math.floor(s.sessionTime));
+
+  if (phase === PHASES.MENU) {
+    return (
+      <div style={styles.container}>
+        <span>{PHASE_LABELS[phase]}</span>
+        <button onClick={() => useGameStore.getState().startGame()} style={styles.startButton}>
+          Start 10-min Session
+        </button>
+      </div>
+    );
+  }
+
+  const slot = SESSION_SCHEDULE.find((s) => s.phase === phase);
+  const phaseRemaining = slot ? slot.end - sessionSecond : 0;
+
+  return (
+    <div style={styles.container}>
+      <div>
+        <div style={styles.label}>PHASE</div>
+        <div style={styles.value}>{PHASE_LABELS[phase]}</div>
+      </div>
+      <div>
+        <div style={styles.label}>PHASE ENDS IN</div>
+        <div style={styles.value}>{formatClock(phaseRemaining)}</div>
+      </div>
+      <div>
+        <div style={styles.label}>SCORE{scoreMultiplier > 1 ? ` ×${scoreMultiplier}` : ''}</div>
+        <div style={{ ...styles.value, color: score < 0 ? '#ff2200' : '#00ff88' }}>{score}</div>
+      </div>
+      <div>
+        <div style={styles.label}>COLLISIONS</div>
+        <div style={{ ...styles.value, color: collisions > 0 ? '#ffcc00' : '#00ff88' }}>{collisions}</div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    position: 'absolute',
+    top: 160,
+    left: 20,
+    display: 'flex',
+    gap: '16px',
+    alignItems: 'center',
+    background: 'rgba(0,0,0,0.7)',
+    padding: '8px 12px',
+    borderRadius: '6px',
+    border: '1px solid rgba(0,255,136,0.3)',
+    color: '#00ff88',
+    fontFamily: 'monospace',
+    fontSize: '12px',
+    zIndex: 100,
+  },
+  label: {
+    fontSize: '10px',
+    color: '#888',
+  },
+  value: {
+    fontSize: '14px',
+    fontWeight: 'bold',
+  },
+  startButton: {
+    border: 'none',
+    padding: '6px 12px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: 'bold',
+    fontFamily: 'monospace',
+    fontSize: '12px',
+    backgroundColor: '#00ff88',
+    color: '#000',
+  },
+};
@@ -0,0 +1,233 @@
+// ============================================================
+// SessionOverlay — full-screen cards for the non-driving phases
+// Orientation (controls + mission), the break between phases and
+// the results screen comparing the student (Phase A) with the AI
+// (Phase B) on the same seed.
+// ============================================================
+
+import useGameStore, { PHASES, SESSION_SCHEDULE } from '../../stores/useGameStore.js';
+import { formatClock } from './SessionHUD.jsx';
+import QuizPanel from './QuizPanel.jsx';
+import useTelemetryStore from '../../stores/useTelemetryStore.js';
+import useDemonstrationStore from '../../stores/useDemonstrationStore.js';
+
+function StatsRow({ label, a, b, better }) {
+  // better: 'high' | 'low' | null — which side to highlight
+  let winner = null;
+  if (better && a !== null && b !== null && a !== b) {
+    winner = (better === 'high') === (a > b) ? 'a' : 'b';
+  }
+  return (
+    <tr>
+      <td style={styles.statLabel}>{label}</td>
+      <td style={{ ...styles.statValue, color: winner === 'a' ? '#00ff88' : '#ccc' }}>{a ?? '—'}</td>
+      <td style={{ ...styles.statValue, color: winner === 'b' ? '#00ff88' : '#ccc' }}>{b ?? '—'}</td>
+    </tr>
+  );
+}
+
+const UPLOAD_STATUS = {
+  sending: 'Uploading session log…',
+  sent: 'Session log uploaded ✓',
+  failed: 'Upload failed — download the log below',
+};
+
+// Research export: upload status + manual downloads
+function TelemetryExport() {
+  const status = useTelemetryStore((s) => s.status);
+  const upload = useTelemetryStore((s) => s.upload);
+  const demonstrations = useDemonstrationStore((s) => s.log);
+  if (status !== 'done') return null;
+  const { downloadLog } = useTelemetryStore.getState();
+  const small = { ...styles.button, backgroundColor: '#223', color: '#8cf', fontSize: '11px', padding: '4px 10px' };
+
+  return (
+    <div style={{ marginTop: '16px' }}>
+      {upload && <p style={styles.subtitle}>{UPLOAD_STATUS[upload.state]}</p>}
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+        <button onClick={() => downloadLog('jsonl')} style={small}>Log (JSONL)</button>
+        <button onClick={() => downloadLog('samples')} style={small}>Samples (CSV)</button>
+        <button onClick={() => downloadLog('summary')} style={small}>Summary (CSV)</button>
+        {demonstrations?.samples.length > 0 && (
+          <button onClick={() => useDemonstrationStore.getState().download()} style={small}>Demonstrations (JSONL)</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Results({ phaseStats }) {
+  const a = phaseStats.phaseA;
+  const b = phaseStats.phaseB;
+  const quiz = phaseStats.quiz;
+  const predictions = phaseStats.predictions;
+  const courseTime = (s) => (s?.courseTime == null ? null : formatClock(s.courseTime));
+  const waypoints = (s) => (s ? `${s.waypointsCompleted}/${s.waypointsTotal}` : null);
+
+  return (
+    <>
+      <h1 style={styles.title}>SESSION RESULTS</h1>
+      <p style={styles.subtitle}>Same course, same seed — you vs. the AI</p>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th />
+            <th style={styles.statHeader}>YOU</th>
+            <th style={styles.statHeader}>AI</th>
+          </tr>
+        </thead>
+        <tbody>
+          <StatsRow label="Score" a={a?.score ?? null} b={b?.score ?? null} better="high" />
+          <StatsRow label="Blind-phase points" a={a?.blindScore ?? null} b={b?.blindScore ?? null} better={null} />
+          <StatsRow label="Collisions" a={a?.collisions ?? null} b={b?.collisions ?? null} better="low" />
+          <StatsRow label="Waypoints" a={waypoints(a)} b={waypoints(b)} better={null} />
+          <StatsRow label="Course time" a={courseTime(a)} b={courseTime(b)} better={null} />
+        </tbody>
+      </table>
+      {predictions?.asked > 0 && (
+        <p style={styles.text}>
+          AI prediction accuracy: {Math.round(predictions.accuracy * 100)}% over {predictions.asked} prompts
+          (+{predictions.points} pts)
+        </p>
+      )}
+      {quiz?.graded > 0 && (
+        <p style={styles.text}>Quiz: {quiz.correct}/{quiz.graded} correct</p>
+      )}
+      <div style={{ display: 'flex', gap: '12px', justifyContent: 'center' }}>
+        <button onClick={() => useGameStore.getState().startGame()} style={styles.button}>
+          New Session
+        </button>
+        <button onClick={() => useGameStore.getState().endGame()} style={{ ...styles.button, backgroundColor: '#444', color: '#fff' }}>
+          Free Drive
+        </button>
+      </div>
+      <TelemetryExport />
+    </>
+  );
+}
+
+export default function SessionOverlay() {
+  const phase = useGameStore((s) => s.phase);
+  const phaseStats = useGameStore((s) => s.phaseStats);
+  const sessionSecond = useGameStore((s) => Math.floor(s.sessionTime));
+
+  if (phase !== PHASES.ORIENTATION && phase !== PHASES.QUIZ_BREAK && phase !== PHASES.RESULTS) return null;
+
+  const slot = SESSION_SCHEDULE.find((s) => s.phase === phase);
+  const countdown = formatClock(slot.end - sessionSecond);
+
+  return (
+    <div style={styles.backdrop}>
+      <div style={styles.card}>
+        {phase === PHASES.ORIENTATION && (
+          <>
+            <h1 style={styles.title}>MISSION BRIEFING</h1>
+            <p style={styles.text}>
+              Drive to each glowing waypoint in order. Obey traffic lights and stop signs,
+              and stop for pedestrians. Visibility will not last — when it goes, your
+              sensors are all you have.
+            </p>
+            <p style={styles.text}>
+              <strong>W / ↑</strong> accelerate · <strong>S / ↓</strong> brake / reverse ·{' '}
+              <strong>A D / ← →</strong> steer
+            </p>
+            <p style={styles.countdown}>Phase A starts in {countdown}</p>
+          </>
+        )}
+
+        {phase === PHASES.QUIZ_BREAK && (
+          <>
+            <h1 style={styles.title}>PHASE A COMPLETE</h1>
+            {phaseStats.phaseA && (
+              <p style={styles.text}>
+                Score {phaseStats.phaseA.score} · {phaseStats.phaseA.waypointsCompleted} waypoints ·{' '}
+                {phaseStats.phaseA.collisions} collisions
+              </p>
+            )}
+            <QuizPanel />
+            <p style={styles.text}>
+              Next, the AI drives the same course. Watch the glass box to see what it senses
+              and why it acts.
+            </p>
+            <p style={styles.countdown}>Phase B starts in {countdown}</p>
+          </>
+        )}
+
+        {phase === PHASES.RESULTS && <Results phaseStats={phaseStats} />}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  backdrop: {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'rgba(0, 0, 0, 0.8)',
+    zIndex: 200,
+    fontFamily: 'monospace',
+  },
+  card: {
+    maxWidth: '560px',
+    padding: '28px 36px',
+    background: 'rgba(10, 10, 26, 0.95)',
+    border: '1px solid rgba(0, 255, 136, 0.4)',
+    borderRadius: '12px',
+    color: '#ddd',
+    textAlign: 'center',
+  },
+  title: {
+    margin: '0 0 12px 0',
+    fontSize: '24px',
+    color: '#00ff88',
+    letterSpacing: '2px',
+  },
+  subtitle: {
+    margin: '0 0 16px 0',
+    fontSize: '12px',
+    color: '#888',
+  },
+  text: {
+    fontSize: '14px',
+    lineHeight: 1.5,
+  },
+  countdown: {
+    marginTop: '20px',
+    fontSize: '18px',
+    fontWeight: 'bold',
+    color: '#ffcc00',
+  },
+  table: {
+    margin: '0 auto 20px auto',
+    borderCollapse: 'collapse',
+    fontSize: '14px',
+  },
+  statHeader: {
+    padding: '4px 20px',
+    color: '#888',
+    fontSize: '12px',
+  },
+  statLabel: {
+    padding: '4px 20px 4px 0',
+    textAlign: 'left',
+    color: '#aaa',
+  },
+  statValue: {
+    padding: '4px 20px',
+    fontWeight: 'bold',
+  },
+  button: {
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: 'bold',
+    fontFamily: 'monospace',
+    fontSize: '13px',
+    backgroundColor: '#00ff88',
+    color: '#000',
+  },
+};
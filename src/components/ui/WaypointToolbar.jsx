@@ -1,11 +1,46 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import useWaypointStore from '../../stores/useWaypointStore';
 
+const buttonStyle = {
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: 'bold'
+};
+
+function downloadCourse(course) {
+    const blob = new Blob([JSON.stringify(course, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${course.name.replace(/[^\w-]/g, '_')}-seed${course.seed}.course.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 export default function WaypointToolbar() {
     const isDesignerMode = useWaypointStore((s) => s.isDesignerMode);
     const customWaypoints = useWaypointStore((s) => s.customWaypoints);
+    const course = useWaypointStore((s) => s.course);
+    const useCustomCourse = useWaypointStore((s) => s.useCustomCourse);
+    const courseName = useWaypointStore((s) => s.courseName);
     const toggleDesignerMode = useWaypointStore((s) => s.toggleDesignerMode);
     const clearWaypoints = useWaypointStore((s) => s.clearWaypoints);
+    const fileInput = useRef(null);
+
+    const courseValid = course.errors.length === 0;
+
+    const onLoadFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            useWaypointStore.getState().loadCourse(JSON.parse(await file.text()));
+        } catch (err) {
+            console.error('[Course] Could not load course file:', err);
+        }
+    };
 
     return (
         <div style={{
@@ -14,6 +49,9 @@ export default function WaypointToolbar() {
             left: '50%',
             transform: 'translateX(-50%)',
             display: 'flex',
+            flexWrap: 'wrap',
+            justifyContent: 'center',
+            maxWidth: '760px',
             gap: '10px',
             background: 'rgba(20, 25, 40, 0.9)',
             padding: '10px 20px',
@@ -30,13 +68,9 @@ export default function WaypointToolbar() {
             <button
                 onClick={toggleDesignerMode}
                 style={{
+                    ...buttonStyle,
                     backgroundColor: isDesignerMode ? '#fbbf24' : '#4ade80',
                     color: '#000',
-                    border: 'none',
-                    padding: '8px 16px',
-                    borderRadius: '8px',
-                    cursor: 'pointer',
-                    fontWeight: 'bold',
                     transition: 'all 0.2s'
                 }}
             >
@@ -46,25 +80,59 @@ export default function WaypointToolbar() {
             {isDesignerMode && (
                 <>
                     <div style={{ padding: '0 10px', fontSize: '12px', opacity: 0.8 }}>
-                        Click paths to add waypoints ({customWaypoints.length})
+                        Click roads to add waypoints ({customWaypoints.length})
                     </div>
 
                     <button
                         onClick={clearWaypoints}
-                        style={{
-                            backgroundColor: '#ef4444',
-                            color: 'white',
-                            border: 'none',
-                            padding: '8px 16px',
-                            borderRadius: '8px',
-                            cursor: 'pointer',
-                            fontWeight: 'bold'
-                        }}
+                        style={{ ...buttonStyle, backgroundColor: '#ef4444', color: 'white' }}
                     >
                         Clear Path
                     </button>
                 </>
             )}
+
+            {(isDesignerMode || customWaypoints.length > 0) && (
+                <>
+                    {/* Custom course: replaces the generated mission for the student and the AI */}
+                    <label style={{ fontSize: '12px', opacity: courseValid ? 1 : 0.5, cursor: courseValid ? 'pointer' : 'not-allowed' }}>
+                        <input
+                            type="checkbox"
+                            checked={useCustomCourse && courseValid}
+                            disabled={!courseValid}
+                            onChange={(e) => useWaypointStore.getState().setUseCustomCourse(e.target.checked)}
+                        />
+                        {' '}Use as course ({course.waypoints.length} stops)
+                    </label>
+
+                    <input
+                        value={courseName}
+                        onChange={(e) => useWaypointStore.getState().setCourseName(e.target.value)}
+                        style={{ width: '110px', padding: '6px', borderRadius: '6px', border: '1px solid #334', background: '#111', color: '#fff', fontFamily: 'monospace' }}
+                    />
+                    <button
+                        onClick={() => downloadCourse(useWaypointStore.getState().exportCourse())}
+                        disabled={customWaypoints.length === 0}
+                        style={{ ...buttonStyle, backgroundColor: '#3b82f6', color: 'white' }}
+                    >
+                        Save
+                    </button>
+                </>
+            )}
+
+            <button
+                onClick={() => fileInput.current?.click()}
+                style={{ ...buttonStyle, backgroundColor: '#334155', color: 'white' }}
+            >
+                Load Course
+            </button>
+            <input ref={fileInput} type="file" accept=".json,application/json" onChange={onLoadFile} style={{ display: 'none' }} />
+
+            {customWaypoints.length > 0 && !courseValid && (
+                <div style={{ flexBasis: '100%', textAlign: 'center', fontSize: '11px', color: '#f87171' }}>
+                    {course.errors.join(' · ')}
+                </div>
+            )}
         </div>
     );
 }
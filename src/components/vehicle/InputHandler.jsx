@@ -1,11 +1,21 @@
 // ============================================================
-// InputHandler — Keyboard input for vehicle driving
+// InputHandler — Keyboard + gamepad input for vehicle driving
 // W/Up = accelerate, S/Down = brake, A/Left = steer left, D/Right = steer right
 // Sets input flags on useVehicleStore. Physics reads them per frame.
+// A connected gamepad / wheel is polled every animation frame and,
+// while any of its controls is in use, drives through inputs.analog;
+// the keyboard takes over again once the pad is idle.
 // ============================================================
 
 import { useEffect } from 'react';
 import useVehicleStore from '../../stores/useVehicleStore.js';
+import useInputStore from '../../stores/useInputStore.js';
+import {
+  readGamepad,
+  isGamepadIdle,
+  gamepadBaseline,
+  captureBinding,
+} from '../../systems/vehicle/gamepadInput.js';
 
 // Map key codes to input action names
 const KEY_MAP = {
@@ -19,7 +29,10 @@ const KEY_MAP = {
   ArrowRight: 'steerRight',
 };
 
-export default function InputHandler() {
+/**
+ * @param {{ gamepad?: boolean }} props - gamepad: poll the pad (off while the AI drives)
+ */
+export default function InputHandler({ gamepad = true }) {
   useEffect(() => {
     const setInput = useVehicleStore.getState().setInput;
 
@@ -28,6 +41,7 @@ export default function InputHandler() {
       if (action) {
         e.preventDefault();
         setInput(action, true);
+        useInputStore.getState().setDevice('keyboard');
       }
     }
 
@@ -60,5 +74,83 @@ export default function InputHandler() {
     };
   }, []);
 
+  // Track the connected pad (the first one wins)
+  useEffect(() => {
+    if (!navigator.getGamepads) return undefined;
+    const input = useInputStore.getState();
+
+    function connect(pad) {
+      input.setGamepad({ index: pad.index, id: pad.id });
+      // Non-standard mapping is usually a wheel + pedals: start from that preset
+      if (pad.mapping !== 'standard' && input.config.preset === 'gamepad') input.applyPreset('wheel');
+    }
+
+    function onConnected(e) {
+      if (!useInputStore.getState().gamepad) connect(e.gamepad);
+    }
+
+    function onDisconnected(e) {
+      if (useInputStore.getState().gamepad?.index !== e.gamepad.index) return;
+      input.setGamepad(null);
+      useVehicleStore.getState().setInput('analog', null);
+    }
+
+    const present = [...navigator.getGamepads()].find(Boolean);
+    if (present) connect(present);
+
+    window.addEventListener('gamepadconnected', onConnected);
+    window.addEventListener('gamepaddisconnected', onDisconnected);
+    return () => {
+      window.removeEventListener('gamepadconnected', onConnected);
+      window.removeEventListener('gamepaddisconnected', onDisconnected);
+    };
+  }, []);
+
+  // Poll the pad each animation frame
+  useEffect(() => {
+    if (!gamepad || !navigator.getGamepads) return undefined;
+    const setInput = useVehicleStore.getState().setInput;
+    let frame;
+    let baseline = null;
+    let driving = false;
+
+    const release = () => {
+      if (driving) setInput('analog', null);
+      driving = false;
+    };
+
+    const poll = () => {
+      frame = requestAnimationFrame(poll);
+      const { gamepad: connected, config, capturing, setBinding, setDevice } = useInputStore.getState();
+      const pad = connected ? navigator.getGamepads()[connected.index] : null;
+      if (!pad) return;
+
+      // Rebinding: wait for the player to move a control, don't drive meanwhile
+      if (capturing) {
+        release();
+        baseline ??= gamepadBaseline(pad);
+        const binding = captureBinding(pad, baseline, capturing);
+        if (binding) setBinding(capturing, binding);
+        return;
+      }
+      baseline = null;
+
+      const reading = readGamepad(pad, config);
+      if (isGamepadIdle(reading)) {
+        release();
+        return;
+      }
+      setInput('analog', reading);
+      setDevice('gamepad');
+      driving = true;
+    };
+
+    frame = requestAnimationFrame(poll);
+    return () => {
+      cancelAnimationFrame(frame);
+      release();
+    };
+  }, [gamepad]);
+
   return null;
 }
@@ -4,17 +4,25 @@
 // traffic infrastructure + zone props.
 // ============================================================
 
-import { useMemo, useEffect } from 'react';
+import { useMemo, useEffect, useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { generateWorld } from '../../systems/world/generateWorld.js';
-import { generateWaypoints, WAYPOINT_REACH_RADIUS } from '../../systems/waypoints/generateWaypoints.js';
+import { WAYPOINT_REACH_RADIUS } from '../../systems/waypoints/generateWaypoints.js';
 import useTrafficStore from '../../stores/useTrafficStore.js';
 import useVehicleStore from '../../stores/useVehicleStore.js';
-import useGameStore from '../../stores/useGameStore.js';
+import useGameStore, { PHASES, DRIVING_PHASES } from '../../stores/useGameStore.js';
+import useBlackoutStore from '../../stores/useBlackoutStore.js';
 import { tickVehiclePhysics } from '../../systems/vehicle/vehiclePhysics.js';
 import { buildCollisionData, resolveCollisions } from '../../systems/vehicle/collisions.js';
-import { evaluateDrivingRules } from '../../systems/vehicle/drivingRules.js';
+import { evaluateDrivingRules, resetDrivingRulesState } from '../../systems/vehicle/drivingRules.js';
 import { buildSensorTargets } from '../../systems/sensors/sensorTargets.js';
+import { reseedSessionRng } from '../../utils/random.js';
+import { VEHICLE_START } from '../../constants/vehicle.js';
+import useReplayStore from '../../stores/useReplayStore.js';
+import useTimelineStore, { TIMELINE } from '../../stores/useTimelineStore.js';
+import useAIStore from '../../stores/useAIStore.js';
+import useTelemetryStore from '../../stores/useTelemetryStore.js';
+import useWaypointStore from '../../stores/useWaypointStore.js';
 import Ground from './Ground.jsx';
 import Roads from './Roads.jsx';
 import Block from './Block.jsx';
@@ -45,11 +53,12 @@ export default function CityWorld({ seed = 12345, cameraMode = 'orbit' }) {
     collisionData.entityGetter = () => useEntityStore.getState().entities;
   }, [collisionData]);
 
-  // Generate waypoints once per seed
+  // Mission waypoints: once per seed, or the designer's custom course while enabled
+  const customCourse = useWaypointStore((s) => (s.useCustomCourse ? s.course : null));
   const waypointData = useMemo(() => {
     const startPos = useVehicleStore.getState().position;
-    return generateWaypoints(seed, startPos);
-  }, [seed]);
+    return useWaypointStore.getState().getMissionWaypoints(seed, startPos);
+  }, [seed, customCourse]);
 
   // Push waypoints into game store when they change
   useEffect(() => {
@@ -60,9 +69,57 @@ export default function CityWorld({ seed = 12345, cameraMode = 'orbit' }) {
   const waypoints = useGameStore((s) => s.waypoints);
   const currentWaypointIndex = useGameStore((s) => s.currentWaypointIndex);
 
-  // Drive the traffic light clock + vehicle physics + collision every frame
+  // Delta simulated this frame: 0 while paused, scaled by the glass box
+  // time scale, or the recorded one during replay playback
+  const frameDelta = useRef(0);
+
+  // Pre-frame: session restart + phase clock, pause/step, replay input
+  // injection/recording.
+  // Negative priority runs before SensorManager and the main loop below.
   useFrame((_, delta) => {
+    const { restartRequest } = useGameStore.getState();
+    if (restartRequest && restartRequest.seed === seed) {
+      reseedSessionRng(seed);
+      useVehicleStore.getState().reset();
+      useTrafficStore.getState().reset();
+      resetDrivingRulesState();
+      useBlackoutStore.getState().reset();
+      useAIStore.getState().resetPlayback();
+      collisionData.hitCooldowns.clear();
+      useEntityStore.getState().initEntities(seed, worldData);
+      useGameStore.getState().setWaypoints(useWaypointStore.getState().getMissionWaypoints(seed, VEHICLE_START.POSITION));
+      useGameStore.getState().completeRestart();
+      useTimelineStore.getState().clear();
+      useReplayStore.getState().onSessionStart();
+    }
+
+    // Session schedule runs on wall-clock time and stops while paused
+    // (a prediction prompt must not eat drive time); overlay phases freeze the world
+    const timeline = useTimelineStore.getState();
+    if (!timeline.isFrozen()) useGameStore.getState().tick(delta);
+    if (!DRIVING_PHASES.has(useGameStore.getState().phase)) {
+      frameDelta.current = 0;
+      return;
+    }
+
+    if (timeline.isFrozen()) {
+      frameDelta.current = 0;
+      return;
+    }
+    const liveDelta = timeline.stepRequested ? TIMELINE.STEP_DT : delta * useAIStore.getState().timeScale;
+
+    const replay = useReplayStore.getState();
+    frameDelta.current = replay.beginFrame(liveDelta);
+    replay.recordFrame(frameDelta.current);
+  }, -1);
+
+  // Drive the traffic light clock + vehicle physics + collision every frame
+  useFrame(() => {
+    const delta = frameDelta.current;
+    if (delta === 0) return; // paused
+
     tickTraffic(delta);
+    useBlackoutStore.getState().tick(delta);
 
     // Entity behavior tick (pedestrians, NPC vehicles, animals, etc.)
     const vPos = useVehicleStore.getState().position;
@@ -71,16 +128,20 @@ export default function CityWorld({ seed = 12345, cameraMode = 'orbit' }) {
     // Vehicle physics tick → collision resolution → scoring
     const vState = useVehicleStore.getState();
     const candidateState = tickVehiclePhysics(vState, vState.inputs, delta);
-    const { state: correctedState, scoreDelta: collisionScore } = resolveCollisions(candidateState, collisionData);
+    const { state: correctedState, scoreDelta: collisionScore, hits, contacts } = resolveCollisions(candidateState, collisionData);
 
     // Evaluate traffic laws
-    const drivingScoreDelta = evaluateDrivingRules(correctedState, useTrafficStore.getState(), delta);
+    const ruleEvents = [];
+    const drivingScoreDelta = evaluateDrivingRules(correctedState, useTrafficStore.getState(), delta, undefined, ruleEvents);
 
     vState.applyPhysicsState(correctedState);
     const totalScoreDelta = collisionScore + drivingScoreDelta;
     if (totalScoreDelta !== 0) {
       useGameStore.getState().addScore(totalScoreDelta);
     }
+    if (hits > 0) useGameStore.getState().addCollisions(hits);
+    useAIStore.getState().learner?.recordEvents(contacts, ruleEvents);
+    useTelemetryStore.getState().recordFrame(delta, correctedState, contacts, candidateState.speed, ruleEvents);
 
     // Waypoint proximity check
     const gameState = useGameStore.getState();
@@ -93,9 +154,14 @@ export default function CityWorld({ seed = 12345, cameraMode = 'orbit' }) {
         const dz = vz2 - wp.position[2];
         if (dx * dx + dz * dz < WAYPOINT_REACH_RADIUS * WAYPOINT_REACH_RADIUS) {
           gameState.advanceWaypoint();
+          // Reaching the first waypoint in Phase A starts the lights-out sequence
+          if (wpIdx === 0 && gameState.phase === PHASES.PHASE_A) useBlackoutStore.getState().trigger();
         }
       }
     }
+
+    // Rewind timeline snapshot (after physics; sensors already ran this frame)
+    useTimelineStore.getState().capture(delta);
   });
 
   return (
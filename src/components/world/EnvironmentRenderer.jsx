@@ -0,0 +1,265 @@
+// ============================================================
+// EnvironmentRenderer — weather and darkness in the 3D view
+// Follows the sensor store's weather / timeOfDay every frame so the
+// scene degrades like the sensors do: fog whose reach matches the
+// LiDAR's weather range, rain streaks around the camera, wet-road
+// tint, street lights at the surrounding intersections, the ego
+// car's headlights and those of the nearest moving traffic. Fog and wetness ease toward their targets, so
+// weather changes and the Phase A blackout fade instead of popping.
+// ============================================================
+
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import useSensorStore from '../../stores/useSensorStore.js';
+import useVehicleStore from '../../stores/useVehicleStore.js';
+import useEntityStore from '../../stores/useEntityStore.js';
+import { COLORS, ENVIRONMENT, GRID, SCENE_LIGHTING, WORLD_HALF } from '../../constants/world.js';
+import { interpolateTimeOfDay } from '../../systems/sensors/sensorUtils.js';
+import { roadMaterial } from './roadMaterial.js';
+
+const ROAD_DRY = new THREE.Color(COLORS.ROAD);
+const ROAD_WET = new THREE.Color(ENVIRONMENT.ROAD_WET);
+const INTERSECTION_ORIGIN = -WORLD_HALF + GRID.ROAD_WIDTH / 2;
+const LAST_ROAD = GRID.BLOCKS_PER_SIDE;
+const STREET_LIGHT_COUNT = 4;
+const NPC_VEHICLE_TYPES = new Set(['npcVehicle', 'schoolbus', 'emergency']);
+
+/**
+ * Centers of the 2×2 intersections around a point (the block it is in).
+ * @returns {number[][]} [x, z] pairs
+ */
+function surroundingIntersections(x, z) {
+  const col = Math.max(0, Math.min(LAST_ROAD - 1, Math.floor((x - INTERSECTION_ORIGIN) / GRID.BLOCK_STRIDE)));
+  const row = Math.max(0, Math.min(LAST_ROAD - 1, Math.floor((z - INTERSECTION_ORIGIN) / GRID.BLOCK_STRIDE)));
+  const centers = [];
+  for (const c of [col, col + 1]) {
+    for (const r of [row, row + 1]) {
+      centers.push([INTERSECTION_ORIGIN + c * GRID.BLOCK_STRIDE, INTERSECTION_ORIGIN + r * GRID.BLOCK_STRIDE]);
+    }
+  }
+  return centers;
+}
+
+/** Wrap v into [-half, half) around center. */
+function wrap(v, center, half) {
+  const span = half * 2;
+  return center + ((((v - center + half) % span) + span) % span) - half;
+}
+
+function RainStreaks({ amountRef }) {
+  const { camera } = useThree();
+  const [hx, hy, hz] = ENVIRONMENT.RAIN_BOX.map((s) => s / 2);
+
+  const { geometry, drops } = useMemo(() => {
+    const n = ENVIRONMENT.RAIN_STREAKS;
+    const drops = new Float32Array(n * 3);
+    for (let i = 0; i < n; i++) {
+      drops[i * 3] = (Math.random() * 2 - 1) * hx;
+      drops[i * 3 + 1] = (Math.random() * 2 - 1) * hy;
+      drops[i * 3 + 2] = (Math.random() * 2 - 1) * hz;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(n * 6), 3));
+    return { geometry, drops };
+  }, [hx, hy, hz]);
+  const materialRef = useRef();
+  const linesRef = useRef();
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  useFrame((_, delta) => {
+    const amount = amountRef.current;
+    linesRef.current.visible = amount > 0.01;
+    if (!linesRef.current.visible) return;
+    materialRef.current.opacity = ENVIRONMENT.RAIN_OPACITY * amount;
+
+    // Drops live in world space and wrap into the box around the camera
+    const { x: cx, y: cy, z: cz } = camera.position;
+    const fall = ENVIRONMENT.RAIN_SPEED * Math.min(delta, 0.1);
+    const len = ENVIRONMENT.RAIN_STREAK_LENGTH;
+    const pos = geometry.attributes.position.array;
+    for (let i = 0; i < drops.length; i += 3) {
+      const x = wrap(drops[i], cx, hx);
+      const y = wrap(drops[i + 1] - fall, cy, hy);
+      const z = wrap(drops[i + 2], cz, hz);
+      drops[i] = x;
+      drops[i + 1] = y;
+      drops[i + 2] = z;
+      const j = i * 2;
+      pos[j] = x;
+      pos[j + 1] = y;
+      pos[j + 2] = z;
+      pos[j + 3] = x;
+      pos[j + 4] = y + len;
+      pos[j + 5] = z;
+    }
+    geometry.attributes.position.needsUpdate = true;
+  });
+
+  return (
+    <lineSegments ref={linesRef} geometry={geometry} frustumCulled={false}>
+      <lineBasicMaterial ref={materialRef} color="#a8b4cc" transparent depthWrite={false} />
+    </lineSegments>
+  );
+}
+
+function Headlights() {
+  const groupRef = useRef();
+  const leftRef = useRef();
+  const rightRef = useRef();
+  const target = useMemo(() => new THREE.Object3D(), []);
+
+  useFrame(() => {
+    const { position, heading } = useVehicleStore.getState();
+    groupRef.current.position.set(position[0], position[1], position[2]);
+    groupRef.current.rotation.y = heading;
+    const intensity = interpolateTimeOfDay(ENVIRONMENT.HEADLIGHTS, useSensorStore.getState().timeOfDay);
+    leftRef.current.intensity = intensity;
+    rightRef.current.intensity = intensity;
+  });
+
+  const beam = {
+    angle: 0.45,
+    penumbra: 0.5,
+    distance: ENVIRONMENT.HEADLIGHT_RANGE,
+    decay: 2,
+    color: '#fff4dd',
+    intensity: 0,
+    target,
+  };
+
+  // Local -Z is forward (as in Vehicle)
+  return (
+    <group ref={groupRef}>
+      <primitive object={target} position={[0, 0, -20]} />
+      <spotLight ref={leftRef} position={[-0.6, 0.7, -2]} {...beam} />
+      <spotLight ref={rightRef} position={[0.6, 0.7, -2]} {...beam} />
+    </group>
+  );
+}
+
+/**
+ * The moving NPC vehicles nearest to a point, closest first.
+ * @returns {object[]} at most `count` entities
+ */
+function nearestMovingVehicles(entities, x, z, count) {
+  return entities
+    .filter((e) => e.visible && NPC_VEHICLE_TYPES.has(e.type) && e.subtype !== 'parked' && e.speed > 0)
+    .map((e) => ({ e, d: (e.position[0] - x) ** 2 + (e.position[2] - z) ** 2 }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, count)
+    .map(({ e }) => e);
+}
+
+// A fixed pool of beams handed to the nearest traffic each frame (like
+// StreetLights) — a light per vehicle would recompile every material
+// whenever one spawns or leaves
+function NpcHeadlights() {
+  const groupRefs = useRef([]);
+  const lightRefs = useRef([]);
+  const targets = useMemo(
+    () => Array.from({ length: ENVIRONMENT.NPC_HEADLIGHT_COUNT }, () => new THREE.Object3D()),
+    [],
+  );
+
+  useFrame(() => {
+    const { position } = useVehicleStore.getState();
+    const intensity = interpolateTimeOfDay(ENVIRONMENT.HEADLIGHTS, useSensorStore.getState().timeOfDay);
+    const vehicles = intensity > 0
+      ? nearestMovingVehicles(useEntityStore.getState().entities, position[0], position[2], ENVIRONMENT.NPC_HEADLIGHT_COUNT)
+      : [];
+    for (let i = 0; i < ENVIRONMENT.NPC_HEADLIGHT_COUNT; i++) {
+      const vehicle = vehicles[i];
+      const light = lightRefs.current[i];
+      light.intensity = vehicle ? intensity : 0;
+      if (!vehicle) continue;
+      const group = groupRefs.current[i];
+      group.position.set(vehicle.position[0], vehicle.position[1], vehicle.position[2]);
+      group.rotation.y = vehicle.heading;
+      light.position.z = -vehicle.bounds.hd;
+    }
+  });
+
+  // Entities share the ego heading convention: local -Z is forward
+  return targets.map((target, i) => (
+    <group key={i} ref={(group) => { groupRefs.current[i] = group; }}>
+      <primitive object={target} position={[0, 0, -20]} />
+      <spotLight
+        ref={(light) => { lightRefs.current[i] = light; }}
+        position={[0, 0.7, -2]}
+        angle={0.5}
+        penumbra={0.5}
+        distance={ENVIRONMENT.HEADLIGHT_RANGE}
+        decay={2}
+        color="#fff4dd"
+        intensity={0}
+        target={target}
+      />
+    </group>
+  ));
+}
+
+function StreetLights() {
+  const lightRefs = useRef([]);
+
+  useFrame(() => {
+    const { position } = useVehicleStore.getState();
+    const intensity = interpolateTimeOfDay(ENVIRONMENT.STREET_LIGHTS, useSensorStore.getState().timeOfDay);
+    surroundingIntersections(position[0], position[2]).forEach(([x, z], i) => {
+      const light = lightRefs.current[i];
+      light.position.set(x, ENVIRONMENT.STREET_LIGHT_HEIGHT, z);
+      light.intensity = intensity;
+    });
+  });
+
+  return Array.from({ length: STREET_LIGHT_COUNT }, (_, i) => (
+    <pointLight
+      key={i}
+      ref={(light) => { lightRefs.current[i] = light; }}
+      color="#ffcc88"
+      intensity={0}
+      distance={ENVIRONMENT.STREET_LIGHT_RANGE}
+      decay={2}
+    />
+  ));
+}
+
+export default function EnvironmentRenderer() {
+  const { scene } = useThree();
+  const fog = useMemo(() => new THREE.Fog(
+    SCENE_LIGHTING.BACKGROUND.daylight, ENVIRONMENT.FOG_FAR.clear * ENVIRONMENT.FOG_NEAR_RATIO, ENVIRONMENT.FOG_FAR.clear,
+  ), []);
+  const rainRef = useRef(0); // 0 dry … 1 raining (eased)
+
+  useEffect(() => {
+    scene.fog = fog;
+    return () => { scene.fog = null; };
+  }, [scene, fog]);
+
+  useFrame((_, delta) => {
+    const { weather } = useSensorStore.getState();
+    const ease = Math.min(1, ENVIRONMENT.WEATHER_RATE * delta);
+
+    // Fog fades to the sky color (black once the blackout has set in)
+    const far = ENVIRONMENT.FOG_FAR[weather] ?? ENVIRONMENT.FOG_FAR.clear;
+    fog.far += (far - fog.far) * ease;
+    fog.near = fog.far * ENVIRONMENT.FOG_NEAR_RATIO;
+    if (scene.background?.isColor) fog.color.copy(scene.background);
+
+    rainRef.current += ((weather === 'rain' ? 1 : 0) - rainRef.current) * ease;
+    roadMaterial.color.lerpColors(ROAD_DRY, ROAD_WET, rainRef.current);
+    roadMaterial.roughness = THREE.MathUtils.lerp(
+      ENVIRONMENT.ROAD_ROUGHNESS.dry, ENVIRONMENT.ROAD_ROUGHNESS.wet, rainRef.current,
+    );
+  });
+
+  return (
+    <>
+      <RainStreaks amountRef={rainRef} />
+      <Headlights />
+      <NpcHeadlights />
+      <StreetLights />
+    </>
+  );
+}
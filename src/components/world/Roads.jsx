@@ -4,6 +4,7 @@
 
 import { memo } from 'react';
 import { COLORS } from '../../constants/world.js';
+import { roadMaterial } from './roadMaterial.js';
 
 // Sidewalk pair for a road segment (two strips, one on each side)
 function Sidewalk({ data }) {
@@ -26,6 +27,7 @@ const Roads = memo(function Roads({ data }) {
           key={seg.id}
           position={[seg.center[0], 0.01, seg.center[2]]}
           rotation={[-Math.PI / 2, 0, 0]}
+          material={roadMaterial}
           receiveShadow
         >
           <planeGeometry
@@ -35,7 +37,6 @@ const Roads = memo(function Roads({ data }) {
                 : [seg.width, seg.length]
             }
           />
-          <meshStandardMaterial color={COLORS.ROAD} />
         </mesh>
       ))}
 
@@ -45,10 +46,10 @@ const Roads = memo(function Roads({ data }) {
           key={inter.id}
           position={[inter.position[0], 0.01, inter.position[2]]}
           rotation={[-Math.PI / 2, 0, 0]}
+          material={roadMaterial}
           receiveShadow
         >
           <planeGeometry args={[inter.size, inter.size]} />
-          <meshStandardMaterial color={COLORS.ROAD} />
         </mesh>
       ))}
 
@@ -0,0 +1,79 @@
+// ============================================================
+// SceneLighting — ambient / sun / hemisphere lights + sky color
+// Follows the sensor store's timeOfDay every frame, so the preset
+// options and the continuous Phase A blackout both light the scene
+// (sun intensity, color and angle). Weather is EnvironmentRenderer's.
+// ============================================================
+
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import useSensorStore from '../../stores/useSensorStore.js';
+import { SCENE_LIGHTING, ENVIRONMENT } from '../../constants/world.js';
+import { SENSOR_SHARED } from '../../constants/sensors.js';
+import { timeOfDayLevel, interpolateTimeOfDay } from '../../systems/sensors/sensorUtils.js';
+
+const tmpColor = new THREE.Color();
+const DEG = Math.PI / 180;
+
+/**
+ * Set target to a { daylight, dusk, night } color table at a time of day.
+ */
+function lerpColorTable(target, table, timeOfDay) {
+  const level = timeOfDayLevel(timeOfDay);
+  const { dusk } = SENSOR_SHARED.TIME_OF_DAY_LEVEL;
+  if (level <= dusk) {
+    target.set(table.daylight).lerp(tmpColor.set(table.dusk), level / dusk);
+  } else {
+    target.set(table.dusk).lerp(tmpColor.set(table.night), (level - dusk) / (1 - dusk));
+  }
+}
+
+export default function SceneLighting() {
+  const backgroundRef = useRef();
+  const ambientRef = useRef();
+  const sunRef = useRef();
+  const hemisphereRef = useRef();
+
+  useFrame(() => {
+    const { timeOfDay } = useSensorStore.getState();
+    ambientRef.current.intensity = interpolateTimeOfDay(SCENE_LIGHTING.AMBIENT, timeOfDay);
+    sunRef.current.intensity = interpolateTimeOfDay(SCENE_LIGHTING.SUN, timeOfDay);
+    hemisphereRef.current.intensity = interpolateTimeOfDay(SCENE_LIGHTING.HEMISPHERE, timeOfDay);
+    lerpColorTable(sunRef.current.color, SCENE_LIGHTING.SUN_COLOR, timeOfDay);
+
+    // Sun sinks towards the horizon through dusk (long shadows), moonlight overhead at night
+    const elevation = interpolateTimeOfDay(ENVIRONMENT.SUN_ELEVATION, timeOfDay) * DEG;
+    const azimuth = ENVIRONMENT.SUN_AZIMUTH * DEG;
+    const flat = Math.cos(elevation) * ENVIRONMENT.SUN_DISTANCE;
+    sunRef.current.position.set(Math.cos(azimuth) * flat, Math.sin(elevation) * ENVIRONMENT.SUN_DISTANCE, Math.sin(azimuth) * flat);
+    lerpColorTable(backgroundRef.current, SCENE_LIGHTING.BACKGROUND, timeOfDay);
+  });
+
+  return (
+    <>
+      <color ref={backgroundRef} attach="background" args={[SCENE_LIGHTING.BACKGROUND.daylight]} />
+
+      <ambientLight ref={ambientRef} intensity={SCENE_LIGHTING.AMBIENT.daylight} />
+      <directionalLight
+        ref={sunRef}
+        position={[80, 120, 60]}
+        intensity={SCENE_LIGHTING.SUN.daylight}
+        castShadow
+        shadow-mapSize={[2048, 2048]}
+        shadow-camera-left={-120}
+        shadow-camera-right={120}
+        shadow-camera-top={120}
+        shadow-camera-bottom={-120}
+        shadow-camera-near={1}
+        shadow-camera-far={300}
+      />
+      <hemisphereLight
+        ref={hemisphereRef}
+        color="#b1e1ff"
+        groundColor="#1a1a2e"
+        intensity={SCENE_LIGHTING.HEMISPHERE.daylight}
+      />
+    </>
+  );
+}
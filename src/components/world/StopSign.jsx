@@ -5,11 +5,15 @@
 import { memo } from 'react';
 import { STOP_SIGN_DIMS as D, STOP_SIGN_COLORS as C } from '../../constants/traffic.js';
 
+// LiDAR return model: sign sheeting reflects back toward the source
+const RETROREFLECTIVE = { lidarMaterial: 'retroreflective' };
+const METAL = { lidarMaterial: 'metal' };
+
 const StopSign = memo(function StopSign({ position, rotation }) {
   return (
     <group position={position} rotation={[0, rotation, 0]}>
       {/* Pole */}
-      <mesh position={[0, D.POLE_HEIGHT / 2, 0]} castShadow>
+      <mesh position={[0, D.POLE_HEIGHT / 2, 0]} userData={METAL} castShadow>
         <cylinderGeometry args={[D.POLE_RADIUS, D.POLE_RADIUS, D.POLE_HEIGHT, 8]} />
         <meshStandardMaterial color={C.POLE} />
       </mesh>
@@ -18,6 +22,7 @@ const StopSign = memo(function StopSign({ position, rotation }) {
       <mesh
         position={[0, D.POLE_HEIGHT + D.SIGN_RADIUS * 0.8, 0]}
         rotation={[Math.PI / 2, Math.PI / 8, 0]}
+        userData={RETROREFLECTIVE}
         castShadow
       >
         <cylinderGeometry args={[D.SIGN_RADIUS, D.SIGN_RADIUS, D.SIGN_THICKNESS, 8]} />
@@ -28,6 +33,7 @@ const StopSign = memo(function StopSign({ position, rotation }) {
       <mesh
         position={[0, D.POLE_HEIGHT + D.SIGN_RADIUS * 0.8, -0.005]}
         rotation={[Math.PI / 2, Math.PI / 8, 0]}
+        userData={RETROREFLECTIVE}
       >
         <cylinderGeometry args={[D.SIGN_RADIUS + 0.05, D.SIGN_RADIUS + 0.05, D.SIGN_THICKNESS + 0.01, 8]} />
         <meshStandardMaterial color={C.SIGN_BORDER} />
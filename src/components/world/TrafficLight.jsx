@@ -8,6 +8,9 @@ import { memo } from 'react';
 import useTrafficStore, { deriveLightState } from '../../stores/useTrafficStore.js';
 import { LIGHT_STATE, TRAFFIC_LIGHT_DIMS as D, TRAFFIC_LIGHT_COLORS as C } from '../../constants/traffic.js';
 
+// LiDAR return model: a bare steel pole
+const METAL = { lidarMaterial: 'metal' };
+
 const TrafficLight = memo(function TrafficLight({ position, rotation, axis }) {
   // Subscribe to clock changes to re-render when light state changes
   const clock = useTrafficStore((s) => s.clock);
@@ -20,7 +23,7 @@ const TrafficLight = memo(function TrafficLight({ position, rotation, axis }) {
   return (
     <group position={position} rotation={[0, rotation, 0]}>
       {/* Pole */}
-      <mesh position={[0, D.POLE_HEIGHT / 2, 0]} castShadow>
+      <mesh position={[0, D.POLE_HEIGHT / 2, 0]} userData={METAL} castShadow>
         <cylinderGeometry args={[D.POLE_RADIUS, D.POLE_RADIUS, D.POLE_HEIGHT, 8]} />
         <meshStandardMaterial color={C.POLE} />
       </mesh>
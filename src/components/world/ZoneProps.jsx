@@ -7,6 +7,10 @@
 import { memo } from 'react';
 import { PROP_DIMS as D, PROP_COLORS as C, SPEED_SIGN_DIMS as SD } from '../../constants/traffic.js';
 
+// LiDAR return model: sign sheeting and reflective bands; bare steel poles
+const RETROREFLECTIVE = { lidarMaterial: 'retroreflective' };
+const METAL = { lidarMaterial: 'metal' };
+
 // --- Individual prop components ---
 
 function TrafficCone({ position }) {
@@ -18,7 +22,7 @@ function TrafficCone({ position }) {
         <meshStandardMaterial color={C.CONE_BASE} />
       </mesh>
       {/* Cone body */}
-      <mesh position={[0, D.CONE_HEIGHT / 2 + 0.04, 0]} castShadow>
+      <mesh position={[0, D.CONE_HEIGHT / 2 + 0.04, 0]} userData={RETROREFLECTIVE} castShadow>
         <coneGeometry args={[D.CONE_RADIUS, D.CONE_HEIGHT, 8]} />
         <meshStandardMaterial color={C.CONE_ORANGE} />
       </mesh>
@@ -45,7 +49,7 @@ function Barrier({ position, rotation }) {
         <meshStandardMaterial color={C.BARRIER_ORANGE} />
       </mesh>
       {/* White stripe */}
-      <mesh position={[0, D.BARRIER_LEG_HEIGHT + D.BARRIER_HEIGHT * 0.15, 0]}>
+      <mesh position={[0, D.BARRIER_LEG_HEIGHT + D.BARRIER_HEIGHT * 0.15, 0]} userData={RETROREFLECTIVE}>
         <boxGeometry args={[D.BARRIER_WIDTH, D.BARRIER_HEIGHT * 0.2, D.BARRIER_DEPTH + 0.005]} />
         <meshStandardMaterial color={C.BARRIER_WHITE} />
       </mesh>
@@ -57,7 +61,7 @@ function SchoolSign({ position, rotation }) {
   return (
     <group position={position} rotation={[0, rotation, 0]}>
       {/* Pole */}
-      <mesh position={[0, D.SIGN_POLE_HEIGHT / 2, 0]} castShadow>
+      <mesh position={[0, D.SIGN_POLE_HEIGHT / 2, 0]} userData={METAL} castShadow>
         <cylinderGeometry args={[D.SIGN_POLE_RADIUS, D.SIGN_POLE_RADIUS, D.SIGN_POLE_HEIGHT, 8]} />
         <meshStandardMaterial color={C.SIGN_POLE} />
       </mesh>
@@ -65,6 +69,7 @@ function SchoolSign({ position, rotation }) {
       <mesh
         position={[0, D.SIGN_POLE_HEIGHT + D.SIGN_HEIGHT / 2, 0]}
         rotation={[0, 0, Math.PI / 4]}
+        userData={RETROREFLECTIVE}
         castShadow
       >
         <boxGeometry args={[D.SIGN_WIDTH, D.SIGN_HEIGHT, 0.03]} />
@@ -78,7 +83,7 @@ function HospitalCross({ position, rotation }) {
   return (
     <group position={position} rotation={[0, rotation, 0]}>
       {/* Pole */}
-      <mesh position={[0, D.CROSS_POLE_HEIGHT / 2, 0]} castShadow>
+      <mesh position={[0, D.CROSS_POLE_HEIGHT / 2, 0]} userData={METAL} castShadow>
         <cylinderGeometry args={[D.SIGN_POLE_RADIUS, D.SIGN_POLE_RADIUS, D.CROSS_POLE_HEIGHT, 8]} />
         <meshStandardMaterial color={C.SIGN_POLE} />
       </mesh>
@@ -108,13 +113,14 @@ function SpeedLimitSign({ position, rotation }) {
   return (
     <group position={position} rotation={[0, rotation, 0]}>
       {/* Pole */}
-      <mesh position={[0, SD.POLE_HEIGHT / 2, 0]} castShadow>
+      <mesh position={[0, SD.POLE_HEIGHT / 2, 0]} userData={METAL} castShadow>
         <cylinderGeometry args={[SD.POLE_RADIUS, SD.POLE_RADIUS, SD.POLE_HEIGHT, 8]} />
         <meshStandardMaterial color={C.SIGN_POLE} />
       </mesh>
       {/* Sign face — white rectangle with black border (border = slightly larger box behind) */}
       <mesh
         position={[0, SD.POLE_HEIGHT + SD.SIGN_HEIGHT / 2, 0.005]}
+        userData={RETROREFLECTIVE}
         castShadow
       >
         <boxGeometry args={[SD.SIGN_WIDTH + SD.BORDER_WIDTH * 2, SD.SIGN_HEIGHT + SD.BORDER_WIDTH * 2, SD.SIGN_THICKNESS]} />
@@ -123,6 +129,7 @@ function SpeedLimitSign({ position, rotation }) {
       {/* White inner face */}
       <mesh
         position={[0, SD.POLE_HEIGHT + SD.SIGN_HEIGHT / 2, 0]}
+        userData={RETROREFLECTIVE}
       >
         <boxGeometry args={[SD.SIGN_WIDTH, SD.SIGN_HEIGHT, SD.SIGN_THICKNESS]} />
         <meshStandardMaterial color={C.SPEED_SIGN_BG} />
@@ -0,0 +1,13 @@
+// ============================================================
+// Road surface material — one instance shared by every road and
+// intersection mesh so EnvironmentRenderer can wet the asphalt
+// (darker, glossier) in a single place.
+// ============================================================
+
+import * as THREE from 'three';
+import { COLORS, ENVIRONMENT } from '../../constants/world.js';
+
+export const roadMaterial = new THREE.MeshStandardMaterial({
+  color: COLORS.ROAD,
+  roughness: ENVIRONMENT.ROAD_ROUGHNESS.dry,
+});
@@ -16,7 +16,27 @@ export const LIDAR = {
 
   // Weather degradation
   FOG_RANGE_FACTOR: 0.4,
-  RAIN_NOISE_METERS: 1.5,
+
+  // Return model (lidarModel.js): what fraction of the pulse comes back
+  // from a surface, and whether the receiver registers it
+  REFLECTIVITY: {                      // diffuse reflectivity at 905 nm, by surface material
+    concrete: 0.35,
+    metal: 0.5,
+    fabric: 0.3,                       // pedestrians' clothing
+    fur: 0.2,
+    rubber: 0.15,
+    retroreflective: 2.5,              // sign faces, cone / barrier bands: far above any diffuse surface
+  },
+  PAINT_REFLECTIVITY: [0.05, 0.7],     // painted surfaces (cars, walls): black → white by color luminance
+  DEFAULT_REFLECTIVITY: 0.35,
+  REFERENCE_RANGE: 25,                 // m — received power = intensity × (REFERENCE_RANGE / range)²
+  DETECTION_THRESHOLD: 0.04,           // weaker received power is missed with probability 1 − power / threshold
+  ATTENUATION: { clear: 0, rain: 0.01, fog: 0.04 }, // 1/m — two-way extinction in the air
+  BEAM_DIVERGENCE: 0.003,              // rad — footprint diameter grows with range
+  RANGE_NOISE: 0.03,                   // m — receiver timing jitter (plus footprint spread on slanted surfaces)
+  RAIN_FALSE_RETURN_PROB: 0.06,        // per beam: backscatter from a droplet near the sensor wins the first return
+  RAIN_FALSE_RETURN_RANGE: 6,          // m
+  RAIN_FALSE_RETURN_INTENSITY: 0.01,
 
   // Front-view projection
   FRONT_VIEW_FOV: 75,                   // degrees — matches first-person camera
@@ -142,7 +162,13 @@ export const CAMERA_CV = {
     night: 0.25,
   },
 
-  OCCLUSION_PENALTY: 0.3,
+  // Occlusion by vehicles between the camera and a target: the target's
+  // silhouette is sampled on a grid and confidence drops by
+  // OCCLUSION_PENALTY × the hidden share (fully hidden = not detected)
+  OCCLUSION_PENALTY: 0.6,
+  OCCLUDER_TYPES: ['npcVehicle', 'schoolbus', 'emergency'],
+  OCCLUSION_GRID: [8, 6],               // silhouette samples across × up
+  OCCLUDED_TAG: 0.25,                   // hidden share from which a box is tagged OCCLUDED
   BASE_CONFIDENCE: 0.82,
   WEATHER_RAIN_PENALTY: 0.15,
   WEATHER_FOG_PENALTY: 0.25,
@@ -152,4 +178,7 @@ export const CAMERA_CV = {
 export const SENSOR_SHARED = {
   WEATHER: { CLEAR: 'clear', RAIN: 'rain', FOG: 'fog' },
   TIME_OF_DAY: { DAYLIGHT: 'daylight', DUSK: 'dusk', NIGHT: 'night' },
+  // timeOfDay may also be a continuous darkness level in [0, 1];
+  // presets sit at these points on that scale
+  TIME_OF_DAY_LEVEL: { daylight: 0, dusk: 0.5, night: 1 },
 };
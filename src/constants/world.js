@@ -96,3 +96,37 @@ export const CROSSWALK = {
   STRIPE_COUNT: 8,           // number of stripes spanning the road width
   CROSSWALK_DEPTH: 3,        // total depth of crosswalk band along road (= STRIPE_LENGTH)
 };
+
+// Scene lighting per time of day; continuous times of day (the Phase A
+// blackout) interpolate between these like the sensor tables do
+export const SCENE_LIGHTING = {
+  AMBIENT: { daylight: 0.3, dusk: 0.15, night: 0.04 },
+  SUN: { daylight: 1.2, dusk: 0.5, night: 0.05 },
+  HEMISPHERE: { daylight: 0.2, dusk: 0.1, night: 0.02 },
+  SUN_COLOR: { daylight: '#ffffff', dusk: '#ff9955', night: '#334488' },
+  BACKGROUND: { daylight: '#0a0a1a', dusk: '#1a0d1f', night: '#000000' },
+};
+
+// Weather + night rendering (EnvironmentRenderer); fog reach matches
+// what the sensors lose so the view and the panels agree
+export const ENVIRONMENT = {
+  SUN_ELEVATION: { daylight: 60, dusk: 8, night: 35 },   // degrees above the horizon (night: moonlight)
+  SUN_AZIMUTH: 35,                                       // degrees from +X towards +Z
+  SUN_DISTANCE: 150,
+  FOG_FAR: { clear: 600, rain: 140, fog: 32 },           // m (fog = LiDAR range × FOG_RANGE_FACTOR)
+  FOG_NEAR_RATIO: 0.15,                                  // fog starts at this fraction of FOG_FAR
+  WEATHER_RATE: 0.5,                                     // per second: how fast fog / wetness settle
+  RAIN_STREAKS: 1500,
+  RAIN_BOX: [60, 30, 60],                                // m around the camera
+  RAIN_SPEED: 22,                                        // m/s
+  RAIN_STREAK_LENGTH: 0.7,
+  RAIN_OPACITY: 0.35,
+  ROAD_WET: '#18181e',                                   // wet asphalt (dry is COLORS.ROAD)
+  ROAD_ROUGHNESS: { dry: 0.95, wet: 0.3 },
+  HEADLIGHTS: { daylight: 0, dusk: 20, night: 45 },      // ego spotlight intensity
+  HEADLIGHT_RANGE: 45,
+  NPC_HEADLIGHT_COUNT: 6,                                // traffic beams, given to the nearest moving vehicles
+  STREET_LIGHTS: { daylight: 0, dusk: 20, night: 40 },   // point light intensity
+  STREET_LIGHT_HEIGHT: 7,
+  STREET_LIGHT_RANGE: 30,
+};
@@ -4,6 +4,7 @@
 // ============================================================
 
 import { create } from 'zustand';
+import { loadRegistry, DEFAULT_POLICY_ID } from '../ai/PolicyRegistry.js';
 
 const useAIStore = create((set) => ({
     // Playback state
@@ -16,9 +17,41 @@ const useAIStore = create((set) => ({
     // Action log for Rewind/Narration UI
     narrationLog: [],
 
+    // Ego AI's planned route: [x, z] polyline through the remaining waypoints (Glass Box + Minimap)
+    plannedRoute: null,
+
+    // Low-level control: 'discrete' (action → key presses) or 'analog' (pure pursuit + speed PID)
+    controlMode: 'discrete',
+
+    // Online DQN fine-tuning (opt-in) and the pilot's OnlineLearner once created
+    // (CityWorld feeds it collisions / rule events, the Glass Box reverts it)
+    learningEnabled: false,
+    learner: null,
+
+    // Policy registry (/dqn/registry.json) and the policy the student picked;
+    // AIController swaps it into the pilot and reports policyStatus
+    // ({ state: 'loading' | 'ready' | 'error', message, metadata })
+    policies: null,
+    policyId: DEFAULT_POLICY_ID,
+    policyStatus: null,
+
     // Actions
     togglePause: () => set((s) => ({ isPaused: !s.isPaused })),
     setTimeScale: (scale) => set({ timeScale: scale }),
+    setPlannedRoute: (points) => set({ plannedRoute: points }),
+    setControlMode: (mode) => set({ controlMode: mode }),
+    setLearningEnabled: (enabled) => set({ learningEnabled: enabled }),
+    setLearner: (learner) => set({ learner }),
+    selectPolicy: (policyId) => set({ policyId }),
+    setPolicyStatus: (policyStatus) => set({ policyStatus }),
+    loadPolicies: async () => {
+        try {
+            set({ policies: await loadRegistry() });
+        } catch (err) {
+            console.warn('[AIStore] Policy registry unavailable:', err);
+            set({ policies: [], policyStatus: { state: 'error', message: err.message } });
+        }
+    },
 
     updateGlassboxData: (data) => set((s) => {
         // Optionally create a running log 
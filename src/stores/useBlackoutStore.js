@@ -0,0 +1,118 @@
+// ============================================================
+// Blackout Store — scripted Phase A lights-out sequence
+// Triggered when the student reaches their first waypoint:
+//   dusk      — sky fades to deep dusk
+//   degrading — "VISIBILITY DEGRADING", screen darkens
+//   failing   — "VISUAL SYSTEMS FAILING", darkens faster
+//   offline   — hard cut to black, sensor navigation only
+// CityWorld ticks it with sim time. The sensor timeOfDay is driven
+// continuously so camera confidence fades with the light.
+// ============================================================
+
+import { create } from 'zustand';
+import useSensorStore from './useSensorStore.js';
+import useGameStore from './useGameStore.js';
+import { timeOfDayLevel } from '../systems/sensors/sensorUtils.js';
+
+export const BLACKOUT_STAGES = {
+  IDLE: 'idle',
+  DUSK: 'dusk',
+  DEGRADING: 'degrading',
+  FAILING: 'failing',
+  OFFLINE: 'offline',
+};
+
+export const BLACKOUT = {
+  DUSK_DURATION: 15,       // seconds: daylight → deep dusk
+  DEGRADE_DURATION: 6,     // seconds: deep dusk → near dark
+  FAILING_DURATION: 3,     // seconds: near dark → night
+  DEEP_DUSK_LEVEL: 0.6,    // timeOfDay level reached at the end of DUSK
+  FAILING_LEVEL: 0.9,      // timeOfDay level reached at the end of DEGRADING
+  DEGRADED_DIM: 0.5,       // screen dim at the end of DEGRADING
+  FAILING_DIM: 0.9,        // screen dim just before the hard cut
+  SCORE_MULTIPLIER: 2,     // blind-phase reward multiplier
+};
+
+// Stage → { next, duration, level range, screen-dim range }
+const STAGE_SCRIPT = {
+  [BLACKOUT_STAGES.DUSK]: {
+    next: BLACKOUT_STAGES.DEGRADING,
+    duration: BLACKOUT.DUSK_DURATION,
+    level: [null, BLACKOUT.DEEP_DUSK_LEVEL], // null = start from the pre-blackout level
+    dim: [0, 0],
+  },
+  [BLACKOUT_STAGES.DEGRADING]: {
+    next: BLACKOUT_STAGES.FAILING,
+    duration: BLACKOUT.DEGRADE_DURATION,
+    level: [BLACKOUT.DEEP_DUSK_LEVEL, BLACKOUT.FAILING_LEVEL],
+    dim: [0, BLACKOUT.DEGRADED_DIM],
+  },
+  [BLACKOUT_STAGES.FAILING]: {
+    next: BLACKOUT_STAGES.OFFLINE,
+    duration: BLACKOUT.FAILING_DURATION,
+    level: [BLACKOUT.FAILING_LEVEL, 1],
+    dim: [BLACKOUT.DEGRADED_DIM, BLACKOUT.FAILING_DIM],
+  },
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+const useBlackoutStore = create((set, get) => ({
+  stage: BLACKOUT_STAGES.IDLE,
+  elapsed: 0,            // sim seconds spent in the current stage
+  dim: 0,                // 0–1 opacity of the black screen overlay
+  startLevel: 0,         // timeOfDay level when the sequence began
+  savedTimeOfDay: null,  // restored on reset
+
+  /** Begin the sequence (no-op if already running or finished). */
+  trigger: () => {
+    if (get().stage !== BLACKOUT_STAGES.IDLE) return;
+    const { timeOfDay } = useSensorStore.getState();
+    set({
+      stage: BLACKOUT_STAGES.DUSK,
+      elapsed: 0,
+      dim: 0,
+      startLevel: timeOfDayLevel(timeOfDay),
+      savedTimeOfDay: timeOfDay,
+    });
+  },
+
+  /**
+   * Advance the sequence.
+   * @param {number} delta - sim seconds
+   */
+  tick: (delta) => {
+    const { stage, startLevel } = get();
+    const script = STAGE_SCRIPT[stage];
+    if (!script) return;
+
+    const elapsed = get().elapsed + delta;
+    const t = Math.min(1, elapsed / script.duration);
+    const level = lerp(script.level[0] ?? startLevel, script.level[1], t);
+    useSensorStore.getState().setTimeOfDay(Math.max(startLevel, level));
+
+    if (t < 1) {
+      set({ elapsed, dim: lerp(script.dim[0], script.dim[1], t) });
+      return;
+    }
+
+    if (script.next === BLACKOUT_STAGES.OFFLINE) {
+      useSensorStore.getState().setTimeOfDay(1);
+      useGameStore.getState().setScoreMultiplier(BLACKOUT.SCORE_MULTIPLIER);
+      set({ stage: BLACKOUT_STAGES.OFFLINE, elapsed: 0, dim: 1 });
+    } else {
+      set({ stage: script.next, elapsed: 0, dim: script.dim[1] });
+    }
+  },
+
+  /** Restore lighting + scoring (session restart). */
+  reset: () => {
+    const { stage, savedTimeOfDay } = get();
+    if (stage === BLACKOUT_STAGES.IDLE) return;
+    useSensorStore.getState().setTimeOfDay(savedTimeOfDay);
+    useGameStore.getState().setScoreMultiplier(1);
+    set({ stage: BLACKOUT_STAGES.IDLE, elapsed: 0, dim: 0, savedTimeOfDay: null });
+  },
+}));
+
+export default useBlackoutStore;
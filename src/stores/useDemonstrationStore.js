@@ -0,0 +1,66 @@
+// ============================================================
+// Demonstration Store — behavior-cloning data from Phase A
+// A DemonstrationLog (systems/imitation/demonstrationLog.js) opens
+// when the student starts driving and closes when Phase A ends;
+// DemonstrationRecorder fills it. The results screen downloads it
+// for scripts/trainBC.js.
+// ============================================================
+
+import { create } from 'zustand';
+import { DemonstrationLog } from '../systems/imitation/demonstrationLog.js';
+import useGameStore, { PHASES } from './useGameStore.js';
+import useTelemetryStore, { telemetryConfig } from './useTelemetryStore.js';
+import useWaypointStore from './useWaypointStore.js';
+
+const useDemonstrationStore = create((set, get) => ({
+  log: null,
+  status: 'idle',       // 'idle' | 'recording' | 'done'
+
+  /** Open a fresh log (Phase A start). */
+  begin: () => {
+    const { seed } = useGameStore.getState();
+    const { useCustomCourse, courseName } = useWaypointStore.getState();
+    const log = new DemonstrationLog({
+      sessionId: useTelemetryStore.getState().logger?.metadata.sessionId ?? null,
+      studentId: telemetryConfig().studentId,
+      seed,
+      course: useCustomCourse ? courseName : null,
+    });
+    set({ log, status: 'recording' });
+  },
+
+  /**
+   * One labelled tick (ignored when not recording).
+   * @param {number} t - session time
+   * @param {number[]} state - DQN state vector
+   * @param {string} action - DQN action id
+   */
+  add: (t, state, action) => {
+    const { log, status } = get();
+    if (status === 'recording') log.add(t, state, action);
+  },
+
+  finish: () => {
+    if (get().status === 'recording') set({ status: 'done' });
+  },
+
+  /** Save the JSON Lines export locally. */
+  download: () => {
+    const { log } = get();
+    if (!log || log.samples.length === 0) return;
+    const url = URL.createObjectURL(new Blob([log.toJSONL()], { type: 'application/x-ndjson' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `sensorracer-demonstrations-${log.metadata.studentId || 'anon'}-seed${log.metadata.seed}.jsonl`;
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+}));
+
+useGameStore.subscribe((state, prev) => {
+  if (state.phase === prev.phase) return;
+  if (state.phase === PHASES.PHASE_A) useDemonstrationStore.getState().begin();
+  else if (prev.phase === PHASES.PHASE_A) useDemonstrationStore.getState().finish();
+});
+
+export default useDemonstrationStore;
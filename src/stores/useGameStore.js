@@ -2,19 +2,91 @@ import { create } from 'zustand';
 
 export const PHASES = {
   MENU: 'menu',
+  ORIENTATION: 'orientation',
   PHASE_A: 'phaseA',
   QUIZ_BREAK: 'quizBreak',
   PHASE_B: 'phaseB',
   RESULTS: 'results',
 };
 
+export const PHASE_LABELS = {
+  [PHASES.MENU]: 'Free Drive',
+  [PHASES.ORIENTATION]: 'Orientation',
+  [PHASES.PHASE_A]: 'Phase A: You Drive',
+  [PHASES.QUIZ_BREAK]: 'Break',
+  [PHASES.PHASE_B]: 'Phase B: AI Drives',
+  [PHASES.RESULTS]: 'Results',
+};
+
+// 10-minute classroom session: each phase runs until `end` seconds of
+// session time. The last 30 s are slack for the researcher to reset.
+export const SESSION_SCHEDULE = [
+  { phase: PHASES.ORIENTATION, end: 10 },
+  { phase: PHASES.PHASE_A, end: 270 },
+  { phase: PHASES.QUIZ_BREAK, end: 315 },
+  { phase: PHASES.PHASE_B, end: 525 },
+  { phase: PHASES.RESULTS, end: 570 },
+];
+export const SESSION_LENGTH = 600;
+
+// Phases in which the world simulates (everything else is an overlay)
+export const DRIVING_PHASES = new Set([PHASES.MENU, PHASES.PHASE_A, PHASES.PHASE_B]);
+
+/**
+ * Phase scheduled at a session time (the last phase holds once reached).
+ * @param {number} time - seconds since session start
+ * @returns {string}
+ */
+export function phaseAtTime(time) {
+  const slot = SESSION_SCHEDULE.find((s) => time < s.end);
+  return (slot || SESSION_SCHEDULE[SESSION_SCHEDULE.length - 1]).phase;
+}
+
+/**
+ * Session time at which a phase starts.
+ * @param {string} phase
+ * @returns {number}
+ */
+export function phaseStartTime(phase) {
+  const i = SESSION_SCHEDULE.findIndex((s) => s.phase === phase);
+  return i > 0 ? SESSION_SCHEDULE[i - 1].end : 0;
+}
+
+/**
+ * Score fields after earning points. Penalties always count at face
+ * value; rewards are scaled by the current multiplier.
+ */
+function scoreUpdate(s, points) {
+  if (points <= 0 || s.scoreMultiplier === 1) return { score: s.score + points };
+  const earned = points * s.scoreMultiplier;
+  return { score: s.score + earned, blindScore: s.blindScore + earned };
+}
+
 const useGameStore = create((set, get) => ({
   phase: PHASES.MENU,
-  timeRemaining: 600,
+  timeRemaining: SESSION_LENGTH,
+  sessionTime: 0,
   score: 0,
+  collisions: 0,
   isRunning: false,
+
+  // Blind-phase scoring: positive points are multiplied while the
+  // visual feed is offline; blindScore tallies what was earned then
+  scoreMultiplier: 1,
+  blindScore: 0,
   seed: 12345,
 
+  // Session summary: per-phase results captured as Phase A / Phase B
+  // end, plus other sections (e.g. quiz) recorded by their subsystems
+  phaseStats: { phaseA: null, phaseB: null },
+  courseCompletedAt: null, // session time the last waypoint was reached
+
+  // Session restart handshake: requestRestart() asks CityWorld to reset
+  // every runtime system for a seed at the start of its next frame;
+  // completeRestart() bumps sessionId so per-session refs can reset.
+  sessionId: 0,
+  restartRequest: null,
+
   // Waypoint navigation state
   waypoints: [],
   currentWaypointIndex: 0,
@@ -22,17 +94,93 @@ const useGameStore = create((set, get) => ({
 
   setSeed: (seed) => set({ seed }),
   setPhase: (phase) => set({ phase }),
-  startGame: () => set({ phase: PHASES.PHASE_A, isRunning: true, timeRemaining: 600, score: 0 }),
+  requestRestart: (seed) => set((s) => ({
+    seed: seed ?? s.seed,
+    restartRequest: { seed: seed ?? s.seed },
+  })),
+  completeRestart: () => set((s) => ({
+    sessionId: s.sessionId + 1,
+    restartRequest: null,
+    score: 0,
+    collisions: 0,
+    blindScore: 0,
+    courseCompletedAt: null,
+  })),
+
+  /** Start a scheduled session on the current seed (from orientation). */
+  startGame: () => {
+    set({
+      phase: PHASES.ORIENTATION,
+      isRunning: true,
+      sessionTime: 0,
+      timeRemaining: SESSION_LENGTH,
+      phaseStats: { phaseA: null, phaseB: null },
+    });
+    get().requestRestart();
+  },
+
+  /** Leave the session and return to free driving. */
+  endGame: () => set({ phase: PHASES.MENU, isRunning: false, sessionTime: 0, timeRemaining: SESSION_LENGTH }),
+
+  /**
+   * Advance the session clock and run any scheduled phase transition.
+   * @param {number} delta - wall-clock seconds
+   */
   tick: (delta) => {
-    const { timeRemaining, isRunning } = get();
+    const { sessionTime, isRunning, phase } = get();
     if (!isRunning) return;
-    const newTime = Math.max(0, timeRemaining - delta);
-    set({ timeRemaining: newTime });
-    if (newTime <= 0) {
+    const newTime = sessionTime + delta;
+    set({ sessionTime: newTime, timeRemaining: Math.max(0, SESSION_LENGTH - newTime) });
+
+    const next = phaseAtTime(newTime);
+    if (next !== phase) get().enterPhase(next);
+    if (newTime >= SESSION_SCHEDULE[SESSION_SCHEDULE.length - 1].end) {
       set({ isRunning: false });
     }
   },
-  addScore: (points) => set((s) => ({ score: s.score + points })),
+
+  /**
+   * Transition to a phase. Closing a drive phase records its stats;
+   * Phase B restarts the same seed so the AI drives the same course.
+   * @param {string} next
+   */
+  enterPhase: (next) => {
+    const { phase } = get();
+    if (phase === PHASES.PHASE_A || phase === PHASES.PHASE_B) {
+      const key = phase === PHASES.PHASE_A ? 'phaseA' : 'phaseB';
+      get().setPhaseStats(key, get().summarizePhase(phase));
+    }
+    set({ phase: next });
+    if (next === PHASES.PHASE_B) get().requestRestart();
+  },
+
+  /**
+   * Record one section of the session summary (drive phases, quiz, ...).
+   * @param {string} key
+   * @param {object} stats
+   */
+  setPhaseStats: (key, stats) => set((s) => ({ phaseStats: { ...s.phaseStats, [key]: stats } })),
+
+  /**
+   * Stats for the drive phase currently in progress.
+   * @param {string} phase
+   * @returns {{ score: number, blindScore: number, collisions: number, waypointsCompleted: number, waypointsTotal: number, courseTime: number|null }}
+   */
+  summarizePhase: (phase) => {
+    const { score, blindScore, collisions, waypointsCompleted, waypoints, courseCompletedAt } = get();
+    return {
+      score,
+      blindScore,
+      collisions,
+      waypointsCompleted,
+      waypointsTotal: waypoints.length,
+      courseTime: courseCompletedAt === null ? null : courseCompletedAt - phaseStartTime(phase),
+    };
+  },
+
+  addScore: (points) => set((s) => scoreUpdate(s, points)),
+  setScoreMultiplier: (scoreMultiplier) => set({ scoreMultiplier }),
+  addCollisions: (count) => set((s) => ({ collisions: s.collisions + count })),
 
   // Waypoint actions
   setWaypoints: (waypoints) => set({ waypoints, currentWaypointIndex: 0, waypointsCompleted: 0 }),
@@ -40,11 +188,13 @@ const useGameStore = create((set, get) => ({
     const waypoints = [...s.waypoints];
     if (s.currentWaypointIndex >= waypoints.length) return {};
     waypoints[s.currentWaypointIndex] = { ...waypoints[s.currentWaypointIndex], reached: true };
+    const finished = s.currentWaypointIndex + 1 >= waypoints.length;
     return {
       waypoints,
+      courseCompletedAt: finished && s.courseCompletedAt === null ? s.sessionTime : s.courseCompletedAt,
       currentWaypointIndex: s.currentWaypointIndex + 1,
       waypointsCompleted: s.waypointsCompleted + 1,
-      score: s.score + 200,
+      ...scoreUpdate(s, 200),
     };
   }),
 }));
@@ -0,0 +1,78 @@
+// ============================================================
+// Input Store — human driving device + gamepad configuration
+// InputHandler polls the connected gamepad through this config and
+// reports which device is driving (telemetry records it). The config
+// (preset, bindings, dead zones) persists in localStorage.
+// ============================================================
+
+import { create } from 'zustand';
+import { GAMEPAD, GAMEPAD_PRESETS } from '../systems/vehicle/gamepadInput.js';
+
+const STORAGE_KEY = 'sensorracer.gamepad';
+
+function defaultConfig() {
+  return {
+    preset: 'gamepad',
+    bindings: structuredClone(GAMEPAD_PRESETS.gamepad),
+    steerDeadZone: GAMEPAD.STEER_DEAD_ZONE,
+    pedalDeadZone: GAMEPAD.PEDAL_DEAD_ZONE,
+  };
+}
+
+function loadConfig() {
+  try {
+    const saved = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || 'null');
+    return saved ? { ...defaultConfig(), ...saved } : defaultConfig();
+  } catch {
+    return defaultConfig();
+  }
+}
+
+function saveConfig(config) {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch {
+    // Private mode / quota: the config just doesn't persist
+  }
+}
+
+const useInputStore = create((set, get) => ({
+  device: 'keyboard',     // 'keyboard' | 'gamepad' — whichever drove last
+  gamepad: null,          // { index, id } of the connected pad
+  config: loadConfig(),
+  capturing: null,        // control waiting for the player to move something
+
+  setDevice: (device) => {
+    if (get().device !== device) set({ device });
+  },
+
+  setGamepad: (gamepad) => set({ gamepad, capturing: null }),
+
+  /** Replace the bindings with a preset's. */
+  applyPreset: (preset) => {
+    const config = { ...get().config, preset, bindings: structuredClone(GAMEPAD_PRESETS[preset]) };
+    saveConfig(config);
+    set({ config });
+  },
+
+  setDeadZone: (key, value) => {
+    const config = { ...get().config, [key]: Math.max(0, Math.min(0.5, value)) };
+    saveConfig(config);
+    set({ config });
+  },
+
+  setBinding: (control, binding) => {
+    const config = {
+      ...get().config,
+      preset: 'custom',
+      bindings: { ...get().config.bindings, [control]: binding },
+    };
+    saveConfig(config);
+    set({ config, capturing: null });
+  },
+
+  /** Bind the next control the player moves to `control` (null cancels). */
+  startCapture: (control) => set({ capturing: control }),
+}));
+
+export default useInputStore;
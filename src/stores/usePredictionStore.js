@@ -0,0 +1,106 @@
+// ============================================================
+// Prediction Store — Phase B PREDICT prompts
+// AIController opens a prompt when the DecisionPointDetector fires:
+// the sim pauses and the AI's step for that tick is held back (so
+// the glass box can't give the answer away) until the student picks
+// an action. Answering grades the pick against the AI's actual
+// choice, applies the held step and resumes. Prediction points stay
+// here, apart from the game score (that is the AI's driving); totals
+// are written to the session summary (useGameStore.phaseStats.predictions).
+// ============================================================
+
+import { create } from 'zustand';
+import { gradePrediction } from '../ai/DecisionPointDetector.js';
+import useAIStore from './useAIStore.js';
+import useGameStore, { PHASES } from './useGameStore.js';
+
+const usePredictionStore = create((set, get) => ({
+  prompt: null,       // { kind, question, candidates, actual, apply, openedAt, openedWallTime }
+  lastResult: null,   // most recent graded prediction (feedback toast)
+  history: [],
+  points: 0,
+
+  /**
+   * Pause and ask the student to predict.
+   * @param {object} prompt - { kind, question, candidates: {id,label}[], actual: string, apply: () => void }
+   */
+  open: (prompt) => {
+    const ai = useAIStore.getState();
+    if (!ai.isPaused) ai.togglePause();
+    // The session clock stops while paused, so response time is wall-clock
+    set({
+      prompt: { ...prompt, openedAt: useGameStore.getState().sessionTime, openedWallTime: Date.now() },
+      lastResult: null,
+    });
+  },
+
+  /**
+   * Grade the student's pick, apply the held AI step and resume.
+   * @param {string} predicted - action id
+   */
+  answer: (predicted) => {
+    const { prompt, history, points } = get();
+    if (!prompt) return;
+    const { credit, points: earned } = gradePrediction(predicted, prompt.actual);
+    const now = useGameStore.getState().sessionTime;
+    const timestamp = Date.now();
+    const result = {
+      kind: prompt.kind,
+      question: prompt.question,
+      predicted,
+      actual: prompt.actual,
+      credit,
+      points: earned,
+      sessionTime: now,
+      responseTime: (timestamp - prompt.openedWallTime) / 1000,
+      timestamp,
+    };
+    set({ prompt: null, lastResult: result, history: [...history, result], points: points + earned });
+
+    prompt.apply();
+    const ai = useAIStore.getState();
+    if (ai.isPaused) ai.togglePause();
+  },
+
+  /** Drop an open prompt unanswered (resumed from the controls, phase over) and resume. */
+  cancel: () => {
+    if (!get().prompt) return;
+    set({ prompt: null });
+    const ai = useAIStore.getState();
+    if (ai.isPaused) ai.togglePause();
+  },
+
+  clearFeedback: () => set({ lastResult: null }),
+
+  reset: () => set({ prompt: null, lastResult: null, history: [], points: 0 }),
+
+  /**
+   * Accuracy summary: partial credit counts half.
+   * @returns {{ asked: number, correct: number, partial: number, accuracy: number|null, points: number }}
+   */
+  summarize: () => {
+    const { history, points } = get();
+    const correct = history.filter((r) => r.credit === 'correct').length;
+    const partial = history.filter((r) => r.credit === 'partial').length;
+    return {
+      asked: history.length,
+      correct,
+      partial,
+      accuracy: history.length > 0 ? (correct + partial / 2) / history.length : null,
+      points,
+    };
+  },
+}));
+
+// Fresh predictions for each Phase B; record them when it ends
+useGameStore.subscribe((state, prev) => {
+  if (state.phase === prev.phase) return;
+  if (prev.phase === PHASES.PHASE_B) {
+    const predictions = usePredictionStore.getState();
+    predictions.cancel();
+    useGameStore.getState().setPhaseStats('predictions', { ...predictions.summarize(), history: predictions.history });
+  }
+  if (state.phase === PHASES.PHASE_B) usePredictionStore.getState().reset();
+});
+
+export default usePredictionStore;
@@ -0,0 +1,152 @@
+// ============================================================
+// Quiz Store — break-time assessment between Phase A and Phase B
+// Loads a question set (public/quiz/<name>.json, picked with the
+// ?quiz=<name> URL parameter), logs which sensor first detected
+// what during Phase A, and runs the quiz while the game is in
+// QUIZ_BREAK. Answers are timestamped and written to the session
+// summary (useGameStore.phaseStats.quiz) when the break ends.
+// ============================================================
+
+import { create } from 'zustand';
+import { parseQuestionSet, buildQuiz, summarizeAnswers } from '../systems/quiz/quizEngine.js';
+import { DetectionLog } from '../systems/sensors/detectionLog.js';
+import useGameStore, { PHASES } from './useGameStore.js';
+
+/**
+ * Question set URL for this page load.
+ * @returns {string}
+ */
+export function quizSetUrl() {
+  const name = new URLSearchParams(window.location.search).get('quiz') || 'default';
+  return `/quiz/${name.replace(/[^\w-]/g, '')}.json`;
+}
+
+const useQuizStore = create((set, get) => ({
+  questionSet: null,
+  loadError: null,
+  status: 'idle',        // 'idle' | 'active' | 'done'
+  questions: [],
+  index: 0,              // question being shown
+  answers: [],
+  questionShownAt: 0,    // session time the current question appeared
+  detections: new DetectionLog(),
+
+  /**
+   * Fetch + validate a question set.
+   * @param {string} url
+   */
+  loadQuestionSet: async (url) => {
+    try {
+      const res = await fetch(url, { cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      set({ questionSet: parseQuestionSet(await res.json()), loadError: null });
+    } catch (err) {
+      console.warn(`[Quiz] Could not load question set ${url}; the break will have no quiz.`, err);
+      set({ questionSet: null, loadError: err.message });
+    }
+  },
+
+  /**
+   * Log detections for templated questions (Phase A only).
+   * @param {object} vehicle
+   * @param {object} sensorState - useSensorStore state
+   * @param {object[]} entities
+   */
+  observe: (vehicle, sensorState, entities) => {
+    const { phase, sessionTime } = useGameStore.getState();
+    if (phase !== PHASES.PHASE_A) return;
+    const { sensors } = sensorState;
+    get().detections.observe(
+      sessionTime,
+      vehicle,
+      {
+        lidar: sensorState.lidarData,
+        thermal: sensorState.thermalData,
+        camera: sensorState.cameraData,
+        audio: sensorState.audioData,
+      },
+      {
+        lidar: sensors.lidar.enabled,
+        thermal: sensors.thermal.enabled,
+        camera: sensors.camera.enabled,
+        audio: sensors.audio.enabled,
+      },
+      entities,
+    );
+  },
+
+  /** Build this session's questions and show the first one. */
+  start: () => {
+    const { questionSet, detections } = get();
+    const questions = questionSet ? buildQuiz(questionSet, { detections }) : [];
+    set({
+      status: questions.length > 0 ? 'active' : 'done',
+      questions,
+      index: 0,
+      answers: [],
+      questionShownAt: useGameStore.getState().sessionTime,
+    });
+  },
+
+  /**
+   * Answer the current question and move on.
+   * @param {number} choice - index into the question's choices
+   */
+  answer: (choice) => {
+    const { status, questions, index, answers, questionShownAt } = get();
+    if (status !== 'active') return;
+    const q = questions[index];
+    const now = useGameStore.getState().sessionTime;
+    const next = [...answers, {
+      questionId: q.id,
+      prompt: q.prompt,
+      choice,
+      value: q.choices[choice].value,
+      correct: q.answer === null ? null : choice === q.answer,
+      sessionTime: now,
+      responseTime: now - questionShownAt,
+      timestamp: Date.now(),
+    }];
+    const done = index + 1 >= questions.length;
+    set({ answers: next, index: index + 1, status: done ? 'done' : 'active', questionShownAt: now });
+  },
+
+  /** Close the quiz (break over): unanswered questions count as timed out. */
+  finish: () => {
+    const { questionSet, questions, answers } = get();
+    const timedOut = questions.slice(answers.length).map((q) => ({
+      questionId: q.id,
+      prompt: q.prompt,
+      choice: null,
+      value: null,
+      correct: q.answer === null ? null : false,
+      sessionTime: null,
+      responseTime: null,
+      timestamp: null,
+    }));
+    const all = [...answers, ...timedOut];
+    set({ status: 'done', answers: all });
+    useGameStore.getState().setPhaseStats('quiz', {
+      setId: questionSet?.id ?? null,
+      ...summarizeAnswers(questions, all),
+      answers: all,
+      firstDetections: get().detections.toJSON().firstByClass,
+    });
+  },
+
+  /** Clear answers + detection facts (new session). */
+  reset: () => {
+    get().detections.reset();
+    set({ status: 'idle', questions: [], index: 0, answers: [], questionShownAt: 0 });
+  },
+}));
+
+// Follow the session: fresh facts at orientation, quiz during the break
+useGameStore.subscribe((state, prev) => {
+  if (state.phase === prev.phase) return;
+  if (prev.phase === PHASES.QUIZ_BREAK) useQuizStore.getState().finish();
+  if (state.phase === PHASES.ORIENTATION) useQuizStore.getState().reset();
+  if (state.phase === PHASES.QUIZ_BREAK) useQuizStore.getState().start();
+});
+
+export default useQuizStore;
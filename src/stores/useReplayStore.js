@@ -0,0 +1,131 @@
+// ============================================================
+// Replay Store — live-game session recording + playback
+// Recording captures per-frame dt, vehicle inputs and setting
+// changes; playback feeds them back frame by frame. Both start
+// with a session restart so the seeded RNG streams line up.
+// ============================================================
+
+import { create } from 'zustand';
+import { SessionRecorder, SessionPlayer, captureSettings } from '../systems/replay/sessionRecorder.js';
+import useGameStore from './useGameStore.js';
+import useSensorStore from './useSensorStore.js';
+import useVehicleStore from './useVehicleStore.js';
+import useAIStore from './useAIStore.js';
+
+/** Push recorded setting values into the live stores. */
+function applySettings(changes) {
+  const sensorStore = useSensorStore.getState();
+  for (const { key, value } of changes) {
+    if (key === 'weather') sensorStore.setWeather(value);
+    else if (key === 'timeOfDay') sensorStore.setTimeOfDay(value);
+    else if (key === 'timeScale') useAIStore.getState().setTimeScale(value);
+    else if (key === 'lidarRayCount') sensorStore.setLidarRayCount(value);
+    else if (useSensorStore.getState().sensors[key].enabled !== value) sensorStore.toggleSensor(key);
+  }
+}
+
+const useReplayStore = create((set, get) => ({
+  mode: 'idle',        // 'idle' | 'pending' | 'recording' | 'playing'
+  pending: null,       // { type: 'record' } | { type: 'play', log } — waits for restart
+  recorder: null,
+  player: null,
+  progress: 0,
+  lastLog: null,
+
+  /** Restart the current seed and record from its first frame. */
+  startRecording: () => {
+    set({ mode: 'pending', pending: { type: 'record' }, recorder: null, player: null });
+    useGameStore.getState().requestRestart();
+  },
+
+  /**
+   * Stop recording and return the log.
+   * @returns {object|null}
+   */
+  stopRecording: () => {
+    const { recorder } = get();
+    const log = recorder ? recorder.toJSON() : null;
+    set({ mode: 'idle', recorder: null, lastLog: log });
+    return log;
+  },
+
+  /**
+   * Restart on the log's seed and play it back.
+   * @param {object} log - from SessionRecorder.toJSON()
+   */
+  startPlayback: (log) => {
+    const player = new SessionPlayer(log);
+    set({ mode: 'pending', pending: { type: 'play', log: player.log }, recorder: null, player: null, progress: 0 });
+    useGameStore.getState().requestRestart(player.seed);
+  },
+
+  /** Abort recording or playback. */
+  stop: () => {
+    const { mode } = get();
+    if (mode === 'recording') {
+      get().stopRecording();
+      return;
+    }
+    if (mode === 'playing') {
+      const setInput = useVehicleStore.getState().setInput;
+      for (const key of Object.keys(useVehicleStore.getState().inputs)) setInput(key, false);
+    }
+    set({ mode: 'idle', pending: null, player: null });
+  },
+
+  /**
+   * Called by CityWorld right after a session restart completes.
+   */
+  onSessionStart: () => {
+    const { pending } = get();
+    if (!pending) return;
+
+    if (pending.type === 'record') {
+      const settings = captureSettings(useSensorStore.getState(), useAIStore.getState().timeScale);
+      set({ mode: 'recording', pending: null, recorder: new SessionRecorder(useGameStore.getState().seed, settings) });
+    } else {
+      applySettings(Object.entries(pending.log.settings).map(([key, value]) => ({ key, value })));
+      set({ mode: 'playing', pending: null, player: new SessionPlayer(pending.log), progress: 0 });
+    }
+  },
+
+  /**
+   * Start-of-frame hook. While playing, applies the next recorded
+   * frame's inputs + setting changes and returns its dt; otherwise
+   * returns the live delta unchanged.
+   * @param {number} delta - live frame delta (seconds)
+   * @returns {number} delta to simulate this frame
+   */
+  beginFrame: (delta) => {
+    const { mode, player } = get();
+    if (mode !== 'playing') return delta;
+
+    const frame = player.next();
+    if (!frame) {
+      get().stop();
+      return delta;
+    }
+
+    applySettings(frame.changes);
+    const setInput = useVehicleStore.getState().setInput;
+    for (const [key, value] of Object.entries(frame.inputs)) setInput(key, value);
+    set({ progress: player.progress });
+    return frame.dt;
+  },
+
+  /**
+   * Record one frame (before its physics runs).
+   * @param {number} delta
+   */
+  recordFrame: (delta) => {
+    const { mode, recorder } = get();
+    if (mode !== 'recording') return;
+    recorder.recordFrame(
+      delta,
+      useVehicleStore.getState().inputs,
+      captureSettings(useSensorStore.getState(), useAIStore.getState().timeScale),
+    );
+  },
+}));
+
+export default useReplayStore;
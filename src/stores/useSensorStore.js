@@ -9,12 +9,12 @@ import { LIDAR } from '../constants/sensors.js';
 const useSensorStore = create((set) => ({
   // === Global settings ===
   weather: 'clear',       // 'clear' | 'rain' | 'fog'
-  timeOfDay: 'daylight',  // 'daylight' | 'dusk' | 'night'
+  timeOfDay: 'daylight',  // 'daylight' | 'dusk' | 'night', or darkness level 0–1 (blackout)
   mainCameraFov: 75,      // synced from App based on camera mode
 
   // === Per-sensor enable + settings ===
   sensors: {
-    lidar:   { enabled: true, rayCount: LIDAR.DEFAULT_RAY_COUNT },
+    lidar:   { enabled: true, rayCount: LIDAR.DEFAULT_RAY_COUNT, showObjects: false },
     thermal: { enabled: true, showTemps: false },
     audio:   { enabled: true },
     camera:  { enabled: true },
@@ -22,7 +22,8 @@ const useSensorStore = create((set) => ({
 
   // === LiDAR output ===
   lidarData: {
-    points: [],           // [{x, y, z, distance, color}]
+    points: [],           // [{x, y, z, distance, intensity, color}]
+    objects: [],          // LidarSegmenter output: [{id, x, z, box, shape, vx, vz, ...}]
     sweepAngle: 0,
     effectiveRange: LIDAR.MAX_RANGE,
   },
@@ -34,7 +35,7 @@ const useSensorStore = create((set) => ({
 
   // === Audio output ===
   audioData: {
-    sources: [],          // [{bearing, distance, type, intensity, label, color, freq}]
+    sources: [],          // [{id, bearing, distance, type, intensity, label, color, freq, dopplerShift}]
     noiseFloor: 0,
   },
 
@@ -61,6 +62,13 @@ const useSensorStore = create((set) => ({
     sensors: { ...s.sensors, lidar: { ...s.sensors.lidar, rayCount: count } },
   })),
 
+  toggleLidarObjects: () => set((s) => ({
+    sensors: {
+      ...s.sensors,
+      lidar: { ...s.sensors.lidar, showObjects: !s.sensors.lidar.showObjects },
+    },
+  })),
+
   toggleThermalTemps: () => set((s) => ({
     sensors: {
       ...s.sensors,
@@ -0,0 +1,332 @@
+// ============================================================
+// Telemetry Store — research logging for scheduled sessions
+// A TelemetryLogger (systems/telemetry/telemetryLogger.js) opens at
+// orientation and closes on the results screen. CityWorld feeds it
+// every simulated frame, SensorManager feeds per-sensor detections,
+// DraggablePanel reports panel placement, and the subscriptions at
+// the bottom turn changes in the other stores into events. At the
+// end the bundle is POSTed to the configured endpoint, if any, and
+// can be downloaded from the results screen.
+//
+// Researcher config (URL parameters):
+//   ?student=<id>    student identifier written to the metadata
+//   ?telemetry=<url> endpoint the JSON Lines bundle is POSTed to
+//                    (default VITE_TELEMETRY_ENDPOINT; unset = none)
+// ============================================================
+
+import { create } from 'zustand';
+import { TelemetryLogger, TELEMETRY } from '../systems/telemetry/telemetryLogger.js';
+import { timeOfDayLevel } from '../systems/sensors/sensorUtils.js';
+import useGameStore, { PHASES, SESSION_SCHEDULE } from './useGameStore.js';
+import useVehicleStore from './useVehicleStore.js';
+import useInputStore from './useInputStore.js';
+import useSensorStore from './useSensorStore.js';
+import useEntityStore from './useEntityStore.js';
+import useAIStore from './useAIStore.js';
+import useBlackoutStore, { BLACKOUT_STAGES } from './useBlackoutStore.js';
+import useTimelineStore from './useTimelineStore.js';
+import usePredictionStore from './usePredictionStore.js';
+import useWaypointStore from './useWaypointStore.js';
+
+const SENSOR_KEYS = ['lidar', 'thermal', 'audio', 'camera'];
+
+/**
+ * Researcher settings for this page load.
+ * @returns {{ studentId: string|null, endpoint: string|null }}
+ */
+export function telemetryConfig() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    studentId: params.get('student'),
+    endpoint: params.get('telemetry') || import.meta.env.VITE_TELEMETRY_ENDPOINT || null,
+  };
+}
+
+function newSessionId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function download(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+const useTelemetryStore = create((set, get) => ({
+  logger: null,
+  status: 'idle',       // 'idle' | 'recording' | 'done'
+  upload: null,         // { state: 'sending' | 'sent' | 'failed', error? }
+  panels: {},           // panel title → { x, y, w, h, expanded }
+
+  /** Open a fresh log (session start). */
+  begin: () => {
+    const { studentId } = telemetryConfig();
+    const { seed } = useGameStore.getState();
+    const { useCustomCourse, courseName } = useWaypointStore.getState();
+    const logger = new TelemetryLogger({
+      sessionId: newSessionId(),
+      seed,
+      studentId,
+      course: useCustomCourse ? courseName : null,
+      schedule: SESSION_SCHEDULE,
+      sampleInterval: TELEMETRY.SAMPLE_INTERVAL,
+      userAgent: navigator.userAgent,
+    });
+    set({ logger, status: 'recording', upload: null });
+  },
+
+  /**
+   * Log an event at the current session time (ignored when not recording).
+   * @param {string} type
+   * @param {object} [data]
+   */
+  logEvent: (type, data) => {
+    const { logger, status } = get();
+    if (status !== 'recording') return;
+    logger.event(round(useGameStore.getState().sessionTime, 3), type, data);
+  },
+
+  /**
+   * One simulated frame, after collision response and rule scoring.
+   * @param {number} delta - simulated seconds
+   * @param {object} vehicleState - corrected vehicle state
+   * @param {object[]} contacts - resolveCollisions().contacts
+   * @param {number} impactSpeed - speed before collision response
+   * @param {object[]} ruleEvents - from evaluateDrivingRules
+   */
+  recordFrame: (delta, vehicleState, contacts, impactSpeed, ruleEvents) => {
+    const { logger, status } = get();
+    if (status !== 'recording') return;
+    const t = round(useGameStore.getState().sessionTime, 3);
+    logger.trackDriving(t, delta, vehicleState, useEntityStore.getState().entities, contacts, impactSpeed, ruleEvents);
+    if (logger.sampleDue(delta)) logger.addSample(get().buildSample(t, vehicleState));
+  },
+
+  /**
+   * Continuous sample row (see SAMPLE_COLUMNS).
+   * @param {number} t
+   * @param {object} v - vehicle state
+   * @returns {object}
+   */
+  buildSample: (t, v) => {
+    const { phase } = useGameStore.getState();
+    const { inputs } = useVehicleStore.getState();
+    const { weather, timeOfDay, sensors } = useSensorStore.getState();
+    const aiDriving = phase === PHASES.PHASE_B;
+    return {
+      t,
+      phase,
+      driver: aiDriving ? 'ai' : 'student',
+      x: round(v.position[0]),
+      y: round(v.position[1]),
+      z: round(v.position[2]),
+      heading: round(v.heading, 3),
+      speed: round(v.speed),
+      steer: round(v.steerAngle, 3),
+      throttle: inputs.analog ? round(inputs.analog.throttle) : (inputs.accelerate ? 1 : 0),
+      brake: inputs.analog ? round(inputs.analog.brake) : (inputs.brake || inputs.reverse ? 1 : 0),
+      steerInput: inputs.analog
+        ? round(inputs.analog.steer)
+        : (inputs.steerLeft ? 1 : 0) - (inputs.steerRight ? 1 : 0),
+      input: aiDriving ? 'ai' : useInputStore.getState().device,
+      visibility: round(timeOfDayLevel(timeOfDay)),
+      blackout: useBlackoutStore.getState().stage,
+      timeOfDay: typeof timeOfDay === 'number' ? round(timeOfDay) : timeOfDay,
+      weather,
+      sensors: SENSOR_KEYS.filter((k) => sensors[k].enabled).join('+'),
+      lidarRays: sensors.lidar.rayCount,
+      aiAction: aiDriving ? useAIStore.getState().glassboxData?.action ?? null : null,
+      panels: get().panels,
+    };
+  },
+
+  /**
+   * Log per-sensor detections (collision / near-miss attribution).
+   * @param {object} vehicle
+   * @param {object} sensorState - useSensorStore state
+   * @param {object[]} entities
+   */
+  observe: (vehicle, sensorState, entities) => {
+    const { logger, status } = get();
+    if (status !== 'recording') return;
+    const { sensors } = sensorState;
+    logger.observeDetections(
+      useGameStore.getState().sessionTime,
+      vehicle,
+      {
+        lidar: sensorState.lidarData,
+        thermal: sensorState.thermalData,
+        camera: sensorState.cameraData,
+        audio: sensorState.audioData,
+      },
+      Object.fromEntries(SENSOR_KEYS.map((k) => [k, sensors[k].enabled])),
+      entities,
+    );
+  },
+
+  /**
+   * Record where a floating panel sits. With `from`, the student moved
+   * or resized it and the change is logged as an event.
+   * @param {string} title
+   * @param {{ x: number, y: number, w: number, h: number, expanded: boolean }} rect
+   * @param {object} [from] - previous rect
+   */
+  reportPanel: (title, rect, from) => {
+    set((s) => ({ panels: { ...s.panels, [title]: rect } }));
+    if (from) get().logEvent('panelMoved', { panel: title, from, to: rect });
+  },
+
+  /**
+   * Close the log with the session results and upload it.
+   * @param {boolean} [aborted=false] - session left before the results screen
+   */
+  finish: (aborted = false) => {
+    const { logger, status } = get();
+    if (status !== 'recording') return;
+    const { sessionTime, phaseStats } = useGameStore.getState();
+
+    // Actual phase spans from the logged transitions
+    const phaseDurations = {};
+    const transitions = logger.events.filter((e) => e.type === 'phase');
+    transitions.forEach((e, i) => {
+      const end = transitions[i + 1]?.t ?? sessionTime;
+      phaseDurations[e.to] = round(end - e.t, 3);
+    });
+    const offline = logger.events.find((e) => e.type === 'blackout' && e.stage === BLACKOUT_STAGES.OFFLINE);
+    const phaseAEnd = transitions.find((e) => e.from === PHASES.PHASE_A)?.t ?? sessionTime;
+
+    logger.finish({
+      aborted,
+      duration: round(sessionTime, 3),
+      phaseDurations,
+      blindPhaseDuration: offline ? round(phaseAEnd - offline.t, 3) : 0,
+      phaseStats,
+    });
+    set({ status: 'done' });
+    if (telemetryConfig().endpoint) get().uploadLog();
+  },
+
+  /** POST the JSON Lines bundle to the configured endpoint. */
+  uploadLog: async () => {
+    const { logger } = get();
+    const { endpoint } = telemetryConfig();
+    if (!logger || !endpoint) return;
+    set({ upload: { state: 'sending' } });
+    try {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body: logger.toJSONL(),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      set({ upload: { state: 'sent' } });
+    } catch (err) {
+      console.warn(`[Telemetry] Upload to ${endpoint} failed; download the log from the results screen instead.`, err);
+      set({ upload: { state: 'failed', error: err.message } });
+    }
+  },
+
+  /**
+   * Save the log locally.
+   * @param {'jsonl'|'samples'|'summary'} kind
+   */
+  downloadLog: (kind) => {
+    const { logger } = get();
+    if (!logger) return;
+    const base = `sensorracer-telemetry-${logger.metadata.studentId || 'anon'}-${logger.metadata.sessionId}`;
+    if (kind === 'jsonl') download(logger.toJSONL(), 'application/x-ndjson', `${base}.jsonl`);
+    else if (kind === 'samples') download(logger.samplesToCSV(), 'text/csv', `${base}-samples.csv`);
+    else download(logger.summaryToCSV(), 'text/csv', `${base}-summary.csv`);
+  },
+}));
+
+// ------------------------------------------------------------
+// Store subscriptions → events
+// ------------------------------------------------------------
+
+const logEvent = (type, data) => useTelemetryStore.getState().logEvent(type, data);
+
+useGameStore.subscribe((state, prev) => {
+  if (state.phase !== prev.phase) {
+    const telemetry = useTelemetryStore.getState();
+    if (state.phase === PHASES.ORIENTATION) telemetry.begin();
+    logEvent('phase', { from: prev.phase, to: state.phase });
+    if (state.phase === PHASES.RESULTS) telemetry.finish();
+    else if (state.phase === PHASES.MENU) telemetry.finish(true);
+  }
+  if (state.waypointsCompleted > prev.waypointsCompleted && state.sessionId === prev.sessionId) {
+    logEvent('waypoint', { index: state.currentWaypointIndex - 1, total: state.waypoints.length });
+  }
+});
+
+useBlackoutStore.subscribe((state, prev) => {
+  if (state.stage === prev.stage || state.stage === BLACKOUT_STAGES.IDLE) return;
+  logEvent('blackout', { stage: state.stage, waypointsCompleted: useGameStore.getState().waypointsCompleted });
+});
+
+useSensorStore.subscribe((state, prev) => {
+  if (state.sensors !== prev.sensors) {
+    for (const key of SENSOR_KEYS) {
+      if (state.sensors[key].enabled !== prev.sensors[key].enabled) {
+        logEvent('sensorToggle', { sensor: key, enabled: state.sensors[key].enabled });
+      }
+    }
+    const rays = [prev.sensors.lidar.rayCount, state.sensors.lidar.rayCount];
+    if (rays[0] !== rays[1]) logEvent('lidarDensity', { from: rays[0], to: rays[1] });
+    if (state.sensors.thermal.showTemps !== prev.sensors.thermal.showTemps) {
+      logEvent('thermalOverlay', { enabled: state.sensors.thermal.showTemps });
+    }
+  }
+  if (state.weather !== prev.weather) logEvent('weather', { from: prev.weather, to: state.weather });
+});
+
+// Pause / slow-motion use, and the AI's decisions whenever its action changes.
+// Session time stands still while paused, so a pause is timed on the wall clock.
+let pausedAt = null;
+useAIStore.subscribe((state, prev) => {
+  if (state.isPaused !== prev.isPaused) {
+    if (state.isPaused) {
+      pausedAt = { session: useGameStore.getState().sessionTime, wall: Date.now() };
+    } else if (pausedAt !== null) {
+      logEvent('pause', { at: round(pausedAt.session, 3), duration: round((Date.now() - pausedAt.wall) / 1000, 3) });
+      pausedAt = null;
+    }
+  }
+  if (state.timeScale !== prev.timeScale) logEvent('timeScale', { from: prev.timeScale, to: state.timeScale });
+
+  const action = state.glassboxData?.action;
+  if (state.glassboxData !== prev.glassboxData && action && action !== prev.glassboxData?.action) {
+    const d = state.glassboxData;
+    logEvent('aiDecision', {
+      action,
+      override: Boolean(d.isOverride),
+      reason: d.safety ? d.safety.reason : null,
+      confidence: d.perception?.confidence ?? null,
+    });
+  }
+});
+
+useTimelineStore.subscribe((state, prev) => {
+  if (state.stepRequested && !prev.stepRequested) logEvent('step');
+  if (state.cursor !== prev.cursor && state.cursor !== null) logEvent('seek', { index: state.cursor, of: state.length });
+});
+
+usePredictionStore.subscribe((state, prev) => {
+  if (state.history.length <= prev.history.length) return;
+  const r = state.history[state.history.length - 1];
+  logEvent('prediction', {
+    kind: r.kind,
+    question: r.question,
+    predicted: r.predicted,
+    actual: r.actual,
+    credit: r.credit,
+    responseTime: round(r.responseTime, 3),
+  });
+});
+
+export default useTelemetryStore;
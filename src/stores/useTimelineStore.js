@@ -0,0 +1,176 @@
+// ============================================================
+// Timeline Store — rewind / scrub / frame-step for the glass box
+// CityWorld captures a full world snapshot (vehicle, entities,
+// traffic clock, score, sensor outputs, glass box data, rule +
+// RNG state) every CAPTURE_INTERVAL of sim time into a ring
+// buffer. Seeking pauses the sim and restores a snapshot; resuming
+// discards the snapshots after the cursor and carries on from there.
+// ============================================================
+
+import { create } from 'zustand';
+import { SnapshotBuffer } from '../systems/replay/snapshotBuffer.js';
+import { getDrivingRulesState, resetDrivingRulesState } from '../systems/vehicle/drivingRules.js';
+import { snapshotSessionRng, restoreSessionRng } from '../utils/random.js';
+import useVehicleStore from './useVehicleStore.js';
+import useEntityStore from './useEntityStore.js';
+import useTrafficStore from './useTrafficStore.js';
+import useGameStore from './useGameStore.js';
+import useSensorStore from './useSensorStore.js';
+import useAIStore from './useAIStore.js';
+import useReplayStore from './useReplayStore.js';
+
+export const TIMELINE = {
+  CAPACITY: 600,            // snapshots → 60 s of history at 10 Hz
+  CAPTURE_INTERVAL: 0.1,    // seconds of sim time between snapshots
+  STEP_DT: 1 / 60,          // sim time advanced by one frame-step
+};
+
+function captureSnapshot() {
+  const vehicle = useVehicleStore.getState();
+  const game = useGameStore.getState();
+  const sensors = useSensorStore.getState();
+  const ai = useAIStore.getState();
+  const clock = useTrafficStore.getState().clock;
+
+  return {
+    time: clock,
+    vehicle: {
+      position: [...vehicle.position],
+      heading: vehicle.heading,
+      speed: vehicle.speed,
+      steerAngle: vehicle.steerAngle,
+      speedMph: vehicle.speedMph,
+      currentZone: vehicle.currentZone,
+      gear: vehicle.gear,
+    },
+    // Entity ticks mutate in place, so entities are deep-copied
+    entities: structuredClone(useEntityStore.getState().entities),
+    trafficClock: clock,
+    game: {
+      score: game.score,
+      collisions: game.collisions,
+      blindScore: game.blindScore,
+      courseCompletedAt: game.courseCompletedAt,
+      waypoints: game.waypoints,
+      currentWaypointIndex: game.currentWaypointIndex,
+      waypointsCompleted: game.waypointsCompleted,
+    },
+    // Sensor outputs + glass box data are replaced (never mutated) per tick
+    sensors: {
+      lidarData: sensors.lidarData,
+      thermalData: sensors.thermalData,
+      audioData: sensors.audioData,
+      cameraData: sensors.cameraData,
+    },
+    ai: {
+      glassboxData: ai.glassboxData,
+      narrationLog: ai.narrationLog,
+    },
+    rules: getDrivingRulesState(),
+    rng: snapshotSessionRng(),
+  };
+}
+
+function restoreSnapshot(snap) {
+  // Inputs are left alone: they mirror held keys / the AI's next command
+  useVehicleStore.getState().applyPhysicsState({ ...snap.vehicle, position: [...snap.vehicle.position] });
+  useEntityStore.setState({ entities: structuredClone(snap.entities) });
+  useTrafficStore.setState({ clock: snap.trafficClock });
+  useGameStore.setState({ ...snap.game });
+  useSensorStore.setState({ ...snap.sensors });
+  useAIStore.setState({ ...snap.ai });
+  resetDrivingRulesState(snap.rules);
+  restoreSessionRng(snap.rng);
+}
+
+// Sim time since the last capture (not reactive)
+let sinceCapture = 0;
+
+const useTimelineStore = create((set, get) => ({
+  buffer: new SnapshotBuffer(TIMELINE.CAPACITY),
+  length: 0,            // snapshots retained (reactive mirror of buffer.length)
+  cursor: null,         // index being viewed, or null when live
+  stepRequested: false, // advance exactly one frame while paused
+  restores: 0,          // bumped per restored snapshot: state carried across frames (LiDAR tracks, fusion, AI memory) is stale
+
+  /** True when the world should not advance this frame. */
+  isFrozen: () => useAIStore.getState().isPaused && !get().stepRequested,
+
+  /** Timeline is only scrubbable outside replay recording/playback. */
+  canSeek: () => useReplayStore.getState().mode === 'idle',
+
+  /**
+   * Called by CityWorld after each simulated frame.
+   * @param {number} delta - sim time advanced this frame
+   */
+  capture: (delta) => {
+    const { buffer, stepRequested } = get();
+    sinceCapture += delta;
+    if (sinceCapture < TIMELINE.CAPTURE_INTERVAL && !stepRequested) return;
+
+    sinceCapture = 0;
+    buffer.push(captureSnapshot());
+    set({ length: buffer.length, stepRequested: false });
+  },
+
+  /**
+   * Pause and restore the snapshot at index.
+   * @param {number} index
+   */
+  seek: (index) => {
+    const { buffer } = get();
+    if (!get().canSeek() || buffer.length === 0) return;
+    const clamped = Math.max(0, Math.min(buffer.length - 1, index));
+    useAIStore.setState({ isPaused: true });
+    restoreSnapshot(buffer.get(clamped));
+    set({ cursor: clamped, stepRequested: false, restores: get().restores + 1 });
+  },
+
+  stepBack: () => {
+    const { cursor, length } = get();
+    get().seek(cursor === null ? length - 1 : cursor - 1);
+  },
+
+  /**
+   * Move forward one snapshot while rewound; at the live edge, pause
+   * (if needed) and simulate a single frame.
+   */
+  stepForward: () => {
+    const { cursor, length } = get();
+    if (cursor !== null && cursor < length - 1) {
+      get().seek(cursor + 1);
+      return;
+    }
+    get().resume();
+    useAIStore.setState({ isPaused: true });
+    set({ stepRequested: true });
+  },
+
+  /**
+   * Leave the rewound view: the viewed snapshot becomes the present and
+   * everything recorded after it is discarded. Call before unpausing.
+   */
+  resume: () => {
+    const { cursor, buffer } = get();
+    if (cursor === null) return;
+    buffer.truncateAfter(cursor);
+    sinceCapture = 0;
+    set({ cursor: null, length: buffer.length });
+  },
+
+  /** Drop all history (session restart). */
+  clear: () => {
+    get().buffer.clear();
+    sinceCapture = 0;
+    set({ length: 0, cursor: null, stepRequested: false });
+  },
+
+  /**
+   * Snapshot at index (for timeline labels).
+   * @param {number} index
+   * @returns {object|undefined}
+   */
+  getSnapshot: (index) => get().buffer.get(index),
+}));
+
+export default useTimelineStore;
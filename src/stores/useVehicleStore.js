@@ -28,6 +28,7 @@ const useVehicleStore = create((set) => ({
     reverse: false,      // S or ArrowDown (Human Arcade brake+reverse)
     steerLeft: false,    // A or ArrowLeft
     steerRight: false,   // D or ArrowRight
+    analog: null,        // { steer, throttle, brake, reverse? } from VehicleController or a gamepad (overrides the booleans)
   },
 
   // Derived / display state
@@ -59,6 +60,7 @@ const useVehicleStore = create((set) => ({
       reverse: false,
       steerLeft: false,
       steerRight: false,
+      analog: null,
     },
   }),
 }));
@@ -1,23 +1,64 @@
 import { create } from 'zustand';
+import { buildCourse, serializeCourse, parseCourse } from '../systems/waypoints/customCourse.js';
+import { generateWaypoints } from '../systems/waypoints/generateWaypoints.js';
+import useGameStore from './useGameStore.js';
 
-const useWaypointStore = create((set) => ({
+// Keep the snapped + validated course in step with the designer points
+const withCourse = (customWaypoints) => ({
+    customWaypoints,
+    course: buildCourse(customWaypoints.map((wp) => wp.position)),
+});
+
+const newWaypoint = (position) => ({ id: `wp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, position });
+
+const useWaypointStore = create((set, get) => ({
     isDesignerMode: false,
     customWaypoints: [], // Array of { id: string, position: [x, y, z] }
+    course: buildCourse([]), // { waypoints, errors } — customWaypoints snapped to the road graph
+    useCustomCourse: false,  // replace the seed-generated mission with the course
+    courseName: 'my-course',
 
     toggleDesignerMode: () => set((state) => ({ isDesignerMode: !state.isDesignerMode })),
 
-    addWaypoint: (position) => set((state) => ({
-        customWaypoints: [
-            ...state.customWaypoints,
-            { id: `wp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, position }
-        ]
-    })),
+    addWaypoint: (position) => set((state) => withCourse([...state.customWaypoints, newWaypoint(position)])),
+
+    removeWaypoint: (id) => set((state) => withCourse(state.customWaypoints.filter(wp => wp.id !== id))),
+
+    clearWaypoints: () => set({ ...withCourse([]), useCustomCourse: false }),
+
+    setUseCustomCourse: (useCustomCourse) => set({ useCustomCourse }),
+    setCourseName: (courseName) => set({ courseName }),
+
+    /**
+     * Waypoints for a new mission: the custom course when it is enabled
+     * and valid, otherwise the seed-generated route.
+     * @param {number} seed
+     * @param {number[]} startPosition
+     */
+    getMissionWaypoints: (seed, startPosition) => {
+        const { useCustomCourse, course } = get();
+        if (useCustomCourse && course.errors.length === 0) {
+            return course.waypoints.map((wp) => ({ ...wp, position: [...wp.position], reached: false }));
+        }
+        return generateWaypoints(seed, startPosition);
+    },
 
-    removeWaypoint: (id) => set((state) => ({
-        customWaypoints: state.customWaypoints.filter(wp => wp.id !== id)
-    })),
+    /** Course file for the current points, tagged with the current seed. */
+    exportCourse: () => {
+        const { courseName, customWaypoints } = get();
+        return serializeCourse(courseName, useGameStore.getState().seed, customWaypoints.map((wp) => wp.position));
+    },
 
-    clearWaypoints: () => set({ customWaypoints: [] }),
+    /**
+     * Load a course file and switch to it (restarting on its seed).
+     * @param {object} json
+     * @throws {Error} when the file is malformed
+     */
+    loadCourse: (json) => {
+        const { name, seed, points } = parseCourse(json);
+        set({ ...withCourse(points.map(newWaypoint)), courseName: name, useCustomCourse: true });
+        useGameStore.getState().requestRestart(seed ?? undefined);
+    },
 }));
 
 export default useWaypointStore;
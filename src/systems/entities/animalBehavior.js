@@ -7,26 +7,31 @@
 import { ANIMAL } from '../../constants/entities.js';
 import { GRID, WORLD_HALF } from '../../constants/world.js';
 import { checkBuildingCollision } from '../vehicle/collisions.js';
+import { randRange, sessionRng } from '../../utils/random.js';
 
 const BOUNDARY = WORLD_HALF - 2;
 const ROAD_WIDTH = GRID.ROAD_WIDTH; // 14m — dart distance
 
+// Live-game default; headless runs pass their own stream
+const defaultRng = sessionRng('animals');
+
 /**
  * Advance an animal entity by one simulation step.
  *
  * @param {object} entity - animal entity
  * @param {number} delta  - seconds since last frame
  * @param {object} collisionData
+ * @param {function} [rng] - seeded stream for pause/wander/dart rolls
  * @returns {object} mutated entity
  */
-export function tickAnimal(entity, delta, collisionData) {
+export function tickAnimal(entity, delta, collisionData, rng = defaultRng) {
   switch (entity.behaviorState) {
     case 'wandering':
-      return wanderingTick(entity, delta, collisionData);
+      return wanderingTick(entity, delta, collisionData, rng);
     case 'paused':
-      return pausedTick(entity, delta);
+      return pausedTick(entity, delta, rng);
     case 'darting':
-      return dartingTick(entity, delta, collisionData);
+      return dartingTick(entity, delta, collisionData, rng);
     default:
       return entity;
   }
@@ -38,7 +43,7 @@ export function tickAnimal(entity, delta, collisionData) {
  * Wandering: move in stateData.direction at species speed.
  * Timer counts down. When expired, transition to paused.
  */
-function wanderingTick(entity, delta, collisionData) {
+function wanderingTick(entity, delta, collisionData, rng) {
   const { stateData } = entity;
   const speed = stateData.baseSpeed;
 
@@ -77,7 +82,7 @@ function wanderingTick(entity, delta, collisionData) {
   if (entity.behaviorTimer <= 0) {
     entity.behaviorState = 'paused';
     entity.speed = 0;
-    entity.behaviorTimer = randomInRange(ANIMAL.PAUSE_TIME_MIN, ANIMAL.PAUSE_TIME_MAX);
+    entity.behaviorTimer = randRange(rng, ANIMAL.PAUSE_TIME_MIN, ANIMAL.PAUSE_TIME_MAX);
   }
 
   return entity;
@@ -87,13 +92,13 @@ function wanderingTick(entity, delta, collisionData) {
  * Paused: stand still. Timer counts down.
  * When expired: 5% chance to dart, else wander with new direction.
  */
-function pausedTick(entity, delta) {
+function pausedTick(entity, delta, rng) {
   entity.speed = 0;
   entity.behaviorTimer -= delta;
 
   if (entity.behaviorTimer <= 0) {
     // Chance to dart across road
-    if (Math.random() < ANIMAL.DART_CHANCE) {
+    if (rng() < ANIMAL.DART_CHANCE) {
       entity.behaviorState = 'darting';
       entity.speed = entity.stateData.dartSpeed;
 
@@ -109,8 +114,8 @@ function pausedTick(entity, delta) {
     } else {
       // Resume wandering with a new random direction
       entity.behaviorState = 'wandering';
-      entity.stateData.direction = Math.random() * Math.PI * 2;
-      entity.behaviorTimer = randomInRange(ANIMAL.WANDER_TIME_MIN, ANIMAL.WANDER_TIME_MAX);
+      entity.stateData.direction = rng() * Math.PI * 2;
+      entity.behaviorTimer = randRange(rng, ANIMAL.WANDER_TIME_MIN, ANIMAL.WANDER_TIME_MAX);
       entity.speed = entity.stateData.baseSpeed;
     }
   }
@@ -122,7 +127,7 @@ function pausedTick(entity, delta) {
  * Darting: sprint perpendicular to nearest road across the road.
  * After crossing (distance > 14m), transition to paused.
  */
-function dartingTick(entity, delta, collisionData) {
+function dartingTick(entity, delta, collisionData, rng) {
   const { stateData } = entity;
   const speed = stateData.dartSpeed;
   const dir = stateData.direction;
@@ -136,7 +141,7 @@ function dartingTick(entity, delta, collisionData) {
 
   // Stop darting immediately if hitting a building
   if (checkBuildingCollision(nextX, nextZ, entity.boundingBoxRadius || 0.5, collisionData)) {
-    finishDart(entity);
+    finishDart(entity, rng);
     return entity;
   }
 
@@ -150,18 +155,18 @@ function dartingTick(entity, delta, collisionData) {
   // Boundary check — stop darting at edges
   if (entity.position[0] > BOUNDARY || entity.position[0] < -BOUNDARY) {
     entity.position[0] = Math.max(-BOUNDARY, Math.min(BOUNDARY, entity.position[0]));
-    finishDart(entity);
+    finishDart(entity, rng);
     return entity;
   }
   if (entity.position[2] > BOUNDARY || entity.position[2] < -BOUNDARY) {
     entity.position[2] = Math.max(-BOUNDARY, Math.min(BOUNDARY, entity.position[2]));
-    finishDart(entity);
+    finishDart(entity, rng);
     return entity;
   }
 
   // Done darting when distance > road width
   if (stateData.dartDistance >= ROAD_WIDTH) {
-    finishDart(entity);
+    finishDart(entity, rng);
   }
 
   return entity;
@@ -172,22 +177,11 @@ function dartingTick(entity, delta, collisionData) {
 /**
  * Transition from darting to paused.
  * @param {object} entity
+ * @param {function} rng
  */
-function finishDart(entity) {
+function finishDart(entity, rng) {
   entity.behaviorState = 'paused';
   entity.speed = 0;
   entity.stateData.dartDistance = 0;
-  entity.behaviorTimer = randomInRange(ANIMAL.PAUSE_TIME_MIN, ANIMAL.PAUSE_TIME_MAX);
-}
-
-/**
- * Simple random range using Math.random (non-seeded, for runtime variety).
- * Acceptable here because animal pause/wander timers don't need to be
- * perfectly deterministic after spawn.
- * @param {number} min
- * @param {number} max
- * @returns {number}
- */
-function randomInRange(min, max) {
-  return min + Math.random() * (max - min);
+  entity.behaviorTimer = randRange(rng, ANIMAL.PAUSE_TIME_MIN, ANIMAL.PAUSE_TIME_MAX);
 }
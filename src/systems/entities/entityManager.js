@@ -810,9 +810,10 @@ export function spawnEntities(seed, worldData) {
  * @param {object} trafficState   - object with getLightState(axis) method
  * @param {number[]} playerPosition - player vehicle [x, y, z]
  * @param {object} collisionData  - pre-processed world collision data
+ * @param {function} [rng]        - runtime stream for animal behaviour (defaults to the live session stream)
  * @returns {Array} updated entity array
  */
-export function tickEntities(entities, delta, trafficState, playerPosition, collisionData) {
+export function tickEntities(entities, delta, trafficState, playerPosition, collisionData, rng) {
   // Cap delta to avoid physics explosions on tab-switch
   const dt = Math.min(delta, 0.1);
 
@@ -828,7 +829,7 @@ export function tickEntities(entities, delta, trafficState, playerPosition, coll
         entities[i] = tickNpcVehicle(e, dt, trafficState, playerPosition, collisionData);
         break;
       case 'animal':
-        entities[i] = tickAnimal(e, dt, collisionData);
+        entities[i] = tickAnimal(e, dt, collisionData, rng);
         break;
       case 'emergency':
         entities[i] = tickEmergency(e, dt, collisionData);
@@ -0,0 +1,124 @@
+// ============================================================
+// Batch Evaluation — policies × seeds × conditions, headless
+// Every run is a full Simulation (generateWorld, spawnEntities,
+// tickVehiclePhysics, resolveCollisions, evaluateDrivingRules,
+// the sensor engines and AIPilot) with one registry policy
+// driving, ending when the course is complete or time runs out.
+// scripts/evaluatePolicies.js is the CLI.
+// ============================================================
+
+import { Simulation, SIMULATION } from '../simulation/Simulation.js';
+import { ScorecardTracker } from './scorecard.js';
+import { toCSV } from '../telemetry/telemetryLogger.js';
+
+export const EVALUATION = {
+  DURATION: 180,          // s of simulated time per run (a session phase)
+};
+
+// Sensor-dropout configurations: sensors switched off for the whole run
+export const DROPOUTS = {
+  none: {},
+  lidar: { lidar: false },
+  camera: { camera: false },
+  thermal: { thermal: false },
+  audio: { audio: false },
+  'lidar+camera': { lidar: false, camera: false },
+};
+
+export const SCORECARD_COLUMNS = [
+  'policy', 'seed', 'weather', 'timeOfDay', 'dropout', 'error',
+  'duration', 'score', 'collisions', 'collisionsByType', 'nearMisses', 'redLightsRun', 'stopSignsRun',
+  'speedingSeconds', 'offRoad', 'wrongWay', 'waypointsReached', 'waypointsTotal', 'courseTime',
+];
+
+/**
+ * Every combination of the given axes, policy-major.
+ * @param {{ policies: object[], seeds: number[], weathers: string[], timesOfDay: string[], dropouts: string[] }} axes
+ * @returns {{ policy: object, seed: number, weather: string, timeOfDay: string, dropout: string }[]}
+ */
+export function evaluationMatrix({ policies, seeds, weathers, timesOfDay, dropouts }) {
+  const runs = [];
+  for (const policy of policies) {
+    for (const seed of seeds) {
+      for (const weather of weathers) {
+        for (const timeOfDay of timesOfDay) {
+          for (const dropout of dropouts) {
+            if (!DROPOUTS[dropout]) throw new Error(`Evaluation: unknown dropout "${dropout}" (${Object.keys(DROPOUTS).join(', ')})`);
+            runs.push({ policy, seed, weather, timeOfDay, dropout });
+          }
+        }
+      }
+    }
+  }
+  return runs;
+}
+
+/**
+ * Drive one configuration to completion or timeout.
+ * @param {{ policy: object, seed: number, weather: string, timeOfDay: string, dropout: string }} run
+ * @param {object} [options]
+ * @param {number} [options.duration] - simulated seconds before giving up
+ * @param {object} [options.weights] - the policy's weight payload (required in Node for learned policies)
+ * @returns {Promise<object>} scorecard row (SCORECARD_COLUMNS); `error` instead when the policy was refused
+ */
+export async function evaluateRun(run, options = {}) {
+  const duration = options.duration ?? EVALUATION.DURATION;
+  const sim = new Simulation({
+    seed: run.seed,
+    weather: run.weather,
+    timeOfDay: run.timeOfDay,
+    sensors: DROPOUTS[run.dropout],
+    ai: true,
+    policy: run.policy,
+    decision: { weights: options.weights },
+  });
+  const { policy, ...conditions } = run;
+  try {
+    await sim.init();
+  } catch (err) {
+    return { policy: policy.id, ...conditions, error: err.message };
+  }
+
+  const tracker = new ScorecardTracker();
+  while (sim.time < duration && !sim.isComplete) {
+    await sim.step(SIMULATION.FIXED_DT);
+    tracker.track(sim, SIMULATION.FIXED_DT);
+  }
+
+  return { policy: policy.id, ...conditions, ...tracker.finish(sim) };
+}
+
+/**
+ * Per-policy means over its runs (failed runs excluded).
+ * @param {object[]} scorecards - evaluateRun() rows
+ * @returns {object[]} one row per policy
+ */
+export function summarizeScorecards(scorecards) {
+  const byPolicy = new Map();
+  for (const card of scorecards) {
+    if (!byPolicy.has(card.policy)) byPolicy.set(card.policy, []);
+    byPolicy.get(card.policy).push(card);
+  }
+
+  return [...byPolicy].map(([policy, cards]) => {
+    const ok = cards.filter((c) => !c.error);
+    const mean = (key) => (ok.length ? Math.round((ok.reduce((sum, c) => sum + c[key], 0) / ok.length) * 100) / 100 : null);
+    const completed = ok.filter((c) => c.courseTime !== null);
+    return {
+      policy,
+      runs: cards.length,
+      failed: cards.length - ok.length,
+      completionRate: ok.length ? Math.round((completed.length / ok.length) * 1000) / 1000 : null,
+      meanCourseTime: completed.length
+        ? Math.round((completed.reduce((sum, c) => sum + c.courseTime, 0) / completed.length) * 100) / 100
+        : null,
+      ...Object.fromEntries(['score', 'collisions', 'nearMisses', 'redLightsRun', 'stopSignsRun',
+        'speedingSeconds', 'offRoad', 'wrongWay', 'waypointsReached'].map((key) => [key, mean(key)])),
+    };
+  });
+}
+
+/** @returns {string} scorecards as CSV */
+export function scorecardsToCSV(scorecards) {
+  return toCSV(SCORECARD_COLUMNS, scorecards);
+}
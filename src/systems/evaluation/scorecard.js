@@ -0,0 +1,71 @@
+// ============================================================
+// Scorecard — safety metrics of one headless evaluation run
+// Fed after every Simulation frame. Collisions, near-misses and
+// rule / road violations go through the same TelemetryLogger
+// tracking as the live research log, so policy scorecards compare
+// directly with student sessions.
+// ============================================================
+
+import { TelemetryLogger } from '../telemetry/telemetryLogger.js';
+import { SPEED_LIMITS } from '../../constants/traffic.js';
+import { VEHICLE_PHYSICS } from '../../constants/vehicle.js';
+
+export const SCORECARD = {
+  SPEEDING_MARGIN_MPH: 5,   // over the zone limit, as drivingRules penalizes
+  DEFAULT_LIMIT_MPH: 35,    // zones without an entry in SPEED_LIMITS
+};
+
+export class ScorecardTracker {
+  constructor() {
+    this.log = new TelemetryLogger({ kind: 'evaluation' });
+    this.speedingSeconds = 0;
+    this.courseTime = null;
+  }
+
+  /**
+   * @param {import('../simulation/Simulation.js').Simulation} sim - after the frame
+   * @param {number} dt - simulated seconds this frame
+   */
+  track(sim, dt) {
+    const { vehicle } = sim;
+    const { contacts, ruleEvents, impactSpeed } = sim.frameEvents;
+    this.log.trackDriving(sim.time, dt, vehicle, sim.entities, contacts, impactSpeed, ruleEvents);
+
+    const mph = Math.abs(vehicle.speed * VEHICLE_PHYSICS.MPS_TO_MPH);
+    const limit = SPEED_LIMITS[vehicle.currentZone] || SCORECARD.DEFAULT_LIMIT_MPH;
+    if (mph > limit + SCORECARD.SPEEDING_MARGIN_MPH) this.speedingSeconds += dt;
+
+    if (this.courseTime === null && sim.isComplete) this.courseTime = sim.time;
+  }
+
+  /**
+   * @param {import('../simulation/Simulation.js').Simulation} sim
+   * @returns {object} scorecard (see SCORECARD_COLUMNS in batchEvaluation.js)
+   */
+  finish(sim) {
+    const counts = this.log.countEvents();
+    const collisionsByType = {};
+    for (const e of this.log.events) {
+      if (e.type === 'collision') collisionsByType[e.object] = (collisionsByType[e.object] || 0) + 1;
+    }
+    return {
+      duration: round(sim.time),
+      score: sim.game.score,
+      collisions: counts.collision || 0,
+      collisionsByType,
+      nearMisses: counts.nearMiss || 0,
+      redLightsRun: counts.redLightRun || 0,
+      stopSignsRun: counts.stopSignRun || 0,
+      speedingSeconds: round(this.speedingSeconds),
+      offRoad: counts.offRoad || 0,
+      wrongWay: counts.wrongWay || 0,
+      waypointsReached: sim.game.waypointsCompleted,
+      waypointsTotal: sim.game.waypoints.length,
+      courseTime: this.courseTime === null ? null : round(this.courseTime),
+    };
+  }
+}
+
+function round(v) {
+  return Math.round(v * 100) / 100;
+}
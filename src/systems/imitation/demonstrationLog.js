@@ -0,0 +1,121 @@
+// ============================================================
+// Demonstration Log — behavior-cloning dataset from student drives
+// Every DEMONSTRATION.TICK seconds of a Phase A drive: the DQN state
+// vector (docs/dqn_decision_rl_spec.md §1) the AI would have seen,
+// labelled with the student's inputs mapped onto the DQN's discrete
+// actions. scripts/trainBC.js and rl_training/demonstrations.py read
+// the export.
+//
+// JSON Lines:
+//   { kind: 'meta', format, version, features, actions, ... } first,
+//   then one { kind: 'sample', t, state, action } per tick
+//   (action is the index into `actions`)
+// ============================================================
+
+import { DQN_FEATURES, DQN_ACTIONS } from '../../ai/DQNDecisionEngine.js';
+
+export const DEMONSTRATION_FORMAT = 'sensorracer-demonstrations';
+export const DEMONSTRATION_VERSION = 1;
+
+export const DEMONSTRATION = {
+  TICK: 0.1,              // s of simulated time between samples (the AI's decision rate)
+  STEER_THRESHOLD: 0.2,   // |steer| that counts as a LEFT / RIGHT
+  PEDAL_THRESHOLD: 0.2,   // brake / throttle that counts as pressed
+};
+
+const ACTION_IDS = DQN_ACTIONS.map((a) => a.id);
+
+/**
+ * The DQN action closest to what the driver is doing. Braking wins
+ * (the AI's BRAKE also steers), then steering, then throttle.
+ * @param {object} inputs - useVehicleStore inputs (booleans, or analog when set)
+ * @returns {string} DQN action id
+ */
+export function inputsToAction(inputs) {
+  const steer = inputs.analog ? inputs.analog.steer : (inputs.steerLeft ? 1 : 0) - (inputs.steerRight ? 1 : 0);
+  const throttle = inputs.analog ? inputs.analog.throttle : (inputs.accelerate ? 1 : 0);
+  const brake = inputs.analog ? inputs.analog.brake : (inputs.brake || inputs.reverse ? 1 : 0);
+
+  if (brake > DEMONSTRATION.PEDAL_THRESHOLD) return 'BRAKE';
+  if (steer > DEMONSTRATION.STEER_THRESHOLD) return 'LEFT';
+  if (steer < -DEMONSTRATION.STEER_THRESHOLD) return 'RIGHT';
+  if (throttle > DEMONSTRATION.PEDAL_THRESHOLD) return 'ACCELERATE';
+  return 'STRAIGHT';
+}
+
+export class DemonstrationLog {
+  /**
+   * @param {object} metadata - session identification (seed, sessionId, studentId, course, ...)
+   */
+  constructor(metadata) {
+    this.metadata = {
+      kind: 'meta',
+      format: DEMONSTRATION_FORMAT,
+      version: DEMONSTRATION_VERSION,
+      features: DQN_FEATURES,
+      actions: ACTION_IDS,
+      tick: DEMONSTRATION.TICK,
+      recordedAt: new Date().toISOString(),
+      ...metadata,
+    };
+    this.samples = [];
+  }
+
+  /**
+   * @param {number} t - session time (s)
+   * @param {number[]} state - buildDQNState() vector
+   * @param {string} action - DQN action id
+   */
+  add(t, state, action) {
+    this.samples.push({
+      kind: 'sample',
+      t: Math.round(t * 1000) / 1000,
+      state: state.map((v) => Math.round(v * 1e4) / 1e4),
+      action: ACTION_IDS.indexOf(action),
+    });
+  }
+
+  /** Per-action sample counts. */
+  actionCounts() {
+    const counts = Object.fromEntries(ACTION_IDS.map((id) => [id, 0]));
+    for (const s of this.samples) counts[ACTION_IDS[s.action]]++;
+    return counts;
+  }
+
+  toJSONL() {
+    return [this.metadata, ...this.samples].map((line) => JSON.stringify(line)).join('\n') + '\n';
+  }
+}
+
+/**
+ * Parse an exported demonstration file.
+ * @param {string} text - JSON Lines from DemonstrationLog.toJSONL()
+ * @returns {{ metadata: object, samples: { t: number, state: number[], action: number }[] }}
+ */
+export function parseDemonstrations(text) {
+  const lines = text.split('\n').filter((line) => line.trim() !== '');
+  if (lines.length === 0) throw new Error('Demonstrations: empty file');
+
+  const metadata = JSON.parse(lines[0]);
+  if (metadata.kind !== 'meta' || metadata.format !== DEMONSTRATION_FORMAT) {
+    throw new Error('Demonstrations: missing meta header (not a demonstration export?)');
+  }
+  if (metadata.version > DEMONSTRATION_VERSION) {
+    throw new Error(`Demonstrations: version ${metadata.version} is newer than supported (${DEMONSTRATION_VERSION})`);
+  }
+  if (metadata.features.join() !== DQN_FEATURES.join()) {
+    throw new Error(`Demonstrations: feature layout [${metadata.features}] does not match the DQN's [${DQN_FEATURES}]`);
+  }
+  if (metadata.actions.join() !== ACTION_IDS.join()) {
+    throw new Error(`Demonstrations: action mapping [${metadata.actions}] does not match the DQN's [${ACTION_IDS}]`);
+  }
+
+  const samples = lines.slice(1).map((line, i) => {
+    const sample = JSON.parse(line);
+    if (sample.state?.length !== DQN_FEATURES.length || !(sample.action >= 0 && sample.action < ACTION_IDS.length)) {
+      throw new Error(`Demonstrations: malformed sample on line ${i + 2}`);
+    }
+    return sample;
+  });
+  return { metadata, samples };
+}
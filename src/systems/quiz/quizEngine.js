@@ -0,0 +1,117 @@
+// ============================================================
+// Quiz Engine — question sets for the break between phases
+// Question sets are plain JSON (see public/quiz/default.json) so
+// researchers can swap them per cohort without code changes:
+//
+//   { "id": "default", "version": 1, "title": "...", "maxQuestions": 3,
+//     "questions": [
+//       { "id": "q1", "prompt": "...", "choices": ["A", "B"], "answer": 1 },
+//       { "id": "q2", "prompt": "... {distance} m ...",
+//         "choices": [{ "value": "audio", "label": "Audio" }, ...],
+//         "template": "firstDetection", "class": "emergency" } ] }
+//
+// "answer" (choice index) is optional — opinion questions have none.
+// Templated questions take their correct answer (and {placeholders})
+// from session facts and are dropped when the fact never happened.
+// "maxQuestions" caps how many of the remaining questions are asked.
+// ============================================================
+
+export const QUIZ_VERSION = 1;
+
+/**
+ * Template resolvers: (question, facts) → { answer: choice value, vars } | null
+ * facts: { detections: DetectionLog }
+ */
+const TEMPLATES = {
+  // Correct answer = sensor that first reported an entity of `class`
+  firstDetection: (q, facts) => {
+    const first = facts.detections?.firstDetection(q.class);
+    if (!first) return null;
+    return {
+      answer: first.sensor,
+      vars: { distance: Math.round(first.distance), time: Math.round(first.time) },
+    };
+  },
+};
+
+/**
+ * Validate + normalize a question set. Choices become { value, label }.
+ * @param {object} json
+ * @returns {{ id: string, version: number, title: string, maxQuestions: number, questions: object[] }}
+ * @throws {Error} when the set is malformed
+ */
+export function parseQuestionSet(json) {
+  if (!json || !Array.isArray(json.questions)) {
+    throw new Error('Quiz set: missing "questions" array');
+  }
+  if (json.version !== undefined && json.version !== QUIZ_VERSION) {
+    throw new Error(`Quiz set: unsupported version ${json.version} (expected ${QUIZ_VERSION})`);
+  }
+
+  const questions = json.questions.map((q, i) => {
+    const where = `question ${i + 1}${q.id ? ` ("${q.id}")` : ''}`;
+    if (typeof q.prompt !== 'string' || !q.prompt) throw new Error(`Quiz set: ${where} has no prompt`);
+    if (!Array.isArray(q.choices) || q.choices.length < 2) {
+      throw new Error(`Quiz set: ${where} needs at least two choices`);
+    }
+    if (q.template && !TEMPLATES[q.template]) {
+      throw new Error(`Quiz set: ${where} uses unknown template "${q.template}"`);
+    }
+    if (q.answer !== undefined && !(Number.isInteger(q.answer) && q.answer >= 0 && q.answer < q.choices.length)) {
+      throw new Error(`Quiz set: ${where} has an out-of-range answer`);
+    }
+    return {
+      ...q,
+      id: q.id || `q${i + 1}`,
+      choices: q.choices.map((c) => (typeof c === 'string' ? { value: c, label: c } : { value: c.value, label: c.label ?? String(c.value) })),
+    };
+  });
+
+  return {
+    id: json.id || 'custom',
+    version: QUIZ_VERSION,
+    title: json.title || 'Quick Assessment',
+    maxQuestions: json.maxQuestions ?? questions.length,
+    questions,
+  };
+}
+
+/**
+ * Questions to ask this session: templates resolved against the facts,
+ * unresolvable templated questions dropped.
+ * @param {object} set - from parseQuestionSet()
+ * @param {object} facts - { detections: DetectionLog }
+ * @returns {{ id: string, prompt: string, choices: object[], answer: number|null, template: string|null }[]}
+ */
+export function buildQuiz(set, facts) {
+  const quiz = [];
+  for (const q of set.questions) {
+    let answer = q.answer ?? null;
+    let prompt = q.prompt;
+    if (q.template) {
+      const resolved = TEMPLATES[q.template](q, facts);
+      if (!resolved) continue;
+      answer = q.choices.findIndex((c) => c.value === resolved.answer);
+      if (answer === -1) continue; // set doesn't offer the true answer
+      prompt = prompt.replace(/\{(\w+)\}/g, (m, key) => (key in resolved.vars ? String(resolved.vars[key]) : m));
+    }
+    quiz.push({ id: q.id, prompt, choices: q.choices, answer, template: q.template || null });
+  }
+  return quiz.slice(0, set.maxQuestions);
+}
+
+/**
+ * Summarize recorded answers.
+ * @param {object[]} questions - from buildQuiz()
+ * @param {object[]} answers - { questionId, choice, correct, ... } (choice null = timed out)
+ * @returns {{ asked: number, answered: number, graded: number, correct: number }}
+ */
+export function summarizeAnswers(questions, answers) {
+  const graded = questions.filter((q) => q.answer !== null).length;
+  return {
+    asked: questions.length,
+    answered: answers.filter((a) => a.choice !== null).length,
+    graded,
+    correct: answers.filter((a) => a.correct === true).length,
+  };
+}
@@ -0,0 +1,186 @@
+// ============================================================
+// Session Recorder / Player — deterministic replay logs
+//
+// A session is fully determined by its seed plus, per physics
+// frame, the frame delta, the vehicle inputs and any setting
+// changes (sensor toggles, LiDAR rays, weather, time of day,
+// time scale). All runtime noise comes from seeded RNG streams
+// (utils/random.js), so replaying the log reproduces the run.
+//
+// Log format (JSON):
+// {
+//   version, seed, recordedAt,
+//   settings: { ...initial settings },
+//   frames:   [[dt, inputMask], ...],     // + steer, throttle, brake, reverse
+//                                         //   (0/1) when the AI or a gamepad
+//                                         //   drives with analog inputs
+//   events:   [{ frame, key, value }, ...]   // setting changes
+// }
+// ============================================================
+
+export const REPLAY_VERSION = 2;
+
+/** Input keys in bit order for the per-frame input mask. */
+export const INPUT_KEYS = ['accelerate', 'brake', 'reverse', 'steerLeft', 'steerRight'];
+
+/** Recorded setting keys (flat so changes diff cheaply). */
+export const SETTING_KEYS = [
+  'weather',
+  'timeOfDay',
+  'timeScale',
+  'lidarRayCount',
+  'lidar',
+  'thermal',
+  'audio',
+  'camera',
+];
+
+/**
+ * Pack boolean inputs into a bit mask.
+ * @param {object} inputs
+ * @returns {number}
+ */
+export function encodeInputs(inputs) {
+  let mask = 0;
+  for (let i = 0; i < INPUT_KEYS.length; i++) {
+    if (inputs[INPUT_KEYS[i]]) mask |= 1 << i;
+  }
+  return mask;
+}
+
+/**
+ * Unpack a recorded frame's inputs.
+ * @param {number} mask
+ * @param {number[]} [analog] - [steer, throttle, brake, reverse] when recorded
+ * @returns {object}
+ */
+export function decodeInputs(mask, analog = []) {
+  const inputs = {};
+  for (let i = 0; i < INPUT_KEYS.length; i++) {
+    inputs[INPUT_KEYS[i]] = (mask & (1 << i)) !== 0;
+  }
+  const [steer, throttle, brake, reverse] = analog;
+  inputs.analog = analog.length > 0 ? { steer, throttle, brake, reverse: reverse === 1 } : null;
+  return inputs;
+}
+
+/**
+ * Flatten sensor-store-shaped state into recorded settings.
+ * @param {object} sensorState - { weather, timeOfDay, sensors }
+ * @param {number} [timeScale=1]
+ * @returns {object}
+ */
+export function captureSettings(sensorState, timeScale = 1) {
+  const { sensors } = sensorState;
+  return {
+    weather: sensorState.weather,
+    timeOfDay: sensorState.timeOfDay,
+    timeScale,
+    lidarRayCount: sensors.lidar.rayCount,
+    lidar: sensors.lidar.enabled,
+    thermal: sensors.thermal.enabled,
+    audio: sensors.audio.enabled,
+    camera: sensors.camera.enabled,
+  };
+}
+
+export class SessionRecorder {
+  /**
+   * @param {number|string} seed
+   * @param {object} settings - initial settings from captureSettings()
+   */
+  constructor(seed, settings) {
+    this.seed = seed;
+    this.initialSettings = { ...settings };
+    this.lastSettings = { ...settings };
+    this.frames = [];
+    this.events = [];
+  }
+
+  /**
+   * Record one physics frame. Call before the frame's physics runs,
+   * with the inputs and settings that frame will use.
+   * @param {number} dt
+   * @param {object} inputs
+   * @param {object} settings - from captureSettings()
+   */
+  recordFrame(dt, inputs, settings) {
+    const frame = this.frames.length;
+    for (const key of SETTING_KEYS) {
+      if (settings[key] !== this.lastSettings[key]) {
+        this.events.push({ frame, key, value: settings[key] });
+        this.lastSettings[key] = settings[key];
+      }
+    }
+    const { analog } = inputs;
+    this.frames.push(analog
+      ? [dt, encodeInputs(inputs), analog.steer, analog.throttle, analog.brake, analog.reverse ? 1 : 0]
+      : [dt, encodeInputs(inputs)]);
+  }
+
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  /** @returns {object} serialisable replay log */
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      recordedAt: new Date().toISOString(),
+      settings: this.initialSettings,
+      frames: this.frames,
+      events: this.events,
+    };
+  }
+}
+
+export class SessionPlayer {
+  /**
+   * @param {object} log - from SessionRecorder.toJSON()
+   */
+  constructor(log) {
+    if (!log || log.version !== REPLAY_VERSION || !Array.isArray(log.frames)) {
+      throw new Error(`Unsupported replay log (expected version ${REPLAY_VERSION})`);
+    }
+    this.log = log;
+    this.cursor = 0;
+    this.eventCursor = 0;
+  }
+
+  get seed() {
+    return this.log.seed;
+  }
+
+  get initialSettings() {
+    return this.log.settings;
+  }
+
+  get isFinished() {
+    return this.cursor >= this.log.frames.length;
+  }
+
+  get progress() {
+    return this.log.frames.length > 0 ? this.cursor / this.log.frames.length : 1;
+  }
+
+  /**
+   * Advance to the next frame.
+   * @returns {{ dt: number, inputs: object, changes: {key: string, value: *}[] } | null}
+   */
+  next() {
+    if (this.isFinished) return null;
+
+    const frame = this.cursor;
+    const [dt, mask, ...analog] = this.log.frames[frame];
+    const changes = [];
+    const { events } = this.log;
+    while (this.eventCursor < events.length && events[this.eventCursor].frame === frame) {
+      const { key, value } = events[this.eventCursor++];
+      changes.push({ key, value });
+    }
+
+    this.cursor++;
+    return { dt, inputs: decodeInputs(mask, analog), changes };
+  }
+}
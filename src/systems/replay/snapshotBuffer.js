@@ -0,0 +1,56 @@
+// ============================================================
+// Snapshot Buffer — fixed-capacity ring buffer for the rewind
+// timeline. Index 0 is always the oldest retained snapshot; once
+// full, each push overwrites the oldest entry.
+// ============================================================
+
+export class SnapshotBuffer {
+  /**
+   * @param {number} capacity - maximum snapshots retained
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /** @param {object} snapshot */
+  push(snapshot) {
+    const end = (this.start + this.length) % this.capacity;
+    this.items[end] = snapshot;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * @param {number} index - 0 (oldest) … length - 1 (newest)
+   * @returns {object|undefined}
+   */
+  get(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Drop every snapshot after index (used when resuming from a rewound
+   * point, since the old future no longer happened).
+   * @param {number} index
+   */
+  truncateAfter(index) {
+    const keep = Math.max(0, Math.min(this.length, index + 1));
+    for (let i = keep; i < this.length; i++) {
+      this.items[(this.start + i) % this.capacity] = undefined;
+    }
+    this.length = keep;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
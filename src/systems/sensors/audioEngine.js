@@ -72,6 +72,7 @@ export function tickAudio(vehicle, sensorTargets, weather) {
     if (!soundMeta) continue;
 
     sources.push({
+      id: t.id,
       bearing,
       distance: dist,
       type: t.soundType,
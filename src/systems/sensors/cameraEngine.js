@@ -3,6 +3,10 @@
 //
 // tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingAABBs)
 // → { views: { left: [...], center: [...], right: [...], rear: [...] } }
+//
+// Buildings block line of sight outright; vehicles (parked cars,
+// buses, traffic) hide parts of what is behind them, which lowers the
+// confidence, crops the box to the visible part and sets `occluded`.
 // ============================================================
 
 import * as THREE from 'three';
@@ -13,24 +17,110 @@ import {
   getBlockKeysInRange,
   distanceXZSq,
   bearingToTarget,
+  normalizeAngle,
   isInFOV,
   hasLineOfSight,
   projectToViewport,
+  interpolateTimeOfDay,
 } from './sensorUtils.js';
+import { sessionRng } from '../../utils/random.js';
 
 const EYE_HEIGHT = 1.5;
+const defaultRng = sessionRng('camera');
+
+/**
+ * Vehicle bodies near enough to stand between the camera and a target,
+ * with the bearings of their footprint corners precomputed.
+ */
+function gatherOccluders(candidates, cx, cz, rangeSq) {
+  const occluders = [];
+  for (const t of candidates) {
+    if (!CAMERA_CV.OCCLUDER_TYPES.includes(t.type) || !t.bounds) continue;
+    const [ox, , oz] = t.position;
+    if (distanceXZSq(cx, cz, ox, oz) > rangeSq) continue;
+
+    const h = t.heading || 0;
+    const rx = Math.cos(h), rz = -Math.sin(h);   // right
+    const fx = -Math.sin(h), fz = -Math.cos(h);  // forward
+    const corners = [];
+    for (const [a, b] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+      corners.push([
+        ox + rx * t.bounds.hw * a + fx * t.bounds.hd * b,
+        oz + rz * t.bounds.hw * a + fz * t.bounds.hd * b,
+      ]);
+    }
+    const near = Math.sqrt(Math.min(...corners.map(([x, z]) => distanceXZSq(cx, cz, x, z))));
+    occluders.push({ target: t, corners, near, height: t.bounds.h });
+  }
+  return occluders;
+}
+
+/**
+ * How much of a target the occluders hide, sampled on its silhouette.
+ * Columns run across the target (screen left → right), rows up from its base.
+ * @returns {{ hidden: number, box: { left: number, right: number, bottom: number, top: number } | null }}
+ *   hidden share (0–1) and the visible part as fractions of the full box (null when fully hidden)
+ */
+function computeOcclusion(t, cx, cz, dist, bearing, occluders) {
+  const [cols, rows] = CAMERA_CV.OCCLUSION_GRID;
+  const halfAngle = Math.atan2(t.bounds.hw, dist);
+
+  // Each occluder in front of the target: screen-angle span (right = +) and
+  // the height up to which its roof line hides things at the target's range
+  const blockers = [];
+  for (const o of occluders) {
+    if (o.target === t || o.near >= dist) continue;
+    let lo = Infinity, hi = -Infinity;
+    for (const [x, z] of o.corners) {
+      const u = -normalizeAngle(bearingToTarget(cx, cz, 0, x, z) - bearing);
+      lo = Math.min(lo, u);
+      hi = Math.max(hi, u);
+    }
+    if (hi < -halfAngle || lo > halfAngle || hi - lo > Math.PI) continue;
+    const hideBelow = EYE_HEIGHT + (o.height - EYE_HEIGHT) * (dist / Math.max(o.near, 0.5));
+    if (hideBelow <= 0) continue;
+    blockers.push({ lo, hi, hideBelow });
+  }
+  if (blockers.length === 0) return { hidden: 0, box: { left: 0, right: 1, bottom: 0, top: 1 } };
+
+  let hiddenCount = 0;
+  let minCol = cols, maxCol = -1, minRow = rows, maxRow = -1;
+  for (let i = 0; i < cols; i++) {
+    const u = -halfAngle + ((i + 0.5) / cols) * 2 * halfAngle;
+    for (let j = 0; j < rows; j++) {
+      const y = ((j + 0.5) / rows) * t.bounds.h;
+      if (blockers.some((b) => u >= b.lo && u <= b.hi && y < b.hideBelow)) {
+        hiddenCount++;
+        continue;
+      }
+      minCol = Math.min(minCol, i); maxCol = Math.max(maxCol, i);
+      minRow = Math.min(minRow, j); maxRow = Math.max(maxRow, j);
+    }
+  }
+
+  const hidden = hiddenCount / (cols * rows);
+  if (maxCol < 0) return { hidden, box: null };
+  return {
+    hidden,
+    box: { left: minCol / cols, right: (maxCol + 1) / cols, bottom: minRow / rows, top: (maxRow + 1) / rows },
+  };
+}
 
 /**
  * Run one camera/CV tick.
  *
  * @param {{ position: number[], heading: number }} vehicle
  * @param {{ byBlock: object, global: object[] }} sensorTargets
- * @param {string} timeOfDay - 'daylight' | 'dusk' | 'night'
+ * @param {string|number} timeOfDay - 'daylight' | 'dusk' | 'night', or a darkness level in [0, 1]
  * @param {string} weather - 'clear' | 'rain' | 'fog'
  * @param {object[]} buildingAABBs
+ * @param {number} [mainFov] - FOV of the dynamic 'main' view (degrees)
+ * @param {THREE.Camera} [threeCamera] - projects the 'main' view when available
+ * @param {number} [trafficClock] - light clock override (headless runs); defaults to the traffic store
+ * @param {function} [rng] - confidence noise stream (defaults to the live session stream)
  * @returns {{ views: object }}
  */
-export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingAABBs, mainFov, threeCamera) {
+export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingAABBs, mainFov, threeCamera, trafficClock, rng = defaultRng) {
   const [vx, , vz] = vehicle.position;
   const { heading } = vehicle;
   const rangeSq = CAMERA_CV.MAX_RANGE * CAMERA_CV.MAX_RANGE;
@@ -45,6 +135,10 @@ export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingA
   }
   candidates.push(...sensorTargets.global);
 
+  // Occlusion depends only on the camera position, not the view: once per target
+  const occluders = gatherOccluders(candidates, vx, vz, rangeSq);
+  const occlusionCache = new Map();
+
   const views = {};
 
   // Build view list: standard 4 views + dynamic "main" view matching game camera FOV
@@ -82,6 +176,16 @@ export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingA
         if (!hasLineOfSight(cx, cz, tx, tz, buildingAABBs)) continue;
       }
 
+      // Partial occlusion by vehicles in between
+      let occlusion = occlusionCache.get(t);
+      if (!occlusion) {
+        occlusion = t.type === 'building'
+          ? { hidden: 0, box: { left: 0, right: 1, bottom: 0, top: 1 } }
+          : computeOcclusion(t, cx, cz, dist, bearingToTarget(cx, cz, 0, tx, tz), occluders);
+        occlusionCache.set(t, occlusion);
+      }
+      if (!occlusion.box) continue;
+
       let proj, sizeW, sizeH;
       if (view.id === 'main' && threeCamera) {
         const baseVec = new THREE.Vector3(tx, t.position[1], tz);
@@ -110,8 +214,8 @@ export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingA
       }
 
       // Confidence computation
-      let confidence = CAMERA_CV.BASE_CONFIDENCE + Math.random() * 0.15;
-      confidence *= CAMERA_CV.CONFIDENCE_MULTIPLIER[timeOfDay] || 1.0;
+      let confidence = CAMERA_CV.BASE_CONFIDENCE + rng() * 0.15;
+      confidence *= interpolateTimeOfDay(CAMERA_CV.CONFIDENCE_MULTIPLIER, timeOfDay);
 
       // Weather penalty
       if (weather === 'rain') confidence -= CAMERA_CV.WEATHER_RAIN_PENALTY;
@@ -120,6 +224,9 @@ export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingA
       // Distance penalty (further = lower confidence)
       confidence *= Math.max(0.3, 1 - dist / (CAMERA_CV.MAX_RANGE * 1.2));
 
+      // Occlusion: the less of the object in view, the harder it is to classify
+      confidence *= 1 - CAMERA_CV.OCCLUSION_PENALTY * occlusion.hidden;
+
       confidence = Math.max(0.05, Math.min(0.99, confidence));
 
       // Skip if too low confidence to detect
@@ -134,7 +241,7 @@ export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingA
 
       // Extract real-time traffic light state
       if (t.type === 'traffic_light' && t.axis) {
-        const clock = useTrafficStore.getState().clock;
+        const clock = trafficClock ?? useTrafficStore.getState().clock;
         const state = deriveLightState(clock, t.axis);
         if (state === LIGHT_STATE.RED) {
           finalLabel = 'T-RED';
@@ -148,16 +255,20 @@ export function tickCamera(vehicle, sensorTargets, timeOfDay, weather, buildingA
         }
       }
 
+      // Box around the visible part only (the base sits at proj.y)
+      const { left, right, bottom, top } = occlusion.box;
       detections.push({
-        x: proj.x - sizeW / 2,
-        y: proj.y - sizeH,
-        w: sizeW,
-        h: sizeH,
+        x: proj.x - sizeW / 2 + sizeW * left,
+        y: proj.y - sizeH * top,
+        w: sizeW * (right - left),
+        h: sizeH * (top - bottom),
         class: t.sensorClass,
         confidence,
+        occluded: Math.round(occlusion.hidden * 100) / 100,
         label: finalLabel,
         color: finalColor,
         distance: dist,
+        bearing: normalizeAngle(bearing + view.headingOffset), // relative to vehicle heading
       });
     }
 
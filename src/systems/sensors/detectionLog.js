@@ -0,0 +1,101 @@
+// ============================================================
+// Detection Log — which sensor saw each entity first
+// Matches every per-sensor detection (see SensorFusion's
+// collectDetections) against the ground-truth entities and keeps,
+// per entity and per entity class, the first sensor to report it
+// along with the time and range. Feeds session facts such as
+// "Which sensor detected the emergency vehicle first?".
+// ============================================================
+
+import { collectDetections, FUSION } from '../../ai/SensorFusion.js';
+
+// Entity type → detection class (matches the fusion class names)
+const ENTITY_CLASS = {
+  pedestrian: 'pedestrian',
+  npcVehicle: 'vehicle',
+  schoolbus: 'vehicle',
+  emergency: 'emergency',
+  animal: 'animal',
+  ball: 'ball',
+};
+
+export class DetectionLog {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.byEntity = new Map(); // entity id → { class, sensors: { [sensor]: { time, distance } } }
+    this.firstByClass = {};    // class → { sensor, entityId, time, distance }
+  }
+
+  /**
+   * Record this tick's detections.
+   * @param {number} time - session time (s)
+   * @param {{ position: number[], heading: number }} vehicle
+   * @param {object} rawSensors - { lidar, thermal, camera, audio } store-shaped outputs
+   * @param {object} activeSensors - { lidar, thermal, camera, audio } enable flags
+   * @param {object[]} entities - ground-truth entities
+   */
+  observe(time, vehicle, rawSensors, activeSensors, entities) {
+    const candidates = entities.filter((e) => e.visible !== false && ENTITY_CLASS[e.type]);
+    if (candidates.length === 0) return;
+    const [vx, , vz] = vehicle.position;
+
+    for (const det of collectDetections(vehicle, rawSensors, activeSensors)) {
+      const gate = FUSION.GATE[det.sensor];
+      let best = null;
+      let bestDistSq = gate * gate;
+      for (const e of candidates) {
+        const cls = ENTITY_CLASS[e.type];
+        // Unclassified returns (LiDAR) match anything; classified ones need the same class
+        if (det.cls && det.cls !== cls) continue;
+        const dx = det.x - e.position[0];
+        const dz = det.z - e.position[2];
+        const dSq = dx * dx + dz * dz;
+        if (dSq < bestDistSq) {
+          bestDistSq = dSq;
+          best = e;
+        }
+      }
+      if (!best) continue;
+
+      const cls = ENTITY_CLASS[best.type];
+      let record = this.byEntity.get(best.id);
+      if (!record) {
+        record = { class: cls, sensors: {} };
+        this.byEntity.set(best.id, record);
+      }
+      if (record.sensors[det.sensor]) continue;
+
+      const distance = Math.hypot(best.position[0] - vx, best.position[2] - vz);
+      record.sensors[det.sensor] = { time, distance };
+      if (!this.firstByClass[cls]) {
+        this.firstByClass[cls] = { sensor: det.sensor, entityId: best.id, time, distance };
+      }
+    }
+  }
+
+  /**
+   * First detection of any entity of a class.
+   * @param {string} cls - 'pedestrian' | 'vehicle' | 'emergency' | 'animal' | 'ball'
+   * @returns {{ sensor: string, entityId: number, time: number, distance: number }|null}
+   */
+  firstDetection(cls) {
+    return this.firstByClass[cls] || null;
+  }
+
+  /**
+   * Sensors that had detected an entity, with when and at what range.
+   * @param {number} entityId
+   * @returns {object} { [sensor]: { time, distance } } (empty if never seen)
+   */
+  sensorsFor(entityId) {
+    return this.byEntity.get(entityId)?.sensors || {};
+  }
+
+  /** Plain-object summary (session logs). */
+  toJSON() {
+    return { firstByClass: { ...this.firstByClass } };
+  }
+}
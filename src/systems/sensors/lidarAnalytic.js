@@ -0,0 +1,255 @@
+// ============================================================
+// LiDAR Analytic Engine — pure-math fallback for headless runs
+//
+// tickLidarAnalytic(vehicle, collisionData, entities, settings, weather, prevSweep, delta)
+// → { points, sweepAngle, effectiveRange }
+//
+// Same sweep pattern and output shape as tickLidar(), but rays are
+// intersected against the collision database (building AABBs, prop
+// circles/OBBs, entity boxes) instead of a Three.js scene graph.
+// Hits go through the same return model (lidarModel.js); targets
+// carry a material or paint color in place of mesh userData (sign
+// poles carry a second surface, their face, above face.bottom).
+// ============================================================
+
+import { LIDAR } from '../../constants/sensors.js';
+import { distanceToLidarColor, getBlockKeysInRange } from './sensorUtils.js';
+import { ENTITY_LIDAR_MATERIALS, rainFalseReturn, surfaceReflectivity, surfaceReturn } from './lidarModel.js';
+import { sessionRng } from '../../utils/random.js';
+
+const EYE_HEIGHT = 1.5;
+const NEAR = 0.5;
+const GROUND_CUTOFF = 0.4; // matches tickLidar: returns below this height are dropped
+const defaultRng = sessionRng('lidar');
+
+// ============================================================
+// 2D ray intersection helpers (XZ plane)
+// Each returns the ray parameter t (metres) of the first hit, or -1.
+// ============================================================
+
+/** Ray vs axis-aligned box [minX,maxX] × [minZ,maxZ] (slab method). */
+function rayVsAABB(ox, oz, dx, dz, minX, maxX, minZ, maxZ) {
+  let tMin = -Infinity;
+  let tMax = Infinity;
+
+  if (Math.abs(dx) < 1e-9) {
+    if (ox < minX || ox > maxX) return -1;
+  } else {
+    let t1 = (minX - ox) / dx;
+    let t2 = (maxX - ox) / dx;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+  }
+
+  if (Math.abs(dz) < 1e-9) {
+    if (oz < minZ || oz > maxZ) return -1;
+  } else {
+    let t1 = (minZ - oz) / dz;
+    let t2 = (maxZ - oz) / dz;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+  }
+
+  if (tMax < tMin || tMax < 0) return -1;
+  return tMin >= 0 ? tMin : -1; // origin inside the box → no return
+}
+
+/** Ray vs circle centred at (cx, cz). */
+function rayVsCircle(ox, oz, dx, dz, cx, cz, r) {
+  const fx = ox - cx;
+  const fz = oz - cz;
+  const b = fx * dx + fz * dz;
+  const c = fx * fx + fz * fz - r * r;
+  const disc = b * b - c;
+  if (disc < 0) return -1;
+  const t = -b - Math.sqrt(disc);
+  return t >= 0 ? t : -1;
+}
+
+/**
+ * Ray vs oriented box. (sinR, cosR) is the box rotation about Y using
+ * the same convention as collisions.js barriers.
+ */
+function rayVsOBB(ox, oz, dx, dz, cx, cz, hw, hd, sinR, cosR) {
+  // Rotate ray into box-local space
+  const rx = ox - cx;
+  const rz = oz - cz;
+  const lox = rx * cosR + rz * sinR;
+  const loz = -rx * sinR + rz * cosR;
+  const ldx = dx * cosR + dz * sinR;
+  const ldz = -dx * sinR + dz * cosR;
+  return rayVsAABB(lox, loz, ldx, ldz, -hw, hw, -hd, hd);
+}
+
+/**
+ * Cosine between the ray and the surface normal where it hit obj at t.
+ * Box faces are told apart by which pair of slabs the hit point lies on.
+ */
+function incidenceCos(obj, ox, oz, dx, dz, t) {
+  const px = ox + dx * t;
+  const pz = oz + dz * t;
+
+  if (obj.type === 'building') {
+    const toX = Math.min(Math.abs(px - obj.minX), Math.abs(px - obj.maxX));
+    const toZ = Math.min(Math.abs(pz - obj.minZ), Math.abs(pz - obj.maxZ));
+    return toX < toZ ? Math.abs(dx) : Math.abs(dz);
+  }
+  if (obj.type === 'cone' || obj.type === 'pole') {
+    return Math.abs(((px - obj.cx) * dx + (pz - obj.cz) * dz) / obj.radius);
+  }
+
+  const rx = px - obj.cx;
+  const rz = pz - obj.cz;
+  const lx = rx * obj.cosR + rz * obj.sinR;
+  const lz = -rx * obj.sinR + rz * obj.cosR;
+  const ldx = dx * obj.cosR + dz * obj.sinR;
+  const ldz = -dx * obj.sinR + dz * obj.cosR;
+  return obj.hw - Math.abs(lx) < obj.hd - Math.abs(lz) ? Math.abs(ldx) : Math.abs(ldz);
+}
+
+// ============================================================
+// Candidate gathering
+// ============================================================
+
+/**
+ * Collect static collision objects + visible entities near the vehicle
+ * as uniform ray targets.
+ */
+function gatherTargets(vx, vz, range, collisionData, entities) {
+  const targets = [];
+
+  for (const key of getBlockKeysInRange(vx, vz, range)) {
+    const objs = collisionData.byBlock[key];
+    if (objs) targets.push(...objs);
+  }
+  targets.push(...collisionData.global);
+
+  if (entities) {
+    for (const e of entities) {
+      if (!e.visible || !e.bounds) continue;
+      // Entity boxes use the same Y-rotation convention as the vehicle OBB
+      targets.push({
+        type: 'entity',
+        cx: e.position[0],
+        cz: e.position[2],
+        hw: e.bounds.hw,
+        hd: e.bounds.hd,
+        sinR: -Math.sin(e.heading || 0),
+        cosR: Math.cos(e.heading || 0),
+        height: e.bounds.h,
+        material: ENTITY_LIDAR_MATERIALS[e.type],
+        color: e.color,
+      });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Intersect one horizontal ray with every target.
+ * Returns hits sorted near → far: [{ t, height, obj }]
+ */
+function castRay(ox, oz, dx, dz, far, targets) {
+  const hits = [];
+
+  for (const obj of targets) {
+    let t;
+    if (obj.type === 'building') {
+      t = rayVsAABB(ox, oz, dx, dz, obj.minX, obj.maxX, obj.minZ, obj.maxZ);
+    } else if (obj.type === 'cone' || obj.type === 'pole') {
+      t = rayVsCircle(ox, oz, dx, dz, obj.cx, obj.cz, obj.radius);
+    } else {
+      t = rayVsOBB(ox, oz, dx, dz, obj.cx, obj.cz, obj.hw, obj.hd, obj.sinR, obj.cosR);
+    }
+    if (t >= NEAR && t <= far) hits.push({ t, height: obj.height || 1, obj });
+  }
+
+  hits.sort((a, b) => a.t - b.t);
+  return hits;
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Run one LiDAR tick without a scene graph.
+ *
+ * @param {{ position: number[], heading: number }} vehicle
+ * @param {{ byBlock: object, global: object[] }} collisionData - from buildCollisionData()
+ * @param {object[]} entities - dynamic entities (pedestrians, vehicles, ...)
+ * @param {{ rayCount: number }} settings
+ * @param {string} weather - 'clear' | 'rain' | 'fog'
+ * @param {number} prevSweep - previous sweep angle (radians)
+ * @param {number} delta - time since the previous LiDAR tick (seconds)
+ * @param {function} [rng] - noise stream (defaults to the live session stream)
+ * @returns {{ points: object[], sweepAngle: number, effectiveRange: number }} points carry intensity (0–1)
+ */
+export function tickLidarAnalytic(vehicle, collisionData, entities, settings, weather, prevSweep, delta, rng = defaultRng) {
+  const { position, heading } = vehicle;
+  const [vx, , vz] = position;
+
+  let effectiveRange = LIDAR.MAX_RANGE;
+  if (weather === 'fog') effectiveRange *= LIDAR.FOG_RANGE_FACTOR;
+
+  const sweepAngle = prevSweep + LIDAR.SWEEP_SPEED * Math.PI * 2 * delta;
+
+  const rayCount = settings.rayCount;
+  const angleStep = (Math.PI * 2) / rayCount;
+  const targets = gatherTargets(vx, vz, effectiveRange, collisionData, entities);
+  const points = [];
+
+  for (let i = 0; i < rayCount; i++) {
+    const rayAngle = heading + i * angleStep + sweepAngle;
+    const dx = -Math.sin(rayAngle);
+    const dz = -Math.cos(rayAngle);
+
+    // Horizontal hits are shared by every vertical layer of this ray
+    const hits = castRay(vx, vz, dx, dz, effectiveRange, targets);
+
+    for (let layer = 0; layer < LIDAR.VERTICAL_LAYERS; layer++) {
+      const vertAngle = LIDAR.VERTICAL_ANGLES[layer] * (Math.PI / 180);
+      const tanV = Math.tan(vertAngle);
+      const cosV = Math.cos(vertAngle);
+      const pushReturn = (distance, intensity) => {
+        const t = distance * cosV;
+        const y = EYE_HEIGHT + t * tanV;
+        if (distance > effectiveRange || y < GROUND_CUTOFF) return;
+        points.push({
+          x: vx + dx * t,
+          y,
+          z: vz + dz * t,
+          distance,
+          intensity,
+          color: distanceToLidarColor(distance),
+        });
+      };
+
+      // A droplet near the sensor takes the first return
+      const droplet = rainFalseReturn(weather, rng);
+      if (droplet !== null) {
+        pushReturn(droplet, LIDAR.RAIN_FALSE_RETURN_INTENSITY);
+        continue;
+      }
+
+      for (const hit of hits) {
+        const y = EYE_HEIGHT + hit.t * tanV;
+        if (y < 0) break;                 // beam reached the road surface first
+        if (y > hit.height) continue;     // passes over this object
+        if (y < GROUND_CUTOFF) break;
+
+        // Sign poles: the beam hits either the painted pole or the face above it
+        const surface = hit.obj.face && y >= hit.obj.face.bottom ? hit.obj.face : hit.obj;
+        const cosIncidence = incidenceCos(hit.obj, vx, vz, dx, dz, hit.t) * cosV;
+        const ret = surfaceReturn(hit.t / cosV, surfaceReflectivity(surface), cosIncidence, weather, rng);
+        if (ret) pushReturn(ret.distance, ret.intensity);
+        break;
+      }
+    }
+  }
+
+  return { points, sweepAngle, effectiveRange };
+}
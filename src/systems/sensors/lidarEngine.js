@@ -3,14 +3,23 @@
 //
 // tickLidar(vehicle, raycaster, scene, settings, weather, prevSweep, delta)
 // → { points, sweepAngle, effectiveRange }
+//
+// Each first hit goes through the return model (lidarModel.js).
+// A mesh's reflectivity comes from userData.lidarMaterial on it or
+// an ancestor (LIDAR.REFLECTIVITY key), else from its paint color.
 // ============================================================
 
 import * as THREE from 'three';
 import { LIDAR } from '../../constants/sensors.js';
 import { distanceToLidarColor } from './sensorUtils.js';
+import { rainFalseReturn, surfaceReflectivity, surfaceReturn } from './lidarModel.js';
+import { sessionRng } from '../../utils/random.js';
 
 const _origin = new THREE.Vector3();
 const _direction = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const defaultRng = sessionRng('lidar');
+const reflectivityCache = new WeakMap(); // mesh → reflectivity
 
 function isDescendantOf(obj, ancestor) {
   let current = obj.parent;
@@ -21,6 +30,29 @@ function isDescendantOf(obj, ancestor) {
   return false;
 }
 
+function meshReflectivity(mesh) {
+  let reflectivity = reflectivityCache.get(mesh);
+  if (reflectivity !== undefined) return reflectivity;
+
+  let material;
+  for (let obj = mesh; obj && !material; obj = obj.parent) material = obj.userData?.lidarMaterial;
+  const color = mesh.material?.color ? `#${mesh.material.color.getHexString()}` : undefined;
+  reflectivity = surfaceReflectivity({ material, color });
+  reflectivityCache.set(mesh, reflectivity);
+  return reflectivity;
+}
+
+function returnPoint(distance, intensity) {
+  return {
+    x: _origin.x + _direction.x * distance,
+    y: _origin.y + _direction.y * distance,
+    z: _origin.z + _direction.z * distance,
+    distance,
+    intensity,
+    color: distanceToLidarColor(distance),
+  };
+}
+
 /**
  * Run one LiDAR tick.
  *
@@ -32,9 +64,10 @@ function isDescendantOf(obj, ancestor) {
  * @param {number} prevSweep - previous sweep angle (radians)
  * @param {number} delta - frame delta (seconds)
  * @param {THREE.Object3D | THREE.Object3D[]} [excludeFromLidar] - object(s) to exclude (e.g. player vehicle)
- * @returns {{ points: object[], sweepAngle: number, effectiveRange: number }}
+ * @param {function} [rng] - noise stream (defaults to the live session stream)
+ * @returns {{ points: object[], sweepAngle: number, effectiveRange: number }} points carry intensity (0–1)
  */
-export function tickLidar(vehicle, raycaster, scene, settings, weather, prevSweep, delta, excludeFromLidar) {
+export function tickLidar(vehicle, raycaster, scene, settings, weather, prevSweep, delta, excludeFromLidar, rng = defaultRng) {
   const { position, heading } = vehicle;
   const [vx, , vz] = position;
   const eyeY = 1.5; // vehicle eye height
@@ -81,32 +114,29 @@ export function tickLidar(vehicle, raycaster, scene, settings, weather, prevSwee
       );
       _direction.normalize();
 
+      // A droplet near the sensor takes the first return
+      const droplet = rainFalseReturn(weather, rng);
+      if (droplet !== null) {
+        points.push(returnPoint(droplet, LIDAR.RAIN_FALSE_RETURN_INTENSITY));
+        continue;
+      }
+
       raycaster.set(_origin, _direction);
 
       const hits = raycaster.intersectObjects(targets, false);
 
       if (hits.length > 0) {
         const hit = hits[0];
-        let distance = hit.distance;
-
-        // Rain noise: add random jitter to distance
-        if (weather === 'rain') {
-          distance += (Math.random() - 0.5) * 2 * LIDAR.RAIN_NOISE_METERS;
-          distance = Math.max(0.5, distance);
-        }
+        // Skip ground-level hits (road, sidewalk, ground plane) to avoid ring of points around car
+        if (hit.point.y < 0.4) continue;
 
-        if (distance <= effectiveRange) {
-          // Skip ground-level hits (road, sidewalk, ground plane) to avoid ring of points around car
-          if (hit.point.y < 0.4) continue;
-          const color = distanceToLidarColor(distance);
-          points.push({
-            x: hit.point.x,
-            y: hit.point.y,
-            z: hit.point.z,
-            distance,
-            color,
-          });
+        let cosIncidence = 1;
+        if (hit.face) {
+          _normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+          cosIncidence = Math.abs(_normal.dot(_direction));
         }
+        const ret = surfaceReturn(hit.distance, meshReflectivity(hit.object), cosIncidence, weather, rng);
+        if (ret && ret.distance <= effectiveRange) points.push(returnPoint(ret.distance, ret.intensity));
       }
     }
   }
@@ -0,0 +1,83 @@
+// ============================================================
+// LiDAR Return Model — what one beam sends back
+// Shared by tickLidar (scene raycasts) and tickLidarAnalytic
+// (collision geometry). The received power of a hit is
+// reflectivity × incidence × range falloff × air attenuation;
+// returns weaker than the detection threshold are missed at
+// random. Like a calibrated sensor, the reported intensity (0–1)
+// is range-compensated: it reads the surface, not the distance.
+// The beam footprint spreads into range noise on slanted surfaces,
+// and in rain a droplet close to the sensor can take the first
+// return.
+// ============================================================
+
+import { LIDAR } from '../../constants/sensors.js';
+import { hexToRGB } from './sensorUtils.js';
+
+const MIN_RANGE = 0.5;       // matches the engines' near limit
+const MIN_INCIDENCE = 0.1;   // cos floor: grazing hits still return something
+
+// Entity types with a dedicated surface material; vehicles are painted
+export const ENTITY_LIDAR_MATERIALS = {
+  pedestrian: 'fabric',
+  animal: 'fur',
+  ball: 'rubber',
+};
+
+/**
+ * Reflectivity of a painted surface from its color — a black car
+ * returns a fraction of what a white one does.
+ * @param {string} color - hex
+ */
+export function paintReflectivity(color) {
+  const { r, g, b } = hexToRGB(color);
+  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const [dark, light] = LIDAR.PAINT_REFLECTIVITY;
+  return dark + (light - dark) * luminance;
+}
+
+/**
+ * Reflectivity of a surface: its LIDAR.REFLECTIVITY material if it has
+ * one, else its paint color, else LIDAR.DEFAULT_REFLECTIVITY.
+ * @param {{ material?: string, color?: string }} surface
+ */
+export function surfaceReflectivity({ material, color } = {}) {
+  if (material && LIDAR.REFLECTIVITY[material] !== undefined) return LIDAR.REFLECTIVITY[material];
+  if (color) return paintReflectivity(color);
+  return LIDAR.DEFAULT_REFLECTIVITY;
+}
+
+/**
+ * Rain backscatter: the range of a droplet return on this beam, or null.
+ * @param {string} weather
+ * @param {function} rng
+ */
+export function rainFalseReturn(weather, rng) {
+  if (weather !== 'rain' || rng() >= LIDAR.RAIN_FALSE_RETURN_PROB) return null;
+  return MIN_RANGE + rng() * (LIDAR.RAIN_FALSE_RETURN_RANGE - MIN_RANGE);
+}
+
+/**
+ * Turn a geometric hit into a measured return.
+ * @param {number} distance - true range along the beam (m)
+ * @param {number} reflectivity - surfaceReflectivity()
+ * @param {number} cosIncidence - cos of the angle between beam and surface normal
+ * @param {string} weather - 'clear' | 'rain' | 'fog'
+ * @param {function} rng
+ * @returns {{ distance: number, intensity: number } | null} null when the receiver misses it
+ */
+export function surfaceReturn(distance, reflectivity, cosIncidence, weather, rng) {
+  const cos = Math.max(MIN_INCIDENCE, Math.min(1, cosIncidence));
+  const air = Math.exp(-(LIDAR.ATTENUATION[weather] ?? 0) * distance);
+  const intensity = reflectivity * cos * air;
+  const received = intensity * (LIDAR.REFERENCE_RANGE / distance) ** 2;
+  if (received < LIDAR.DETECTION_THRESHOLD && rng() >= received / LIDAR.DETECTION_THRESHOLD) return null;
+
+  // Across a slanted surface the footprint's near and far edges return at different ranges
+  const footprint = distance * LIDAR.BEAM_DIVERGENCE;
+  const spread = LIDAR.RANGE_NOISE + (footprint / 2) * (Math.sqrt(1 - cos * cos) / cos);
+  return {
+    distance: Math.max(MIN_RANGE, distance + (rng() - 0.5) * 2 * spread),
+    intensity: Math.min(1, intensity),
+  };
+}
@@ -167,3 +167,29 @@ export function collectBuildingAABBs(sensorTargets) {
   }
   return aabbs;
 }
+
+/**
+ * Merge visible dynamic entities into a sensor target database.
+ * Entity ids are offset by 10000 so they never clash with static targets.
+ * Returns the original database untouched when there are no entities.
+ */
+export function mergeEntityTargets(sensorTargets, entities) {
+  const dynamicTargets = [];
+  for (const e of entities) {
+    if (!e.visible) continue;
+    dynamicTargets.push({
+      id: e.id + 10000,
+      type: e.type,
+      sensorClass: e.sensorClass,
+      position: e.position,
+      heading: e.heading,
+      bounds: e.bounds,
+      thermalTemp: e.thermalTemp,
+      soundType: e.soundType,
+      soundIntensity: e.soundIntensity,
+    });
+  }
+  return dynamicTargets.length > 0
+    ? { byBlock: sensorTargets.byBlock, global: [...sensorTargets.global, ...dynamicTargets] }
+    : sensorTargets;
+}
@@ -3,7 +3,7 @@
 // ============================================================
 
 import { GRID, WORLD_HALF } from '../../constants/world.js';
-import { LIDAR, THERMAL } from '../../constants/sensors.js';
+import { LIDAR, THERMAL, SENSOR_SHARED } from '../../constants/sensors.js';
 
 // ---- Spatial indexing (extracted from collisions.js pattern) ----
 
@@ -83,11 +83,16 @@ export function bearingToTarget(vx, vz, heading, tx, tz) {
   // World angle to target (Matches heading: 0 = -Z, -PI/2 = +X)
   const worldAngle = Math.atan2(-dx, -dz);
   // Relative to vehicle heading
-  let rel = worldAngle - heading;
-  // Normalize to [-PI, PI]
-  while (rel > Math.PI) rel -= Math.PI * 2;
-  while (rel < -Math.PI) rel += Math.PI * 2;
-  return rel;
+  return normalizeAngle(worldAngle - heading);
+}
+
+/**
+ * Wrap an angle to [-PI, PI].
+ */
+export function normalizeAngle(a) {
+  while (a > Math.PI) a -= Math.PI * 2;
+  while (a < -Math.PI) a += Math.PI * 2;
+  return a;
 }
 
 /** Check if a bearing is within a half-FOV cone. */
@@ -137,6 +142,28 @@ export function hasLineOfSight(sx, sz, tx, tz, buildingAABBs) {
   return true;
 }
 
+// ---- Time of day ----
+
+/**
+ * Darkness level in [0, 1] for a time of day: a preset name
+ * ('daylight' | 'dusk' | 'night') or an already-continuous level.
+ */
+export function timeOfDayLevel(timeOfDay) {
+  if (typeof timeOfDay === 'number') return Math.max(0, Math.min(1, timeOfDay));
+  return SENSOR_SHARED.TIME_OF_DAY_LEVEL[timeOfDay] ?? 0;
+}
+
+/**
+ * Piecewise-linear lookup of a { daylight, dusk, night } table at a
+ * time of day, so values degrade smoothly as the light fades.
+ */
+export function interpolateTimeOfDay(table, timeOfDay) {
+  const level = timeOfDayLevel(timeOfDay);
+  const { dusk } = SENSOR_SHARED.TIME_OF_DAY_LEVEL;
+  if (level <= dusk) return table.daylight + (table.dusk - table.daylight) * (level / dusk);
+  return table.dusk + (table.night - table.dusk) * ((level - dusk) / (1 - dusk));
+}
+
 // ---- Color / palette helpers ----
 
 /**
@@ -0,0 +1,218 @@
+// ============================================================
+// Spatial Audio — Web Audio rendering of tickAudio() sources
+// Every AUDIO.SOUND_TYPES entry gets a procedurally synthesized
+// voice (oscillator or noise → filter → rhythm gate) placed with
+// an HRTF PannerNode in the ego vehicle's frame. The panner's
+// inverse distance model uses AUDIO.DISTANCE_FALLOFF, so what the
+// student hears falls off like the intensities the AI reads, and
+// dopplerShift detunes the voice. Rain is a non-spatial bed.
+//
+//   const audio = new SpatialAudioRenderer();
+//   audio.update(audioData.sources, { weather, muted });
+// ============================================================
+
+import { AUDIO } from '../../constants/sensors.js';
+
+export const SPATIAL_AUDIO = {
+  MAX_VOICES: 8,          // loudest sources rendered at once
+  MASTER_GAIN: 0.35,
+  SMOOTHING: 0.05,        // s time constant for position / gain / pitch changes
+  RELEASE: 0.3,           // s fade-out before a voice is stopped
+  RAIN_GAIN: 0.12,
+};
+
+// Synthesis recipe per sound type:
+//   wave | noise        — oscillator waveform, or looped white noise
+//   freq                — oscillator pitch (Hz)
+//   wobble              — pitch LFO { rate Hz, depth Hz } (siren wail, bark inflection)
+//   filter              — [BiquadFilter type, frequency, Q]
+//   gate                — amplitude LFO { rate Hz, depth 0–1 } (footsteps, jackhammer)
+//   level               — loudness at full intensity
+export const VOICES = {
+  siren:        { wave: 'sawtooth', freq: 950, wobble: { rate: 0.4, depth: 350 }, filter: ['lowpass', 2500, 1], level: 0.5 },
+  engine:       { wave: 'sawtooth', freq: 60, filter: ['lowpass', 300, 1], gate: { rate: 8, depth: 0.3 }, level: 0.6 },
+  barking:      { wave: 'sawtooth', freq: 420, wobble: { rate: 2.2, depth: 120 }, filter: ['bandpass', 700, 3], gate: { rate: 2.2, depth: 1 }, level: 0.7 },
+  footsteps:    { noise: true, filter: ['bandpass', 1200, 2], gate: { rate: 1.8, depth: 1 }, level: 0.8 },
+  construction: { noise: true, filter: ['bandpass', 900, 1], gate: { rate: 14, depth: 1 }, level: 0.5 },
+  bouncing:     { wave: 'sine', freq: 160, filter: ['lowpass', 400, 1], gate: { rate: 1.4, depth: 1 }, level: 0.9 },
+  signal:       { wave: 'square', freq: 1800, filter: ['bandpass', 1800, 4], gate: { rate: 1.2, depth: 1 }, level: 0.2 },
+  ambient:      { noise: true, filter: ['lowpass', 500, 1], level: 0.4 },
+};
+
+const NOISE_SECONDS = 2;
+
+/**
+ * Listener-frame position of a source (listener at the origin facing -Z,
+ * +X to the right). Bearings are tickAudio()'s: 0 ahead, + to the left.
+ * @param {number} bearing - rad
+ * @param {number} distance - m
+ * @returns {number[]} [x, y, z]
+ */
+export function sourcePosition(bearing, distance) {
+  return [-Math.sin(bearing) * distance, 0, -Math.cos(bearing) * distance];
+}
+
+/**
+ * Pitch change of a Doppler ratio, in cents.
+ * @param {number} ratio - tickAudio() dopplerShift (1 = unchanged)
+ */
+export function dopplerCents(ratio) {
+  return 1200 * Math.log2(Math.max(ratio, 0.5));
+}
+
+export class SpatialAudioRenderer {
+  /**
+   * @param {AudioContext} [context] - defaults to a new AudioContext (must be resumed from a user gesture)
+   */
+  constructor(context = new AudioContext()) {
+    this.ctx = context;
+    this.master = this.ctx.createGain();
+    this.master.gain.value = 0;
+    this.master.connect(this.ctx.destination);
+
+    this.noise = this.ctx.createBuffer(1, this.ctx.sampleRate * NOISE_SECONDS, this.ctx.sampleRate);
+    const samples = this.noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+    this.voices = new Map(); // source id → voice
+    this.rain = this._createRain();
+  }
+
+  /** Browsers start contexts suspended until a user gesture. */
+  resume() {
+    if (this.ctx.state === 'suspended') this.ctx.resume();
+  }
+
+  /**
+   * Sync the voices with this tick's sources.
+   * @param {object[]} sources - tickAudio().sources (loudest first)
+   * @param {{ weather: string, muted: boolean }} settings
+   */
+  update(sources, { weather, muted }) {
+    const now = this.ctx.currentTime;
+    this.master.gain.setTargetAtTime(muted ? 0 : SPATIAL_AUDIO.MASTER_GAIN, now, SPATIAL_AUDIO.SMOOTHING);
+    this.rain.gain.gain.setTargetAtTime(weather === 'rain' ? SPATIAL_AUDIO.RAIN_GAIN : 0, now, SPATIAL_AUDIO.SMOOTHING);
+
+    const live = new Set();
+    for (const source of sources) {
+      if (live.size >= SPATIAL_AUDIO.MAX_VOICES) break;
+      const recipe = VOICES[source.type];
+      if (!recipe || source.id === undefined) continue;
+      live.add(source.id);
+
+      let voice = this.voices.get(source.id);
+      if (!voice) {
+        voice = this._createVoice(recipe);
+        this.voices.set(source.id, voice);
+      }
+
+      const [x, y, z] = sourcePosition(source.bearing, source.distance);
+      voice.panner.positionX.setTargetAtTime(x, now, SPATIAL_AUDIO.SMOOTHING);
+      voice.panner.positionY.setTargetAtTime(y, now, SPATIAL_AUDIO.SMOOTHING);
+      voice.panner.positionZ.setTargetAtTime(z, now, SPATIAL_AUDIO.SMOOTHING);
+
+      // tickAudio's intensity already includes distance falloff; the panner re-applies it
+      const loudness = source.intensity * (1 + source.distance * AUDIO.DISTANCE_FALLOFF);
+      voice.gain.gain.setTargetAtTime(recipe.level * Math.min(loudness, 1), now, SPATIAL_AUDIO.SMOOTHING);
+      voice.source.detune.setTargetAtTime(dopplerCents(source.dopplerShift ?? 1), now, SPATIAL_AUDIO.SMOOTHING);
+    }
+
+    for (const [id, voice] of this.voices) {
+      if (!live.has(id)) {
+        this._release(voice);
+        this.voices.delete(id);
+      }
+    }
+  }
+
+  /** Stop every voice and close the context. */
+  dispose() {
+    for (const voice of this.voices.values()) this._release(voice);
+    this.voices.clear();
+    this.ctx.close();
+  }
+
+  // source → [wobble] → filter → [gate] → gain → panner → master
+  _createVoice(recipe) {
+    const ctx = this.ctx;
+    const started = [];
+
+    let source;
+    if (recipe.noise) {
+      source = ctx.createBufferSource();
+      source.buffer = this.noise;
+      source.loop = true;
+    } else {
+      source = ctx.createOscillator();
+      source.type = recipe.wave;
+      source.frequency.value = recipe.freq;
+    }
+    started.push(source);
+
+    if (recipe.wobble && !recipe.noise) {
+      const lfo = ctx.createOscillator();
+      const depth = ctx.createGain();
+      lfo.frequency.value = recipe.wobble.rate;
+      depth.gain.value = recipe.wobble.depth;
+      lfo.connect(depth).connect(source.frequency);
+      started.push(lfo);
+    }
+
+    const [type, frequency, q] = recipe.filter;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = q;
+    source.connect(filter);
+
+    let tail = filter;
+    if (recipe.gate) {
+      // Square LFO swinging the gain between 1 - depth and 1
+      const gate = ctx.createGain();
+      const lfo = ctx.createOscillator();
+      const swing = ctx.createGain();
+      gate.gain.value = 1 - recipe.gate.depth / 2;
+      lfo.type = 'square';
+      lfo.frequency.value = recipe.gate.rate;
+      swing.gain.value = recipe.gate.depth / 2;
+      lfo.connect(swing).connect(gate.gain);
+      tail = tail.connect(gate);
+      started.push(lfo);
+    }
+
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    const panner = new PannerNode(ctx, {
+      panningModel: 'HRTF',
+      distanceModel: 'inverse',
+      refDistance: 1,
+      rolloffFactor: AUDIO.DISTANCE_FALLOFF,
+      maxDistance: AUDIO.RANGE,
+    });
+    tail.connect(gain).connect(panner).connect(this.master);
+
+    for (const node of started) node.start();
+    return { source, gain, panner, started };
+  }
+
+  // Unpositioned rain bed: high-passed noise
+  _createRain() {
+    const source = this.ctx.createBufferSource();
+    source.buffer = this.noise;
+    source.loop = true;
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 1500;
+    const gain = this.ctx.createGain();
+    gain.gain.value = 0;
+    source.connect(filter).connect(gain).connect(this.master);
+    source.start();
+    return { source, gain };
+  }
+
+  _release(voice) {
+    const now = this.ctx.currentTime;
+    voice.gain.gain.setTargetAtTime(0, now, SPATIAL_AUDIO.RELEASE / 3);
+    for (const node of voice.started) node.stop(now + SPATIAL_AUDIO.RELEASE);
+  }
+}
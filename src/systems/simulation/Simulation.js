@@ -0,0 +1,435 @@
+// ============================================================
+// Simulation — headless, fixed-timestep session runner
+//
+// Owns everything CityWorld + SensorManager + AIController do in
+// the browser (world, entities, traffic clock, vehicle, sensors,
+// AI pilot) without React, Three.js scenes or zustand stores, so
+// whole seeded sessions can be stepped in Node.
+//
+//   const sim = new Simulation({ seed: 42, ai: true });
+//   await sim.init();
+//   for (let i = 0; i < 600; i++) await sim.step(1 / 60);
+// ============================================================
+
+import { generateWorld } from '../world/generateWorld.js';
+import { generateWaypoints, WAYPOINT_REACH_RADIUS, WAYPOINT_SCORE } from '../waypoints/generateWaypoints.js';
+import { buildCourse, parseCourse } from '../waypoints/customCourse.js';
+import { spawnEntities, tickEntities } from '../entities/entityManager.js';
+import { tickVehiclePhysics } from '../vehicle/vehiclePhysics.js';
+import { buildCollisionData, resolveCollisions } from '../vehicle/collisions.js';
+import { evaluateDrivingRules, createDrivingRulesState } from '../vehicle/drivingRules.js';
+import { buildSensorTargets, collectBuildingAABBs, mergeEntityTargets } from '../sensors/sensorTargets.js';
+import { tickLidarAnalytic } from '../sensors/lidarAnalytic.js';
+import { tickThermal } from '../sensors/thermalEngine.js';
+import { tickAudio } from '../sensors/audioEngine.js';
+import { tickCamera } from '../sensors/cameraEngine.js';
+import { deriveLightState } from '../../stores/useTrafficStore.js';
+import { AIPilot } from '../../ai/AIPilot.js';
+import { LidarSegmenter } from '../../ai/LidarSegmentation.js';
+import { createRngStreams } from '../../utils/random.js';
+import { SessionRecorder, SessionPlayer, captureSettings } from '../replay/sessionRecorder.js';
+import { VEHICLE_START } from '../../constants/vehicle.js';
+import { LIGHT_STATE } from '../../constants/traffic.js';
+import { LIDAR, THERMAL, AUDIO, CAMERA_CV } from '../../constants/sensors.js';
+
+export const SIMULATION = {
+  FIXED_DT: 1 / 60,       // seconds per physics frame (sensor frame-skips assume 60 Hz)
+  AI_INTERVAL: 0.1,       // AI brain period, matches AIController's 10 Hz loop
+  MAIN_CAMERA_FOV: 75,
+};
+
+/**
+ * Traffic state object with the same read API as useTrafficStore,
+ * so entity behaviours and driving rules accept it unchanged.
+ */
+function createTrafficState() {
+  return {
+    clock: 0,
+    getLightState(axis) {
+      return deriveLightState(this.clock, axis);
+    },
+    isRed(axis) {
+      return deriveLightState(this.clock, axis) === LIGHT_STATE.RED;
+    },
+  };
+}
+
+function createVehicleState() {
+  return {
+    position: [...VEHICLE_START.POSITION],
+    heading: VEHICLE_START.HEADING,
+    speed: 0,
+    steerAngle: 0,
+    speedMph: 0,
+    currentZone: 'city',
+    gear: 'P',
+    inputs: {
+      accelerate: false,
+      brake: false,
+      reverse: false,
+      steerLeft: false,
+      steerRight: false,
+      analog: null,
+    },
+  };
+}
+
+/**
+ * Sensor state shaped like useSensorStore (settings + latest outputs),
+ * which is what AIPilot reads.
+ */
+function createSensorState(weather, timeOfDay, enabled = {}) {
+  return {
+    weather,
+    timeOfDay,
+    mainCameraFov: SIMULATION.MAIN_CAMERA_FOV,
+    sensors: {
+      lidar: { enabled: enabled.lidar ?? true, rayCount: LIDAR.DEFAULT_RAY_COUNT },
+      thermal: { enabled: enabled.thermal ?? true, showTemps: false },
+      audio: { enabled: enabled.audio ?? true },
+      camera: { enabled: enabled.camera ?? true },
+    },
+    lidarData: { points: [], objects: [], sweepAngle: 0, effectiveRange: LIDAR.MAX_RANGE },
+    thermalData: { blobs: [] },
+    audioData: { sources: [], noiseFloor: 0 },
+    cameraData: { views: { left: [], center: [], right: [], rear: [], main: [] } },
+  };
+}
+
+export class Simulation {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.seed=12345] - world / entity / waypoint seed (defaults to the course's seed)
+   * @param {object} [options.course] - saved custom course (see customCourse.js) replacing the generated waypoints
+   * @param {string} [options.weather='clear'] - 'clear' | 'rain' | 'fog'
+   * @param {string|number} [options.timeOfDay='daylight'] - 'daylight' | 'dusk' | 'night', or a darkness level in [0, 1]
+   * @param {{lidar?: boolean, thermal?: boolean, audio?: boolean, camera?: boolean}} [options.sensors] - initial toggles
+   * @param {boolean} [options.ai=false] - drive the ego vehicle with an AIPilot
+   * @param {AIPilot} [options.pilot] - custom pilot (implies ai)
+   * @param {object} [options.decision] - DQN engine options forwarded to the default pilot
+   * @param {object} [options.policy] - policy registry entry the default pilot drives with (its weights in options.decision.weights)
+   * @param {string} [options.control='discrete'] - default pilot's control layer: 'discrete' | 'analog'
+   * @param {boolean} [options.learn=false] - fine-tune the pilot's DQN online while it drives
+   * @param {number} [options.fixedDt] - physics frame length (seconds)
+   */
+  constructor(options = {}) {
+    const course = options.course ? parseCourse(options.course) : null;
+    this.seed = options.seed ?? course?.seed ?? 12345;
+    this.fixedDt = options.fixedDt ?? SIMULATION.FIXED_DT;
+    this.initialConditions = {
+      weather: options.weather || 'clear',
+      timeOfDay: options.timeOfDay || 'daylight',
+      sensors: options.sensors || {},
+    };
+
+    // Static world data — built once per seed
+    this.world = generateWorld(this.seed);
+    this.collisionData = buildCollisionData(this.world);
+    this.collisionData.entityGetter = () => this.entities;
+    this.sensorTargets = buildSensorTargets(this.world);
+    this.buildingAABBs = collectBuildingAABBs(this.sensorTargets);
+    this.course = null;
+    if (course) {
+      this.course = buildCourse(course.points);
+      if (this.course.errors.length > 0) throw new Error(`Course "${course.name}": ${this.course.errors.join('; ')}`);
+    }
+
+    this.pilot = options.pilot || (options.ai
+      ? new AIPilot({ decision: options.decision, control: options.control, learningRng: () => this.rng.learning() })
+      : null);
+    this.policy = options.policy || null;
+    this.policyOptions = options.decision;
+    this.learn = Boolean(options.learn);
+    this.lastAIResult = null;
+    this.recorder = null;
+    this.player = null;
+
+    this.reset();
+  }
+
+  /**
+   * Async setup (TF.js backend + policy weights). Only needed with an AI pilot.
+   */
+  async init() {
+    if (this.pilot && this.policy && this.pilot.policyId !== this.policy.id) {
+      await this.pilot.setPolicy(this.policy, this.policyOptions);
+    }
+    if (this.pilot && !this.pilot.isReady) await this.pilot.init();
+    if (this.pilot && this.learn) {
+      this.pilot.learningRng ??= () => this.rng.learning(); // custom pilots learn on the session seed too
+      this.pilot.setLearning(true);
+    }
+  }
+
+  /**
+   * Return every piece of dynamic state to the start of the session.
+   * The world layout is seed-derived and is kept.
+   */
+  reset() {
+    const { weather, timeOfDay, sensors } = this.initialConditions;
+
+    this.time = 0;
+    this.frame = 0;
+    this.accumulator = 0;
+    this.aiTimer = 0;
+    this.lidarSweep = 0;
+    this.lidarSegmenter = new LidarSegmenter();
+    this.timeScale = 1;
+
+    // Seeded runtime noise — one stream per system
+    this.rng = createRngStreams(this.seed);
+
+    this.traffic = createTrafficState();
+    this.vehicle = createVehicleState();
+    this.entities = spawnEntities(this.seed, this.world);
+    this.sensorState = createSensorState(weather, timeOfDay, sensors);
+    this.rulesState = createDrivingRulesState();
+    this.collisionData.hitCooldowns.clear();
+
+    this.game = {
+      score: 0,
+      collisions: 0,
+      waypoints: this.course
+        ? this.course.waypoints.map((wp) => ({ ...wp, position: [...wp.position], reached: false }))
+        : generateWaypoints(this.seed, this.vehicle.position),
+      currentWaypointIndex: 0,
+      waypointsCompleted: 0,
+      advanceWaypoint: () => this.advanceWaypoint(),
+    };
+
+    if (this.pilot) this.pilot.reset();
+    this.lastAIResult = null;
+    // Driving events of the last physics frame (read by evaluation/scorecard.js)
+    this.frameEvents = { contacts: [], ruleEvents: [], impactSpeed: 0 };
+  }
+
+  // --- External controls ---
+
+  /** Merge partial physics inputs (for human/scripted drivers). */
+  setInputs(inputs) {
+    Object.assign(this.vehicle.inputs, inputs);
+  }
+
+  setWeather(weather) {
+    this.sensorState.weather = weather;
+  }
+
+  setTimeOfDay(timeOfDay) {
+    this.sensorState.timeOfDay = timeOfDay;
+  }
+
+  setSensorEnabled(key, enabled) {
+    this.sensorState.sensors[key].enabled = enabled;
+  }
+
+  /** Apply recorded setting changes ({ key, value } from SessionPlayer). */
+  applySettingChanges(changes) {
+    const { sensors } = this.sensorState;
+    for (const { key, value } of changes) {
+      if (key === 'weather') this.setWeather(value);
+      else if (key === 'timeOfDay') this.setTimeOfDay(value);
+      else if (key === 'timeScale') this.timeScale = value;
+      else if (key === 'lidarRayCount') sensors.lidar.rayCount = value;
+      else if (sensors[key]) this.setSensorEnabled(key, value);
+    }
+  }
+
+  // --- Replay ---
+
+  /**
+   * Reset and start logging every frame's dt, inputs and setting changes.
+   * @returns {SessionRecorder}
+   */
+  startRecording() {
+    this.reset();
+    this.recorder = new SessionRecorder(this.seed, captureSettings(this.sensorState, this.timeScale));
+    return this.recorder;
+  }
+
+  /** @returns {object|null} the replay log, or null if not recording */
+  stopRecording() {
+    const log = this.recorder ? this.recorder.toJSON() : null;
+    this.recorder = null;
+    return log;
+  }
+
+  /**
+   * Reset and replay a recorded log frame by frame (the AI pilot is
+   * bypassed — recorded inputs drive the car).
+   *
+   * @param {object} log - replay log for this simulation's seed
+   * @param {function} [onFrame] - called after each frame with the simulation
+   * @returns {Promise<number>} frames played
+   */
+  async playReplay(log, onFrame) {
+    if (log.seed !== this.seed) {
+      throw new Error(`Replay seed ${log.seed} does not match simulation seed ${this.seed}`);
+    }
+    this.reset();
+    this.player = new SessionPlayer(log);
+    this.applySettingChanges(Object.entries(log.settings).map(([key, value]) => ({ key, value })));
+
+    let frames = 0;
+    let frame;
+    while ((frame = this.player.next())) {
+      this.applySettingChanges(frame.changes);
+      this.setInputs(frame.inputs);
+      await this._tickFrame(frame.dt);
+      frames++;
+      if (onFrame) onFrame(this);
+    }
+    this.player = null;
+    return frames;
+  }
+
+  /** Mark the current waypoint reached (+WAYPOINT_SCORE), mirroring useGameStore. */
+  advanceWaypoint() {
+    const g = this.game;
+    if (g.currentWaypointIndex >= g.waypoints.length) return;
+    g.waypoints = [...g.waypoints];
+    g.waypoints[g.currentWaypointIndex] = { ...g.waypoints[g.currentWaypointIndex], reached: true };
+    g.currentWaypointIndex += 1;
+    g.waypointsCompleted += 1;
+    g.score += WAYPOINT_SCORE;
+  }
+
+  get isComplete() {
+    return this.game.currentWaypointIndex >= this.game.waypoints.length;
+  }
+
+  // --- Stepping ---
+
+  /**
+   * Advance the simulation by `dt` seconds in fixed physics frames.
+   * Leftover time smaller than one frame carries over to the next call.
+   *
+   * @param {number} [dt] - seconds to advance (defaults to one frame)
+   * @returns {Promise<{ time: number, frames: number, scoreDelta: number }>}
+   */
+  async step(dt = this.fixedDt) {
+    this.accumulator += dt;
+    let frames = 0;
+    let scoreDelta = 0;
+
+    // Small epsilon so dt === fixedDt always yields exactly one frame
+    while (this.accumulator >= this.fixedDt - 1e-9) {
+      this.accumulator -= this.fixedDt;
+      scoreDelta += await this._tickFrame(this.fixedDt);
+      frames++;
+    }
+
+    return { time: this.time, frames, scoreDelta };
+  }
+
+  /**
+   * One physics frame — same order as CityWorld's useFrame loop,
+   * followed by SensorManager's staggered engine ticks and the AI.
+   * @returns {Promise<number>} score change this frame
+   */
+  async _tickFrame(dt) {
+    if (this.recorder) {
+      this.recorder.recordFrame(dt, this.vehicle.inputs, captureSettings(this.sensorState, this.timeScale));
+    }
+
+    this.frame++;
+    this.time += dt;
+
+    // 1. Traffic clock
+    this.traffic.clock += dt;
+
+    // 2. Entities
+    this.entities = tickEntities(this.entities, dt, this.traffic, this.vehicle.position, this.collisionData, this.rng.animals);
+
+    // 3. Vehicle physics → collisions → driving rules
+    const candidate = tickVehiclePhysics(this.vehicle, this.vehicle.inputs, dt);
+    const { state, scoreDelta: collisionScore, hits, contacts } = resolveCollisions(candidate, this.collisionData);
+    const ruleEvents = [];
+    const ruleScore = evaluateDrivingRules(state, this.traffic, dt, this.rulesState, ruleEvents);
+    this.pilot?.learner?.recordEvents(contacts, ruleEvents);
+    this.frameEvents = { contacts, ruleEvents, impactSpeed: candidate.speed };
+    Object.assign(this.vehicle, state);
+    this.game.collisions += hits;
+
+    let scoreDelta = collisionScore + ruleScore;
+    this.game.score += scoreDelta;
+
+    // 4. Waypoint proximity
+    const wp = this.game.waypoints[this.game.currentWaypointIndex];
+    if (wp && !wp.reached) {
+      const dx = state.position[0] - wp.position[0];
+      const dz = state.position[2] - wp.position[2];
+      if (dx * dx + dz * dz < WAYPOINT_REACH_RADIUS * WAYPOINT_REACH_RADIUS) {
+        this.advanceWaypoint();
+        scoreDelta += WAYPOINT_SCORE;
+      }
+    }
+
+    // 5. Sensors
+    this._tickSensors(dt);
+
+    // 6. AI brain at its own fixed rate
+    if (this.pilot && !this.player) {
+      this.aiTimer += dt;
+      if (this.aiTimer >= SIMULATION.AI_INTERVAL - 1e-9) {
+        this.aiTimer -= SIMULATION.AI_INTERVAL;
+        const scoreBefore = this.game.score;
+        const out = await this.pilot.tick(this.vehicle, this.sensorState, this.game, SIMULATION.AI_INTERVAL);
+        scoreDelta += this.game.score - scoreBefore; // pilot may advance waypoints
+        if (out) {
+          this.lastAIResult = out.result;
+          this.setInputs(out.inputs);
+        }
+      }
+    }
+
+    return scoreDelta;
+  }
+
+  /**
+   * Staggered sensor engine ticks, mirroring SensorManager.
+   */
+  _tickSensors(dt) {
+    const frame = this.frame;
+    const s = this.sensorState;
+    const { weather, timeOfDay, sensors } = s;
+    const mergedTargets = mergeEntityTargets(this.sensorTargets, this.entities);
+
+    if (sensors.lidar.enabled && (frame + LIDAR.STAGGER_OFFSET) % LIDAR.FRAME_SKIP === 0) {
+      const result = tickLidarAnalytic(
+        this.vehicle,
+        this.collisionData,
+        this.entities,
+        sensors.lidar,
+        weather,
+        this.lidarSweep,
+        dt * LIDAR.FRAME_SKIP,
+        this.rng.lidar,
+      );
+      this.lidarSweep = result.sweepAngle;
+      result.objects = this.lidarSegmenter.update(result.points, this.vehicle, dt * LIDAR.FRAME_SKIP);
+      s.lidarData = result;
+    }
+
+    if (sensors.thermal.enabled && (frame + THERMAL.STAGGER_OFFSET) % THERMAL.FRAME_SKIP === 0) {
+      s.thermalData = tickThermal(this.vehicle, mergedTargets, weather, this.buildingAABBs);
+    }
+
+    if (sensors.audio.enabled && (frame + AUDIO.STAGGER_OFFSET) % AUDIO.FRAME_SKIP === 0) {
+      s.audioData = tickAudio(this.vehicle, mergedTargets, weather);
+    }
+
+    if (sensors.camera.enabled && (frame + CAMERA_CV.STAGGER_OFFSET) % CAMERA_CV.FRAME_SKIP === 0) {
+      s.cameraData = tickCamera(
+        this.vehicle,
+        mergedTargets,
+        timeOfDay,
+        weather,
+        this.buildingAABBs,
+        s.mainCameraFov,
+        null,
+        this.traffic.clock,
+        this.rng.camera,
+      );
+    }
+  }
+}
@@ -0,0 +1,299 @@
+// ============================================================
+// Telemetry Logger — research session log (README §11)
+// Collects session metadata, a continuous sample of the drive
+// every TELEMETRY.SAMPLE_INTERVAL seconds of simulated time, and
+// timestamped events (waypoints, collisions, near-misses, rule
+// violations, sensor interactions, Phase B prompts, ...).
+//
+// Export bundle:
+//   JSON Lines — { kind: 'meta', version, ... } first, then one
+//                { kind: 'sample' | 'event', ... } per line, then
+//                { kind: 'summary', ... } once the session ends
+//   CSV        — samples (one row per sample) and a one-row
+//                session summary with the key metric columns
+//
+// Store-agnostic: callers pass plain state in, so the headless
+// Simulation can log the same way as the live game.
+// ============================================================
+
+import { GRID, WORLD_HALF } from '../../constants/world.js';
+import { DetectionLog } from '../sensors/detectionLog.js';
+
+export const TELEMETRY_VERSION = 2; // 2: + steerInput, input columns
+
+export const TELEMETRY = {
+  SAMPLE_INTERVAL: 0.5,     // s of simulated time between samples
+  NEAR_MISS_DISTANCE: 4,    // m centre-to-centre — closer without contact is a near-miss
+  NEAR_MISS_EXIT: 6,        // m — encounter ends once the entity is this far again
+  ROAD_EVENT_GRACE: 0.5,    // s off-road / wrong-way before it is logged
+  WRONG_WAY_MIN_SPEED: 2,   // m/s — slower manoeuvring is not wrong-way driving
+};
+
+const HALF_ROAD = GRID.ROAD_WIDTH / 2;
+const CARRIAGEWAY_HALF = HALF_ROAD - GRID.SIDEWALK_WIDTH; // kerb to kerb
+const ROAD_COUNT = GRID.BLOCKS_PER_SIDE + 1;
+
+/** Offset from the nearest road centre line on one axis. */
+function roadOffset(coord) {
+  const k = Math.max(0, Math.min(ROAD_COUNT - 1, Math.round((coord + WORLD_HALF - HALF_ROAD) / GRID.BLOCK_STRIDE)));
+  return coord - (-WORLD_HALF + HALF_ROAD + k * GRID.BLOCK_STRIDE);
+}
+
+/**
+ * Where the vehicle is relative to the road network.
+ * Traffic keeps right: eastbound at +z of the centre line, southbound at -x.
+ * @param {number[]} position
+ * @param {number} heading
+ * @param {number} speed - signed (reverse < 0)
+ * @returns {{ onRoad: boolean, wrongWay: boolean }}
+ */
+export function roadStatus(position, heading, speed) {
+  const dx = roadOffset(position[0]); // from a north–south road
+  const dz = roadOffset(position[2]); // from an east–west road
+  const onNS = Math.abs(dx) < CARRIAGEWAY_HALF;
+  const onEW = Math.abs(dz) < CARRIAGEWAY_HALF;
+  const onRoad = onNS || onEW;
+  if (!onRoad || (onNS && onEW) || Math.abs(speed) < TELEMETRY.WRONG_WAY_MIN_SPEED) {
+    return { onRoad, wrongWay: false }; // intersections have no lanes to be on the wrong side of
+  }
+
+  // Direction of travel (forward vector flipped when reversing)
+  const sign = Math.sign(speed);
+  const mx = -Math.sin(heading) * sign;
+  const mz = -Math.cos(heading) * sign;
+  const wrongWay = onNS
+    ? Math.abs(mz) > 0.7 && dx * mz > 0
+    : Math.abs(mx) > 0.7 && dz * mx < 0;
+  return { onRoad, wrongWay };
+}
+
+/**
+ * Render rows as CSV (RFC 4180 quoting).
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+export function toCSV(columns, rows) {
+  const cell = (v) => {
+    if (v === null || v === undefined) return '';
+    const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.join(','), ...rows.map((r) => columns.map((c) => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+export const SAMPLE_COLUMNS = [
+  't', 'phase', 'driver', 'x', 'y', 'z', 'heading', 'speed', 'steer', 'throttle', 'brake',
+  'steerInput', 'input', 'visibility', 'blackout', 'timeOfDay', 'weather', 'sensors', 'lidarRays', 'aiAction', 'panels',
+];
+
+export class TelemetryLogger {
+  /**
+   * @param {object} metadata - { sessionId, seed, studentId, ... } (free-form)
+   */
+  constructor(metadata) {
+    this.metadata = { ...metadata, startedAt: new Date().toISOString() };
+    this.samples = [];
+    this.events = [];
+    this.summary = null;
+    this.detections = new DetectionLog();
+    this.sinceSample = TELEMETRY.SAMPLE_INTERVAL; // first frame samples immediately
+    this.encounters = new Map();                   // entity id → { type, closest, collided }
+    this.road = { offRoad: 0, wrongWay: 0, offRoadLogged: false, wrongWayLogged: false };
+  }
+
+  /**
+   * Advance the sample clock.
+   * @param {number} dt - simulated seconds this frame
+   * @returns {boolean} true when a sample is due
+   */
+  sampleDue(dt) {
+    this.sinceSample += dt;
+    if (this.sinceSample < TELEMETRY.SAMPLE_INTERVAL) return false;
+    this.sinceSample %= TELEMETRY.SAMPLE_INTERVAL;
+    return true;
+  }
+
+  /** @param {object} sample - SAMPLE_COLUMNS fields */
+  addSample(sample) {
+    this.samples.push(sample);
+  }
+
+  /**
+   * Log an event.
+   * @param {number} t - session time (s)
+   * @param {string} type
+   * @param {object} [data]
+   */
+  event(t, type, data = {}) {
+    this.events.push({ t, type, ...data });
+  }
+
+  /** Forward a tick of per-sensor detections (see DetectionLog.observe). */
+  observeDetections(t, vehicle, rawSensors, activeSensors, entities) {
+    this.detections.observe(t, vehicle, rawSensors, activeSensors, entities);
+  }
+
+  /**
+   * What the sensors knew about an entity: which ones had detected it
+   * and the range at the first detection.
+   * @param {number} entityId
+   * @returns {{ sensors: string[], firstDetection: { sensor: string, time: number, distance: number }|null }}
+   */
+  sensorKnowledge(entityId) {
+    const seen = this.detections.sensorsFor(entityId);
+    let first = null;
+    for (const [sensor, d] of Object.entries(seen)) {
+      if (!first || d.time < first.time) first = { sensor, time: d.time, distance: round(d.distance, 1) };
+    }
+    return { sensors: Object.keys(seen), firstDetection: first };
+  }
+
+  /**
+   * Per-frame driving events: collisions, near-misses, rule violations,
+   * off-road and wrong-way driving.
+   * @param {number} t - session time
+   * @param {number} dt - simulated seconds this frame
+   * @param {{ position: number[], heading: number, speed: number }} vehicle - after collision response
+   * @param {object[]} entities
+   * @param {object[]} contacts - resolveCollisions().contacts
+   * @param {number} impactSpeed - speed before collision response (m/s)
+   * @param {object[]} ruleEvents - pushed by evaluateDrivingRules
+   */
+  trackDriving(t, dt, vehicle, entities, contacts, impactSpeed, ruleEvents) {
+    for (const c of contacts) {
+      const data = { object: c.type, objectId: c.id, speed: round(Math.abs(impactSpeed), 2) };
+      if (c.entity) {
+        Object.assign(data, this.sensorKnowledge(c.id));
+        const enc = this.encounters.get(c.id);
+        if (enc) enc.collided = true;
+        else this.encounters.set(c.id, { type: c.type, closest: 0, collided: true });
+      }
+      this.event(t, 'collision', data);
+    }
+
+    for (const { type, ...data } of ruleEvents) this.event(t, type, data);
+
+    this.trackEncounters(t, vehicle, entities);
+    this.trackRoad(t, dt, vehicle);
+  }
+
+  /** Near-miss = an entity came within NEAR_MISS_DISTANCE and left without contact. */
+  trackEncounters(t, vehicle, entities) {
+    const [vx, , vz] = vehicle.position;
+    const present = new Set();
+    for (const e of entities) {
+      if (e.visible === false) continue;
+      present.add(e.id);
+      const dist = Math.hypot(e.position[0] - vx, e.position[2] - vz);
+      const enc = this.encounters.get(e.id);
+      if (enc) {
+        enc.closest = Math.min(enc.closest, dist);
+        if (dist > TELEMETRY.NEAR_MISS_EXIT) this.closeEncounter(t, e.id, enc);
+      } else if (dist < TELEMETRY.NEAR_MISS_DISTANCE) {
+        this.encounters.set(e.id, { type: e.type, closest: dist, collided: false });
+      }
+    }
+    // Despawned mid-encounter
+    for (const [id, enc] of this.encounters) {
+      if (!present.has(id)) this.closeEncounter(t, id, enc);
+    }
+  }
+
+  closeEncounter(t, id, enc) {
+    this.encounters.delete(id);
+    if (enc.collided) return;
+    this.event(t, 'nearMiss', { object: enc.type, objectId: id, closest: round(enc.closest, 2), ...this.sensorKnowledge(id) });
+  }
+
+  /** Off-road / wrong-way spans, logged once each after a short grace period. */
+  trackRoad(t, dt, vehicle) {
+    const status = roadStatus(vehicle.position, vehicle.heading, vehicle.speed);
+    const r = this.road;
+    for (const [key, active, type] of [['offRoad', !status.onRoad, 'offRoad'], ['wrongWay', status.wrongWay, 'wrongWay']]) {
+      const logged = `${key}Logged`;
+      if (!active) {
+        if (r[logged]) this.event(t, `${type}End`, { duration: round(r[key], 2) });
+        r[key] = 0;
+        r[logged] = false;
+        continue;
+      }
+      r[key] += dt;
+      if (!r[logged] && r[key] >= TELEMETRY.ROAD_EVENT_GRACE) {
+        r[logged] = true;
+        this.event(t, type, { x: round(vehicle.position[0], 2), z: round(vehicle.position[2], 2) });
+      }
+    }
+  }
+
+  /**
+   * Close the log.
+   * @param {object} summary - end-of-session results (phase stats etc.)
+   */
+  finish(summary) {
+    this.metadata.endedAt = new Date().toISOString();
+    this.summary = summary;
+  }
+
+  /** Event counts by type. */
+  countEvents() {
+    const counts = {};
+    for (const e of this.events) counts[e.type] = (counts[e.type] || 0) + 1;
+    return counts;
+  }
+
+  /** @returns {string} JSON Lines bundle */
+  toJSONL() {
+    const lines = [{ kind: 'meta', version: TELEMETRY_VERSION, ...this.metadata }];
+    // Samples and events interleaved in time order
+    let i = 0;
+    for (const ev of this.events) {
+      while (i < this.samples.length && this.samples[i].t <= ev.t) lines.push({ kind: 'sample', ...this.samples[i++] });
+      lines.push({ kind: 'event', ...ev });
+    }
+    while (i < this.samples.length) lines.push({ kind: 'sample', ...this.samples[i++] });
+    if (this.summary) lines.push({ kind: 'summary', ...this.summary, eventCounts: this.countEvents() });
+    return lines.map((l) => JSON.stringify(l)).join('\n') + '\n';
+  }
+
+  /** @returns {string} samples as CSV */
+  samplesToCSV() {
+    return toCSV(SAMPLE_COLUMNS, this.samples);
+  }
+
+  /** @returns {string} one-row session summary as CSV */
+  summaryToCSV() {
+    const { metadata: m, summary: s } = this;
+    const counts = this.countEvents();
+    const stats = s?.phaseStats || {};
+    const row = {
+      version: TELEMETRY_VERSION,
+      sessionId: m.sessionId,
+      studentId: m.studentId,
+      seed: m.seed,
+      startedAt: m.startedAt,
+      duration: s?.duration,
+      blindPhaseDuration: s?.blindPhaseDuration,
+      nearMisses: counts.nearMiss || 0,
+      redLightsRun: counts.redLightRun || 0,
+      stopSignsRun: counts.stopSignRun || 0,
+      offRoad: counts.offRoad || 0,
+      wrongWay: counts.wrongWay || 0,
+    };
+    for (const key of ['phaseA', 'phaseB']) {
+      for (const stat of ['score', 'blindScore', 'collisions', 'waypointsCompleted', 'courseTime']) {
+        row[`${key}_${stat}`] = stats[key]?.[stat];
+      }
+    }
+    row.quiz_correct = stats.quiz?.correct;
+    row.quiz_graded = stats.quiz?.graded;
+    row.predictions_asked = stats.predictions?.asked;
+    row.predictions_accuracy = stats.predictions?.accuracy;
+    return toCSV(Object.keys(row), [row]);
+  }
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
@@ -9,7 +9,13 @@
 // ============================================================
 
 import { VEHICLE_DIMS } from '../../constants/vehicle.js';
-import { PROP_DIMS } from '../../constants/traffic.js';
+import {
+  PROP_DIMS,
+  PROP_COLORS,
+  SPEED_SIGN_DIMS,
+  TRAFFIC_LIGHT_DIMS,
+  STOP_SIGN_DIMS,
+} from '../../constants/traffic.js';
 import { GRID, WORLD_HALF } from '../../constants/world.js';
 import { ENTITY_COLLISION } from '../../constants/entities.js';
 
@@ -42,6 +48,32 @@ const PUSH_MARGIN = 0.02;
 // 1. Pre-processing — build spatial collision database
 // ============================================================
 
+// LiDAR surfaces of the sign poles, matching the scene meshes: a metal
+// pole, with the retroreflective sign face (or the hospital cross)
+// from `bottom` up to `top` (metres)
+const STOP_SIGN_FACE = {
+  bottom: STOP_SIGN_DIMS.POLE_HEIGHT - STOP_SIGN_DIMS.SIGN_RADIUS * 0.2,
+  top: STOP_SIGN_DIMS.POLE_HEIGHT + STOP_SIGN_DIMS.SIGN_RADIUS * 1.8,
+  material: 'retroreflective',
+};
+const SIGN_FACES = {
+  school_sign: {
+    bottom: PROP_DIMS.SIGN_POLE_HEIGHT,
+    top: PROP_DIMS.SIGN_POLE_HEIGHT + PROP_DIMS.SIGN_HEIGHT,
+    material: 'retroreflective',
+  },
+  speed_sign: {
+    bottom: SPEED_SIGN_DIMS.POLE_HEIGHT,
+    top: SPEED_SIGN_DIMS.POLE_HEIGHT + SPEED_SIGN_DIMS.SIGN_HEIGHT,
+    material: 'retroreflective',
+  },
+  hospital_cross: {
+    bottom: PROP_DIMS.CROSS_POLE_HEIGHT,
+    top: PROP_DIMS.CROSS_POLE_HEIGHT + PROP_DIMS.CROSS_SIZE,
+    color: PROP_COLORS.HOSPITAL_CROSS,
+  },
+};
+
 /**
  * Build collision data from world generation output.
  * Returns { byBlock: { "row,col": [...] }, global: [...] }
@@ -66,6 +98,7 @@ export function buildCollisionData(worldData) {
         maxX: x + b.width / 2,
         minZ: z - b.depth / 2,
         maxZ: z + b.depth / 2,
+        height: b.height,
       });
     }
 
@@ -80,6 +113,8 @@ export function buildCollisionData(worldData) {
           cx: px,
           cz: pz,
           radius: PROP_DIMS.CONE_BASE_RADIUS,
+          height: PROP_DIMS.CONE_HEIGHT,
+          material: 'retroreflective', // LiDAR: reflective bands
         });
       } else if (p.type === 'barrier') {
         const rot = p.rotation || 0;
@@ -92,18 +127,20 @@ export function buildCollisionData(worldData) {
           hd: PROP_DIMS.BARRIER_DEPTH / 2,
           sinR: Math.sin(rot),
           cosR: Math.cos(rot),
+          height: PROP_DIMS.BARRIER_HEIGHT,
+          material: 'retroreflective',
         });
-      } else if (
-        p.type === 'school_sign' ||
-        p.type === 'hospital_cross' ||
-        p.type === 'speed_sign'
-      ) {
+      } else if (p.type in SIGN_FACES) {
+        const face = SIGN_FACES[p.type];
         objects.push({
           id: nextId++,
           type: 'pole',
           cx: px,
           cz: pz,
           radius: 0.1,
+          height: face.top,
+          material: 'metal',
+          face,
         });
       }
     }
@@ -120,6 +157,8 @@ export function buildCollisionData(worldData) {
         cx: tl.position[0],
         cz: tl.position[2],
         radius: 0.15,
+        height: TRAFFIC_LIGHT_DIMS.POLE_HEIGHT,
+        material: 'metal',
       });
     }
   }
@@ -133,6 +172,9 @@ export function buildCollisionData(worldData) {
         cx: ss.position[0],
         cz: ss.position[2],
         radius: 0.15,
+        height: STOP_SIGN_FACE.top,
+        material: 'metal',
+        face: STOP_SIGN_FACE,
       });
     }
   }
@@ -329,8 +371,10 @@ function obbVsOBB(bCx, bCz, bHw, bHd, bSin, bCos, vCorners, vSinH, vCosH) {
 
 /**
  * Resolve collisions against the candidate vehicle state.
- * Returns { state, scoreDelta } where scoreDelta is the total
- * point change from new hits this frame (0 if no new scored hits).
+ * Returns { state, scoreDelta, hits, contacts } where scoreDelta is
+ * the total point change from new hits this frame (0 if no new scored
+ * hits), hits counts those new hits and contacts lists them as
+ * { type, id, entity } (entity: id is a dynamic entity id).
  */
 export function resolveCollisions(vehicleState, collisionData) {
   const [vx, vy, vz] = vehicleState.position;
@@ -358,7 +402,7 @@ export function resolveCollisions(vehicleState, collisionData) {
   nearby.push(...collisionData.global);
 
   // Early exit if nothing nearby
-  if (nearby.length === 0) return { state: vehicleState, scoreDelta: 0 };
+  if (nearby.length === 0) return { state: vehicleState, scoreDelta: 0, hits: 0, contacts: [] };
 
   // Quick bounding circle for early-out (vehicle bounding radius)
   const vBoundRadius = Math.sqrt(VHW * VHW + VHL * VHL); // ~2.28m
@@ -368,6 +412,7 @@ export function resolveCollisions(vehicleState, collisionData) {
   let hitBuilding = false;
   let totalSlowdown = 0;
   let scoreDelta = 0;
+  const contacts = [];
 
   for (const obj of nearby) {
     if (obj.type === 'building') {
@@ -389,6 +434,7 @@ export function resolveCollisions(vehicleState, collisionData) {
         if (!hitCooldowns.has(obj.id)) {
           scoreDelta += SCORE_PENALTY.building;
           hitCooldowns.set(obj.id, HIT_COOLDOWN_FRAMES);
+          contacts.push({ type: obj.type, id: obj.id, entity: false });
         }
       }
     } else if (obj.type === 'cone' || obj.type === 'pole') {
@@ -403,6 +449,7 @@ export function resolveCollisions(vehicleState, collisionData) {
         if (!hitCooldowns.has(obj.id)) {
           scoreDelta += SCORE_PENALTY[obj.type] || -25;
           hitCooldowns.set(obj.id, HIT_COOLDOWN_FRAMES);
+          contacts.push({ type: obj.type, id: obj.id, entity: false });
         }
       }
     } else if (obj.type === 'barrier') {
@@ -418,6 +465,7 @@ export function resolveCollisions(vehicleState, collisionData) {
         if (!hitCooldowns.has(obj.id)) {
           scoreDelta += SCORE_PENALTY.barrier;
           hitCooldowns.set(obj.id, HIT_COOLDOWN_FRAMES);
+          contacts.push({ type: obj.type, id: obj.id, entity: false });
         }
       }
     }
@@ -442,6 +490,7 @@ export function resolveCollisions(vehicleState, collisionData) {
       const cooldownId = ent.id + 100000;
       if (hitCooldowns.has(cooldownId)) continue;
       hitCooldowns.set(cooldownId, ENTITY_COLLISION.HIT_COOLDOWN_FRAMES);
+      contacts.push({ type: ent.type, id: ent.id, entity: true });
 
       if (ent.type === 'pedestrian') {
         hitBuilding = true;   // dead stop
@@ -460,7 +509,8 @@ export function resolveCollisions(vehicleState, collisionData) {
   }
 
   // No collisions — return unchanged
-  if (!hitBuilding && totalSlowdown === 0) return { state: vehicleState, scoreDelta };
+  const hits = contacts.length;
+  if (!hitBuilding && totalSlowdown === 0) return { state: vehicleState, scoreDelta, hits, contacts };
 
   // Build corrected state
   let newX = vx;
@@ -488,6 +538,8 @@ export function resolveCollisions(vehicleState, collisionData) {
       speed: newSpeed,
     },
     scoreDelta,
+    hits,
+    contacts,
   };
 }
 
@@ -6,11 +6,35 @@ import { SPEED_LIMITS } from '../../constants/traffic.js';
 import { GRID, WORLD_HALF } from '../../constants/world.js';
 import { VEHICLE_PHYSICS } from '../../constants/vehicle.js';
 
-let speedingTimer = 0;
-let goodDrivingTimer = 0;
+/**
+ * Create a fresh rule-tracking state (timers + intersection memory).
+ * Each headless Simulation owns one; the live game uses the module default.
+ */
+export function createDrivingRulesState() {
+    return {
+        speedingTimer: 0,
+        goodDrivingTimer: 0,
+        currentIntersection: null,
+        hasStoppedNearIntersection: false,
+    };
+}
+
+const defaultRulesState = createDrivingRulesState();
 
-let currentIntersection = null;
-let hasStoppedNearIntersection = false;
+/**
+ * Copy of the live game's rule-tracking state (for timeline snapshots).
+ */
+export function getDrivingRulesState() {
+    return { ...defaultRulesState };
+}
+
+/**
+ * Replace the live game's rule-tracking state. With no argument it clears
+ * it (session restart); with a getDrivingRulesState() copy it rewinds it.
+ */
+export function resetDrivingRulesState(state = createDrivingRulesState()) {
+    Object.assign(defaultRulesState, state);
+}
 
 function normalizeAngle(a) {
     while (a > Math.PI) a -= 2 * Math.PI;
@@ -18,7 +42,15 @@ function normalizeAngle(a) {
     return a;
 }
 
-export function evaluateDrivingRules(vehicleState, trafficState, delta) {
+/**
+ * Score one frame of driving against the traffic rules.
+ * Violations are also pushed onto `events` when given (telemetry):
+ * { type: 'redLightRun', intersection, crossTraffic } or
+ * { type: 'stopSignRun', intersection }.
+ * @returns {number} score delta
+ */
+export function evaluateDrivingRules(vehicleState, trafficState, delta, rulesState = defaultRulesState, events = null) {
+    const rs = rulesState;
     let scoreDelta = 0;
 
     // 1. Speed Limit Checks
@@ -26,21 +58,21 @@ export function evaluateDrivingRules(vehicleState, trafficState, delta) {
     const limit = SPEED_LIMITS[vehicleState.currentZone] || 35;
 
     if (currentSpeedMph > limit + 5) {
-        speedingTimer += delta;
-        if (speedingTimer > 2.0) { // Penalize every 2 seconds of continuous speeding
+        rs.speedingTimer += delta;
+        if (rs.speedingTimer > 2.0) { // Penalize every 2 seconds of continuous speeding
             scoreDelta -= 25;
-            speedingTimer = 0;
+            rs.speedingTimer = 0;
         }
-        goodDrivingTimer = 0; // Reset good driving streak
+        rs.goodDrivingTimer = 0; // Reset good driving streak
     } else {
-        speedingTimer = 0;
+        rs.speedingTimer = 0;
 
         // Accumulate good driving points if moving at a reasonable speed
         if (currentSpeedMph > 5 && currentSpeedMph <= limit + 5) {
-            goodDrivingTimer += delta;
-            if (goodDrivingTimer > 5.0) { // +10 points every 5 seconds of clean driving
+            rs.goodDrivingTimer += delta;
+            if (rs.goodDrivingTimer > 5.0) { // +10 points every 5 seconds of clean driving
                 scoreDelta += 10;
-                goodDrivingTimer = 0;
+                rs.goodDrivingTimer = 0;
             }
         }
     }
@@ -67,14 +99,14 @@ export function evaluateDrivingRules(vehicleState, trafficState, delta) {
     // Track if vehicle came to a full stop recently near an intersection
     if (intersectionDist > halfRoad && intersectionDist < halfRoad + 15) {
         if (Math.abs(vehicleState.speed) < 0.2) {
-            hasStoppedNearIntersection = true;
+            rs.hasStoppedNearIntersection = true;
         }
     }
 
     // Inside the actual intersection box
     if (intersectionDist < halfRoad * 0.8) {
-        if (currentIntersection !== intKey) {
-            currentIntersection = intKey; // Just entered!
+        if (rs.currentIntersection !== intKey) {
+            rs.currentIntersection = intKey; // Just entered!
 
             const absHeading = Math.abs(normalizeAngle(vehicleState.heading));
             const isNS = absHeading < Math.PI / 4 || absHeading > (3 * Math.PI / 4);
@@ -85,15 +117,21 @@ export function evaluateDrivingRules(vehicleState, trafficState, delta) {
                 const lightState = trafficState.getLightState(axis);
                 if (lightState === 'red') {
                     scoreDelta -= 100; // Penalize running a red light
-                    goodDrivingTimer = 0;
+                    rs.goodDrivingTimer = 0;
+                    events?.push({
+                        type: 'redLightRun',
+                        intersection: intKey,
+                        crossTraffic: trafficState.getLightState(axis === 'ns' ? 'ew' : 'ns'),
+                    });
                 } else if (lightState === 'green') {
                     scoreDelta += 20;  // Reward going through green
                 }
             } else if (isPerimeter) {
                 // Check stop sign
-                if (!hasStoppedNearIntersection) {
+                if (!rs.hasStoppedNearIntersection) {
                     scoreDelta -= 50; // Penalize rolling/running a stop sign
-                    goodDrivingTimer = 0;
+                    rs.goodDrivingTimer = 0;
+                    events?.push({ type: 'stopSignRun', intersection: intKey });
                 } else {
                     scoreDelta += 20; // Reward proper stop
                 }
@@ -101,9 +139,9 @@ export function evaluateDrivingRules(vehicleState, trafficState, delta) {
         }
     } else {
         // Exited intersection
-        if (currentIntersection !== null && intersectionDist > halfRoad + 2) {
-            currentIntersection = null;
-            hasStoppedNearIntersection = false; // reset for next intersection
+        if (rs.currentIntersection !== null && intersectionDist > halfRoad + 2) {
+            rs.currentIntersection = null;
+            rs.hasStoppedNearIntersection = false; // reset for next intersection
         }
     }
 
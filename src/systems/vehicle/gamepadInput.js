@@ -0,0 +1,121 @@
+// ============================================================
+// Gamepad Input — Gamepad API → analog driving inputs
+// Pure functions: read a Gamepad snapshot through a binding config
+// and return { steer, throttle, brake, reverse } in the ranges
+// tickVehiclePhysics expects (steer −1..1, + = left; pedals 0..1).
+//
+// A binding names one control on the device:
+//   { axis: i, invert?, pedal? }  — pedal axes rest at −1 (after
+//                                   invert) and map to 0..1
+//   { button: i }                 — analog buttons / triggers (0..1)
+// Steering axes are read hardware-style (right = +) and flipped.
+// ============================================================
+
+export const GAMEPAD = {
+  STEER_DEAD_ZONE: 0.08,
+  PEDAL_DEAD_ZONE: 0.05,
+  CAPTURE_THRESHOLD: 0.5,  // movement that binds a control while capturing
+};
+
+export const GAMEPAD_CONTROLS = ['steer', 'throttle', 'brake'];
+
+/** Starting bindings: a standard-mapping pad, or a wheel + pedal set. */
+export const GAMEPAD_PRESETS = {
+  gamepad: {
+    steer: { axis: 0 },
+    throttle: { button: 7 },   // right trigger
+    brake: { button: 6 },      // left trigger
+  },
+  wheel: {
+    steer: { axis: 0 },
+    throttle: { axis: 2, invert: true, pedal: true },
+    brake: { axis: 3, invert: true, pedal: true },
+  },
+};
+
+/**
+ * Rescaled dead zone: inside → 0, outside → stretched back to the full range.
+ * @param {number} value
+ * @param {number} deadZone
+ * @returns {number}
+ */
+export function applyDeadZone(value, deadZone) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadZone) return 0;
+  return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+}
+
+/**
+ * Raw value of one bound control.
+ * @param {Gamepad} gamepad
+ * @param {object} binding
+ * @returns {number}
+ */
+export function readBinding(gamepad, binding) {
+  if (!binding) return 0;
+  if (binding.button !== undefined) {
+    const button = gamepad.buttons[binding.button];
+    return button ? button.value : 0;
+  }
+  let value = gamepad.axes[binding.axis] ?? 0;
+  if (binding.invert) value = -value;
+  if (binding.pedal) value = (value + 1) / 2;
+  return value;
+}
+
+/**
+ * Driving inputs from a gamepad snapshot.
+ * @param {Gamepad} gamepad
+ * @param {{ bindings: object, steerDeadZone: number, pedalDeadZone: number }} config
+ * @returns {{ steer: number, throttle: number, brake: number, reverse: boolean }} reverse: the
+ *   brake backs up from a standstill, as S does on the keyboard
+ */
+export function readGamepad(gamepad, config) {
+  const { bindings, steerDeadZone, pedalDeadZone } = config;
+  const pedal = (control) => Math.max(0, applyDeadZone(readBinding(gamepad, bindings[control]), pedalDeadZone));
+  return {
+    steer: -applyDeadZone(readBinding(gamepad, bindings.steer), steerDeadZone),
+    throttle: pedal('throttle'),
+    brake: pedal('brake'),
+    reverse: true,
+  };
+}
+
+/** Whether any control is being used (otherwise the keyboard drives). */
+export function isGamepadIdle({ steer, throttle, brake }) {
+  return steer === 0 && throttle === 0 && brake === 0;
+}
+
+/**
+ * Snapshot of every axis / button value, the reference for captureBinding.
+ * @param {Gamepad} gamepad
+ * @returns {{ axes: number[], buttons: number[] }}
+ */
+export function gamepadBaseline(gamepad) {
+  return {
+    axes: [...gamepad.axes],
+    buttons: gamepad.buttons.map((b) => b.value),
+  };
+}
+
+/**
+ * Detect the control the player just moved, as a binding for `control`.
+ * @param {Gamepad} gamepad
+ * @param {{ axes: number[], buttons: number[] }} baseline - from gamepadBaseline()
+ * @param {string} control - 'steer' | 'throttle' | 'brake'
+ * @returns {object|null} binding, or null while nothing has moved enough
+ */
+export function captureBinding(gamepad, baseline, control) {
+  if (control !== 'steer') {
+    const button = gamepad.buttons.findIndex((b, i) => b.value - (baseline.buttons[i] ?? 0) > GAMEPAD.CAPTURE_THRESHOLD);
+    if (button >= 0) return { button };
+  }
+  for (let i = 0; i < gamepad.axes.length; i++) {
+    const delta = gamepad.axes[i] - (baseline.axes[i] ?? 0);
+    if (Math.abs(delta) > GAMEPAD.CAPTURE_THRESHOLD) {
+      // Steering binds as-is; a pedal binds so that the way it moved reads as "pressed"
+      return control === 'steer' ? { axis: i } : { axis: i, invert: delta < 0, pedal: true };
+    }
+  }
+  return null;
+}
@@ -4,6 +4,10 @@
 //
 // Bicycle model: front axle steers, rear axle follows.
 // No rigid body engine. Simple position/rotation integration.
+//
+// Inputs are keyboard-style booleans, or — when inputs.analog is set
+// (the AI's VehicleController, a gamepad / wheel) — a target steering
+// position and throttle / brake pedal levels.
 // ============================================================
 
 import { VEHICLE_PHYSICS as P, VEHICLE_DIMS } from '../../constants/vehicle.js';
@@ -72,16 +76,45 @@ function clampToWorld(x, z) {
  * Determine gear display string.
  */
 function getGear(speed, inputs) {
-  if (Math.abs(speed) < 0.1 && !inputs.accelerate && !inputs.brake && !inputs.reverse) return 'P';
+  const pedal = inputs.analog
+    ? inputs.analog.throttle > 0 || inputs.analog.brake > 0
+    : inputs.accelerate || inputs.brake || inputs.reverse;
+  if (Math.abs(speed) < 0.1 && !pedal) return 'P';
   if (speed < -0.1) return 'R';
   return 'D';
 }
 
+/**
+ * Speed update for analog pedals (throttle / brake 0–1); brake wins.
+ * With `reverse` the brake backs up once stopped, like the keyboard's.
+ */
+function analogSpeed(speed, { throttle, brake, reverse }, dt) {
+  if (brake > 0 && reverse && speed <= 0) {
+    return Math.max(-P.REVERSE_MAX_SPEED, speed - brake * P.ACCELERATION * 0.3 * dt);
+  }
+  if (brake > 0) {
+    const decel = brake * P.BRAKE_DECEL * dt;
+    return speed > 0 ? Math.max(0, speed - decel) : Math.min(0, speed + decel);
+  }
+  if (throttle > 0) {
+    // Gas while rolling backwards brakes first, as with the keyboard
+    if (speed < 0) return Math.min(0, speed + throttle * P.BRAKE_DECEL * dt);
+    return Math.min(P.MAX_SPEED, speed + throttle * P.ACCELERATION * dt);
+  }
+  return speed > 0
+    ? Math.max(0, speed - P.FRICTION_DECEL * dt)
+    : Math.min(0, speed + P.FRICTION_DECEL * dt);
+}
+
 /**
  * Main physics tick — pure function.
  *
  * @param {{position: number[], heading: number, speed: number, steerAngle: number}} state
- * @param {{accelerate: boolean, brake: boolean, steerLeft: boolean, steerRight: boolean}} inputs
+ * @param {{accelerate: boolean, brake: boolean, steerLeft: boolean, steerRight: boolean,
+ *   analog?: {steer: number, throttle: number, brake: number, reverse?: boolean}|null}} inputs
+ *   analog (optional) overrides the booleans: steer -1..1 (+ = left, fraction of full lock,
+ *   reached at STEER_SPEED), throttle / brake 0..1; reverse lets the brake back up from a
+ *   standstill (human drivers — the AI brakes to hold)
  * @param {number} delta — seconds since last frame
  * @returns {object} Partial state update for the store
  */
@@ -92,8 +125,14 @@ export function tickVehiclePhysics(state, inputs, delta) {
   let { speed, heading, steerAngle } = state;
   const [px, py, pz] = state.position;
 
+  const { analog } = inputs;
+
   // --- 1. Steering ---
-  if (inputs.steerLeft) {
+  if (analog) {
+    const target = Math.max(-1, Math.min(1, analog.steer)) * P.MAX_STEER_ANGLE;
+    const step = P.STEER_SPEED * dt;
+    steerAngle += Math.max(-step, Math.min(step, target - steerAngle));
+  } else if (inputs.steerLeft) {
     steerAngle = Math.min(steerAngle + P.STEER_SPEED * dt, P.MAX_STEER_ANGLE);
   } else if (inputs.steerRight) {
     steerAngle = Math.max(steerAngle - P.STEER_SPEED * dt, -P.MAX_STEER_ANGLE);
@@ -107,7 +146,9 @@ export function tickVehiclePhysics(state, inputs, delta) {
   }
 
   // --- 2. Speed (acceleration / braking / friction) ---
-  if (inputs.accelerate) {
+  if (analog) {
+    speed = analogSpeed(speed, analog, dt);
+  } else if (inputs.accelerate) {
     if (speed < 0) {
       // Pressing gas while in reverse = brake first
       speed = Math.min(0, speed + P.BRAKE_DECEL * dt);
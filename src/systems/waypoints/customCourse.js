@@ -0,0 +1,192 @@
+// ============================================================
+// Custom Courses — designer waypoints → playable mission
+// Pure functions: snap the points placed with WaypointDesigner to
+// the nearest point on the road graph (intersections joined by road
+// segments), validate them, and (de)serialize named course files:
+//
+//   { "version": 1, "name": "school-loop", "seed": 12345,
+//     "savedAt": "...", "points": [[x, y, z], ...] }
+//
+// The raw points are saved (so a loaded course looks exactly as it
+// was designed); snapping happens every time the course is built.
+// ============================================================
+
+import { GRID, WORLD_HALF } from '../../constants/world.js';
+import { VEHICLE_START } from '../../constants/vehicle.js';
+import { generateRoads } from '../world/generateRoads.js';
+import { WAYPOINT_REACH_RADIUS } from './generateWaypoints.js';
+
+export const COURSE_VERSION = 1;
+
+export const CUSTOM_COURSE = {
+  MAX_WAYPOINTS: 12,
+  ROAD_MARGIN: 1,   // m beyond the road edge a click still counts as "on the road"
+};
+
+/**
+ * Intersection-level road graph from generateRoads(): one node per
+ * intersection, an edge per road segment.
+ * @param {object} [roads] - generateRoads() output
+ * @returns {Map<string, { key: string, row: number, col: number, position: number[], neighbors: string[] }>}
+ */
+export function buildRoadGraph(roads = generateRoads()) {
+  const nodes = new Map();
+  for (const { row, col, position } of roads.intersections) {
+    const key = `${row},${col}`;
+    nodes.set(key, { key, row, col, position: [...position], neighbors: [] });
+  }
+  for (const { row: r, col: c, orientation } of roads.segments) {
+    const a = `${r},${c}`;
+    const b = orientation === 'horizontal' ? `${r},${c + 1}` : `${r + 1},${c}`;
+    nodes.get(a).neighbors.push(b);
+    nodes.get(b).neighbors.push(a);
+  }
+  return nodes;
+}
+
+let defaultGraph = null;
+const roadGraph = () => (defaultGraph ??= buildRoadGraph());
+
+/** Distance from a coordinate to the nearest road centre line on that axis. */
+function offRoadCentre(coord) {
+  const stride = GRID.BLOCK_STRIDE;
+  const origin = -WORLD_HALF + GRID.ROAD_WIDTH / 2;
+  const k = Math.max(0, Math.min(GRID.BLOCKS_PER_SIDE, Math.round((coord - origin) / stride)));
+  return Math.abs(coord - (origin + k * stride));
+}
+
+/**
+ * Whether a point lies on a road (either axis), inside the world.
+ * @param {number[]} position
+ * @returns {boolean}
+ */
+export function isOnRoad(position) {
+  const [x, , z] = position;
+  if (Math.abs(x) > WORLD_HALF || Math.abs(z) > WORLD_HALF) return false;
+  const limit = GRID.ROAD_WIDTH / 2 + CUSTOM_COURSE.ROAD_MARGIN;
+  return offRoadCentre(x) < limit || offRoadCentre(z) < limit;
+}
+
+/**
+ * Nearest point on a road centre line (a road-graph edge, intersection
+ * to intersection) to a point.
+ * @param {number[]} position
+ * @param {Map} [graph]
+ * @returns {{ position: number[], edge: string[] }} snapped [x, y, z] + the edge's two node keys
+ */
+export function snapToRoadGraph(position, graph = roadGraph()) {
+  const [x, , z] = position;
+  let best = null;
+  let bestDistSq = Infinity;
+  for (const a of graph.values()) {
+    for (const key of a.neighbors) {
+      if (key < a.key) continue; // each edge once
+      const b = graph.get(key);
+      const [ax, ay, az] = a.position;
+      const sx = b.position[0] - ax;
+      const sz = b.position[2] - az;
+      const t = Math.max(0, Math.min(1, ((x - ax) * sx + (z - az) * sz) / (sx * sx + sz * sz)));
+      const px = ax + sx * t;
+      const pz = az + sz * t;
+      const dSq = (px - x) ** 2 + (pz - z) ** 2;
+      if (dSq < bestDistSq) {
+        bestDistSq = dSq;
+        best = { position: [px, ay, pz], edge: [a.key, b.key] };
+      }
+    }
+  }
+  return best;
+}
+
+/** Node keys reachable from a start node (breadth-first). */
+function reachableFrom(startKey, graph) {
+  const seen = new Set([startKey]);
+  const queue = [startKey];
+  while (queue.length > 0) {
+    for (const next of graph.get(queue.shift()).neighbors) {
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return seen;
+}
+
+/**
+ * Snap + validate designer points into mission waypoints. Consecutive
+ * points that snap within the reach radius of each other collapse into
+ * one (both would be reached at once).
+ * @param {number[][]} points - raw [x, y, z] positions, in order
+ * @param {number[]} [startPosition] - vehicle start
+ * @param {Map} [graph]
+ * @returns {{ waypoints: Array<{id: number, position: number[], reached: boolean, edge: string[]}>, errors: string[] }}
+ */
+export function buildCourse(points, startPosition = VEHICLE_START.POSITION, graph = roadGraph()) {
+  const errors = [];
+  if (points.length === 0) errors.push('Course has no waypoints');
+
+  const reachable = reachableFrom(snapToRoadGraph(startPosition, graph).edge[0], graph);
+  const stops = [];
+  points.forEach((p, i) => {
+    if (!isOnRoad(p)) {
+      errors.push(`Waypoint ${i + 1} is not on a road`);
+      return;
+    }
+    const stop = snapToRoadGraph(p, graph);
+    if (!reachable.has(stop.edge[0])) errors.push(`Waypoint ${i + 1} cannot be reached from the start`);
+    const prev = stops[stops.length - 1];
+    if (!prev || Math.hypot(prev.position[0] - stop.position[0], prev.position[2] - stop.position[2]) >= WAYPOINT_REACH_RADIUS) {
+      stops.push(stop);
+    }
+  });
+  if (stops.length > CUSTOM_COURSE.MAX_WAYPOINTS) {
+    errors.push(`Course has ${stops.length} stops (max ${CUSTOM_COURSE.MAX_WAYPOINTS})`);
+  }
+
+  return {
+    waypoints: stops.map((stop, id) => ({ id, position: stop.position, reached: false, edge: stop.edge })),
+    errors,
+  };
+}
+
+/**
+ * Course file contents.
+ * @param {string} name
+ * @param {number} seed
+ * @param {number[][]} points - raw designer positions
+ * @returns {object}
+ */
+export function serializeCourse(name, seed, points) {
+  return {
+    version: COURSE_VERSION,
+    name,
+    seed,
+    savedAt: new Date().toISOString(),
+    points: points.map((p) => p.map((v) => Math.round(v * 100) / 100)),
+  };
+}
+
+/**
+ * Validate a course file.
+ * @param {object} json
+ * @returns {{ name: string, seed: number|null, points: number[][] }}
+ * @throws {Error} when the file is malformed
+ */
+export function parseCourse(json) {
+  if (!json || !Array.isArray(json.points)) throw new Error('Course: missing "points" array');
+  if (json.version !== undefined && json.version !== COURSE_VERSION) {
+    throw new Error(`Course: unsupported version ${json.version} (expected ${COURSE_VERSION})`);
+  }
+  const points = json.points.map((p, i) => {
+    if (!Array.isArray(p) || p.length !== 3 || !p.every(Number.isFinite)) {
+      throw new Error(`Course: point ${i + 1} is not an [x, y, z] triple`);
+    }
+    return [...p];
+  });
+  return {
+    name: typeof json.name === 'string' && json.name ? json.name : 'custom',
+    seed: Number.isInteger(json.seed) ? json.seed : null,
+    points,
+  };
+}
@@ -235,6 +235,9 @@ function generateSidewalks(segment) {
 
 /**
  * Generate the complete road network data.
+ * Segments carry their grid (row, col) — horizontal segments join
+ * intersections (row, col)–(row, col + 1), vertical ones (row, col)–(row + 1, col) —
+ * and a noPassing flag (solid double-yellow).
  * @returns {{ segments, intersections, crosswalks, laneMarkings, sidewalks }}
  */
 export function generateRoads() {
@@ -254,6 +257,8 @@ export function generateRoads() {
 
       intersections.push({
         id: `intersection-${r}-${c}`,
+        row: r,
+        col: c,
         position: pos,
         size: GRID.ROAD_WIDTH,
         hasTrafficLight: isInterior, // interior intersections get lights
@@ -266,8 +271,8 @@ export function generateRoads() {
   for (let r = 0; r < roadCount; r++) {
     for (let c = 0; c < roadCount - 1; c++) {
       const seg = getRoadSegmentData(r, c, 'horizontal');
-      segments.push(seg);
       const solid = isNoPassingSegment(r, c, 'horizontal');
+      segments.push({ ...seg, row: r, col: c, noPassing: solid });
       laneMarkings.push(...generateLaneMarkings(seg, solid));
       sidewalks.push(...generateSidewalks(seg));
     }
@@ -277,8 +282,8 @@ export function generateRoads() {
   for (let c = 0; c < roadCount; c++) {
     for (let r = 0; r < roadCount - 1; r++) {
       const seg = getRoadSegmentData(r, c, 'vertical');
-      segments.push(seg);
       const solid = isNoPassingSegment(r, c, 'vertical');
+      segments.push({ ...seg, row: r, col: c, noPassing: solid });
       laneMarkings.push(...generateLaneMarkings(seg, solid));
       sidewalks.push(...generateSidewalks(seg));
     }
@@ -24,13 +24,19 @@ function hashString(str) {
 export function createRng(seed) {
   let s = typeof seed === 'string' ? hashString(seed) : seed;
 
-  return function () {
+  const rng = function () {
     s |= 0;
     s = (s + 0x6D2B79F5) | 0;
     let t = Math.imul(s ^ (s >>> 15), 1 | s);
     t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
     return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
+
+  // Internal state access, so snapshots can rewind a stream
+  rng.getState = () => s;
+  rng.setState = (state) => { s = state; };
+
+  return rng;
 }
 
 /**
@@ -60,3 +66,72 @@ export function randPick(rng, array) {
 export function randBool(rng, probability = 0.5) {
   return rng() < probability;
 }
+
+// ============================================================
+// Runtime RNG streams
+// Every stochastic runtime system (sensor noise, animal wander,
+// NPC routes, online-learning exploration) draws from its own named stream so a
+// session is reproducible from its seed alone, and one system
+// consuming more numbers never shifts another's sequence.
+// ============================================================
+
+/** Seed offsets per stream (spawn/world generation use 0–7777). */
+export const RNG_STREAMS = {
+  camera: 11000,
+  lidar: 12000,
+  animals: 14000,
+  npcRoutes: 15000,
+  learning: 16000,
+};
+
+/**
+ * Create one generator per RNG_STREAMS entry for a seed.
+ * @param {number|string} seed
+ * @returns {Object<string, function>} stream name → rng
+ */
+export function createRngStreams(seed) {
+  const streams = {};
+  for (const [name, offset] of Object.entries(RNG_STREAMS)) {
+    streams[name] = createRng(typeof seed === 'string' ? `${seed}:${name}` : seed + offset);
+  }
+  return streams;
+}
+
+// Live-game streams, reseeded at the start of every session
+const sessionStreams = createRngStreams(12345);
+
+/**
+ * Reseed the live-game streams (called on session restart).
+ * @param {number|string} seed
+ */
+export function reseedSessionRng(seed) {
+  Object.assign(sessionStreams, createRngStreams(seed));
+}
+
+/**
+ * Stable accessor for a live-game stream. The returned function keeps
+ * working across reseeds, so it can be captured once as a default.
+ * @param {string} name - key of RNG_STREAMS
+ * @returns {function} Returns next random float in [0, 1)
+ */
+export function sessionRng(name) {
+  return () => sessionStreams[name]();
+}
+
+/**
+ * Capture the live-game stream positions.
+ * @returns {Object<string, number>} stream name → internal state
+ */
+export function snapshotSessionRng() {
+  const states = {};
+  for (const name of Object.keys(sessionStreams)) states[name] = sessionStreams[name].getState();
+  return states;
+}
+
+/**
+ * Rewind the live-game streams to a snapshotSessionRng() capture.
+ * @param {Object<string, number>} states
+ */
+export function restoreSessionRng(states) {
+  for (const [name, state] of Object.entries(states)) sessionStreams[name].setState(state);
+}